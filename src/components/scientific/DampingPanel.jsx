@@ -0,0 +1,267 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import {
+  DAMPING_MODELS,
+  modalDampingRatios,
+  seriesDampingRatio,
+  expandModalRatios
+} from '../../utils/dampingModels';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+const CURVE_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const MODE_STYLE = { color: '#a3a3a3', dash: [2, 2], lineWidth: 1 };
+
+/**
+ * Damping Panel Component
+ * Stiffness-proportional, Rayleigh, Caughey or modal damping of a shear building, with ζ against frequency
+ */
+export function DampingPanel({ stories, damping, onChange, className = '' }) {
+  const canvasRef = useRef(null);
+
+  const { result, error } = useMemo(() => {
+    try {
+      return { result: modalDampingRatios(stories, damping), error: null };
+    } catch (dampingError) {
+      return { result: null, error: dampingError.message };
+    }
+  }, [stories, damping]);
+
+  const modeCount = stories.length;
+  const model = damping.model;
+  // Modes whose ratio is prescribed rather than a consequence of the model, and the largest prescribed ratio
+  const { targetModes, largestTarget } = useMemo(() => {
+    const matched = model === 'caughey' ? damping.caugheyTerms : modeCount;
+    if (model === 'stiffnessProportional' || model === 'rayleigh') {
+      const count = model === 'rayleigh' ? 2 : 1;
+      return {
+        targetModes: damping.anchorModes.slice(0, count),
+        largestTarget: Math.max(...damping.anchorRatios.slice(0, count))
+      };
+    }
+    return {
+      targetModes: Array.from({ length: matched }, (_, i) => i + 1),
+      largestTarget: Math.max(...expandModalRatios(damping.modalRatios, matched))
+    };
+  }, [model, damping, modeCount]);
+
+  // ζ against frequency: the continuous series and the ratio each mode actually receives
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!result) return;
+
+    const { modes, modalRatios, coefficients } = result;
+    const maxFrequency = modes[modes.length - 1].frequency * 1.15;
+    const frequencies = Array.from({ length: 300 }, (_, i) => (maxFrequency * (i + 1)) / 300);
+    const curve = coefficients
+      ? frequencies.map(f => seriesDampingRatio(coefficients, 2 * Math.PI * f) * 100)
+      : null;
+    const percentRatios = modalRatios.map(ratio => ratio * 100);
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: maxFrequency, label: 'FREQUENCY f (Hz)', precision: 1 };
+    // Clip the curve near ω → 0, where the mass-proportional term grows without bound
+    const visible = curve ? curve.map(value => Math.min(value, Math.max(...percentRatios) * 2)) : [];
+    const yAxis = {
+      ...niceAxisRange([percentRatios, visible], { includeZero: true }),
+      label: 'DAMPING RATIO ζ (%)',
+      precision: 1
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    modes.forEach(mode => {
+      plotSeries(ctx, area, xAxis, yAxis, [mode.frequency, mode.frequency], [yAxis.min, yAxis.max], MODE_STYLE);
+    });
+    if (curve) plotSeries(ctx, area, xAxis, yAxis, frequencies, curve, CURVE_STYLE);
+    if (yAxis.min < 0) plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [0, 0], { color: '#000000', dash: [], lineWidth: 1 });
+
+    // Filled squares at the prescribed modes, open squares where the ratio follows from the model
+    ctx.strokeStyle = '#000000';
+    ctx.fillStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.font = '10px monospace';
+    modes.forEach((mode, m) => {
+      const x = toCanvasX(area, xAxis, mode.frequency);
+      const y = toCanvasY(area, yAxis, percentRatios[m]);
+      if (targetModes.includes(m + 1)) ctx.fillRect(x - 3, y - 3, 6, 6);
+      else ctx.strokeRect(x - 3, y - 3, 6, 6);
+      ctx.fillText(`${m + 1}`, x + 5, area.top + 12);
+    });
+
+    const legend = [{ label: 'Modal frequencies', ...MODE_STYLE }];
+    if (curve) legend.unshift({ label: 'ζ(ω) of the series', ...CURVE_STYLE });
+    drawLegend(ctx, area, legend, { corner: 'topLeft' });
+  }, [result, targetModes]);
+
+  const update = (changes) => onChange({ ...damping, ...changes });
+
+  const setAnchor = (slot, key, value) => {
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue < 0) return;
+    const values = [...damping[key]];
+    values[slot] = key === 'anchorRatios' ? numValue / 100 : Math.round(numValue);
+    update({ [key]: values });
+  };
+
+  const setModalRatio = (index, value) => {
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue < 0) return;
+    const ratios = expandModalRatios(damping.modalRatios, modeCount);
+    ratios[index] = numValue / 100;
+    update({ modalRatios: ratios });
+  };
+
+  const modeSelect = (slot) => (
+    <select
+      value={damping.anchorModes[slot]}
+      onChange={(e) => setAnchor(slot, 'anchorModes', e.target.value)}
+      className="input-scientific w-full"
+    >
+      {Array.from({ length: modeCount }, (_, m) => (
+        <option key={m} value={m + 1}>Mode {m + 1}</option>
+      ))}
+    </select>
+  );
+
+  const ratioInput = (value, onValueChange) => (
+    <input
+      type="number"
+      value={+(value * 100).toFixed(3)}
+      onChange={(e) => onValueChange(e.target.value)}
+      className="input-scientific w-full text-tabular"
+      min="0"
+      step="0.5"
+    />
+  );
+
+  const anchorRows = model === 'stiffnessProportional' ? [0] : model === 'rayleigh' ? [0, 1] : [];
+  const ratioModes = model === 'caughey' ? damping.caugheyTerms : model === 'modal' ? modeCount : 0;
+  const negative = result ? result.modalRatios.some(ratio => ratio < 0) : false;
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={300}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <div className="col-span-2">
+          <label className="text-data-label block mb-1">MODEL</label>
+          <select
+            value={model}
+            onChange={(e) => update({ model: e.target.value })}
+            className="input-scientific w-full"
+          >
+            {Object.entries(DAMPING_MODELS).map(([key, entry]) => (
+              <option key={key} value={key}>{entry.name}</option>
+            ))}
+          </select>
+        </div>
+        {model === 'caughey' && (
+          <div className="col-span-2">
+            <label className="text-data-label block mb-1">SERIES TERMS N</label>
+            <select
+              value={damping.caugheyTerms}
+              onChange={(e) => update({ caugheyTerms: parseInt(e.target.value, 10) })}
+              className="input-scientific w-full"
+            >
+              {Array.from({ length: modeCount }, (_, m) => (
+                <option key={m} value={m + 1}>{m + 1} (modes 1–{m + 1})</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-xs">
+        {anchorRows.map(slot => (
+          <React.Fragment key={slot}>
+            <div>
+              <label className="text-data-label block mb-1">{slot === 0 ? 'MODE i' : 'MODE j'}</label>
+              {modeSelect(slot)}
+            </div>
+            <div>
+              <label className="text-data-label block mb-1">{slot === 0 ? 'ζi (%)' : 'ζj (%)'}</label>
+              {ratioInput(damping.anchorRatios[slot], value => setAnchor(slot, 'anchorRatios', value))}
+            </div>
+          </React.Fragment>
+        ))}
+        {Array.from({ length: ratioModes }, (_, m) => (
+          <div key={m}>
+            <label className="text-data-label block mb-1">ζ{m + 1} (%)</label>
+            {ratioInput(expandModalRatios(damping.modalRatios, m + 1)[m], value => setModalRatio(m, value))}
+          </div>
+        ))}
+      </div>
+      <p className="text-methodology mt-2">{DAMPING_MODELS[model].description}</p>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+      {negative && (
+        <p className="text-xs border border-mono-black p-2 mt-4">
+          ⚠ The series turns negative at higher modes: those modes would gain energy. Match more modes or lower the
+          ratios of the highest ones.
+        </p>
+      )}
+
+      {result && (
+        <table className="w-full text-xs text-tabular mt-4">
+          <thead>
+            <tr className="border-b-2 border-mono-black">
+              <th className="text-left py-1">MODE</th>
+              <th className="text-right">f (Hz)</th>
+              <th className="text-right">T (s)</th>
+              <th className="text-right">ζn (%)</th>
+              <th className="text-right">ζn / ζ TARGET</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.modes.map((mode, m) => {
+              const ratio = result.modalRatios[m];
+              return (
+                <tr key={m} className="border-b border-mono-300">
+                  <td className="py-1">{m + 1}{targetModes.includes(m + 1) ? ' ■' : ''}</td>
+                  <td className="text-right">{mode.frequency.toFixed(3)}</td>
+                  <td className="text-right">{mode.period.toFixed(3)}</td>
+                  <td className="text-right">{(ratio * 100).toFixed(2)}{ratio < 0 ? ' ✗' : ''}</td>
+                  <td className="text-right">{largestTarget > 0 ? (ratio / largestTarget).toFixed(2) : '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {result?.coefficients && (
+        <p className="text-xs text-tabular mt-2">
+          {Array.from(result.coefficients).map((a, l) => `a${l} = ${a.toExponential(4)}`).join(', ')}
+        </p>
+      )}
+
+      <p className="text-methodology mt-3">
+        ■ marks the modes whose ratio is prescribed; every other ratio is whatever the model gives at that frequency.
+        Stiffness-proportional damping grows linearly with ω, so the higher modes of a tall building are heavily
+        over-damped and their contribution to floor accelerations and shears is filtered out. Rayleigh damping
+        limits this between its two anchors but still rises above the higher one. Caughey series match more modes
+        at the cost of a fuller C and ratios that can turn negative beyond the last matched mode; modal damping
+        assigns every mode exactly its own ratio but couples every floor to every other.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { SEISMIC_ZONES } from '../../constants/engineering';
+import { SITE_CLASSES, RISK_CATEGORIES, designSpectrumParameters } from '../../constants/asce7';
+
+/**
+ * Design Spectrum Panel Component
+ * ASCE 7 design response spectrum inputs and derived parameters
+ */
+export function DesignSpectrumPanel({ onSpectrumChange, className = '' }) {
+  const [inputs, setInputs] = useState({
+    Ss: 1.5,
+    S1: 0.6,
+    siteClass: 'D',
+    TL: 8,
+    riskCategory: 'II'
+  });
+
+  const { params, error } = useMemo(() => {
+    try {
+      return { params: designSpectrumParameters(inputs), error: null };
+    } catch (designError) {
+      return { params: null, error: designError.message };
+    }
+  }, [inputs]);
+
+  // Report the spectrum to the parent for overlays and modal response spectrum analysis
+  useEffect(() => {
+    onSpectrumChange(params);
+  }, [params, onSpectrumChange]);
+
+  const updateNumber = (key, value) => {
+    const numValue = parseFloat(value);
+    if (!isNaN(numValue) && numValue > 0) {
+      setInputs(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const rows = params ? [
+    ['Fa', params.Fa.toFixed(3), ''],
+    ['Fv', params.Fv.toFixed(3), ''],
+    ['SMS', params.SMS.toFixed(3), 'g'],
+    ['SM1', params.SM1.toFixed(3), 'g'],
+    ['SDS', params.SDS.toFixed(3), 'g'],
+    ['SD1', params.SD1.toFixed(3), 'g'],
+    ['T0', params.T0.toFixed(3), 's'],
+    ['Ts', params.Ts.toFixed(3), 's'],
+    ['SDC', params.sdc, '']
+  ] : [];
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <div className="flex flex-wrap gap-2 text-xs">
+        {Object.entries(SEISMIC_ZONES).map(([key, zone]) => (
+          <button
+            key={key}
+            onClick={() => setInputs(prev => ({ ...prev, Ss: zone.Ss, S1: zone.S1 }))}
+            className="btn-scientific text-xs"
+          >
+            {zone.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="text-data-label block mb-1">Ss (g)</label>
+          <input
+            type="number"
+            value={inputs.Ss}
+            onChange={(e) => updateNumber('Ss', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.01"
+            step="0.05"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">S1 (g)</label>
+          <input
+            type="number"
+            value={inputs.S1}
+            onChange={(e) => updateNumber('S1', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.01"
+            step="0.05"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">TL (s)</label>
+          <input
+            type="number"
+            value={inputs.TL}
+            onChange={(e) => updateNumber('TL', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="1"
+            step="1"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">RISK CAT.</label>
+          <select
+            value={inputs.riskCategory}
+            onChange={(e) => setInputs(prev => ({ ...prev, riskCategory: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.keys(RISK_CATEGORIES).map(key => (
+              <option key={key} value={key}>{key}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="text-data-label block mb-1">SITE CLASS</label>
+        <select
+          value={inputs.siteClass}
+          onChange={(e) => setInputs(prev => ({ ...prev, siteClass: e.target.value }))}
+          className="input-scientific w-full"
+        >
+          {Object.entries(SITE_CLASSES).map(([key, site]) => (
+            <option key={key} value={key}>{site.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2">⚠ {error}</p>
+      )}
+
+      {params && (
+        <div className="space-y-2 text-xs">
+          {rows.map(([label, value, units]) => (
+            <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+              <span className="text-data-label">{label}:</span>
+              <span className="text-data-value">{value} {units}</span>
+            </div>
+          ))}
+          {params.siteSpecific && (
+            <p className="text-methodology">
+              ⚠ Tabulated coefficient requires a site-specific ground motion hazard analysis (§11.4.8) unless an exception applies.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,470 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  SECOND_COMPONENTS,
+  DEFAULT_ECCENTRIC_BUILDING,
+  ACCIDENTAL_ECCENTRICITY,
+  analyzeEccentricBuilding,
+  accidentalTorsion,
+  edgeDisplacement
+} from '../../utils/torsionalResponse';
+import { create3DBox, draw3DBox, project3DToIsometric, rotate3DPoint } from '../../utils/isometricProjection';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const FLEXIBLE_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const CENTER_STYLE = { color: '#525252', dash: [6, 3] };
+const STIFF_STYLE = { color: '#737373', dash: [2, 2] };
+const SYMMETRIC_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+const MARKER_STYLE = { color: '#000000', dash: [4, 3], lineWidth: 1 };
+
+// Settings that may be zero, and those that may also be negative
+const ZERO_ALLOWED_SETTINGS = ['componentRatio'];
+const SIGNED_SETTINGS = ['eccentricityX', 'eccentricityY', 'incidenceAngle'];
+
+const EDGE_NAMES = { xMin: 'x = −Lx/2', xMax: 'x = +Lx/2', yMin: 'y = −Ly/2', yMax: 'y = +Ly/2' };
+const IRREGULARITIES = { none: 'None', '1a': 'Type 1a torsional', '1b': 'Type 1b extreme torsional' };
+
+// Largest drawn displacement as a fraction of the larger plan dimension
+const DRAWN_DISPLACEMENT = 0.08;
+
+/**
+ * Plan corners of the diaphragm displaced by [ux, uy, θ] about the CM, in meters
+ */
+function planCorners(building, u, magnification) {
+  const [ux, uy, theta] = u;
+  const angle = theta * magnification;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const x = (sx * building.width) / 2;
+    const y = (sy * building.depth) / 2;
+    return {
+      x: ux * magnification + x * Math.cos(angle) - y * Math.sin(angle),
+      y: uy * magnification + x * Math.sin(angle) + y * Math.cos(angle)
+    };
+  });
+}
+
+/**
+ * Plan view: undeformed and displaced diaphragm, CM, CR, the accidental CM positions and the ground motion direction
+ */
+function drawPlan(ctx, canvas, building, analysis, u, magnification) {
+  const { width, height } = canvas;
+  const scale = Math.min((width - 160) / building.width, (height - 110) / building.depth);
+  const originX = width / 2;
+  const originY = height / 2 + 10;
+  const toX = x => originX + x * scale;
+  const toY = y => originY - y * scale;
+
+  const outline = (corners, style) => {
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.lineWidth;
+    ctx.setLineDash(style.dash);
+    ctx.beginPath();
+    corners.forEach((corner, i) => (i === 0 ? ctx.moveTo(toX(corner.x), toY(corner.y)) : ctx.lineTo(toX(corner.x), toY(corner.y))));
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+
+  outline(planCorners(building, [0, 0, 0], magnification), { color: '#a3a3a3', dash: [4, 4], lineWidth: 1 });
+  outline(planCorners(building, u, magnification), { color: '#000000', dash: [], lineWidth: 2 });
+
+  // Accidental positions of the CM, ±5% of the plan dimension perpendicular to the forces
+  ctx.strokeStyle = '#737373';
+  ctx.lineWidth = 1;
+  [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([sx, sy]) => {
+    ctx.beginPath();
+    ctx.arc(toX(sx * ACCIDENTAL_ECCENTRICITY * building.width), toY(sy * ACCIDENTAL_ECCENTRICITY * building.depth), 3, 0, 2 * Math.PI);
+    ctx.stroke();
+  });
+
+  // Center of mass (circle with cross) and center of rigidity (square)
+  ctx.strokeStyle = '#000000';
+  ctx.fillStyle = '#000000';
+  ctx.beginPath();
+  ctx.arc(toX(0), toY(0), 6, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(toX(0) - 6, toY(0));
+  ctx.lineTo(toX(0) + 6, toY(0));
+  ctx.moveTo(toX(0), toY(0) - 6);
+  ctx.lineTo(toX(0), toY(0) + 6);
+  ctx.stroke();
+  ctx.fillRect(toX(analysis.rigidity.x) - 4, toY(analysis.rigidity.y) - 4, 8, 8);
+
+  ctx.font = '10px monospace';
+  ctx.fillText('CM', toX(0) + 8, toY(0) - 8);
+  ctx.fillText('CR', toX(analysis.rigidity.x) + 8, toY(analysis.rigidity.y) + 14);
+
+  // Flexible and stiff edges under motion along y, when the plan is eccentric in x
+  if (building.eccentricityX !== 0) {
+    const { flexible } = analysis.directions.y;
+    const flexibleX = flexible === 'xMin' ? -building.width / 2 : building.width / 2;
+    ctx.textAlign = 'center';
+    ctx.fillText('FLEXIBLE', toX(flexibleX), toY(-building.depth / 2) + 28);
+    ctx.fillText('STIFF', toX(-flexibleX), toY(-building.depth / 2) + 28);
+    ctx.textAlign = 'left';
+  }
+
+  // Axes and the direction of the first ground motion component
+  const axisX = 30;
+  const axisY = height - 30;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(axisX, axisY);
+  ctx.lineTo(axisX + 30, axisY);
+  ctx.moveTo(axisX, axisY);
+  ctx.lineTo(axisX, axisY - 30);
+  ctx.stroke();
+  ctx.fillText('x', axisX + 34, axisY + 3);
+  ctx.fillText('y', axisX - 3, axisY - 34);
+
+  const angle = (building.incidenceAngle * Math.PI) / 180;
+  const arrowX = width - 50;
+  const arrowY = height - 45;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(arrowX - 25 * Math.cos(angle), arrowY + 25 * Math.sin(angle));
+  ctx.lineTo(arrowX + 25 * Math.cos(angle), arrowY - 25 * Math.sin(angle));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.textAlign = 'center';
+  ctx.fillText('üg1', arrowX, arrowY + 35);
+  ctx.textAlign = 'left';
+
+  ctx.fillText('PLAN', 10, 20);
+  ctx.fillText(`DISPLACEMENTS ×${magnification.toFixed(0)}`, 10, 35);
+}
+
+/**
+ * Isometric view: foundation, corner columns and the displaced roof diaphragm
+ */
+function drawIsometric(ctx, canvas, building, u, magnification) {
+  const { width, height } = canvas;
+  const extent = building.width + building.depth;
+  const scale = Math.min((width - 80) / (0.75 * extent), (height - 80) / (0.433 * extent + building.height));
+  const slab = 0.4;
+
+  ctx.save();
+  ctx.translate(width / 2, height / 2 + (0.5 * building.height * scale) * 0.866 - 10);
+
+  const foundation = create3DBox({ x: 0, y: 0, z: -slab * scale / 2 }, building.width * scale, building.depth * scale, slab * scale);
+  draw3DBox(ctx, foundation, { fillColors: { top: '#e5e5e5', front: '#a3a3a3', right: '#737373' }, strokeWidth: 1 });
+
+  // Undeformed roof in outline only
+  const roofCenter = { x: 0, y: 0, z: (building.height + slab / 2) * scale };
+  const undeformed = create3DBox(roofCenter, building.width * scale, building.depth * scale, slab * scale);
+  draw3DBox(ctx, undeformed, { fillColors: {}, strokeColor: '#a3a3a3', strokeWidth: 1 });
+
+  // Displaced roof: the same box rotated by θ about the CM and translated by (ux, uy)
+  const [ux, uy, theta] = u;
+  const roof = create3DBox(roofCenter, building.width * scale, building.depth * scale, slab * scale);
+  const displaced = roof.vertices3D.map(vertex => {
+    const rotated = rotate3DPoint(vertex, { rz: theta * magnification });
+    return {
+      x: rotated.x + ux * magnification * scale,
+      y: rotated.y + uy * magnification * scale,
+      z: rotated.z
+    };
+  });
+  const columnTops = displaced.slice(0, 4);
+  const columnBases = foundation.vertices3D.slice(4, 8);
+
+  // Columns from the top of the foundation to the underside of the displaced roof
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = 2;
+  columnBases.forEach((base, i) => {
+    const from = project3DToIsometric(base.x, base.y, base.z);
+    const to = project3DToIsometric(columnTops[i].x, columnTops[i].y, columnTops[i].z);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  });
+
+  draw3DBox(ctx, {
+    ...roof,
+    vertices3D: displaced,
+    vertices2D: displaced.map(vertex => project3DToIsometric(vertex.x, vertex.y, vertex.z))
+  });
+  ctx.restore();
+
+  ctx.fillStyle = '#000000';
+  ctx.font = '10px monospace';
+  ctx.fillText('ISOMETRIC', 10, 20);
+  ctx.fillText(`DISPLACEMENTS ×${magnification.toFixed(0)}`, 10, 35);
+}
+
+/**
+ * Eccentric Building Panel Component
+ * One-story building with offset centers of mass and rigidity under two ground motion components:
+ * plan and isometric views, torsional amplification at the flexible edge and the ASCE 7 accidental torsion check
+ */
+export function EccentricBuildingPanel({ excitation, dampingRatio = 0.05, className = '' }) {
+  const planCanvasRef = useRef(null);
+  const isometricCanvasRef = useRef(null);
+  const historyCanvasRef = useRef(null);
+  const [building, setBuilding] = useState(DEFAULT_ECCENTRIC_BUILDING);
+  const [direction, setDirection] = useState('y');
+  const [snapshotTime, setSnapshotTime] = useState(null); // null: instant of peak rotation
+
+  const { analysis, checks, error } = useMemo(() => {
+    try {
+      return {
+        analysis: analyzeEccentricBuilding(building, excitation, { dampingRatio }),
+        checks: ['x', 'y'].map(key => accidentalTorsion(building, key)),
+        error: null
+      };
+    } catch (analysisError) {
+      return { analysis: null, checks: [], error: analysisError.message };
+    }
+  }, [building, excitation, dampingRatio]);
+
+  const snapshotIndex = analysis
+    ? (snapshotTime === null
+      ? analysis.peakRotationIndex
+      : Math.min(Math.round(snapshotTime / (analysis.time[1] - analysis.time[0])), analysis.time.length - 1))
+    : 0;
+  const snapshot = useMemo(() => (analysis
+    ? [analysis.displacement.ux[snapshotIndex], analysis.displacement.uy[snapshotIndex], analysis.displacement.theta[snapshotIndex]]
+    : [0, 0, 0]), [analysis, snapshotIndex]);
+  const magnification = useMemo(() => {
+    if (!analysis) return 1;
+    const peak = Math.max(...Object.values(analysis.edges).map(edge => edge.peak));
+    return peak > 0 ? Math.max(1, Math.round((DRAWN_DISPLACEMENT * Math.max(building.width, building.depth)) / peak)) : 1;
+  }, [analysis, building.width, building.depth]);
+
+  useEffect(() => {
+    const canvas = planCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+    drawPlan(ctx, canvas, building, analysis, snapshot, magnification);
+  }, [analysis, building, snapshot, magnification]);
+
+  useEffect(() => {
+    const canvas = isometricCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+    drawIsometric(ctx, canvas, building, snapshot, magnification);
+  }, [analysis, building, snapshot, magnification]);
+
+  // Edge and CM displacements in the chosen direction, against the symmetric-plan building
+  useEffect(() => {
+    const canvas = historyCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const { time, edges, displacement, directions } = analysis;
+    const { flexible, stiff } = directions[direction];
+    const toMillimeters = values => Array.from(values, value => value * 1000);
+    const series = [
+      { label: `Flexible edge ${EDGE_NAMES[flexible]}`, values: toMillimeters(edges[flexible].values), ...FLEXIBLE_STYLE },
+      { label: 'Center of mass', values: toMillimeters(direction === 'x' ? displacement.ux : displacement.uy), ...CENTER_STYLE },
+      { label: `Stiff edge ${EDGE_NAMES[stiff]}`, values: toMillimeters(edges[stiff].values), ...STIFF_STYLE }
+    ];
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange(series.map(entry => entry.values), { symmetric: true }),
+      label: `DISPLACEMENT u${direction} (mm)`,
+      precision: 0
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    const reference = analysis.symmetricPeaks[direction] * 1000;
+    plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [reference, reference], SYMMETRIC_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [-reference, -reference], SYMMETRIC_STYLE);
+    series.slice().reverse().forEach(entry => plotSeries(ctx, area, xAxis, yAxis, time, entry.values, entry));
+    plotSeries(ctx, area, xAxis, yAxis, [time[snapshotIndex], time[snapshotIndex]], [yAxis.min, yAxis.max], MARKER_STYLE);
+    drawLegend(ctx, area, [...series, { label: 'Symmetric plan peak', ...SYMMETRIC_STYLE }]);
+  }, [analysis, direction, snapshotIndex]);
+
+  const updateSetting = (key, value) => {
+    const valid = SIGNED_SETTINGS.includes(key) ? true
+      : ZERO_ALLOWED_SETTINGS.includes(key) ? value >= 0 : value > 0;
+    if (!isNaN(value) && valid) {
+      setBuilding(prev => ({ ...prev, [key]: value }));
+    }
+  };
+
+  const numberField = (key, label, step, scale = 1) => (
+    <div>
+      <label className="text-data-label block mb-1">{label}</label>
+      <input
+        type="number"
+        value={+(building[key] * scale).toFixed(6)}
+        onChange={(e) => updateSetting(key, parseFloat(e.target.value) / scale)}
+        className="input-scientific w-full text-tabular"
+        step={step}
+      />
+    </div>
+  );
+
+  const duration = analysis ? analysis.time[analysis.time.length - 1] : 0;
+  const summary = analysis ? [
+    ['CENTER OF RIGIDITY (FROM CM)', `x = ${analysis.rigidity.x.toFixed(2)} m, y = ${analysis.rigidity.y.toFixed(2)} m`],
+    ['MODAL PERIODS', analysis.modes.map(mode => `${mode.period.toFixed(3)} s`).join(' / ')],
+    ['PEAK CM DISPLACEMENT ux / uy', `${(analysis.peaks.ux * 1000).toFixed(1)} / ${(analysis.peaks.uy * 1000).toFixed(1)} mm`],
+    ['PEAK ROTATION θ', `${(analysis.peaks.theta * 1000).toFixed(3)} mrad`],
+    ...['y', 'x'].map(key => {
+      const entry = analysis.directions[key];
+      return [
+        `FLEXIBLE EDGE ${EDGE_NAMES[entry.flexible]} (u${key})`,
+        `${(analysis.edges[entry.flexible].peak * 1000).toFixed(1)} mm = ${entry.amplification.toFixed(2)} × symmetric plan (stiff edge ${entry.stiffRatio.toFixed(2)} ×)`
+      ];
+    })
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <canvas
+          ref={planCanvasRef}
+          width={600}
+          height={420}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={isometricCanvasRef}
+          width={600}
+          height={420}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+      <canvas
+        ref={historyCanvasRef}
+        width={600}
+        height={280}
+        className="border-2 border-mono-black w-full bg-mono-white mt-4"
+      />
+
+      {analysis && (
+        <div className="flex flex-wrap items-center gap-3 mt-4 text-xs">
+          <label className="text-data-label">SNAPSHOT t</label>
+          <input
+            type="range"
+            min="0"
+            max={duration}
+            step={analysis.time[1] - analysis.time[0]}
+            value={analysis.time[snapshotIndex]}
+            onChange={(e) => setSnapshotTime(parseFloat(e.target.value))}
+            className="flex-1"
+          />
+          <span className="text-data-value text-tabular">{analysis.time[snapshotIndex].toFixed(2)} s</span>
+          <button onClick={() => setSnapshotTime(null)} className="btn-scientific">
+            PEAK ROTATION
+          </button>
+          <label className="text-data-label">CHART</label>
+          <select
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            className="input-scientific"
+          >
+            <option value="y">uy (edges ⟂ x)</option>
+            <option value="x">ux (edges ⟂ y)</option>
+          </select>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        {numberField('width', 'PLAN Lx (m)', '1')}
+        {numberField('depth', 'PLAN Ly (m)', '1')}
+        {numberField('height', 'STORY HEIGHT (m)', '0.5')}
+        {numberField('mass', 'MASS (t)', '50', 1e-3)}
+        {numberField('period', 'LATERAL PERIOD T (s)', '0.05')}
+        {numberField('frequencyRatio', 'Ω = ωθ/ω', '0.1')}
+        {numberField('eccentricityX', 'ex / Lx', '0.01')}
+        {numberField('eccentricityY', 'ey / Ly', '0.01')}
+        <div>
+          <label className="text-data-label block mb-1">SECOND COMPONENT</label>
+          <select
+            value={building.secondComponent}
+            onChange={(e) => setBuilding(prev => ({ ...prev, secondComponent: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(SECOND_COMPONENTS).map(([key, component]) => (
+              <option key={key} value={key}>{component.name}</option>
+            ))}
+          </select>
+        </div>
+        {numberField('componentRatio', 'PEAK RATIO üg2/üg1', '0.05')}
+        {numberField('incidenceAngle', 'INCIDENCE ANGLE (°)', '15')}
+      </div>
+      <p className="text-methodology mt-2">{SECOND_COMPONENTS[building.secondComponent].description}.</p>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {analysis && (
+        <>
+          <div className="space-y-2 text-xs mt-4">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full text-xs text-tabular mt-4">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-left py-1">FORCES ALONG</th>
+                <th className="text-right">e INHERENT (m)</th>
+                <th className="text-right">δmax/δavg (0 / +5% / −5%)</th>
+                <th className="text-right">IRREGULARITY</th>
+                <th className="text-right">Ax</th>
+                <th className="text-right">Ax·0.05·L (m)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {checks.map(check => (
+                <tr key={check.direction} className="border-b border-mono-300">
+                  <td className="py-1">{check.direction}</td>
+                  <td className="text-right">{Math.abs(check.inherentEccentricity).toFixed(2)}</td>
+                  <td className="text-right">{check.cases.map(entry => entry.ratio.toFixed(2)).join(' / ')}</td>
+                  <td className="text-right">{IRREGULARITIES[check.irregularity]}</td>
+                  <td className="text-right">{check.amplification.toFixed(2)}</td>
+                  <td className="text-right">{check.accidentalEccentricity.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-xs text-tabular mt-2">
+            Snapshot edge displacements: {Object.keys(EDGE_NAMES).map(edge =>
+              `${EDGE_NAMES[edge]} ${(edgeDisplacement(building, edge, snapshot) * 1000).toFixed(1)} mm`).join(', ')}
+          </p>
+        </>
+      )}
+
+      <p className="text-methodology mt-3">
+        The roof is a rigid diaphragm with ux, uy and θ at the center of mass; the lateral-force-resisting elements are
+        lumped into equal translational stiffnesses k = m·ω² acting at the center of rigidity and a torsional stiffness
+        Ω²·k·r² about it, r being the radius of gyration of the plan. An offset CR couples translation and twist, so the
+        edge farther from the CR moves more than the CM and the building with a symmetric plan (the amplification),
+        most strongly when Ω ≈ 1. Damping is classical with ζ in every mode. ASCE 7 §12.8.4.2 shifts the CM by ±5% of
+        the plan dimension perpendicular to the forces (open circles); with the resulting static forces, δmax/δavg
+        above 1.2 or 1.4 makes the structure torsionally or extremely torsionally irregular (Table 12.3-1), and the
+        accidental eccentricity is then amplified by Ax = (δmax/1.2·δavg)², 1 ≤ Ax ≤ 3 (Eq. 12.8-14).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { ENERGY_COMPONENTS, energyBalance } from '../../utils/energyBalance';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+// Balance residual above which the integration is flagged (fraction of peak input energy)
+const ERROR_TOLERANCE = 0.01;
+
+/**
+ * Energy Balance Panel Component
+ * Stacked energy time histories Ed + Eh + Es + Ek against the input energy Ei
+ */
+export function EnergyBalancePanel({ solution, mass, stiffness, elasticStiffness = stiffness, dampingRatio, index, className = '' }) {
+  const canvasRef = useRef(null);
+
+  const balance = useMemo(() => (solution
+    ? energyBalance(solution, { mass, stiffness, dampingRatio, elasticStiffness })
+    : null), [solution, mass, stiffness, dampingRatio, elasticStiffness]);
+
+  // Cumulative sums in kJ, bottom to top in ENERGY_COMPONENTS order
+  const stacked = useMemo(() => {
+    if (!balance) return null;
+    const levels = [];
+    let running = new Float64Array(balance.time.length);
+    Object.keys(ENERGY_COMPONENTS).forEach(key => {
+      running = running.map((value, i) => value + balance[key][i] / 1000);
+      levels.push({ key, values: running });
+    });
+    const input = Float64Array.from(balance.input, value => value / 1000);
+    return { levels, input };
+  }, [balance]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!balance || !stacked) return;
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const { time } = balance;
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange([stacked.input, stacked.levels[stacked.levels.length - 1].values], { includeZero: true }),
+      label: 'ENERGY (kJ)',
+      precision: 2
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    // Filled bands between consecutive cumulative levels
+    const stride = Math.max(1, Math.floor(time.length / area.width));
+    let lower = null;
+    stacked.levels.forEach(({ key, values }) => {
+      ctx.fillStyle = ENERGY_COMPONENTS[key].color;
+      ctx.beginPath();
+      for (let i = 0; i < time.length; i += stride) {
+        const x = toCanvasX(area, xAxis, time[i]);
+        const y = toCanvasY(area, yAxis, values[i]);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      for (let i = Math.floor((time.length - 1) / stride) * stride; i >= 0; i -= stride) {
+        ctx.lineTo(toCanvasX(area, xAxis, time[i]), toCanvasY(area, yAxis, lower ? lower[i] : 0));
+      }
+      ctx.closePath();
+      ctx.fill();
+      lower = values;
+    });
+
+    plotSeries(ctx, area, xAxis, yAxis, time, stacked.input, { color: '#000000', dash: [6, 3], lineWidth: 2 });
+
+    // Playback cursor
+    const current = Math.min(index, time.length - 1);
+    const cursorX = toCanvasX(area, xAxis, time[current]);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(cursorX, area.top);
+    ctx.lineTo(cursorX, area.top + area.height);
+    ctx.stroke();
+
+    drawLegend(ctx, area, [
+      { label: 'Input Ei', color: '#000000', dash: [6, 3] },
+      ...Object.keys(ENERGY_COMPONENTS).reverse().map(key => ({
+        label: ENERGY_COMPONENTS[key].name,
+        color: ENERGY_COMPONENTS[key].color,
+        lineWidth: 6
+      }))
+    ], { corner: 'topLeft' });
+  }, [balance, stacked, index]);
+
+  if (!balance) return null;
+
+  const current = Math.min(index, balance.time.length - 1);
+  const currentError = balance.error[current];
+  const balanced = balance.maxError <= ERROR_TOLERANCE;
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={320}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mt-4 text-xs">
+        {Object.entries(ENERGY_COMPONENTS).map(([key, component]) => (
+          <div key={key} className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">{component.name.toUpperCase()}:</span>
+            <span className="text-data-value">{(balance[key][current] / 1000).toFixed(3)} kJ</span>
+          </div>
+        ))}
+        <div className="flex justify-between border-b border-mono-300 pb-1">
+          <span className="text-data-label">INPUT Ei:</span>
+          <span className="text-data-value">{(balance.input[current] / 1000).toFixed(3)} kJ</span>
+        </div>
+        <div className="flex justify-between border-b border-mono-300 pb-1">
+          <span className="text-data-label">BALANCE ERROR (CURRENT / MAX):</span>
+          <span className="text-data-value">
+            {(currentError * 100).toFixed(3)}% / {(balance.maxError * 100).toFixed(3)}%
+          </span>
+        </div>
+      </div>
+
+      {/* Error gauge: full width corresponds to the tolerance */}
+      <div className="flex items-center gap-3 mt-3 text-xs">
+        <span className="text-data-label">ERROR</span>
+        <div className="flex-1 h-2 border border-mono-black">
+          <div
+            className="h-full bg-mono-black"
+            style={{ width: `${Math.min(currentError / ERROR_TOLERANCE, 1) * 100}%` }}
+          />
+        </div>
+        <span className="text-data-value">{balanced ? 'BALANCED' : `> ${ERROR_TOLERANCE * 100}% – REDUCE Δt`}</span>
+      </div>
+
+      <p className="text-methodology mt-3">
+        Relative energy equation Ek + Ed + Es + Eh = Ei: the ground motion inputs Ei = −∫m·üg·du, which is stored
+        as kinetic (½m·u̇²) and strain (fs²/2k) energy and dissipated by viscous damping (∫c·u̇·du) and yielding
+        (Eh). Damping and yielding remove energy permanently, so less remains to drive the structure. The
+        average-acceleration method conserves this balance to round-off; other schemes leave a residual that
+        shrinks with Δt.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { equivalentLateralForce } from '../../utils/equivalentLateralForce';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  stepProfile,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+const DIAGRAM_WIDTH = 300;
+const DIAGRAM_HEIGHT = 360;
+
+/**
+ * Equivalent Lateral Force Panel Component
+ * ASCE 7 §12.8 base shear, vertical distribution, story shear and overturning moment diagrams
+ */
+export function EquivalentLateralForcePanel({ stories, modes, designSpectrum, system, className = '' }) {
+  const shearCanvasRef = useRef(null);
+  const momentCanvasRef = useRef(null);
+
+  const { elf, error } = useMemo(() => {
+    if (!designSpectrum) {
+      return { elf: null, error: 'A valid ASCE 7 design spectrum is required' };
+    }
+    try {
+      return {
+        elf: equivalentLateralForce(stories, designSpectrum, { system, computedPeriod: modes[0]?.period }),
+        error: null
+      };
+    } catch (elfError) {
+      return { elf: null, error: elfError.message };
+    }
+  }, [stories, modes, designSpectrum, system]);
+
+  // Story shear with applied floor forces, and overturning moment over height
+  useEffect(() => {
+    [shearCanvasRef, momentCanvasRef].forEach(ref => {
+      const ctx = ref.current?.getContext('2d');
+      if (!ctx) return;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, DIAGRAM_WIDTH, DIAGRAM_HEIGHT);
+    });
+    if (!elf) return;
+
+    const elevations = [0, ...elf.stories.map(story => story.elevation)];
+    const yAxis = { ...niceAxisRange([elevations]), label: 'ELEVATION (m)', precision: 1 };
+    const area = createChartArea(DIAGRAM_WIDTH, DIAGRAM_HEIGHT, { right: 15, left: 50 });
+
+    const shear = stepProfile(elf.stories.map(story => story.shear / 1000), elevations);
+    const shearCtx = shearCanvasRef.current.getContext('2d');
+    const shearAxis = { ...niceAxisRange([shear.values]), label: 'Vx, Fx (kN)', precision: 0 };
+    drawChartAxes(shearCtx, area, shearAxis, yAxis);
+    plotSeries(shearCtx, area, shearAxis, yAxis, shear.values, shear.positions, { color: '#000000' });
+
+    // Floor forces as horizontal arrows from the elevation axis
+    shearCtx.save();
+    shearCtx.strokeStyle = '#737373';
+    shearCtx.fillStyle = '#737373';
+    shearCtx.lineWidth = 2;
+    elf.stories.forEach(story => {
+      const x0 = toCanvasX(area, shearAxis, 0);
+      const x1 = toCanvasX(area, shearAxis, story.force / 1000);
+      const y = toCanvasY(area, yAxis, story.elevation);
+      shearCtx.beginPath();
+      shearCtx.moveTo(x0, y);
+      shearCtx.lineTo(x1, y);
+      shearCtx.stroke();
+      shearCtx.beginPath();
+      shearCtx.moveTo(x1, y);
+      shearCtx.lineTo(x1 - 6, y - 4);
+      shearCtx.lineTo(x1 - 6, y + 4);
+      shearCtx.closePath();
+      shearCtx.fill();
+    });
+    shearCtx.restore();
+    drawLegend(shearCtx, area, [
+      { label: 'Vx story shear', color: '#000000', dash: [] },
+      { label: 'Fx floor force', color: '#737373', dash: [] }
+    ]);
+
+    // Moment varies linearly within each story and vanishes at the roof
+    const moments = [...elf.stories.map(story => story.overturningMoment / 1000), 0];
+    const momentCtx = momentCanvasRef.current.getContext('2d');
+    const momentAxis = { ...niceAxisRange([moments]), label: 'OVERTURNING Mx (kN·m)', precision: 0 };
+    drawChartAxes(momentCtx, area, momentAxis, yAxis);
+    plotSeries(momentCtx, area, momentAxis, yAxis, moments, elevations, { color: '#000000' });
+  }, [elf]);
+
+  const maxTheta = elf ? Math.max(...elf.stories.map(story => story.stabilityCoefficient)) : 0;
+
+  const summary = elf ? [
+    ['hn', `${elf.hn.toFixed(2)} m`],
+    ['Ta = Ct·hn^x', `${elf.Ta.toFixed(3)} s`],
+    ['Cu', elf.Cu.toFixed(2)],
+    ['Cu·Ta', `${(elf.Cu * elf.Ta).toFixed(3)} s`],
+    ['T (MODAL)', elf.computedPeriod ? `${elf.computedPeriod.toFixed(3)} s` : '—'],
+    ['T USED', `${elf.period.toFixed(3)} s`],
+    ['k', elf.k.toFixed(3)],
+    ['R / Ω0 / Cd', `${elf.R} / ${elf.omega0} / ${elf.Cd}`],
+    ['Ie', elf.Ie.toFixed(2)],
+    ['SDS/(R/Ie)', elf.basic.toFixed(4)],
+    ['Cs MAX', elf.maximum.toFixed(4)],
+    ['Cs MIN', elf.minimum.toFixed(4)],
+    ['Cs', `${elf.Cs.toFixed(4)} (${elf.governing})`],
+    ['W', `${(elf.seismicWeight / 1000).toFixed(0)} kN`],
+    ['V = Cs·W', `${(elf.baseShear / 1000).toFixed(1)} kN`],
+    ['BASE OVERTURNING', `${(elf.overturningMoment / 1000).toFixed(0)} kN·m`],
+    ['θ MAX IN ANY STORY', `${maxTheta.toFixed(3)} (θmax = 0.5/(β·Cd) = ${elf.maximumStabilityCoefficient.toFixed(3)})`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-2 gap-4">
+        <canvas
+          ref={shearCanvasRef}
+          width={DIAGRAM_WIDTH}
+          height={DIAGRAM_HEIGHT}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={momentCanvasRef}
+          width={DIAGRAM_WIDTH}
+          height={DIAGRAM_HEIGHT}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-3">⚠ {error}</p>
+      )}
+
+      {elf && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mt-4 text-xs">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full mt-4 text-xs text-tabular">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-data-label text-left py-1">LEVEL</th>
+                <th className="text-data-label text-right py-1">wx (kN)</th>
+                <th className="text-data-label text-right py-1">hx (m)</th>
+                <th className="text-data-label text-right py-1">Cvx</th>
+                <th className="text-data-label text-right py-1">Fx (kN)</th>
+                <th className="text-data-label text-right py-1">Vx (kN)</th>
+                <th className="text-data-label text-right py-1">Mx (kN·m)</th>
+                <th className="text-data-label text-right py-1">Δ (mm)</th>
+                <th className="text-data-label text-right py-1">θ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...elf.stories].reverse().map(story => (
+                <tr key={story.level} className="border-b border-mono-300">
+                  <td className="text-data-value py-1">{story.level}</td>
+                  <td className="text-right py-1">{(story.weight / 1000).toFixed(0)}</td>
+                  <td className="text-right py-1">{story.elevation.toFixed(2)}</td>
+                  <td className="text-right py-1">{story.Cvx.toFixed(3)}</td>
+                  <td className="text-right py-1">{(story.force / 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.shear / 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.overturningMoment / 1000).toFixed(0)}</td>
+                  <td className="text-right py-1">{(story.drift * 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">
+                    {story.stabilityCoefficient.toFixed(3)}
+                    {story.stabilityCoefficient > elf.maximumStabilityCoefficient ? ' ✗' : story.stabilityCoefficient > 0.1 ? ' *' : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-methodology mt-3">
+            Cs = SDS/(R/Ie) (Eq. 12.8-2) is capped by Eq. 12.8-3/12.8-4 and bounded below by Eq. 12.8-5/12.8-6.
+            The modal period is limited to Cu·Ta (§12.8.2); Fx = Cvx·V with Cvx = wx·hx^k / Σ wi·hi^k (§12.8.3).
+            Δ = Cd·δxe/Ie with δxe = Vx/kx, and θ = Px·Δ·Ie/(Vx·hsx·Cd) (Eq. 12.8-16) with Px the weight at and above
+            the story: P-delta may be neglected for θ ≤ 0.10; * marks stories whose drifts and forces are amplified by
+            1/(1 − θ), ✗ those above θmax (β = 1), which must be redesigned.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
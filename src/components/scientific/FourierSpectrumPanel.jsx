@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FORMULAS } from '../../constants/engineering';
+import { empiricalTransferFunction } from '../../utils/fourier';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const RAW_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+const GROUND_STYLE = { color: '#737373', dash: [6, 3] };
+const RESPONSE_STYLE = { color: '#000000', dash: [] };
+const THEORY_STYLE = { color: '#737373', dash: [6, 3] };
+const MARKER_STYLE = { color: '#a3a3a3', dash: [2, 2], lineWidth: 1 };
+
+// Konno-Ohmachi bandwidths offered (b = 0 shows the raw spectra only)
+const BANDWIDTHS = [0, 20, 40, 60, 100];
+
+// Center frequencies of the smoothed spectra (Hz), log-spaced
+const MIN_FREQUENCY = 0.1;
+const MAX_FREQUENCY = 25;
+const CENTER_COUNT = 200;
+
+// Raw bins whose input amplitude is below this fraction of the peak are left out of the ratio
+const RAW_INPUT_FLOOR = 1e-3;
+
+/**
+ * Fourier Spectrum Panel Component
+ * Fourier amplitude spectra of the ground and the structure and their ratio as an empirical transfer function
+ */
+export function FourierSpectrumPanel({ solution, naturalFrequency, dampingRatio, onPeakIdentified, className = '' }) {
+  const spectraCanvasRef = useRef(null);
+  const transferCanvasRef = useRef(null);
+  const [bandwidth, setBandwidth] = useState(40);
+
+  const { spectra, error } = useMemo(() => {
+    try {
+      const nyquist = 0.5 / solution.dt;
+      const maxFrequency = Math.min(MAX_FREQUENCY, 0.9 * nyquist);
+      const ratio = Math.log(maxFrequency / MIN_FREQUENCY) / (CENTER_COUNT - 1);
+      const centers = Float64Array.from({ length: CENTER_COUNT }, (_, i) => MIN_FREQUENCY * Math.exp(i * ratio));
+      return {
+        spectra: empiricalTransferFunction(solution.groundAcceleration, solution.absoluteAcceleration, solution.dt, {
+          centers,
+          bandwidth: bandwidth || 40
+        }),
+        error: null
+      };
+    } catch (analysisError) {
+      return { spectra: null, error: analysisError.message };
+    }
+  }, [solution, bandwidth]);
+
+  // Raw transfer function ratio (used when smoothing is off), skipping bins with negligible input
+  const rawRatio = useMemo(() => {
+    if (!spectra) return null;
+    const { input, output } = spectra.raw;
+    const floor = RAW_INPUT_FLOOR * input.reduce((max, value) => Math.max(max, value), 0);
+    return output.map((value, k) => (input[k] > floor ? value / input[k] : NaN));
+  }, [spectra]);
+
+  // Identified resonance: peak of the (smoothed) ratio within the plotted band
+  const identified = useMemo(() => {
+    if (!spectra) return null;
+    const [frequencies, ratio] = bandwidth
+      ? [spectra.frequencies, spectra.ratio]
+      : [spectra.raw.frequencies, rawRatio];
+    let best = -1;
+    for (let k = 0; k < frequencies.length; k++) {
+      if (frequencies[k] < MIN_FREQUENCY || frequencies[k] > MAX_FREQUENCY || !Number.isFinite(ratio[k])) continue;
+      if (best < 0 || ratio[k] > ratio[best]) best = k;
+    }
+    return best < 0 ? null : { frequency: frequencies[best], amplification: ratio[best] };
+  }, [spectra, rawRatio, bandwidth]);
+
+  useEffect(() => {
+    if (onPeakIdentified) onPeakIdentified(identified);
+  }, [identified, onPeakIdentified]);
+
+  // Fourier amplitude spectra of the ground and the absolute response
+  useEffect(() => {
+    const canvas = spectraCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!spectra) return;
+
+    const { raw } = spectra;
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: MIN_FREQUENCY, max: spectra.frequencies[spectra.frequencies.length - 1], log: true, label: 'FREQUENCY (Hz)' };
+    const positive = values => Array.from(values).filter((value, k) => value > 0 && raw.frequencies[k] >= MIN_FREQUENCY);
+    const peak = Math.max(...positive(raw.input), ...positive(raw.output));
+    const yAxis = {
+      min: Math.pow(10, Math.floor(Math.log10(peak)) - 4),
+      max: Math.pow(10, Math.ceil(Math.log10(peak))),
+      log: true,
+      label: 'FOURIER AMPLITUDE (m/s)'
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    plotSeries(ctx, area, xAxis, yAxis, raw.frequencies, raw.input, RAW_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, raw.frequencies, raw.output, { ...RAW_STYLE, color: '#a3a3a3' });
+    if (bandwidth) {
+      plotSeries(ctx, area, xAxis, yAxis, spectra.frequencies, spectra.input, GROUND_STYLE);
+      plotSeries(ctx, area, xAxis, yAxis, spectra.frequencies, spectra.output, RESPONSE_STYLE);
+    }
+    plotSeries(ctx, area, xAxis, yAxis, [naturalFrequency, naturalFrequency], [yAxis.min, yAxis.max], MARKER_STYLE);
+    drawLegend(ctx, area, [
+      { label: 'Ground üg', ...(bandwidth ? GROUND_STYLE : RAW_STYLE) },
+      { label: 'Structure ü + üg', ...(bandwidth ? RESPONSE_STYLE : { ...RAW_STYLE, color: '#a3a3a3' }) },
+      { label: `f₀ = ${naturalFrequency.toFixed(2)} Hz`, ...MARKER_STYLE }
+    ]);
+  }, [spectra, bandwidth, naturalFrequency]);
+
+  // Empirical transfer function against the theoretical SDOF transmissibility
+  useEffect(() => {
+    const canvas = transferCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!spectra) return;
+
+    const [frequencies, ratio] = bandwidth
+      ? [spectra.frequencies, spectra.ratio]
+      : [spectra.raw.frequencies, rawRatio];
+    const theory = spectra.frequencies.map(f => FORMULAS.transmissibility(f / naturalFrequency, dampingRatio));
+    const inBand = Array.from(ratio).filter((value, k) => frequencies[k] >= MIN_FREQUENCY && frequencies[k] <= MAX_FREQUENCY);
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: MIN_FREQUENCY, max: spectra.frequencies[spectra.frequencies.length - 1], log: true, label: 'FREQUENCY (Hz)' };
+    const yAxis = { ...niceAxisRange([inBand, theory], { includeZero: true }), label: 'TRANSFER FUNCTION |H(f)|', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    plotSeries(ctx, area, xAxis, yAxis, spectra.frequencies, theory, THEORY_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, frequencies, ratio, bandwidth ? RESPONSE_STYLE : { ...RESPONSE_STYLE, lineWidth: 1 });
+    plotSeries(ctx, area, xAxis, yAxis, [naturalFrequency, naturalFrequency], [yAxis.min, yAxis.max], MARKER_STYLE);
+    if (identified) {
+      plotSeries(ctx, area, xAxis, yAxis, [identified.frequency, identified.frequency], [yAxis.min, identified.amplification], {
+        color: '#000000', dash: [2, 2], lineWidth: 1
+      });
+    }
+    drawLegend(ctx, area, [
+      { label: bandwidth ? `Empirical (KO b=${bandwidth})` : 'Empirical (raw)', ...RESPONSE_STYLE },
+      { label: `Theory ζ=${(dampingRatio * 100).toFixed(0)}%`, ...THEORY_STYLE }
+    ]);
+  }, [spectra, rawRatio, bandwidth, identified, naturalFrequency, dampingRatio]);
+
+  const groundPeak = useMemo(() => {
+    if (!spectra) return null;
+    let best = 0;
+    spectra.input.forEach((value, k) => {
+      if (value > spectra.input[best]) best = k;
+    });
+    return spectra.frequencies[best];
+  }, [spectra]);
+
+  const summary = spectra && identified ? [
+    ['NATURAL FREQUENCY f₀', `${naturalFrequency.toFixed(3)} Hz`],
+    ['IDENTIFIED PEAK OF |H(f)|', `${identified.frequency.toFixed(3)} Hz (${((identified.frequency / naturalFrequency - 1) * 100).toFixed(1)}%)`],
+    ['PEAK AMPLIFICATION', `${identified.amplification.toFixed(2)} (theory ${FORMULAS.transmissibility(1, dampingRatio).toFixed(2)})`],
+    ['GROUND FAS PEAK', `${groundPeak.toFixed(2)} Hz (ratio to f₀ ${(groundPeak / naturalFrequency).toFixed(2)})`],
+    ['FREQUENCY RESOLUTION Δf', `${spectra.raw.frequencies[1].toFixed(4)} Hz`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <canvas
+          ref={spectraCanvasRef}
+          width={500}
+          height={320}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={transferCanvasRef}
+          width={500}
+          height={320}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      <div className="flex items-center gap-3 mt-4 text-xs">
+        <label className="text-data-label">KONNO-OHMACHI b</label>
+        <select
+          value={bandwidth}
+          onChange={(e) => setBandwidth(parseInt(e.target.value, 10))}
+          className="input-scientific"
+        >
+          {BANDWIDTHS.map(value => (
+            <option key={value} value={value}>{value === 0 ? 'None (raw)' : value}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {summary.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mt-4 text-xs">
+          {summary.map(([label, value]) => (
+            <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+              <span className="text-data-label">{label}:</span>
+              <span className="text-data-value">{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-methodology mt-3">
+        Spectra are |X(f)|·Δt of the zero-padded records (radix-2 FFT). The empirical transfer function is the ratio of the
+        structure's absolute acceleration spectrum to the ground spectrum; smoothing both with the Konno-Ohmachi window
+        flattens the resonance peak, so it sits below the theoretical √(1 + (2ζr)²)/√((1 − r²)² + (2ζr)²). With a yielding
+        spring the ratio is only an apparent transfer function and its peak shifts below f₀ as the secant stiffness drops.
+        A harmonic input carries energy only near its own frequency, so the ratio is meaningful only there.
+      </p>
+    </div>
+  );
+}
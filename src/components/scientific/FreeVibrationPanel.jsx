@@ -0,0 +1,149 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { FORMULAS } from '../../constants/engineering';
+import { pickPeaks, logarithmicDecrement } from '../../utils/freeVibration';
+import {
+  createChartArea,
+  niceAxisRange,
+  toCanvasX,
+  toCanvasY,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const PENDING_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+const RECORDED_STYLE = { color: '#000000', dash: [], lineWidth: 1.5 };
+const ENVELOPE_STYLE = { color: '#737373', dash: [6, 3] };
+
+// Rows shown in the peak table
+const TABLE_PEAKS = 8;
+
+/**
+ * Free Vibration Panel Component
+ * Decaying displacement record with automatic peak picking and logarithmic decrement damping
+ */
+export function FreeVibrationPanel({ solution, mass, stiffness, dampingRatio, time, className = '' }) {
+  const canvasRef = useRef(null);
+
+  const allPeaks = useMemo(() => pickPeaks(solution.displacement, solution.dt), [solution]);
+
+  // Before playback starts the whole record is analyzed; during playback only what has been recorded
+  const recordedUntil = time > 0 ? time : solution.time[solution.time.length - 1];
+  const peaks = useMemo(() => allPeaks.filter(peak => peak.time <= recordedUntil), [allPeaks, recordedUntil]);
+  const estimate = useMemo(() => logarithmicDecrement(peaks, mass, stiffness), [peaks, mass, stiffness]);
+
+  const naturalFrequency = FORMULAS.naturalFrequency(stiffness, mass);
+  const dampedFrequency = naturalFrequency * Math.sqrt(1 - Math.min(dampingRatio, 1) ** 2);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const { time: t, displacement } = solution;
+    const values = displacement.map(value => value * 1000);
+    const recorded = Math.min(Math.floor(recordedUntil / solution.dt) + 1, values.length);
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: t[t.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = { ...niceAxisRange([values], { symmetric: true }), label: 'DISPLACEMENT u (mm)', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    plotSeries(ctx, area, xAxis, yAxis, t, values, PENDING_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, t.subarray(0, recorded), values.subarray(0, recorded), RECORDED_STYLE);
+
+    // Exponential envelope ±u1·e^(−δ(t − t1)/Td) implied by the identified decrement
+    if (estimate) {
+      const first = peaks[0];
+      const envelopeTime = Float64Array.from({ length: 200 }, (_, i) => first.time + (i / 199) * (xAxis.max - first.time));
+      const envelope = envelopeTime.map(tau => first.value * 1000 * Math.exp((-estimate.decrement * (tau - first.time)) / estimate.dampedPeriod));
+      plotSeries(ctx, area, xAxis, yAxis, envelopeTime, envelope, ENVELOPE_STYLE);
+      plotSeries(ctx, area, xAxis, yAxis, envelopeTime, envelope.map(value => -value), ENVELOPE_STYLE);
+    }
+
+    ctx.fillStyle = '#000000';
+    peaks.forEach(peak => {
+      ctx.beginPath();
+      ctx.arc(toCanvasX(area, xAxis, peak.time), toCanvasY(area, yAxis, peak.value * 1000), 3, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    drawLegend(ctx, area, [
+      { label: 'Recorded u(t)', ...RECORDED_STYLE },
+      ...(estimate ? [{ label: `Envelope δ=${estimate.decrement.toFixed(3)}`, ...ENVELOPE_STYLE }] : [])
+    ]);
+  }, [solution, peaks, estimate, recordedUntil]);
+
+  const percentError = (value, reference) => `${((value / reference - 1) * 100).toFixed(1)}%`;
+
+  const summary = estimate ? [
+    ['PEAKS PICKED / CYCLES', `${peaks.length} / ${estimate.cycles}`],
+    ['LOG DECREMENT δ = (1/N)·ln(u₁/u_N+1)', estimate.decrement.toFixed(4)],
+    ['DAMPED PERIOD Td (PEAK SPACING)', `${estimate.dampedPeriod.toFixed(4)} s`],
+    ['c = 2m·δ/Td  /  c_cr = 2√(km)', `${estimate.dampingCoefficient.toFixed(1)} / ${estimate.criticalDamping.toFixed(1)} N·s/m`],
+    ['ζ = c / c_cr', `${(estimate.dampingRatio * 100).toFixed(3)}% (input ${(dampingRatio * 100).toFixed(2)}%, ${percentError(estimate.dampingRatio, dampingRatio)})`],
+    ['ζ ≈ δ/2π (SMALL DAMPING)', `${(estimate.smallDampingRatio * 100).toFixed(3)}%`],
+    ['DAMPED FREQUENCY fd', `${estimate.dampedFrequency.toFixed(4)} Hz measured, ${dampedFrequency.toFixed(4)} Hz = f₀√(1−ζ²)`],
+    ['NATURAL FREQUENCY fd/√(1−ζ²)', `${estimate.naturalFrequency.toFixed(4)} Hz measured, ${naturalFrequency.toFixed(4)} Hz = √(k/m)/2π`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={700}
+        height={320}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      {!estimate && (
+        <p className="text-xs border border-mono-black p-2 mt-4">
+          ⚠ At least two positive peaks are needed; give the mass an initial displacement or velocity, or record longer.
+        </p>
+      )}
+
+      {estimate && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+          <div className="space-y-2 text-xs">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between gap-2 border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value text-right">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full text-xs text-tabular">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-left py-1">PEAK n</th>
+                <th className="text-right py-1">t (s)</th>
+                <th className="text-right py-1">u_n (mm)</th>
+                <th className="text-right py-1">ln(u_n/u_n+1)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {peaks.slice(0, TABLE_PEAKS).map((peak, n) => (
+                <tr key={peak.index} className="border-b border-mono-300">
+                  <td className="py-1">{n + 1}</td>
+                  <td className="text-right py-1">{peak.time.toFixed(3)}</td>
+                  <td className="text-right py-1">{(peak.value * 1000).toFixed(2)}</td>
+                  <td className="text-right py-1">{n < estimate.decrements.length ? estimate.decrements[n].toFixed(4) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-methodology mt-3">
+        Peaks are the positive local maxima of u(t), refined by a parabola through the neighbouring samples. Averaging the
+        decrement over all N recorded cycles reduces the effect of picking errors. With a yielding spring the successive
+        decrements are not constant: hysteresis adds amplitude-dependent damping on top of the viscous ζ.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { FORMULAS } from '../../constants/engineering';
+import {
+  CHIRP_SWEEPS,
+  sweepResonanceCurve,
+  halfPowerDamping,
+  sweepRate,
+  maximumSweepRate
+} from '../../utils/frequencySweep';
+import { sampleAt } from '../../utils/timeIntegration';
+import {
+  createChartArea,
+  niceAxisRange,
+  toCanvasX,
+  toCanvasY,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const PENDING_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+const TRACED_STYLE = { color: '#000000', dash: [] };
+const THEORY_STYLE = { color: '#737373', dash: [6, 3] };
+const MARKER_STYLE = { color: '#525252', dash: [2, 2], lineWidth: 1 };
+
+/**
+ * Frequency Sweep Panel Component
+ * Live resonance curve traced by a swept-sine excitation and half-power bandwidth damping
+ */
+export function FrequencySweepPanel({
+  solution,
+  excitation,
+  amplitude,
+  naturalFrequency,
+  dampingRatio,
+  sweep,
+  startFrequency,
+  endFrequency,
+  time,
+  className = ''
+}) {
+  const canvasRef = useRef(null);
+
+  const curve = useMemo(
+    () => sweepResonanceCurve(solution, excitation, amplitude, 2 * Math.PI * naturalFrequency),
+    [solution, excitation, amplitude, naturalFrequency]
+  );
+  const estimate = useMemo(() => halfPowerDamping(curve.frequency, curve.amplification), [curve]);
+
+  const sweepDuration = (excitation.values.length - 1) * excitation.dt;
+  const rate = sweepRate(sweep, startFrequency, endFrequency, sweepDuration);
+  const maxRate = maximumSweepRate(sweep, naturalFrequency, dampingRatio);
+  const rateUnit = sweep === 'logarithmic' ? 'oct/min' : 'Hz/min';
+  const currentFrequency = time <= sweepDuration ? sampleAt(excitation.frequency, excitation.dt, time) : null;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const lowFrequency = Math.min(startFrequency, endFrequency);
+    const highFrequency = Math.max(startFrequency, endFrequency);
+    const theoryFrequencies = Float64Array.from({ length: 301 }, (_, i) => lowFrequency + (i / 300) * (highFrequency - lowFrequency));
+    const theory = theoryFrequencies.map(f => FORMULAS.dynamicAmplification(f / naturalFrequency, dampingRatio));
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: lowFrequency, max: highFrequency, label: 'INSTANTANEOUS FREQUENCY f(t) (Hz)', precision: 2 };
+    const yAxis = { ...niceAxisRange([curve.amplification, theory], { includeZero: true }), label: 'AMPLIFICATION |u|·ω²/ag', precision: 1 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    plotSeries(ctx, area, xAxis, yAxis, theoryFrequencies, theory, THEORY_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, curve.frequency, curve.amplification, PENDING_STYLE);
+
+    // Portion of the curve already traced at the playback time
+    let traced = 0;
+    while (traced < curve.time.length && curve.time[traced] <= time) traced++;
+    plotSeries(ctx, area, xAxis, yAxis, curve.frequency.subarray(0, traced), curve.amplification.subarray(0, traced), TRACED_STYLE);
+
+    if (estimate) {
+      const halfPower = estimate.peakAmplitude / Math.SQRT2;
+      plotSeries(ctx, area, xAxis, yAxis, [estimate.lowerFrequency, estimate.upperFrequency], [halfPower, halfPower], MARKER_STYLE);
+      [estimate.lowerFrequency, estimate.upperFrequency].forEach(f => {
+        plotSeries(ctx, area, xAxis, yAxis, [f, f], [yAxis.min, halfPower], MARKER_STYLE);
+      });
+    }
+
+    if (currentFrequency !== null && traced > 0) {
+      const x = toCanvasX(area, xAxis, curve.frequency[traced - 1]);
+      const y = toCanvasY(area, yAxis, curve.amplification[traced - 1]);
+      ctx.fillStyle = '#000000';
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    drawLegend(ctx, area, [
+      { label: 'Sweep response', ...TRACED_STYLE },
+      { label: `Steady state ζ=${(dampingRatio * 100).toFixed(0)}%`, ...THEORY_STYLE },
+      ...(estimate ? [{ label: 'Half-power band', ...MARKER_STYLE }] : [])
+    ]);
+  }, [curve, estimate, time, currentFrequency, startFrequency, endFrequency, naturalFrequency, dampingRatio]);
+
+  const summary = [
+    ['INSTANTANEOUS FREQUENCY', currentFrequency === null ? 'sweep finished' : `${currentFrequency.toFixed(3)} Hz`],
+    ['SWEEP RATE', `${rate.toFixed(3)} ${rateUnit} (max ${maxRate.toFixed(3)} for quasi-steady response)`],
+    ...(estimate ? [
+      ['RESONANCE PEAK', `${estimate.peakFrequency.toFixed(3)} Hz (f₀ = ${naturalFrequency.toFixed(3)} Hz)`],
+      ['HALF-POWER FREQUENCIES fa / fb', `${estimate.lowerFrequency.toFixed(3)} / ${estimate.upperFrequency.toFixed(3)} Hz`],
+      ['ζ = (fb − fa) / 2fpeak', `${(estimate.dampingRatio * 100).toFixed(2)}% vs input ${(dampingRatio * 100).toFixed(2)}% (${((estimate.dampingRatio / dampingRatio - 1) * 100).toFixed(0)}%)`]
+    ] : [])
+  ];
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={700}
+        height={340}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      {!estimate && (
+        <p className="text-xs border border-mono-black p-2 mt-4">
+          ⚠ The resonance curve does not drop below peak/√2 on both sides; widen the sweep range around f₀ = {naturalFrequency.toFixed(2)} Hz.
+        </p>
+      )}
+
+      {rate > maxRate && (
+        <p className="text-xs border border-mono-black p-2 mt-4">
+          ⚠ Sweep faster than {maxRate.toFixed(3)} {rateUnit}: the response cannot build up to steady state, so the peak lags in the
+          sweep direction and the half-power damping is overestimated. Lengthen the sweep or narrow its range.
+        </p>
+      )}
+
+      <div className="space-y-2 mt-4 text-xs">
+        {summary.map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">{label}:</span>
+            <span className="text-data-value">{value}</span>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-methodology mt-3">
+        {CHIRP_SWEEPS[sweep].description}. Each point is the largest |u| of one half cycle plotted at the instantaneous
+        frequency of the excitation, normalized by the static displacement ag/ω². The rate limit follows ISO 7626-2
+        (54·fr²·ζ² Hz/min linear, 54·fr·ζ²/ln 2 ≈ 78·fr·ζ² oct/min logarithmic).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ACCELERATION_UNITS,
+  RECORD_FORMATS,
+  BASELINE_CORRECTIONS,
+  GRAVITY,
+  importGroundMotion
+} from '../../utils/groundMotion';
+
+/**
+ * Ground Motion Importer Component
+ * File drop/upload for recorded accelerograms with unit, baseline and resampling options
+ */
+export function GroundMotionImporter({ onRecordLoaded, className = '' }) {
+  const [file, setFile] = useState(null); // {name, text}
+  const [isDragging, setIsDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [record, setRecord] = useState(null);
+  const [options, setOptions] = useState({
+    format: 'auto',
+    units: 'auto',
+    dt: 0.01,
+    baseline: 'linear',
+    resampleDt: 0
+  });
+
+  // Re-process the loaded file whenever an import option changes
+  useEffect(() => {
+    if (!file) return;
+
+    try {
+      const imported = importGroundMotion(file.text, { ...options, fileName: file.name });
+      setRecord(imported);
+      setError(null);
+      onRecordLoaded(imported);
+    } catch (importError) {
+      setRecord(null);
+      setError(importError.message);
+      onRecordLoaded(null);
+    }
+  }, [file, options, onRecordLoaded]);
+
+  const readFile = (selected) => {
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setFile({ name: selected.name, text: String(reader.result) });
+    reader.onerror = () => setError(`Unable to read ${selected.name}`);
+    reader.readAsText(selected);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    readFile(e.dataTransfer.files[0]);
+  };
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const peak = record ? record.values.reduce((max, value) => Math.max(max, Math.abs(value)), 0) : 0;
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <label
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`block border-2 border-dashed border-mono-black p-4 text-center cursor-pointer text-xs ${isDragging ? 'bg-mono-300' : 'bg-mono-white'}`}
+      >
+        <span className="text-data-label">
+          {file ? file.name : 'DROP RECORD FILE OR CLICK TO BROWSE'}
+        </span>
+        <input
+          type="file"
+          accept=".at2,.AT2,.csv,.txt,.dat,.acc"
+          onChange={(e) => readFile(e.target.files[0])}
+          className="hidden"
+        />
+      </label>
+
+      <div>
+        <label className="text-data-label block mb-1">FORMAT</label>
+        <select
+          value={options.format}
+          onChange={(e) => updateOption('format', e.target.value)}
+          className="input-scientific w-full"
+        >
+          {Object.entries(RECORD_FORMATS).map(([key, format]) => (
+            <option key={key} value={key}>{format.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {(options.format === 'single' || (options.format === 'auto' && record?.format === 'single')) && (
+        <div>
+          <label className="text-data-label block mb-1">RECORD Δt (s)</label>
+          <input
+            type="number"
+            value={options.dt}
+            onChange={(e) => parseFloat(e.target.value) > 0 && updateOption('dt', parseFloat(e.target.value))}
+            className="input-scientific w-full text-tabular"
+            min="0.001"
+            step="0.001"
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="text-data-label block mb-1">UNITS</label>
+        <select
+          value={options.units}
+          onChange={(e) => updateOption('units', e.target.value)}
+          className="input-scientific w-full"
+        >
+          <option value="auto">Auto (from file, else g)</option>
+          {Object.entries(ACCELERATION_UNITS).map(([key, unit]) => (
+            <option key={key} value={key}>{unit.symbol}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="text-data-label block mb-1">BASELINE CORRECTION</label>
+        <select
+          value={options.baseline}
+          onChange={(e) => updateOption('baseline', e.target.value)}
+          className="input-scientific w-full"
+        >
+          {Object.entries(BASELINE_CORRECTIONS).map(([key, correction]) => (
+            <option key={key} value={key}>{correction.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="text-data-label block mb-1">RESAMPLE Δt (s, 0 = KEEP)</label>
+        <input
+          type="number"
+          value={options.resampleDt}
+          onChange={(e) => parseFloat(e.target.value) >= 0 && updateOption('resampleDt', parseFloat(e.target.value))}
+          className="input-scientific w-full text-tabular"
+          min="0"
+          step="0.001"
+        />
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2">⚠ {error}</p>
+      )}
+
+      {record && (
+        <div className="space-y-2 text-xs">
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">POINTS:</span>
+            <span className="text-data-value">{record.values.length}</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">Δt:</span>
+            <span className="text-data-value">{record.dt.toFixed(4)} s</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">DURATION:</span>
+            <span className="text-data-value">{((record.values.length - 1) * record.dt).toFixed(2)} s</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">UNITS:</span>
+            <span className="text-data-value">{ACCELERATION_UNITS[record.units].symbol}</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">PGA:</span>
+            <span className="text-data-value">{(peak / GRAVITY).toFixed(3)} g</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+/**
+ * Hysteresis Plot Component
+ * Force–displacement loop traced up to the current playback step
+ */
+export function HysteresisPlot({ displacement, force, index, yieldForce = null, width = 400, height = 400, className = '' }) {
+  const canvasRef = useRef(null);
+
+  // Fixed axes over the whole response so the loop grows in place (mm and kN)
+  const data = useMemo(() => {
+    if (!displacement || !force) return null;
+    const u = Float64Array.from(displacement, value => value * 1000);
+    const f = Float64Array.from(force, value => value / 1000);
+    const yieldLines = yieldForce ? [yieldForce / 1000, -yieldForce / 1000] : [];
+    return {
+      u,
+      f,
+      xAxis: { ...niceAxisRange([u], { symmetric: true }), label: 'DISPLACEMENT u (mm)', precision: 0 },
+      yAxis: { ...niceAxisRange([f, yieldLines], { symmetric: true }), label: 'RESTORING FORCE fs (kN)', precision: 1 }
+    };
+  }, [displacement, force, yieldForce]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    if (!data) return;
+
+    const area = createChartArea(width, height, { left: 60, right: 15 });
+    const { u, f, xAxis, yAxis } = data;
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    if (yieldForce) {
+      [yieldForce / 1000, -yieldForce / 1000].forEach(level => {
+        plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [level, level], { color: '#a3a3a3', dash: [4, 4], lineWidth: 1 });
+      });
+    }
+
+    const end = Math.max(1, Math.min(index + 1, u.length));
+    plotSeries(ctx, area, xAxis, yAxis, u.subarray(0, end), f.subarray(0, end), { color: '#000000', lineWidth: 1 });
+
+    // Current state point
+    const current = end - 1;
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.arc(toCanvasX(area, xAxis, u[current]), toCanvasY(area, yAxis, f[current]), 4, 0, 2 * Math.PI);
+    ctx.fill();
+
+    ctx.font = '10px monospace';
+    ctx.fillText(`u = ${u[current].toFixed(1)} mm`, area.left + 8, area.top + 14);
+    ctx.fillText(`fs = ${f[current].toFixed(2)} kN`, area.left + 8, area.top + 28);
+  }, [data, index, yieldForce, width, height]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      className={`border-2 border-mono-black w-full bg-mono-white ${className}`}
+    />
+  );
+}
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { IDA_MODELS, DEFAULT_IDA, lognormalCdf } from '../../utils/incrementalDynamicAnalysis';
+import { designSpectralAcceleration } from '../../constants/asce7';
+import {
+  createChartArea,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+const CURVE_STYLE = { color: '#737373', dash: [], lineWidth: 1 };
+const MEDIAN_STYLE = { color: '#000000', dash: [6, 3], lineWidth: 1 };
+const LIMIT_STYLE = { color: '#000000', dash: [2, 2], lineWidth: 1 };
+const FITTED_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const EMPIRICAL_STYLE = { color: '#737373', dash: [], lineWidth: 1 };
+
+// Suite size and grid settings that must be whole numbers
+const INTEGER_SETTINGS = ['recordCount', 'seed', 'refinements'];
+
+/**
+ * Incremental Dynamic Analysis Panel Component
+ * IDA curves of a ground motion suite and the lognormal collapse fragility, computed in a web worker
+ */
+export function IDAPanel({
+  mass,
+  stiffness,
+  dampingRatio = 0.05,
+  damping,
+  springModel = 'elastoplastic',
+  yieldForce,
+  postYieldRatio,
+  exponent,
+  columnHeight,
+  stories,
+  pDelta = false,
+  record = null,
+  designSpectrum = null,
+  className = ''
+}) {
+  const idaCanvasRef = useRef(null);
+  const fragilityCanvasRef = useRef(null);
+  const workerRef = useRef(null);
+  const [settings, setSettings] = useState({
+    ...DEFAULT_IDA,
+    model: 'sdof',
+    yieldCoefficient: 0.15,   // Story yield shear over gravity load above, shear building only
+    seed: 1,
+    includeRecord: false
+  });
+  const [curves, setCurves] = useState([]);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const structure = useMemo(() => (settings.model === 'shearBuilding'
+    ? {
+      model: 'shearBuilding',
+      stories,
+      damping,
+      springModel,
+      yieldCoefficient: settings.yieldCoefficient,
+      postYieldRatio,
+      exponent,
+      pDelta
+    }
+    : {
+      model: 'sdof',
+      mass,
+      stiffness,
+      dampingRatio,
+      springModel,
+      yieldForce,
+      postYieldRatio,
+      exponent,
+      height: columnHeight,
+      pDelta
+    }), [settings.model, settings.yieldCoefficient, springModel, stories, damping, mass, stiffness,
+    dampingRatio, yieldForce, postYieldRatio, exponent, columnHeight, pDelta]);
+
+  const stopWorker = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  };
+
+  // Results belong to one structure, suite and grid: discard them, and any run in flight, when these change
+  useEffect(() => {
+    stopWorker();
+    setCurves([]);
+    setResult(null);
+    setProgress(null);
+    setError(null);
+  }, [structure, settings, record]);
+
+  useEffect(() => stopWorker, []);
+
+  const run = () => {
+    stopWorker();
+    setCurves([]);
+    setResult(null);
+    setError(null);
+    setProgress(0);
+
+    const worker = new Worker(new URL('../../workers/incrementalDynamicAnalysis.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setProgress(message.fraction);
+      } else if (message.type === 'record') {
+        setCurves(prev => [...prev, message.curve]);
+      } else {
+        setProgress(null);
+        if (message.type === 'result') setResult(message.result);
+        else setError(message.message);
+        stopWorker();
+      }
+    };
+    // A worker that fails to load, throws outside its own try or sends an uncloneable message posts nothing back
+    const fail = (message) => {
+      setProgress(null);
+      setError(message);
+      stopWorker();
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail(event.message || 'The analysis worker failed');
+    };
+    worker.onmessageerror = () => fail('A message from the analysis worker could not be read');
+    workerRef.current = worker;
+    worker.postMessage({
+      suite: { count: settings.recordCount, seed: settings.seed },
+      records: settings.includeRecord && record ? [{ name: record.name, dt: record.dt, values: record.values }] : [],
+      structure,
+      settings
+    });
+  };
+
+  const cancel = () => {
+    stopWorker();
+    setProgress(null);
+  };
+
+  const fragility = result?.fragility ?? null;
+  const collapseDriftPercent = settings.collapseDrift * 100;
+
+  // IDA curves: Sa(T1) against peak drift, flat-lining at the collapse intensity
+  useEffect(() => {
+    const canvas = idaCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const area = createChartArea(canvas.width, canvas.height);
+    if (curves.length === 0) {
+      ctx.fillStyle = '#000000';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(progress !== null ? 'RUNNING FIRST RECORD…' : 'PRESS RUN IDA TO ANALYZE THE SUITE', canvas.width / 2, canvas.height / 2);
+      ctx.textAlign = 'start';
+      return;
+    }
+
+    const xAxis = { min: 0, max: collapseDriftPercent * 1.1, label: 'PEAK DRIFT RATIO (%)', precision: 1 };
+    const yAxis = { min: 0, max: settings.maxIntensity, label: 'Sa(T1, 5%) (g)', precision: 2 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    plotSeries(ctx, area, xAxis, yAxis, [collapseDriftPercent, collapseDriftPercent], [yAxis.min, yAxis.max], LIMIT_STYLE);
+
+    curves.forEach(curve => {
+      const stable = curve.points.filter(point => !point.collapsed);
+      const drifts = [0, ...stable.map(point => point.drift * 100)];
+      const intensities = [0, ...stable.map(point => point.intensity)];
+      if (Number.isFinite(curve.capacity)) {
+        drifts.push(xAxis.max);
+        intensities.push(curve.capacity);
+      }
+      plotSeries(ctx, area, xAxis, yAxis, drifts, intensities, CURVE_STYLE);
+    });
+
+    const legend = [
+      { label: `IDA curves (${curves.length})`, ...CURVE_STYLE },
+      { label: 'Collapse drift', ...LIMIT_STYLE }
+    ];
+    if (fragility) {
+      plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [fragility.median, fragility.median], MEDIAN_STYLE);
+      legend.push({ label: 'Median collapse Sa', ...MEDIAN_STYLE });
+    }
+    drawLegend(ctx, area, legend, { corner: 'topLeft' });
+  }, [curves, fragility, progress, collapseDriftPercent, settings.maxIntensity]);
+
+  // Collapse fragility: collapse intensities of the records against the fitted lognormal CDF
+  useEffect(() => {
+    const canvas = fragilityCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!result) return;
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: settings.maxIntensity, label: 'Sa(T1, 5%) (g)', precision: 2 };
+    const yAxis = { min: 0, max: 1, label: 'P(COLLAPSE | Sa)', precision: 1 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    // Empirical distribution as a step function through the sorted collapse intensities
+    const capacities = result.curves.map(curve => curve.capacity).filter(Number.isFinite).sort((a, b) => a - b);
+    const total = result.curves.length;
+    const stepX = [0];
+    const stepY = [0];
+    capacities.forEach((capacity, i) => {
+      stepX.push(capacity, capacity);
+      stepY.push(i / total, (i + 1) / total);
+    });
+    stepX.push(xAxis.max);
+    stepY.push(capacities.length / total);
+    plotSeries(ctx, area, xAxis, yAxis, stepX, stepY, EMPIRICAL_STYLE);
+
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    capacities.forEach((capacity, i) => {
+      ctx.strokeRect(toCanvasX(area, xAxis, capacity) - 3, toCanvasY(area, yAxis, (i + 1) / total) - 3, 6, 6);
+    });
+
+    const legend = [{ label: 'Empirical', ...EMPIRICAL_STYLE }];
+    if (fragility) {
+      const xs = Array.from({ length: 200 }, (_, i) => (xAxis.max * (i + 1)) / 200);
+      plotSeries(ctx, area, xAxis, yAxis, xs, xs.map(x => lognormalCdf(x, fragility.median, fragility.dispersion)), FITTED_STYLE);
+      legend.push({ label: 'Lognormal fit', ...FITTED_STYLE });
+    }
+    drawLegend(ctx, area, legend, { corner: 'topLeft' });
+  }, [result, fragility, settings.maxIntensity]);
+
+  const updateSetting = (key, value) => {
+    const numValue = INTEGER_SETTINGS.includes(key) ? Math.round(value) : value;
+    const valid = key === 'refinements' ? numValue >= 0 : numValue > 0;
+    if (!isNaN(numValue) && valid) {
+      setSettings(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const numberField = (key, label, step, scale = 1) => (
+    <div>
+      <label className="text-data-label block mb-1">{label}</label>
+      <input
+        type="number"
+        value={settings[key] * scale}
+        onChange={(e) => updateSetting(key, parseFloat(e.target.value) / scale)}
+        className="input-scientific w-full text-tabular"
+        min="0"
+        step={step}
+      />
+    </div>
+  );
+
+  const running = progress !== null;
+  const mceIntensity = result && designSpectrum ? 1.5 * designSpectralAcceleration(designSpectrum, result.period) : null;
+  const summary = result ? [
+    ['PERIOD T1', `${result.period.toFixed(3)} s`],
+    ['RECORDS COLLAPSED', `${result.curves.filter(curve => Number.isFinite(curve.capacity)).length} of ${result.curves.length} by Sa = ${settings.maxIntensity.toFixed(2)} g`],
+    ...(fragility ? [
+      ['MEDIAN COLLAPSE INTENSITY ŜCT', `${fragility.median.toFixed(3)} g`],
+      ['DISPERSION β (RECORD-TO-RECORD)', fragility.dispersion.toFixed(3)],
+      ['FIT', fragility.method === 'moments' ? 'Moments of ln Sa,c (all records collapsed)' : 'Maximum likelihood, survivors censored']
+    ] : [
+      ['FRAGILITY', 'Fewer than two collapses: raise the highest intensity']
+    ]),
+    ...(fragility && mceIntensity ? [
+      ['SMT = 1.5·SD(T1)', `${mceIntensity.toFixed(3)} g`],
+      ['COLLAPSE MARGIN RATIO ŜCT/SMT', (fragility.median / mceIntensity).toFixed(2)],
+      ['P(COLLAPSE | MCER)', `${(lognormalCdf(mceIntensity, fragility.median, fragility.dispersion) * 100).toFixed(1)}%`]
+    ] : [])
+  ] : [];
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={idaCanvasRef}
+        width={600}
+        height={360}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+      <canvas
+        ref={fragilityCanvasRef}
+        width={600}
+        height={280}
+        className="border-2 border-mono-black w-full bg-mono-white mt-4"
+      />
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <div className="col-span-2">
+          <label className="text-data-label block mb-1">MODEL</label>
+          <select
+            value={settings.model}
+            onChange={(e) => setSettings(prev => ({ ...prev, model: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(IDA_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>{model.name}</option>
+            ))}
+          </select>
+        </div>
+        {numberField('recordCount', 'SYNTHETIC RECORDS', '1')}
+        {numberField('seed', 'FIRST SEED', '1')}
+        {numberField('maxIntensity', 'MAX Sa(T1) (g)', '0.5')}
+        {numberField('intensityStep', 'Sa STEP (g)', '0.05')}
+        {numberField('collapseDrift', 'COLLAPSE DRIFT (%)', '1', 100)}
+        {numberField('refinements', 'BISECTIONS', '1')}
+        {settings.model === 'shearBuilding'
+          ? numberField('yieldCoefficient', 'STORY Cy = Vy/Px', '0.05')
+          : <div />}
+        <label className="flex items-end gap-2 text-data-label pb-1">
+          <input
+            type="checkbox"
+            checked={settings.includeRecord}
+            onChange={(e) => setSettings(prev => ({ ...prev, includeRecord: e.target.checked }))}
+            disabled={!record}
+            className="border border-mono-black"
+          />
+          ADD LOADED RECORD
+        </label>
+      </div>
+      <p className="text-methodology mt-2">
+        {IDA_MODELS[settings.model].description}. Hysteresis, strength and damping follow the structural parameters
+        {settings.model === 'shearBuilding' ? ', with the building damped by the classical damping specification' : ''}
+        {springModel === 'linear' ? '; with a linear spring only the drift limit or P-delta can cause collapse' : ''}.
+      </p>
+
+      <div className="flex items-center gap-3 mt-4 text-xs">
+        {running ? (
+          <button onClick={cancel} className="btn-scientific">
+            CANCEL
+          </button>
+        ) : (
+          <button onClick={run} className="btn-scientific">
+            RUN IDA
+          </button>
+        )}
+        {running && (
+          <span className="text-data-value text-tabular">
+            {(progress * 100).toFixed(0)}% · {curves.length} record{curves.length === 1 ? '' : 's'} done
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {result && (
+        <div className="space-y-2 text-xs mt-4">
+          {summary.map(([label, value]) => (
+            <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+              <span className="text-data-label">{label}:</span>
+              <span className="text-data-value">{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-methodology mt-3">
+        Each record is scaled so its 5%-damped Sa at the elastic T1 steps through the intensity grid, and the nonlinear
+        model is run to peak drift. A record collapses when the drift passes the limit, when P-delta leaves no lateral
+        strength, or when the solver can no longer find equilibrium; the first collapse is bracketed by bisection and
+        the curve flat-lines there. The fragility P(C | Sa) = Φ(ln(Sa/ŜCT)/β) is fitted to those intensities; FEMA P695
+        compares ŜCT with the MCER demand SMT through the collapse margin ratio. The analyses run in a web worker, so the
+        page stays responsive and each curve appears as its record finishes.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { logSpacedPeriods } from '../../utils/responseSpectrum';
+import {
+  TARGET_DUCTILITIES,
+  NASSAR_KRAWINKLER_PARAMETERS,
+  computeInelasticSpectrum,
+  newmarkHallReduction,
+  nassarKrawinklerReduction,
+  characteristicPeriod
+} from '../../utils/inelasticSpectrum';
+import { GRAVITY } from '../../utils/groundMotion';
+import {
+  createChartArea,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  niceAxisRange,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+/**
+ * Inelastic spectrum plot types
+ */
+const INELASTIC_PLOTS = {
+  strength: { name: 'Yield strength fy/w', label: 'fy/w = Ay/g' },
+  reduction: { name: 'Strength reduction Rμ', label: 'Rμ = fo/fy' }
+};
+
+const COMPUTED_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const NEWMARK_HALL_STYLE = { color: '#737373', dash: [8, 4], lineWidth: 1 };
+const NASSAR_KRAWINKLER_STYLE = { color: '#737373', dash: [2, 2], lineWidth: 1 };
+
+/**
+ * Inelastic Spectrum Panel Component
+ * Constant-ductility spectra of elastoplastic oscillators and Rμ compared with
+ * the Newmark-Hall and Nassar-Krawinkler relations
+ */
+export function InelasticSpectrumPanel({ excitation, className = '' }) {
+  const canvasRef = useRef(null);
+  const [plotType, setPlotType] = useState('strength');
+  const [settings, setSettings] = useState({
+    minPeriod: 0.1,
+    maxPeriod: 3.0,
+    count: 20,
+    dampingRatio: 0.05,
+    postYieldRatio: 0
+  });
+  const [ductilities, setDuctilities] = useState(TARGET_DUCTILITIES);
+  const [spectrum, setSpectrum] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+
+  const Tc = useMemo(() => (excitation ? characteristicPeriod(excitation) : 0.5), [excitation]);
+
+  // Results belong to one excitation and set of options; discard them when either changes
+  useEffect(() => {
+    setSpectrum(null);
+  }, [excitation, settings, ductilities]);
+
+  const compute = () => {
+    if (!excitation || ductilities.length === 0) return;
+    setIsComputing(true);
+    // Yield to the browser so the busy state renders before the sweep blocks the thread
+    setTimeout(() => {
+      setSpectrum(computeInelasticSpectrum(excitation, {
+        periods: logSpacedPeriods(settings.minPeriod, settings.maxPeriod, settings.count),
+        ductilities,
+        dampingRatio: settings.dampingRatio,
+        postYieldRatio: settings.postYieldRatio
+      }));
+      setIsComputing(false);
+    }, 20);
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const area = createChartArea(canvas.width, canvas.height);
+    if (!spectrum) {
+      ctx.fillStyle = '#000000';
+      ctx.font = '12px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(isComputing ? 'COMPUTING…' : 'PRESS COMPUTE TO SWEEP PERIODS', canvas.width / 2, canvas.height / 2);
+      ctx.textAlign = 'start';
+      return;
+    }
+
+    const { periods, curves } = spectrum;
+    const xAxis = { min: periods[0], max: periods[periods.length - 1], label: 'PERIOD Tn (s)', precision: 2 };
+    const isReduction = plotType === 'reduction';
+    const ys = curves.map(curve => (isReduction
+      ? curve.reductionFactor
+      : curve.yieldStrength.map(value => value / GRAVITY)));
+
+    // Empirical relations evaluated on a finer period grid
+    const fine = logSpacedPeriods(xAxis.min, xAxis.max, 200);
+    const empirical = isReduction
+      ? curves.filter(curve => curve.ductility > 1).map(curve => ({
+        ductility: curve.ductility,
+        newmarkHall: fine.map(T => newmarkHallReduction(T, curve.ductility, Tc)),
+        nassarKrawinkler: fine.map(T => nassarKrawinklerReduction(T, curve.ductility, settings.postYieldRatio))
+      }))
+      : [];
+
+    const yRange = niceAxisRange([
+      ...ys,
+      ...empirical.flatMap(entry => [entry.newmarkHall, entry.nassarKrawinkler])
+    ]);
+    const yAxis = { ...yRange, label: INELASTIC_PLOTS[plotType].label, precision: 2 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    empirical.forEach(entry => {
+      plotSeries(ctx, area, xAxis, yAxis, fine, entry.newmarkHall, NEWMARK_HALL_STYLE);
+      plotSeries(ctx, area, xAxis, yAxis, fine, entry.nassarKrawinkler, NASSAR_KRAWINKLER_STYLE);
+    });
+
+    // Computed curves, labelled at their long-period end
+    ctx.font = '10px monospace';
+    ctx.fillStyle = '#000000';
+    curves.forEach((curve, i) => {
+      plotSeries(ctx, area, xAxis, yAxis, periods, ys[i], COMPUTED_STYLE);
+      const last = periods.length - 1;
+      const y = Math.min(Math.max(toCanvasY(area, yAxis, ys[i][last]), area.top + 10), area.top + area.height - 4);
+      ctx.fillText(`μ=${curve.ductility}`, toCanvasX(area, xAxis, periods[last]) - 34, y - 4);
+    });
+
+    const legend = [{ label: 'Computed (EPP)', ...COMPUTED_STYLE }];
+    if (isReduction) {
+      legend.push({ label: 'Newmark-Hall', ...NEWMARK_HALL_STYLE });
+      legend.push({ label: 'Nassar-Krawinkler', ...NASSAR_KRAWINKLER_STYLE });
+    }
+    drawLegend(ctx, area, legend);
+  }, [spectrum, plotType, Tc, settings.postYieldRatio, isComputing]);
+
+  const updateSetting = (key, value) => {
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue < 0) return;
+    setSettings(prev => {
+      const next = { ...prev, [key]: key === 'count' ? Math.max(2, Math.round(numValue)) : numValue };
+      return next.minPeriod > 0 && next.minPeriod < next.maxPeriod ? next : prev;
+    });
+  };
+
+  const toggleDuctility = (ductility) => {
+    setDuctilities(prev => prev.includes(ductility)
+      ? prev.filter(value => value !== ductility)
+      : [...prev, ductility].sort((a, b) => a - b));
+  };
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={400}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">PLOT</label>
+          <select
+            value={plotType}
+            onChange={(e) => setPlotType(e.target.value)}
+            className="input-scientific w-full"
+          >
+            {Object.entries(INELASTIC_PLOTS).map(([key, plot]) => (
+              <option key={key} value={key}>{plot.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">T MIN (s)</label>
+          <input
+            type="number"
+            value={settings.minPeriod}
+            onChange={(e) => updateSetting('minPeriod', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.02"
+            step="0.05"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">T MAX (s)</label>
+          <input
+            type="number"
+            value={settings.maxPeriod}
+            onChange={(e) => updateSetting('maxPeriod', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.1"
+            step="0.1"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">PERIODS</label>
+          <input
+            type="number"
+            value={settings.count}
+            onChange={(e) => updateSetting('count', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="2"
+            max="60"
+            step="5"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">ζ</label>
+          <input
+            type="number"
+            value={settings.dampingRatio}
+            onChange={(e) => updateSetting('dampingRatio', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0"
+            max="0.5"
+            step="0.01"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">POST-YIELD α</label>
+          <select
+            value={settings.postYieldRatio}
+            onChange={(e) => updateSetting('postYieldRatio', e.target.value)}
+            className="input-scientific w-full"
+          >
+            {Object.keys(NASSAR_KRAWINKLER_PARAMETERS).map(alpha => (
+              <option key={alpha} value={alpha}>{alpha}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-xs">
+        <span className="text-data-label">DUCTILITY μ:</span>
+        {TARGET_DUCTILITIES.map(ductility => (
+          <label key={ductility} className="flex items-center gap-1 text-data-label">
+            <input
+              type="checkbox"
+              checked={ductilities.includes(ductility)}
+              onChange={() => toggleDuctility(ductility)}
+              className="border border-mono-black"
+            />
+            {ductility}
+          </label>
+        ))}
+        <button
+          onClick={compute}
+          disabled={isComputing || !excitation || ductilities.length === 0}
+          className="btn-scientific ml-auto disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          {isComputing ? 'COMPUTING…' : 'COMPUTE'}
+        </button>
+      </div>
+
+      <div className="flex justify-between border-b border-mono-300 pb-1 mt-3 text-xs">
+        <span className="text-data-label">Tc (NEWMARK-HALL, FROM PGV/PGA):</span>
+        <span className="text-data-value">{Tc.toFixed(3)} s</span>
+      </div>
+
+      <p className="text-methodology mt-3">
+        For each period the yield strength fy of an elastoplastic oscillator is iterated until the peak
+        ductility um/uy equals the target μ (largest such strength). Rμ = fo/fy is the strength reduction
+        behind the response modification factor R in the design base shear V = Cs·W: for long periods Rμ → μ (equal
+        displacement), for intermediate periods Rμ ≈ √(2μ − 1) (equal energy) and for very short periods Rμ → 1.
+      </p>
+    </div>
+  );
+}
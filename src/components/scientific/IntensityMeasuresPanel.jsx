@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { GRAVITY, BASELINE_CORRECTIONS } from '../../utils/groundMotion';
+import {
+  DISPLACEMENT_CORRECTIONS,
+  DEFAULT_INTENSITY_OPTIONS,
+  computeIntensityMeasures
+} from '../../utils/intensityMeasures';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries
+} from '../../utils/chartPlotting';
+
+const MARKER_STYLE = { color: '#737373', dash: [4, 3], lineWidth: 1 };
+
+// Acceleration, velocity and displacement traces stacked in one canvas
+const TRACES = [
+  { key: 'acceleration', peak: 'pga', label: 'a (g)', scale: 1 / GRAVITY, precision: 2 },
+  { key: 'velocity', peak: 'pgv', label: 'v (cm/s)', scale: 100, precision: 0 },
+  { key: 'displacement', peak: 'pgd', label: 'd (cm)', scale: 100, precision: 0 }
+];
+
+/**
+ * Intensity Measures Panel Component
+ * Peak, energy, duration and frequency-content measures of the active ground motion record
+ */
+export function IntensityMeasuresPanel({ record, className = '' }) {
+  const tracesCanvasRef = useRef(null);
+  const husidCanvasRef = useRef(null);
+  const [options, setOptions] = useState(DEFAULT_INTENSITY_OPTIONS);
+
+  const { measures, error } = useMemo(() => {
+    try {
+      return { measures: computeIntensityMeasures(record, options), error: null };
+    } catch (analysisError) {
+      return { measures: null, error: analysisError.message };
+    }
+  }, [record, options]);
+
+  // Corrected acceleration with the velocity and displacement obtained by integration
+  useEffect(() => {
+    const canvas = tracesCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!measures) return;
+
+    const { time } = measures;
+    const gap = 24;
+    const top = 15;
+    const bottom = 45;
+    const height = (canvas.height - top - bottom - gap * (TRACES.length - 1)) / TRACES.length;
+    const xAxis = { min: 0, max: time[time.length - 1], precision: 0 };
+
+    TRACES.forEach((trace, t) => {
+      const values = measures[trace.key].map(value => value * trace.scale);
+      const peak = measures[trace.peak];
+      const areaTop = top + t * (height + gap);
+      const area = createChartArea(canvas.width, canvas.height, {
+        top: areaTop,
+        bottom: canvas.height - areaTop - height,
+        right: 15
+      });
+      const last = t === TRACES.length - 1;
+      const axis = { ...xAxis, label: last ? 'TIME t (s)' : '' };
+      const yAxis = { ...niceAxisRange([values], { symmetric: true }), label: trace.label, precision: trace.precision };
+      drawChartAxes(ctx, area, axis, yAxis);
+      plotSeries(ctx, area, axis, yAxis, time, values, { color: '#000000', lineWidth: 1 });
+      plotSeries(ctx, area, axis, yAxis, [peak.time, peak.time], [yAxis.min, yAxis.max], MARKER_STYLE);
+    });
+  }, [measures]);
+
+  // Husid plot with the significant-duration intervals
+  useEffect(() => {
+    const canvas = husidCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!measures) return;
+
+    const { time, husid, significantDuration } = measures;
+    const area = createChartArea(canvas.width, canvas.height, { right: 15 });
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 0 };
+    const yAxis = { min: 0, max: 1, label: 'NORMALIZED ARIAS INTENSITY', precision: 2 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    [0.05, 0.75, 0.95].forEach(level => {
+      plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [level, level], MARKER_STYLE);
+    });
+    [[significantDuration.d595, 0.95], [significantDuration.d575, 0.75]].forEach(([interval, level]) => {
+      plotSeries(ctx, area, xAxis, yAxis, [interval.start, interval.start], [0, 0.05], MARKER_STYLE);
+      plotSeries(ctx, area, xAxis, yAxis, [interval.end, interval.end], [0, level], MARKER_STYLE);
+    });
+    plotSeries(ctx, area, xAxis, yAxis, time, husid, { color: '#000000' });
+
+    ctx.fillStyle = '#000000';
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`D5-75 = ${significantDuration.d575.duration.toFixed(2)} s`, area.left + 8, area.top + 16);
+    ctx.fillText(`D5-95 = ${significantDuration.d595.duration.toFixed(2)} s`, area.left + 8, area.top + 30);
+  }, [measures]);
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const summary = measures ? [
+    ['PGA', `${(measures.pga.value / GRAVITY).toFixed(3)} g @ ${measures.pga.time.toFixed(2)} s`],
+    ['PGV', `${(measures.pgv.value * 100).toFixed(1)} cm/s @ ${measures.pgv.time.toFixed(2)} s`],
+    ['PGD', `${(measures.pgd.value * 100).toFixed(2)} cm @ ${measures.pgd.time.toFixed(2)} s`],
+    ['PGV / PGA', `${(measures.pgv.value / measures.pga.value).toFixed(3)} s`],
+    ['ARIAS INTENSITY Ia', `${measures.ariasIntensity.toFixed(3)} m/s`],
+    ['CAV', `${measures.cav.toFixed(2)} m/s (${(measures.cav / GRAVITY).toFixed(2)} g·s)`],
+    ['SIGNIFICANT DURATION D5-75', `${measures.significantDuration.d575.duration.toFixed(2)} s`],
+    ['SIGNIFICANT DURATION D5-95', `${measures.significantDuration.d595.duration.toFixed(2)} s`],
+    [`BRACKETED DURATION (${options.bracketThreshold} g)`, `${measures.bracketedDuration.duration.toFixed(2)} s`],
+    ['PREDOMINANT PERIOD Tp', `${measures.predominantPeriod.toFixed(2)} s`],
+    ['MEAN PERIOD Tm', `${measures.meanPeriod.toFixed(2)} s`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <canvas
+          ref={tracesCanvasRef}
+          width={500}
+          height={360}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={husidCanvasRef}
+          width={500}
+          height={360}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">ACCELERATION BASELINE</label>
+          <select
+            value={options.baseline}
+            onChange={(e) => updateOption('baseline', e.target.value)}
+            className="input-scientific w-full"
+          >
+            {Object.entries(BASELINE_CORRECTIONS).map(([key, correction]) => (
+              <option key={key} value={key}>{correction.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">DISPLACEMENT DRIFT</label>
+          <select
+            value={options.displacementCorrection}
+            onChange={(e) => updateOption('displacementCorrection', e.target.value)}
+            className="input-scientific w-full"
+          >
+            {Object.entries(DISPLACEMENT_CORRECTIONS).map(([key, correction]) => (
+              <option key={key} value={key}>{correction.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">BRACKET THRESHOLD (g)</label>
+          <input
+            type="number"
+            value={options.bracketThreshold}
+            onChange={(e) => parseFloat(e.target.value) > 0 && updateOption('bracketThreshold', parseFloat(e.target.value))}
+            className="input-scientific w-full text-tabular"
+            min="0.01"
+            step="0.01"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {measures && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mt-4 text-xs">
+          {summary.map(([label, value]) => (
+            <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+              <span className="text-data-label">{label}:</span>
+              <span className="text-data-value">{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-methodology mt-3">
+        Velocity and displacement are integrated from the corrected acceleration assuming linear variation within each step.
+        The displacement fit removes a polynomial (no constant or linear term) from the displacement, constrained so the
+        velocity returns to zero. Ia = π/(2g)·∫a²dt; D5-75 and D5-95 span 5-75% and 5-95% of Ia. Tp is the period of the
+        peak 5%-damped PSA and Tm the Fourier-amplitude weighted mean period over 0.25-20 Hz (Rathje et al. 1998).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ALLOWABLE_DRIFT } from '../../constants/asce7';
+import { COMBINATION_METHODS, modalResponseSpectrumAnalysis } from '../../utils/modalResponseSpectrum';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  stepProfile
+} from '../../utils/chartPlotting';
+
+const PROFILE_WIDTH = 300;
+const PROFILE_HEIGHT = 360;
+
+/**
+ * Modal Response Spectrum Panel Component
+ * ASCE 7 §12.9.1 story forces, shears, overturning moments and drift check for a shear building
+ */
+export function ModalResponseSpectrumPanel({ stories, modes, designSpectrum, system, className = '' }) {
+  const shearCanvasRef = useRef(null);
+  const driftCanvasRef = useRef(null);
+  const [options, setOptions] = useState({
+    method: 'cqc',
+    dampingRatio: 0.05,
+    structureType: 'allOther'
+  });
+
+  const { analysis, error } = useMemo(() => {
+    if (!designSpectrum || modes.length === 0) {
+      return { analysis: null, error: 'A valid ASCE 7 design spectrum is required' };
+    }
+    try {
+      return {
+        analysis: modalResponseSpectrumAnalysis(stories, modes, designSpectrum, { ...options, system }),
+        error: null
+      };
+    } catch (analysisError) {
+      return { analysis: null, error: analysisError.message };
+    }
+  }, [stories, modes, designSpectrum, options, system]);
+
+  // Story shear and drift ratio profiles over building height
+  useEffect(() => {
+    [shearCanvasRef, driftCanvasRef].forEach(ref => {
+      const ctx = ref.current?.getContext('2d');
+      if (!ctx) return;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, PROFILE_WIDTH, PROFILE_HEIGHT);
+    });
+    if (!analysis) return;
+
+    const elevations = [0, ...analysis.stories.map(story => story.elevation)];
+    const yAxis = { ...niceAxisRange([elevations]), label: 'ELEVATION (m)', precision: 1 };
+    const area = createChartArea(PROFILE_WIDTH, PROFILE_HEIGHT, { right: 15, left: 50 });
+
+    const shear = stepProfile(analysis.stories.map(story => story.shear / 1000), elevations);
+    const shearCtx = shearCanvasRef.current.getContext('2d');
+    const shearAxis = { ...niceAxisRange([shear.values]), label: 'STORY SHEAR (kN)', precision: 0 };
+    drawChartAxes(shearCtx, area, shearAxis, yAxis);
+    plotSeries(shearCtx, area, shearAxis, yAxis, shear.values, shear.positions, { color: '#000000' });
+
+    const drift = stepProfile(analysis.stories.map(story => story.driftRatio * 100), elevations);
+    const allowable = stepProfile(analysis.stories.map(story => story.allowableRatio * 100), elevations);
+    const driftCtx = driftCanvasRef.current.getContext('2d');
+    const driftAxis = { ...niceAxisRange([drift.values, allowable.values]), label: 'DRIFT RATIO Δ/h (%)', precision: 2 };
+    drawChartAxes(driftCtx, area, driftAxis, yAxis);
+    plotSeries(driftCtx, area, driftAxis, yAxis, allowable.values, allowable.positions, { color: '#737373', dash: [6, 3] });
+    plotSeries(driftCtx, area, driftAxis, yAxis, drift.values, drift.positions, { color: '#000000' });
+    drawLegend(driftCtx, area, [
+      { label: 'Δ design', color: '#000000', dash: [] },
+      { label: 'Δa allowable', color: '#737373', dash: [6, 3] }
+    ]);
+  }, [analysis]);
+
+  const updateOption = (key, value) => {
+    const numValue = parseFloat(value);
+    if (!isNaN(numValue) && numValue > 0) {
+      setOptions(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const summary = analysis ? [
+    ['R / Cd', `${analysis.R} / ${analysis.Cd}`],
+    ['T (ELF)', `${analysis.elfPeriod.toFixed(3)} s`],
+    ['W', `${(analysis.seismicWeight / 1000).toFixed(0)} kN`],
+    ['Cs', analysis.Cs.toFixed(4)],
+    ['V (ELF)', `${(analysis.elfBaseShear / 1000).toFixed(1)} kN`],
+    ['Vt (MODAL)', `${(analysis.modalBaseShear / 1000).toFixed(1)} kN`],
+    ['FORCE SCALE V/Vt', analysis.forceScale.toFixed(3)],
+    ['DRIFT SCALE', analysis.driftScale.toFixed(3)],
+    ['DESIGN BASE SHEAR', `${(analysis.baseShear / 1000).toFixed(1)} kN`],
+    ['BASE OVERTURNING', `${(analysis.overturningMoment / 1000).toFixed(0)} kN·m`],
+    ['MODES FOR 90% MASS', `${analysis.requiredModes} (${(analysis.participatingRatio * 100).toFixed(1)}% included)`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-2 gap-4">
+        <canvas
+          ref={shearCanvasRef}
+          width={PROFILE_WIDTH}
+          height={PROFILE_HEIGHT}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={driftCanvasRef}
+          width={PROFILE_WIDTH}
+          height={PROFILE_HEIGHT}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">COMBINATION</label>
+          <select
+            value={options.method}
+            onChange={(e) => setOptions(prev => ({ ...prev, method: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(COMBINATION_METHODS).map(([key, method]) => (
+              <option key={key} value={key}>{method.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">ζ (%)</label>
+          <input
+            type="number"
+            value={options.dampingRatio * 100}
+            onChange={(e) => updateOption('dampingRatio', parseFloat(e.target.value) / 100)}
+            className="input-scientific w-full text-tabular"
+            min="0.5"
+            step="0.5"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">DRIFT LIMIT</label>
+          <select
+            value={options.structureType}
+            onChange={(e) => setOptions(prev => ({ ...prev, structureType: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(ALLOWABLE_DRIFT).map(([key, limit]) => (
+              <option key={key} value={key}>{limit.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-methodology mt-2">{COMBINATION_METHODS[options.method].description}</p>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-3">⚠ {error}</p>
+      )}
+
+      {analysis && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 mt-4 text-xs">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full mt-4 text-xs text-tabular">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-data-label text-left py-1">LEVEL</th>
+                <th className="text-data-label text-right py-1">Fx (kN)</th>
+                <th className="text-data-label text-right py-1">Vx (kN)</th>
+                <th className="text-data-label text-right py-1">Mx (kN·m)</th>
+                <th className="text-data-label text-right py-1">δx (mm)</th>
+                <th className="text-data-label text-right py-1">Δ (mm)</th>
+                <th className="text-data-label text-right py-1">Δ/h (%)</th>
+                <th className="text-data-label text-right py-1">Δa/h (%)</th>
+                <th className="text-data-label text-right py-1">CHECK</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...analysis.stories].reverse().map(story => (
+                <tr key={story.level} className="border-b border-mono-300">
+                  <td className="text-data-value py-1">{story.level}</td>
+                  <td className="text-right py-1">{(story.force / 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.shear / 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.overturningMoment / 1000).toFixed(0)}</td>
+                  <td className="text-right py-1">{(story.displacement * 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.drift * 1000).toFixed(1)}</td>
+                  <td className="text-right py-1">{(story.driftRatio * 100).toFixed(3)}</td>
+                  <td className="text-right py-1">{(story.allowableRatio * 100).toFixed(1)}</td>
+                  <td className={`text-right py-1 ${story.ok ? '' : 'font-bold'}`}>{story.ok ? 'OK' : 'NG'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="text-methodology mt-3">
+            Modal responses from Sa(Tn)·Ie/R are combined quantity by quantity; forces are scaled to 100% of the
+            ELF base shear when Vt &lt; V (§12.9.1.4.1) and drifts only when Eq. 12.8-6 governs (§12.9.1.4.2).
+            Design drifts are Cd·δxe/Ie (§12.8.6), checked against Table 12.12-1 for Risk Category {designSpectrum.riskCategory}.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
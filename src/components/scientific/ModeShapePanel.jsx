@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Mode Shape Panel Component
+ * Animates the selected mode shape of a shear building and tabulates modal properties
+ */
+export function ModeShapePanel({ stories, modes, className = '' }) {
+  const canvasRef = useRef(null);
+  const [selectedMode, setSelectedMode] = useState(0);
+  const [isAnimating, setIsAnimating] = useState(true);
+  const [phase, setPhase] = useState(0);
+
+  const modeIndex = Math.min(selectedMode, modes.length - 1);
+  const mode = modes[modeIndex];
+
+  // Slow, uniform animation of every mode so higher modes remain legible
+  useEffect(() => {
+    if (!isAnimating) return;
+
+    let frameId;
+    let lastTimestamp = null;
+    const animate = (timestamp) => {
+      if (lastTimestamp !== null) {
+        setPhase(prev => (prev + (timestamp - lastTimestamp) / 1000 * Math.PI) % (2 * Math.PI));
+      }
+      lastTimestamp = timestamp;
+      frameId = requestAnimationFrame(animate);
+    };
+
+    frameId = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frameId);
+  }, [isAnimating]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !mode) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const totalHeight = stories.reduce((sum, story) => sum + story.height, 0);
+    const groundY = height - 40;
+    const scaleY = (height - 90) / totalHeight;
+    const centerX = width / 2;
+    const bayWidth = 140;
+    const maxOrdinate = mode.shape.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+    const amplitude = 60 * Math.sin(phase) / maxOrdinate;
+
+    // Ground
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(40, groundY, width - 80, 6);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    for (let x = 40; x < width - 40; x += 8) {
+      ctx.beginPath();
+      ctx.moveTo(x, groundY + 6);
+      ctx.lineTo(x - 6, groundY + 14);
+      ctx.stroke();
+    }
+
+    // Undeformed shape and deformed shape
+    const floors = [{ y: groundY, shift: 0 }];
+    let elevation = 0;
+    stories.forEach((story, i) => {
+      elevation += story.height;
+      floors.push({ y: groundY - elevation * scaleY, shift: amplitude * mode.shape[i] });
+    });
+
+    drawFrame(ctx, floors.map(floor => ({ ...floor, shift: 0 })), centerX, bayWidth, { color: '#a3a3a3', dash: [4, 4], lineWidth: 1 });
+    drawFrame(ctx, floors, centerX, bayWidth, { color: '#000000', dash: [], lineWidth: 2 });
+
+    // Lumped masses and mode shape ordinates
+    ctx.font = '10px monospace';
+    floors.slice(1).forEach((floor, i) => {
+      ctx.fillStyle = '#000000';
+      ctx.beginPath();
+      ctx.arc(centerX + floor.shift, floor.y, 6, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillText(`φ${i + 1} = ${mode.shape[i].toFixed(3)}`, width - 150, floor.y + 3);
+    });
+
+    ctx.fillStyle = '#000000';
+    ctx.fillText(`MODE ${modeIndex + 1}`, 10, 20);
+    ctx.fillText(`T = ${mode.period.toFixed(3)} s`, 10, 35);
+    ctx.fillText(`f = ${mode.frequency.toFixed(3)} Hz`, 10, 50);
+  }, [stories, mode, modeIndex, phase]);
+
+  let cumulative = 0;
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={400}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div className="flex flex-wrap gap-2 mt-4 text-xs">
+        {modes.map((_, i) => (
+          <button
+            key={i}
+            onClick={() => setSelectedMode(i)}
+            className={`btn-scientific ${i === modeIndex ? 'bg-mono-black text-mono-white' : ''}`}
+          >
+            MODE {i + 1}
+          </button>
+        ))}
+        <label className="flex items-center gap-2 ml-4 text-data-label">
+          <input
+            type="checkbox"
+            checked={isAnimating}
+            onChange={(e) => setIsAnimating(e.target.checked)}
+            className="border border-mono-black"
+          />
+          ANIMATE
+        </label>
+      </div>
+
+      <table className="w-full mt-4 text-xs text-tabular">
+        <thead>
+          <tr className="border-b-2 border-mono-black">
+            <th className="text-data-label text-left py-1">MODE</th>
+            <th className="text-data-label text-right py-1">T (s)</th>
+            <th className="text-data-label text-right py-1">f (Hz)</th>
+            <th className="text-data-label text-right py-1">Γ</th>
+            <th className="text-data-label text-right py-1">M*eff (t)</th>
+            <th className="text-data-label text-right py-1">M*eff (%)</th>
+            <th className="text-data-label text-right py-1">Σ (%)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {modes.map((m, i) => {
+            cumulative += m.effectiveMassRatio;
+            return (
+              <tr key={i} className={`border-b border-mono-300 ${i === modeIndex ? 'bg-mono-300' : ''}`}>
+                <td className="text-data-value py-1">{i + 1}</td>
+                <td className="text-right py-1">{m.period.toFixed(3)}</td>
+                <td className="text-right py-1">{m.frequency.toFixed(3)}</td>
+                <td className="text-right py-1">{m.participationFactor.toFixed(3)}</td>
+                <td className="text-right py-1">{(m.effectiveMass / 1000).toFixed(1)}</td>
+                <td className="text-right py-1">{(m.effectiveMassRatio * 100).toFixed(1)}</td>
+                <td className="text-right py-1">{(cumulative * 100).toFixed(1)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Draw a single-bay frame through the given floor positions
+ */
+function drawFrame(ctx, floors, centerX, bayWidth, style) {
+  ctx.save();
+  ctx.strokeStyle = style.color;
+  ctx.lineWidth = style.lineWidth;
+  ctx.setLineDash(style.dash);
+
+  for (let i = 1; i < floors.length; i++) {
+    const below = floors[i - 1];
+    const above = floors[i];
+    [-bayWidth / 2, bayWidth / 2].forEach(offset => {
+      ctx.beginPath();
+      ctx.moveTo(centerX + offset + below.shift, below.y);
+      ctx.lineTo(centerX + offset + above.shift, above.y);
+      ctx.stroke();
+    });
+    ctx.beginPath();
+    ctx.moveTo(centerX - bayWidth / 2 + above.shift, above.y);
+    ctx.lineTo(centerX + bayWidth / 2 + above.shift, above.y);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { PULSE_MODELS, pulseResponseCurve } from '../../utils/nearFaultPulse';
+import { oscillatorPeak } from '../../utils/responseSpectrum';
+import { logSpace } from '../../utils/linearAlgebra';
+import { GRAVITY } from '../../utils/groundMotion';
+import {
+  SERIES_STYLES,
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+/**
+ * Normalized response quantities plotted against Tp/Tn
+ */
+const RESPONSE_PLOTS = {
+  velocityRatio: { name: 'PSV / PGV', label: 'PSV / PGV' },
+  accelerationRatio: { name: 'PSA / PGA', label: 'PSA / PGA' },
+  displacementRatio: { name: 'Sd / PGD', label: 'Sd / PGD' }
+};
+
+// Period ratios Tp/Tn swept by the response curve
+const RATIO_RANGE = { min: 0.1, max: 10, count: 80 };
+
+const CURVE_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const MARKER_STYLE = { color: '#000000', dash: [4, 3], lineWidth: 1 };
+
+/**
+ * Near-Fault Pulse Panel Component
+ * Pulse waveforms and the elastic response as a function of the pulse-to-structure period ratio
+ */
+export function NearFaultPulsePanel({ excitation, pulse, period, dampingRatio = 0.05, className = '' }) {
+  const waveformCanvasRef = useRef(null);
+  const responseCanvasRef = useRef(null);
+  const [plotType, setPlotType] = useState('velocityRatio');
+
+  const curve = useMemo(() => pulseResponseCurve(excitation, pulse.period, {
+    ratios: logSpace(RATIO_RANGE.min, RATIO_RANGE.max, RATIO_RANGE.count),
+    dampingRatio
+  }), [excitation, pulse.period, dampingRatio]);
+
+  // The structure of the time-history view, evaluated at its own period rather than read off the curve
+  const current = useMemo(() => {
+    const Sd = oscillatorPeak(excitation, period, dampingRatio).Sd;
+    const omega = (2 * Math.PI) / period;
+    return {
+      ratio: pulse.period / period,
+      Sd,
+      displacementRatio: Sd / excitation.pgd,
+      velocityRatio: (omega * Sd) / excitation.pgv,
+      accelerationRatio: (omega * omega * Sd) / excitation.pga
+    };
+  }, [excitation, pulse.period, period, dampingRatio]);
+
+  // Ground acceleration, velocity and displacement, each scaled by its own peak
+  useEffect(() => {
+    const canvas = waveformCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const time = Array.from(excitation.values, (_, i) => i * excitation.dt);
+    const normalized = (values, peak) => Array.from(values, value => value / peak);
+    const series = [
+      { label: `üg / ${(excitation.pga / GRAVITY).toFixed(2)} g`, values: normalized(excitation.values, excitation.pga), ...SERIES_STYLES[0] },
+      { label: `u̇g / ${(excitation.pgv * 100).toFixed(0)} cm/s`, values: normalized(excitation.velocity, excitation.pgv), ...SERIES_STYLES[1] },
+      { label: `ug / ${(excitation.pgd * 100).toFixed(1)} cm`, values: normalized(excitation.displacement, excitation.pgd), ...SERIES_STYLES[2] }
+    ];
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = { min: -1.1, max: 1.1, label: 'NORMALIZED GROUND MOTION', precision: 1 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, time, entry.values, entry));
+    drawLegend(ctx, area, series, { corner: 'topLeft' });
+  }, [excitation]);
+
+  // Normalized elastic response against Tp/Tn, with the current structure marked
+  useEffect(() => {
+    const canvas = responseCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const values = curve[plotType];
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: RATIO_RANGE.min, max: RATIO_RANGE.max, log: true, label: 'PERIOD RATIO Tp / Tn', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange([values, [current[plotType]]], { includeZero: true }),
+      label: RESPONSE_PLOTS[plotType].label,
+      precision: 1
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    plotSeries(ctx, area, xAxis, yAxis, curve.ratios, values, CURVE_STYLE);
+
+    if (current.ratio >= xAxis.min && current.ratio <= xAxis.max) {
+      plotSeries(ctx, area, xAxis, yAxis, [current.ratio, current.ratio], [yAxis.min, yAxis.max], MARKER_STYLE);
+      const x = toCanvasX(area, xAxis, current.ratio);
+      const y = toCanvasY(area, yAxis, current[plotType]);
+      ctx.fillStyle = '#000000';
+      ctx.fillRect(x - 3, y - 3, 6, 6);
+      ctx.font = '10px monospace';
+      ctx.fillText(`Tn = ${period.toFixed(2)} s`, x + 6, area.top + 12);
+    }
+
+    drawLegend(ctx, area, [
+      { label: `ζ = ${(dampingRatio * 100).toFixed(0)}%`, ...CURVE_STYLE },
+      { label: 'This structure', ...MARKER_STYLE }
+    ]);
+  }, [curve, current, plotType, period, dampingRatio]);
+
+  const regime = current.ratio < 0.5
+    ? 'Flexible: the pulse is over before the structure responds, so the peak follows the ground displacement'
+    : current.ratio > 2
+      ? 'Stiff: the structure follows the pulse quasi-statically, so the peak follows the ground acceleration'
+      : 'Resonant: the pulse period is close to Tn and the structure is driven in step with it';
+
+  const summary = [
+    ['PULSE PERIOD Tp', `${pulse.period.toFixed(2)} s`],
+    ['STRUCTURAL PERIOD Tn', `${period.toFixed(3)} s`],
+    ['RATIO Tp / Tn', current.ratio.toFixed(2)],
+    ['PGA / PGV / PGD', `${(excitation.pga / GRAVITY).toFixed(3)} g / ${(excitation.pgv * 100).toFixed(1)} cm/s / ${(excitation.pgd * 100).toFixed(1)} cm`],
+    ['PEAK ELASTIC Sd', `${(current.Sd * 1000).toFixed(1)} mm`],
+    ['PSV / PGV', current.velocityRatio.toFixed(2)],
+    ['PSA / PGA', current.accelerationRatio.toFixed(2)]
+  ];
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={waveformCanvasRef}
+        width={600}
+        height={240}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+      <canvas
+        ref={responseCanvasRef}
+        width={600}
+        height={320}
+        className="border-2 border-mono-black w-full bg-mono-white mt-4"
+      />
+
+      <div className="flex items-center gap-3 mt-4 text-xs">
+        <label className="text-data-label">RESPONSE</label>
+        <select
+          value={plotType}
+          onChange={(e) => setPlotType(e.target.value)}
+          className="input-scientific"
+        >
+          {Object.entries(RESPONSE_PLOTS).map(([key, plot]) => (
+            <option key={key} value={key}>{plot.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2 text-xs mt-4">
+        {summary.map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">{label}:</span>
+            <span className="text-data-value">{value}</span>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs border border-mono-black p-2 mt-4">{regime}.</p>
+
+      <p className="text-methodology mt-3">
+        {PULSE_MODELS[pulse.model].description}. Near-fault records with forward directivity concentrate their
+        energy in one long-period velocity pulse, so the response is governed by Tp/Tn rather than by PGA. The elastic
+        curves are normalized by the peak ground motion, which makes them independent of Vp: PSV/PGV peaks near
+        Tp/Tn ≈ 1, PSA/PGA tends to 1 for stiff structures (large Tp/Tn) and Sd/PGD tends to 1 for flexible ones.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+
+// Playback rates relative to real time
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Playback Controls Component
+ * Timeline scrubber with play/pause, frame stepping, jump to peak and playback speed
+ */
+export function PlaybackControls({
+  time,
+  endTime,
+  frameStep,
+  peakTime,
+  isPlaying,
+  speed,
+  disabled = false,
+  onPlay,
+  onPause,
+  onReset,
+  onSeek,
+  onSpeedChange,
+  className = ''
+}) {
+  const seek = (value) => onSeek(Math.min(Math.max(value, 0), endTime));
+
+  return (
+    <div className={`space-y-2 text-xs ${className}`}>
+      <div className="flex items-center gap-3">
+        <span className="text-data-value text-tabular w-24">t = {time.toFixed(3)} s</span>
+        <input
+          type="range"
+          min="0"
+          max={endTime}
+          step={frameStep}
+          value={Math.min(time, endTime)}
+          onChange={(e) => seek(parseFloat(e.target.value))}
+          disabled={disabled}
+          className="flex-1"
+        />
+        <span className="text-data-label text-tabular">{endTime.toFixed(2)} s</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {isPlaying ? (
+          <button onClick={onPause} className="btn-scientific">
+            PAUSE
+          </button>
+        ) : (
+          <button
+            onClick={onPlay}
+            disabled={disabled}
+            className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+          >
+            {time > 0 && time < endTime ? 'RESUME' : 'PLAY'}
+          </button>
+        )}
+        <button onClick={onReset} className="btn-scientific">
+          RESET
+        </button>
+        <button
+          onClick={() => seek(time - frameStep)}
+          disabled={disabled || isPlaying}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+          title="Previous integration step"
+        >
+          ◀ STEP
+        </button>
+        <button
+          onClick={() => seek(time + frameStep)}
+          disabled={disabled || isPlaying}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+          title="Next integration step"
+        >
+          STEP ▶
+        </button>
+        <button
+          onClick={() => seek(peakTime)}
+          disabled={disabled}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          PEAK |u|
+        </button>
+
+        <label className="text-data-label ml-2">SPEED</label>
+        <select
+          value={speed}
+          onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+          className="input-scientific"
+        >
+          {PLAYBACK_SPEEDS.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CONTACT_MODELS, DEFAULT_POUNDING, analyzePounding } from '../../utils/pounding';
+import { STRUCTURAL_SYSTEMS } from '../../constants/asce7';
+import { GRAVITY } from '../../utils/groundMotion';
+import {
+  SERIES_STYLES,
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const BUILDING_A_STYLE = { color: '#000000', dash: [] };
+const BUILDING_B_STYLE = { color: '#737373', dash: [6, 3] };
+const FREE_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+
+// Settings that must be whole numbers, and the one that may be zero
+const INTEGER_SETTINGS = ['storiesA', 'storiesB'];
+const ZERO_ALLOWED_SETTINGS = ['gap'];
+
+/**
+ * Pounding Panel Component
+ * Adjacent buildings colliding across a gap, impact forces and the ASCE 7 §12.12.3 separation
+ */
+export function PoundingPanel({ excitation, dampingRatio = 0.05, system = 'specialSteelMomentFrame', className = '' }) {
+  const displacementCanvasRef = useRef(null);
+  const forceCanvasRef = useRef(null);
+  const [settings, setSettings] = useState(DEFAULT_POUNDING);
+
+  const { Cd, R } = STRUCTURAL_SYSTEMS[system];
+
+  const { analysis, error } = useMemo(() => {
+    try {
+      return { analysis: analyzePounding(settings, excitation, { dampingRatio, Cd, R }), error: null };
+    } catch (analysisError) {
+      return { analysis: null, error: analysisError.message };
+    }
+  }, [settings, excitation, dampingRatio, Cd, R]);
+
+  // Displacements at the highest shared floor: A against the face of B shifted by the gap
+  useEffect(() => {
+    const canvas = displacementCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const { time, free, pounding } = analysis;
+    const gap = settings.gap * 1000;
+    const toMillimeters = values => values.map(value => value * 1000);
+    const faceOf = values => values.map(value => value * 1000 + gap);
+    const series = [
+      { label: 'A without contact', values: toMillimeters(free.displacementA), ...FREE_STYLE },
+      { label: 'A with pounding', values: toMillimeters(pounding.displacementA), ...BUILDING_A_STYLE },
+      { label: 'Gap + B with pounding', values: faceOf(pounding.displacementB), ...BUILDING_B_STYLE }
+    ];
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange(series.map(entry => entry.values), { symmetric: true }),
+      label: `DISPLACEMENT AT LEVEL ${analysis.contactLevels.length} (mm)`,
+      precision: 0
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, time, entry.values, entry));
+    drawLegend(ctx, area, series);
+  }, [analysis, settings.gap]);
+
+  // Impact force history at every contact level
+  useEffect(() => {
+    const canvas = forceCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const { time, contactLevels } = analysis;
+    const series = contactLevels.map((level, c) => ({
+      label: `Level ${level.level} (${level.elevation.toFixed(1)} m)`,
+      values: level.force.map(value => value / 1000),
+      ...SERIES_STYLES[c % SERIES_STYLES.length],
+      lineWidth: 1
+    })).reverse();
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = { ...niceAxisRange(series.map(entry => entry.values), { includeZero: true }), label: 'IMPACT FORCE (kN)', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, time, entry.values, entry));
+    drawLegend(ctx, area, series);
+  }, [analysis]);
+
+  const updateSetting = (key, value) => {
+    const numValue = INTEGER_SETTINGS.includes(key) ? Math.round(value) : value;
+    const valid = ZERO_ALLOWED_SETTINGS.includes(key) ? numValue >= 0 : numValue > 0;
+    if (!isNaN(numValue) && valid) {
+      setSettings(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const numberField = (key, label, step, scale = 1) => (
+    <div>
+      <label className="text-data-label block mb-1">{label}</label>
+      <input
+        type="number"
+        value={settings[key] * scale}
+        onChange={(e) => updateSetting(key, parseFloat(e.target.value) / scale)}
+        className="input-scientific w-full text-tabular"
+        min="0"
+        step={step}
+      />
+    </div>
+  );
+
+  const separation = analysis?.separation;
+  const summary = analysis ? [
+    ['PERIODS TA / TB', `${analysis.periods[0].toFixed(3)} / ${analysis.periods[1].toFixed(3)} s (ratio ${(analysis.periods[1] / analysis.periods[0]).toFixed(2)})`],
+    ['IMPACTS (ALL LEVELS)', `${analysis.pounding.impacts}`],
+    ['PEAK TOTAL IMPACT FORCE', `${(analysis.pounding.peakForce / 1000).toFixed(0)} kN (${(analysis.pounding.peakForce / (settings.floorMass * GRAVITY)).toFixed(1)} × floor weight)`],
+    ['GAP TO AVOID CONTACT (THIS RECORD)', `${(separation.requiredGap * 1000).toFixed(1)} mm`],
+    ['ASCE 7 δMT = √(δMA² + δMB²)', `${(separation.deltaMT * 1000).toFixed(1)} mm at level ${separation.governingLevel} (Cd = ${Cd}, R = ${R})`],
+    ['PROVIDED GAP', `${(settings.gap * 1000).toFixed(1)} mm ${settings.gap >= separation.deltaMT ? '≥' : '<'} δMT: ${settings.gap >= separation.deltaMT ? 'meets' : 'does not meet'} §12.12.3`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={displacementCanvasRef}
+        width={600}
+        height={280}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+      <canvas
+        ref={forceCanvasRef}
+        width={600}
+        height={240}
+        className="border-2 border-mono-black w-full bg-mono-white mt-4"
+      />
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">CONTACT MODEL</label>
+          <select
+            value={settings.contactModel}
+            onChange={(e) => setSettings(prev => ({ ...prev, contactModel: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(CONTACT_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>{model.name}</option>
+            ))}
+          </select>
+        </div>
+        {numberField('gap', 'GAP (mm)', '5', 1000)}
+        {settings.contactModel === 'linear'
+          ? numberField('linearStiffness', 'k (MN/m)', '100', 1e-6)
+          : numberField('hertzStiffness', 'kh (GN/m^1.5)', '1', 1e-9)}
+        {settings.contactModel === 'hertzdamp'
+          ? numberField('restitution', 'RESTITUTION e', '0.05')
+          : <div />}
+        {numberField('storiesA', 'STORIES A', '1')}
+        {numberField('periodA', 'PERIOD TA (s)', '0.1')}
+        {numberField('storiesB', 'STORIES B', '1')}
+        {numberField('periodB', 'PERIOD TB (s)', '0.1')}
+        {numberField('floorMass', 'FLOOR MASS (t)', '5', 1e-3)}
+        {numberField('storyHeight', 'STORY HEIGHT (m)', '0.5')}
+      </div>
+      <p className="text-methodology mt-2">{CONTACT_MODELS[settings.contactModel].description}</p>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {analysis && (
+        <>
+          <div className="space-y-2 text-xs mt-4">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full text-xs text-tabular mt-4">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-left py-1">LEVEL</th>
+                <th className="text-right">IMPACTS</th>
+                <th className="text-right">PEAK F (kN)</th>
+                <th className="text-right">GAP REQ. (mm)</th>
+                <th className="text-right">δMT (mm)</th>
+                <th className="text-right">a A FREE → POUNDING (g)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.contactLevels.map(level => (
+                <tr key={level.level} className="border-b border-mono-300">
+                  <td className="py-1">{level.level}</td>
+                  <td className="text-right">{level.impacts}</td>
+                  <td className="text-right">{(level.peakForce / 1000).toFixed(0)}</td>
+                  <td className="text-right">{(level.requiredGap * 1000).toFixed(1)}</td>
+                  <td className="text-right">{(level.deltaMT * 1000).toFixed(1)}</td>
+                  <td className="text-right">
+                    {(level.accelerationA.free / GRAVITY).toFixed(2)} → {(level.accelerationA.pounding / GRAVITY).toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <p className="text-methodology mt-3">
+        Both buildings are uniform shear buildings tuned to the given fixed-base periods, with stiffness-proportional
+        damping, and contact elements join the floors they share. Buildings with different periods drift out of phase, so
+        the gap closes even when each alone moves less than it. Impacts last milliseconds: they send sharp acceleration
+        spikes up the stiffer building, so the response is integrated at Δt ≤ 2 ms. ASCE 7 §12.12.3 requires adjacent
+        structures to be separated by δMT = √(δM1² + δM2²), with δM = Cd·δmax/Ie the inelastic displacement (here the
+        elastic response scaled by Cd/R); the SRSS anticipates that the two peaks rarely coincide.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { computeResponseSpectrum, logSpacedPeriods, SPECTRUM_DAMPING_RATIOS } from '../../utils/responseSpectrum';
+import { GRAVITY } from '../../utils/groundMotion';
+import { designSpectrumCurve } from '../../constants/asce7';
+import {
+  SERIES_STYLES,
+  createChartArea,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  niceAxisRange,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+/**
+ * Spectrum plot types (values converted from SI for display)
+ */
+const SPECTRUM_PLOTS = {
+  Sa: { name: 'Pseudo-acceleration Sa', label: 'Sa (g)', convert: (value) => value / GRAVITY },
+  Sv: { name: 'Pseudo-velocity Sv', label: 'Sv (cm/s)', convert: (value) => value * 100 },
+  Sd: { name: 'Displacement Sd', label: 'Sd (cm)', convert: (value) => value * 100 },
+  tripartite: { name: 'Tripartite (log-log)', label: 'Sv (cm/s)', convert: (value) => value * 100 }
+};
+
+const DESIGN_STYLE = { color: '#000000', dash: [12, 4], lineWidth: 3 };
+
+/**
+ * Response Spectrum Panel Component
+ * Sweeps SDOF oscillators over a log-spaced period range for the supplied ground motion.
+ * An ASCE 7 design spectrum (designSpectrumParameters output) may be overlaid on Sa plots.
+ */
+export function ResponseSpectrumPanel({ excitation, designSpectrum = null, className = '' }) {
+  const canvasRef = useRef(null);
+  const [plotType, setPlotType] = useState('Sa');
+  const [settings, setSettings] = useState({
+    minPeriod: 0.05,
+    maxPeriod: 4.0,
+    count: 60
+  });
+  const [dampingRatios, setDampingRatios] = useState([0.05]);
+  const [showDesign, setShowDesign] = useState(true);
+
+  const spectra = useMemo(() => {
+    if (!excitation || dampingRatios.length === 0) return [];
+    return computeResponseSpectrum(excitation, {
+      periods: logSpacedPeriods(settings.minPeriod, settings.maxPeriod, settings.count),
+      dampingRatios
+    });
+  }, [excitation, settings, dampingRatios]);
+
+  // Draw the selected spectrum
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const plot = SPECTRUM_PLOTS[plotType];
+    const key = plotType === 'tripartite' ? 'Sv' : plotType;
+    const isLog = plotType === 'tripartite';
+    const yData = spectra.map(spectrum => Array.from(spectrum[key], plot.convert));
+
+    // Design spectrum overlay is expressed in g, or converted to Sv for the tripartite plot
+    let design = null;
+    if (designSpectrum && showDesign && (plotType === 'Sa' || isLog)) {
+      const curve = designSpectrumCurve(designSpectrum, settings.maxPeriod);
+      design = {
+        periods: curve.periods,
+        values: isLog
+          ? curve.Sa.map((sa, i) => sa * GRAVITY * 100 * curve.periods[i] / (2 * Math.PI))
+          : curve.Sa
+      };
+    }
+
+    if (spectra.length === 0 && !design) return;
+
+    const periodData = spectra.length > 0 ? spectra[0].periods : [settings.minPeriod, settings.maxPeriod];
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = isLog
+      ? { ...niceAxisRange([periodData], { log: true }), log: true, label: 'Period T (s)' }
+      : { min: 0, max: settings.maxPeriod, label: 'Period T (s)' };
+    const yAxis = { ...niceAxisRange(design ? [...yData, design.values] : yData, { log: isLog }), log: isLog, label: plot.label };
+
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    if (isLog) {
+      drawTripartiteGrid(ctx, area, xAxis, yAxis);
+    }
+
+    spectra.forEach((spectrum, i) => {
+      plotSeries(ctx, area, xAxis, yAxis, spectrum.periods, yData[i], SERIES_STYLES[i % SERIES_STYLES.length]);
+    });
+
+    const legend = spectra.map((spectrum, i) => ({
+      label: `ζ = ${(spectrum.dampingRatio * 100).toFixed(0)}%`,
+      ...SERIES_STYLES[i % SERIES_STYLES.length]
+    }));
+
+    if (design) {
+      plotSeries(ctx, area, xAxis, yAxis, design.periods, design.values, DESIGN_STYLE);
+      legend.push({ label: `ASCE 7 (SDC ${designSpectrum.sdc})`, ...DESIGN_STYLE });
+    }
+
+    drawLegend(ctx, area, legend);
+  }, [spectra, plotType, settings.minPeriod, settings.maxPeriod, designSpectrum, showDesign]);
+
+  const toggleDamping = (ratio) => {
+    setDampingRatios(prev => prev.includes(ratio)
+      ? prev.filter(value => value !== ratio)
+      : [...prev, ratio].sort((a, b) => a - b));
+  };
+
+  const updateSetting = (key, value) => {
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue <= 0) return;
+    setSettings(prev => {
+      const next = { ...prev, [key]: key === 'count' ? Math.max(2, Math.round(numValue)) : numValue };
+      return next.minPeriod < next.maxPeriod ? next : prev;
+    });
+  };
+
+  // Peak pseudo-acceleration of the first (lowest damping) spectrum
+  const peak = spectra.length > 0
+    ? spectra[0].Sa.reduce((best, value, i) => value > best.value ? { value, period: spectra[0].periods[i] } : best, { value: 0, period: 0 })
+    : null;
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={400}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">PLOT</label>
+          <select
+            value={plotType}
+            onChange={(e) => setPlotType(e.target.value)}
+            className="input-scientific w-full"
+          >
+            {Object.entries(SPECTRUM_PLOTS).map(([key, plot]) => (
+              <option key={key} value={key}>{plot.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">T MIN (s)</label>
+          <input
+            type="number"
+            value={settings.minPeriod}
+            onChange={(e) => updateSetting('minPeriod', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.01"
+            step="0.01"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">T MAX (s)</label>
+          <input
+            type="number"
+            value={settings.maxPeriod}
+            onChange={(e) => updateSetting('maxPeriod', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="0.1"
+            step="0.1"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">PERIODS</label>
+          <input
+            type="number"
+            value={settings.count}
+            onChange={(e) => updateSetting('count', e.target.value)}
+            className="input-scientific w-full text-tabular"
+            min="2"
+            max="200"
+            step="10"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mt-3 text-xs">
+        <span className="text-data-label">DAMPING:</span>
+        {SPECTRUM_DAMPING_RATIOS.map(ratio => (
+          <label key={ratio} className="flex items-center gap-1 text-data-label">
+            <input
+              type="checkbox"
+              checked={dampingRatios.includes(ratio)}
+              onChange={() => toggleDamping(ratio)}
+              className="border border-mono-black"
+            />
+            {(ratio * 100).toFixed(0)}%
+          </label>
+        ))}
+        {designSpectrum && (
+          <label className="flex items-center gap-1 text-data-label ml-auto">
+            <input
+              type="checkbox"
+              checked={showDesign}
+              onChange={(e) => setShowDesign(e.target.checked)}
+              className="border border-mono-black"
+            />
+            ASCE 7 OVERLAY
+          </label>
+        )}
+      </div>
+
+      {peak && (
+        <div className="flex justify-between border-b border-mono-300 pb-1 mt-3 text-xs">
+          <span className="text-data-label">PEAK Sa (ζ = {(spectra[0].dampingRatio * 100).toFixed(0)}%):</span>
+          <span className="text-data-value">{(peak.value / GRAVITY).toFixed(3)} g at T = {peak.period.toFixed(2)} s</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Diagonal lines of constant Sd (slope −1) and constant Sa (slope +1) on a log Sv–T plot
+ */
+function drawTripartiteGrid(ctx, area, xAxis, yAxis) {
+  const periods = [xAxis.min, xAxis.max];
+  const decadeRange = (min, max) => {
+    const values = [];
+    for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent++) {
+      values.push(Math.pow(10, exponent));
+    }
+    return values;
+  };
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.left, area.top, area.width, area.height);
+  ctx.clip();
+  ctx.strokeStyle = '#a3a3a3';
+  ctx.fillStyle = '#737373';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.font = '9px monospace';
+
+  // Sv (cm/s) = 2π·Sd (cm) / T
+  const sdRange = decadeRange(yAxis.min * xAxis.min / (2 * Math.PI), yAxis.max * xAxis.max / (2 * Math.PI));
+  sdRange.forEach(sd => {
+    const points = periods.map(T => ({ x: toCanvasX(area, xAxis, T), y: toCanvasY(area, yAxis, 2 * Math.PI * sd / T) }));
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    ctx.lineTo(points[1].x, points[1].y);
+    ctx.stroke();
+    labelDiagonal(ctx, area, xAxis, yAxis, (T) => 2 * Math.PI * sd / T, `${sd} cm`);
+  });
+
+  // Sv (cm/s) = Sa (g)·g·100·T / 2π
+  const toSv = (sa, T) => sa * GRAVITY * 100 * T / (2 * Math.PI);
+  const saRange = decadeRange(yAxis.min * 2 * Math.PI / (GRAVITY * 100 * xAxis.max), yAxis.max * 2 * Math.PI / (GRAVITY * 100 * xAxis.min));
+  saRange.forEach(sa => {
+    const points = periods.map(T => ({ x: toCanvasX(area, xAxis, T), y: toCanvasY(area, yAxis, toSv(sa, T)) }));
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    ctx.lineTo(points[1].x, points[1].y);
+    ctx.stroke();
+    labelDiagonal(ctx, area, xAxis, yAxis, (T) => toSv(sa, T), `${sa} g`);
+  });
+
+  ctx.restore();
+}
+
+function labelDiagonal(ctx, area, xAxis, yAxis, svAt, text) {
+  // Place the label at the first sampled period where the line is inside the plot
+  for (let i = 1; i < 20; i++) {
+    const T = xAxis.min * Math.pow(xAxis.max / xAxis.min, i / 20);
+    const sv = svAt(T);
+    if (sv > yAxis.min * 1.5 && sv < yAxis.max / 1.5) {
+      ctx.fillText(text, toCanvasX(area, xAxis, T) + 2, toCanvasY(area, yAxis, sv) - 2);
+      return;
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import React from 'react';
+
+/**
+ * Shear Building Editor Component
+ * Per-story mass, stiffness and height table (stories listed from the roof down)
+ */
+export function ShearBuildingEditor({ stories, onChange, maxStories = 20, className = '' }) {
+  const updateStory = (index, key, value) => {
+    const numValue = parseFloat(value);
+    if (isNaN(numValue) || numValue <= 0) return;
+    onChange(stories.map((story, i) => (i === index ? { ...story, [key]: numValue } : story)));
+  };
+
+  const addStory = () => {
+    if (stories.length >= maxStories) return;
+    onChange([...stories, { ...stories[stories.length - 1] }]);
+  };
+
+  const removeStory = () => {
+    if (stories.length <= 1) return;
+    onChange(stories.slice(0, -1));
+  };
+
+  // Display from the roof down, as on a building section
+  const rows = stories.map((story, index) => ({ story, index })).reverse();
+
+  return (
+    <div className={className}>
+      <table className="w-full text-xs text-tabular">
+        <thead>
+          <tr className="border-b-2 border-mono-black">
+            <th className="text-data-label text-left py-1">LEVEL</th>
+            <th className="text-data-label text-left py-1">m (t)</th>
+            <th className="text-data-label text-left py-1">k (MN/m)</th>
+            <th className="text-data-label text-left py-1">h (m)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ story, index }) => (
+            <tr key={index} className="border-b border-mono-300">
+              <td className="text-data-value py-1">{index + 1}</td>
+              <td className="py-1 pr-1">
+                <input
+                  type="number"
+                  value={story.mass / 1000}
+                  onChange={(e) => updateStory(index, 'mass', parseFloat(e.target.value) * 1000)}
+                  className="input-scientific w-full text-tabular px-1 py-1"
+                  min="1"
+                  step="5"
+                />
+              </td>
+              <td className="py-1 pr-1">
+                <input
+                  type="number"
+                  value={story.stiffness / 1e6}
+                  onChange={(e) => updateStory(index, 'stiffness', parseFloat(e.target.value) * 1e6)}
+                  className="input-scientific w-full text-tabular px-1 py-1"
+                  min="1"
+                  step="5"
+                />
+              </td>
+              <td className="py-1">
+                <input
+                  type="number"
+                  value={story.height}
+                  onChange={(e) => updateStory(index, 'height', e.target.value)}
+                  className="input-scientific w-full text-tabular px-1 py-1"
+                  min="2"
+                  step="0.5"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex gap-2 mt-3 text-xs">
+        <button
+          onClick={addStory}
+          disabled={stories.length >= maxStories}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          + STORY
+        </button>
+        <button
+          onClick={removeStory}
+          disabled={stories.length <= 1}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          − STORY
+        </button>
+      </div>
+    </div>
+  );
+}
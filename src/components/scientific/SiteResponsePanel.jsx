@@ -0,0 +1,524 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  SOIL_CURVE_MODELS,
+  INPUT_MOTIONS,
+  SOIL_COLUMN_PRESETS,
+  DEFAULT_SOIL_COLUMN,
+  DEFAULT_SITE_ANALYSIS,
+  analyzeSiteResponse,
+  amplificationFunction,
+  soilCurve
+} from '../../utils/siteResponse';
+import { DEFAULT_SYNTHETIC_MOTION, generateSyntheticMotion } from '../../utils/syntheticGroundMotion';
+import { GRAVITY } from '../../utils/groundMotion';
+import { logSpace } from '../../utils/linearAlgebra';
+import { GroundMotionImporter } from './GroundMotionImporter';
+import {
+  SERIES_STYLES,
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend,
+  stepProfile,
+  toCanvasX,
+  toCanvasY
+} from '../../utils/chartPlotting';
+
+/**
+ * Quantities plotted against depth; sublayer values are constant over each sublayer
+ */
+const PROFILES = {
+  maxStrain: { name: 'Peak shear strain', label: 'PEAK SHEAR STRAIN γmax (%)', value: sublayer => sublayer.maxStrain * 100 },
+  maxStress: { name: 'Peak shear stress', label: 'PEAK SHEAR STRESS τmax (kPa)', value: sublayer => sublayer.maxStress },
+  peakAcceleration: { name: 'Peak acceleration', label: 'PEAK ACCELERATION (g)', value: sublayer => sublayer.peakAcceleration / GRAVITY },
+  modulusRatio: { name: 'G/Gmax', label: 'MODULUS RATIO G/Gmax', value: sublayer => sublayer.modulusRatio },
+  dampingRatio: { name: 'Damping ratio', label: 'DAMPING RATIO ξ (%)', value: sublayer => sublayer.dampingRatio * 100 },
+  vs: { name: 'Shear wave velocity', label: 'SHEAR WAVE VELOCITY Vs (m/s)', value: sublayer => sublayer.vs }
+};
+
+const INPUT_STYLE = { color: '#a3a3a3', dash: [], lineWidth: 1 };
+const SURFACE_STYLE = { color: '#000000', dash: [], lineWidth: 1 };
+const LINEAR_STYLE = { color: '#737373', dash: [6, 3] };
+const EQUIVALENT_STYLE = { color: '#000000', dash: [], lineWidth: 2 };
+const SMALL_STRAIN_STYLE = { color: '#737373', dash: [6, 3] };
+
+// Frequencies of the amplification function (Hz) and strains of the soil curves (decimal)
+const FREQUENCIES = logSpace(0.1, 25, 300);
+const STRAINS = logSpace(1e-6, 1e-1, 80);
+
+// Layer properties that must be positive; PI may be zero
+const POSITIVE_PROPERTIES = ['thickness', 'unitWeight', 'vs', 'ocr'];
+const MAX_LAYERS = 12;
+
+/**
+ * Site Response Panel Component
+ * Layered soil column over elastic bedrock, SHAKE-style equivalent-linear analysis of an input rock motion:
+ * surface motion, amplification function and strain, stress and property profiles with depth
+ */
+export function SiteResponsePanel({ pga, soilType, waterTableDepth, onAmplificationChange, className = '' }) {
+  const motionCanvasRef = useRef(null);
+  const amplificationCanvasRef = useRef(null);
+  const profileCanvasRef = useRef(null);
+  const curveCanvasRef = useRef(null);
+  const [column, setColumn] = useState(SOIL_COLUMN_PRESETS[soilType] || DEFAULT_SOIL_COLUMN);
+  const [settings, setSettings] = useState(DEFAULT_SITE_ANALYSIS);
+  const [source, setSource] = useState('synthetic');
+  const [importedRecord, setImportedRecord] = useState(null);
+  const [profile, setProfile] = useState('maxStrain');
+
+  // Selecting a soil type in the foundation model loads its column
+  useEffect(() => {
+    if (SOIL_COLUMN_PRESETS[soilType]) setColumn(SOIL_COLUMN_PRESETS[soilType]);
+  }, [soilType]);
+
+  const synthetic = useMemo(() => generateSyntheticMotion(DEFAULT_SYNTHETIC_MOTION), []);
+
+  // Input rock motion, scaled to the seismic acceleration of the foundation model
+  const motion = useMemo(() => {
+    const record = source === 'record' && importedRecord ? importedRecord : synthetic;
+    const peak = record.values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    const scale = peak > 0 ? (pga * GRAVITY) / peak : 0;
+    return { name: record.name, dt: record.dt, values: record.values.map(value => value * scale) };
+  }, [source, importedRecord, synthetic, pga]);
+
+  const { analysis, error } = useMemo(() => {
+    try {
+      return {
+        analysis: analyzeSiteResponse({ ...column, waterTableDepth }, motion, settings),
+        error: null
+      };
+    } catch (analysisError) {
+      return { analysis: null, error: analysisError.message };
+    }
+  }, [column, waterTableDepth, motion, settings]);
+
+  const amplification = useMemo(() => {
+    if (!analysis) return null;
+    const peakOf = values => values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    const columnAt = { ...column, waterTableDepth };
+    return {
+      pga: peakOf(analysis.surface) / peakOf(analysis.input),
+      linear: amplificationFunction(analysis.sublayers, analysis.linearState, columnAt, FREQUENCIES, settings.inputMotion),
+      equivalent: amplificationFunction(analysis.sublayers, analysis.state, columnAt, FREQUENCIES, settings.inputMotion)
+    };
+  }, [analysis, column, waterTableDepth, settings.inputMotion]);
+
+  useEffect(() => {
+    if (onAmplificationChange) onAmplificationChange(amplification ? amplification.pga : null);
+  }, [amplification, onAmplificationChange]);
+
+  // Input and surface acceleration
+  useEffect(() => {
+    const canvas = motionCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const toG = values => Array.from(values, value => value / GRAVITY);
+    const series = [
+      { label: `Input (${INPUT_MOTIONS[settings.inputMotion].name.toLowerCase()})`, values: toG(analysis.input), ...INPUT_STYLE },
+      { label: 'Ground surface', values: toG(analysis.surface), ...SURFACE_STYLE }
+    ];
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: analysis.time[analysis.time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange(series.map(entry => entry.values), { symmetric: true }),
+      label: 'ACCELERATION (g)',
+      precision: 2
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, analysis.time, entry.values, entry));
+    drawLegend(ctx, area, series);
+  }, [analysis, settings.inputMotion]);
+
+  // |surface / input| with small-strain and strain-compatible properties
+  useEffect(() => {
+    const canvas = amplificationCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const series = [
+      { label: 'Small strain (linear)', values: amplification.linear, ...LINEAR_STYLE },
+      { label: 'Equivalent linear', values: amplification.equivalent, ...EQUIVALENT_STYLE }
+    ];
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: FREQUENCIES[0], max: FREQUENCIES[FREQUENCIES.length - 1], log: true, label: 'FREQUENCY f (Hz)', precision: 1 };
+    const yAxis = {
+      ...niceAxisRange(series.map(entry => entry.values), { includeZero: true }),
+      label: 'AMPLIFICATION |H(f)|',
+      precision: 1
+    };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, FREQUENCIES, entry.values, entry));
+    drawLegend(ctx, area, series);
+  }, [analysis, amplification]);
+
+  // Profile with depth, drawn downward from the surface
+  useEffect(() => {
+    const canvas = profileCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const { sublayers } = analysis;
+    const bottom = sublayers[sublayers.length - 1].top + sublayers[sublayers.length - 1].thickness;
+    const plot = PROFILES[profile];
+    let values;
+    let positions;
+    if (profile === 'peakAcceleration') {
+      // Peak accelerations belong to the sublayer tops and the top of the bedrock
+      values = [...sublayers.map(plot.value), analysis.rockPeakAcceleration / GRAVITY];
+      positions = [...sublayers.map(sublayer => -sublayer.top), -bottom];
+    } else {
+      const steps = stepProfile(sublayers.map(plot.value), [...sublayers.map(sublayer => -sublayer.top), -bottom]);
+      values = steps.values;
+      positions = steps.positions;
+    }
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { ...niceAxisRange([values], { includeZero: true }), label: plot.label, precision: 2 };
+    const yAxis = { ...niceAxisRange([[-bottom, 0]], { includeZero: true }), label: 'ELEVATION FROM SURFACE (m)', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    // Layer boundaries
+    let depth = 0;
+    column.layers.forEach(layer => {
+      depth += layer.thickness;
+      plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [-depth, -depth], { color: '#a3a3a3', dash: [4, 4], lineWidth: 1 });
+    });
+    if (waterTableDepth < bottom) {
+      plotSeries(ctx, area, xAxis, yAxis, [xAxis.min, xAxis.max], [-waterTableDepth, -waterTableDepth], { color: '#525252', dash: [2, 2], lineWidth: 1 });
+      ctx.fillStyle = '#525252';
+      ctx.font = '10px monospace';
+      ctx.fillText('▽ WATER TABLE', toCanvasX(area, xAxis, xAxis.max) - 95, toCanvasY(area, yAxis, -waterTableDepth) - 4);
+    }
+
+    plotSeries(ctx, area, xAxis, yAxis, values, positions, { color: '#000000', dash: [], lineWidth: 2 });
+    if (profile === 'modulusRatio' || profile === 'dampingRatio' || profile === 'vs') {
+      const initial = analysis.linearState.map((state, s) => (profile === 'modulusRatio' ? state.modulusRatio
+        : profile === 'dampingRatio' ? state.dampingRatio * 100
+        : sublayers[s].vsMax * Math.sqrt(state.modulusRatio)));
+      const steps = stepProfile(initial, [...sublayers.map(sublayer => -sublayer.top), -bottom]);
+      plotSeries(ctx, area, xAxis, yAxis, steps.values, steps.positions, SMALL_STRAIN_STYLE);
+      drawLegend(ctx, area, [
+        { label: 'Strain-compatible', color: '#000000', dash: [], lineWidth: 2 },
+        { label: 'Small strain', ...SMALL_STRAIN_STYLE }
+      ]);
+    }
+  }, [analysis, profile, column.layers, waterTableDepth]);
+
+  // Modulus reduction and damping curves of every layer at its mid-depth confinement, with the converged strains
+  useEffect(() => {
+    const canvas = curveCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!analysis) return;
+
+    const percent = Array.from(STRAINS, strain => strain * 100);
+    const half = canvas.width / 2;
+    const xAxis = { min: percent[0], max: percent[percent.length - 1], log: true, label: 'SHEAR STRAIN γ (%)', precision: 4 };
+    const panels = [
+      { area: createChartArea(half, canvas.height), yAxis: { min: 0, max: 1, label: 'G/Gmax', precision: 1 }, key: 'modulusRatio', scale: 1 },
+      // The shared y-label position of drawChartAxes is taken by the left panel: the right one is labelled below
+      { area: createChartArea(canvas.width, canvas.height, { left: half + 65 }), yAxis: { min: 0, max: 30, label: '', precision: 0 }, key: 'dampingRatio', scale: 100 }
+    ];
+
+    const legend = [];
+    panels.forEach(({ area, yAxis, key, scale }) => {
+      drawChartAxes(ctx, area, xAxis, yAxis);
+      column.layers.forEach((layer, l) => {
+        const sublayers = analysis.sublayers.filter(sublayer => sublayer.layer === l);
+        const meanStress = sublayers[Math.floor(sublayers.length / 2)].meanStress;
+        const style = { ...SERIES_STYLES[l % SERIES_STYLES.length], lineWidth: 1.5 };
+        plotSeries(ctx, area, xAxis, yAxis, percent, STRAINS.map(strain => soilCurve(layer, strain, meanStress)[key] * scale), style);
+        if (key === 'modulusRatio') legend.push({ label: `Layer ${l + 1}`, ...style });
+
+        ctx.fillStyle = '#000000';
+        sublayers.forEach(sublayer => {
+          const strain = sublayer.effectiveStrain * 100;
+          if (strain < xAxis.min || strain > xAxis.max) return;
+          ctx.fillRect(toCanvasX(area, xAxis, strain) - 2, toCanvasY(area, yAxis, sublayer[key] * scale) - 2, 4, 4);
+        });
+      });
+    });
+    ctx.save();
+    ctx.font = '10px monospace';
+    ctx.fillStyle = '#000000';
+    ctx.translate(half + 14, panels[1].area.top + panels[1].area.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('DAMPING RATIO ξ (%)', 0, 0);
+    ctx.restore();
+    drawLegend(ctx, panels[0].area, legend.slice(0, 5), { corner: 'topRight' });
+  }, [analysis, column.layers]);
+
+  const updateLayer = (index, key, value) => {
+    const numValue = parseFloat(value);
+    const valid = POSITIVE_PROPERTIES.includes(key) ? numValue > 0 : numValue >= 0;
+    if (isNaN(numValue) || !valid) return;
+    setColumn(prev => ({
+      ...prev,
+      layers: prev.layers.map((layer, i) => (i === index ? { ...layer, [key]: numValue } : layer))
+    }));
+  };
+
+  const setLayerCurve = (index, curve) => {
+    setColumn(prev => ({
+      ...prev,
+      layers: prev.layers.map((layer, i) => (i === index ? { ...layer, curve } : layer))
+    }));
+  };
+
+  const updateBedrock = (key, value, scale = 1) => {
+    const numValue = parseFloat(value) / scale;
+    const valid = key === 'dampingRatio' ? numValue >= 0 && numValue < 1 : numValue > 0;
+    if (isNaN(numValue) || !valid) return;
+    setColumn(prev => ({ ...prev, bedrock: { ...prev.bedrock, [key]: numValue } }));
+  };
+
+  const addLayer = () => {
+    if (column.layers.length >= MAX_LAYERS) return;
+    setColumn(prev => ({ ...prev, layers: [...prev.layers, { ...prev.layers[prev.layers.length - 1] }] }));
+  };
+
+  const removeLayer = () => {
+    if (column.layers.length <= 1) return;
+    setColumn(prev => ({ ...prev, layers: prev.layers.slice(0, -1) }));
+  };
+
+  const cellInput = (value, onValueChange, step) => (
+    <input
+      type="number"
+      value={value}
+      onChange={(e) => onValueChange(e.target.value)}
+      className="input-scientific w-full text-tabular px-1 py-1"
+      min="0"
+      step={step}
+    />
+  );
+
+  const deepest = analysis
+    ? analysis.sublayers.reduce((worst, sublayer) => (sublayer.maxStrain > worst.maxStrain ? sublayer : worst))
+    : null;
+  const peakOf = values => values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const summary = analysis ? [
+    ['INPUT MOTION', `${motion.name}, PGA ${pga.toFixed(2)} g (${INPUT_MOTIONS[settings.inputMotion].name.toLowerCase()})`],
+    ['ITERATIONS', `${analysis.iterations}${analysis.converged ? ' (converged)' : ` (not converged, last change ${(analysis.changes[analysis.changes.length - 1] * 100).toFixed(1)}%)`}`],
+    ['PEAK SURFACE ACCELERATION', `${(peakOf(analysis.surface) / GRAVITY).toFixed(3)} g`],
+    ['PGA AMPLIFICATION (SURFACE / INPUT)', amplification.pga.toFixed(2)],
+    ['SITE PERIOD 4·Σh/Vs (SMALL STRAIN → COMPATIBLE)', `${analysis.sitePeriod.smallStrain.toFixed(3)} → ${analysis.sitePeriod.strainCompatible.toFixed(3)} s`],
+    ['LARGEST STRAIN', `${(deepest.maxStrain * 100).toFixed(4)}% at ${deepest.depth.toFixed(1)} m (G/Gmax = ${deepest.modulusRatio.toFixed(2)}, ξ = ${(deepest.dampingRatio * 100).toFixed(1)}%)`]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <canvas
+          ref={motionCanvasRef}
+          width={600}
+          height={260}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={amplificationCanvasRef}
+          width={600}
+          height={260}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={profileCanvasRef}
+          width={600}
+          height={360}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={curveCanvasRef}
+          width={600}
+          height={360}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      <div className="flex items-center gap-3 mt-4 text-xs">
+        <label className="text-data-label">PROFILE</label>
+        <select
+          value={profile}
+          onChange={(e) => setProfile(e.target.value)}
+          className="input-scientific"
+        >
+          {Object.entries(PROFILES).map(([key, entry]) => (
+            <option key={key} value={key}>{entry.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <table className="w-full text-xs text-tabular mt-4">
+        <thead>
+          <tr className="border-b-2 border-mono-black">
+            <th className="text-data-label text-left py-1">LAYER</th>
+            <th className="text-data-label text-left py-1">h (m)</th>
+            <th className="text-data-label text-left py-1">γ (kN/m³)</th>
+            <th className="text-data-label text-left py-1">Vs (m/s)</th>
+            <th className="text-data-label text-left py-1">CURVES</th>
+            <th className="text-data-label text-left py-1">PI (%)</th>
+            <th className="text-data-label text-left py-1">OCR</th>
+          </tr>
+        </thead>
+        <tbody>
+          {column.layers.map((layer, index) => (
+            <tr key={index} className="border-b border-mono-300">
+              <td className="text-data-value py-1">{index + 1}</td>
+              <td className="py-1 pr-1">{cellInput(layer.thickness, value => updateLayer(index, 'thickness', value), '1')}</td>
+              <td className="py-1 pr-1">{cellInput(layer.unitWeight, value => updateLayer(index, 'unitWeight', value), '0.5')}</td>
+              <td className="py-1 pr-1">{cellInput(layer.vs, value => updateLayer(index, 'vs', value), '10')}</td>
+              <td className="py-1 pr-1">
+                <select
+                  value={layer.curve}
+                  onChange={(e) => setLayerCurve(index, e.target.value)}
+                  className="input-scientific w-full px-1 py-1"
+                >
+                  {Object.entries(SOIL_CURVE_MODELS).map(([key, model]) => (
+                    <option key={key} value={key}>{model.name}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1 pr-1">{cellInput(layer.plasticityIndex, value => updateLayer(index, 'plasticityIndex', value), '5')}</td>
+              <td className="py-1">{cellInput(layer.ocr, value => updateLayer(index, 'ocr', value), '0.5')}</td>
+            </tr>
+          ))}
+          <tr className="border-b border-mono-300">
+            <td className="text-data-value py-1">ROCK</td>
+            <td className="py-1 pr-1 text-data-label">∞</td>
+            <td className="py-1 pr-1">{cellInput(column.bedrock.unitWeight, value => updateBedrock('unitWeight', value), '0.5')}</td>
+            <td className="py-1 pr-1">{cellInput(column.bedrock.vs, value => updateBedrock('vs', value), '50')}</td>
+            <td className="py-1 pr-1 text-data-label">ξ (%)</td>
+            <td className="py-1 pr-1">{cellInput(+(column.bedrock.dampingRatio * 100).toFixed(3), value => updateBedrock('dampingRatio', value, 100), '0.5')}</td>
+            <td className="py-1" />
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="flex gap-2 mt-3 text-xs">
+        <button
+          onClick={addLayer}
+          disabled={column.layers.length >= MAX_LAYERS}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          + LAYER
+        </button>
+        <button
+          onClick={removeLayer}
+          disabled={column.layers.length <= 1}
+          className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+        >
+          − LAYER
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <div>
+          <label className="text-data-label block mb-1">INPUT RECORD</label>
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            className="input-scientific w-full"
+          >
+            <option value="synthetic">Synthetic (Clough-Penzien)</option>
+            <option value="record">Imported record</option>
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">RECORDED AT</label>
+          <select
+            value={settings.inputMotion}
+            onChange={(e) => setSettings(prev => ({ ...prev, inputMotion: e.target.value }))}
+            className="input-scientific w-full"
+          >
+            {Object.entries(INPUT_MOTIONS).map(([key, entry]) => (
+              <option key={key} value={key}>{entry.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">STRAIN RATIO Rγ</label>
+          <input
+            type="number"
+            value={settings.effectiveStrainRatio}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (value > 0 && value <= 1) setSettings(prev => ({ ...prev, effectiveStrainRatio: value }));
+            }}
+            className="input-scientific w-full text-tabular"
+            min="0.05"
+            max="1"
+            step="0.05"
+          />
+        </div>
+        <div>
+          <label className="text-data-label block mb-1">MAX SUBLAYER (m)</label>
+          <input
+            type="number"
+            value={settings.maxSublayerThickness}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (value > 0) setSettings(prev => ({ ...prev, maxSublayerThickness: value }));
+            }}
+            className="input-scientific w-full text-tabular"
+            min="0.5"
+            step="0.5"
+          />
+        </div>
+      </div>
+      <GroundMotionImporter
+        onRecordLoaded={setImportedRecord}
+        className={`mt-4 ${source === 'record' ? '' : 'hidden'}`}
+      />
+      <p className="text-methodology mt-2">{INPUT_MOTIONS[settings.inputMotion].description}.</p>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+      {source === 'record' && !importedRecord && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ No record loaded: the synthetic motion is used.</p>
+      )}
+
+      {analysis && (
+        <div className="space-y-2 text-xs mt-4">
+          {summary.map(([label, value]) => (
+            <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+              <span className="text-data-label">{label}:</span>
+              <span className="text-data-value">{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-methodology mt-3">
+        Vertically propagating shear waves are solved exactly in each sublayer for every frequency of the input
+        (SHAKE). Each sublayer takes the secant modulus and damping of its curve at the effective strain Rγ·γmax, the
+        column is solved again, and the iteration stops when G and ξ change by less than
+        {' '}{(settings.tolerance * 100).toFixed(0)}%. The curves are evaluated at the mean effective stress
+        σ'm = σ'v·(1 + 2K0)/3 at mid-sublayer, below the water table. Strong shaking softens the column: the
+        resonances shift to lower frequencies and the added damping flattens them, so large input motions are
+        amplified less than a linear analysis predicts. Stresses are the secant G·γmax. {SOIL_CURVE_MODELS.darendeli.name}:
+        {' '}{SOIL_CURVE_MODELS.darendeli.description}. {SOIL_CURVE_MODELS.ishibashiZhang.name}:
+        {' '}{SOIL_CURVE_MODELS.ishibashiZhang.description}.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { STRUCTURAL_SYSTEMS, APPROXIMATE_PERIOD_PARAMETERS } from '../../constants/asce7';
+
+/**
+ * Structural System Table Component
+ * Selectable ASCE 7 Table 12.2-1 seismic force-resisting systems with R, Ω0 and Cd
+ */
+export function StructuralSystemTable({ system, onChange, className = '' }) {
+  const selected = STRUCTURAL_SYSTEMS[system];
+
+  return (
+    <div className={className}>
+      <table className="w-full text-xs text-tabular">
+        <thead>
+          <tr className="border-b-2 border-mono-black">
+            <th className="text-data-label text-left py-1">SYSTEM</th>
+            <th className="text-data-label text-right py-1">R</th>
+            <th className="text-data-label text-right py-1">Ω0</th>
+            <th className="text-data-label text-right py-1">Cd</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(STRUCTURAL_SYSTEMS).map(([key, entry]) => (
+            <tr
+              key={key}
+              onClick={() => onChange(key)}
+              className={`border-b border-mono-300 cursor-pointer ${key === system ? 'bg-mono-black text-mono-white' : ''}`}
+            >
+              <td className="py-1 pr-2">{entry.name}</td>
+              <td className="text-right py-1">{entry.R}</td>
+              <td className="text-right py-1">{entry.omega0}</td>
+              <td className="text-right py-1">{entry.Cd}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected && (
+        <p className="text-methodology mt-2">
+          Ta parameters: {APPROXIMATE_PERIOD_PARAMETERS[selected.periodType].name} (Table 12.8-2)
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FORMULAS } from '../../constants/engineering';
+import {
+  DEFAULT_DEVICES,
+  denHartogTuning,
+  tmdFrequencyResponse,
+  addedDampingRatio,
+  compareSupplementalDamping
+} from '../../utils/supplementalDamping';
+import { GRAVITY } from '../../utils/groundMotion';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries,
+  drawLegend
+} from '../../utils/chartPlotting';
+
+const BARE_STYLE = { color: '#a3a3a3', dash: [] };
+const CONTROLLED_STYLE = { color: '#000000', dash: [] };
+const DAMPER_STYLE = { color: '#525252', dash: [6, 3] };
+
+// Frequency ratios r = ω/ω1 sampled for the response curves
+const FREQUENCY_RATIOS = Float64Array.from({ length: 401 }, (_, i) => 0.5 + i * 0.0025);
+
+/**
+ * Supplemental Damping Panel Component
+ * Roof tuned mass damper and story viscous dampers: split frequency response and time-history reduction
+ */
+export function SupplementalDampingPanel({ stories, excitation, damping, className = '' }) {
+  const responseCanvasRef = useRef(null);
+  const historyCanvasRef = useRef(null);
+  const [devices, setDevices] = useState(DEFAULT_DEVICES);
+
+  const { comparison, error } = useMemo(() => {
+    try {
+      return { comparison: compareSupplementalDamping(stories, devices, excitation, { damping }), error: null };
+    } catch (analysisError) {
+      return { comparison: null, error: analysisError.message };
+    }
+  }, [stories, devices, excitation, damping]);
+
+  // Inherent damping of the first mode, which the TMD and the dampers are compared against
+  const dampingRatio = comparison ? comparison.modalDampingRatios[0] : 0;
+
+  const optimal = denHartogTuning(devices.massRatio);
+  const linearDampers = devices.dampersEnabled && devices.damperExponent === 1;
+  const addedDamping = comparison && linearDampers ? addedDampingRatio(comparison.firstMode, devices.damperCoefficient) : 0;
+
+  // First-mode frequency response: bare structure, with the TMD, and with linear dampers
+  useEffect(() => {
+    const canvas = responseCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!comparison) return;
+
+    const totalDamping = dampingRatio + addedDamping;
+    const series = [{
+      label: `No devices ζ=${(dampingRatio * 100).toFixed(0)}%`,
+      values: FREQUENCY_RATIOS.map(r => FORMULAS.dynamicAmplification(r, dampingRatio)),
+      ...BARE_STYLE
+    }];
+    if (comparison.tmd) {
+      series.push({
+        label: `TMD μ=${devices.massRatio}`,
+        values: tmdFrequencyResponse(FREQUENCY_RATIOS, {
+          massRatio: devices.massRatio,
+          frequencyRatio: comparison.tmd.frequencyRatio,
+          dampingRatio: comparison.tmd.dampingRatio,
+          structuralDamping: totalDamping
+        }),
+        ...CONTROLLED_STYLE
+      });
+    }
+    if (linearDampers) {
+      series.push({
+        label: `Dampers ζ=${(totalDamping * 100).toFixed(0)}%`,
+        values: FREQUENCY_RATIOS.map(r => FORMULAS.dynamicAmplification(r, totalDamping)),
+        ...DAMPER_STYLE
+      });
+    }
+
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: FREQUENCY_RATIOS[0], max: FREQUENCY_RATIOS[FREQUENCY_RATIOS.length - 1], label: 'FREQUENCY RATIO r = ω/ω1', precision: 1 };
+    const yAxis = { ...niceAxisRange(series.map(entry => entry.values), { includeZero: true }), label: 'AMPLIFICATION |u|/ust', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+
+    if (comparison.tmd) {
+      const f = comparison.tmd.frequencyRatio;
+      plotSeries(ctx, area, xAxis, yAxis, [f, f], [yAxis.min, yAxis.max], { color: '#737373', dash: [2, 2], lineWidth: 1 });
+    }
+    series.forEach(entry => plotSeries(ctx, area, xAxis, yAxis, FREQUENCY_RATIOS, entry.values, entry));
+    drawLegend(ctx, area, series);
+  }, [comparison, devices.massRatio, dampingRatio, addedDamping, linearDampers]);
+
+  // Roof displacement history with and without devices
+  useEffect(() => {
+    const canvas = historyCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!comparison) return;
+
+    const { time } = comparison;
+    const bare = comparison.bare.roofDisplacement.map(value => value * 1000);
+    const controlled = comparison.controlled.roofDisplacement.map(value => value * 1000);
+    const area = createChartArea(canvas.width, canvas.height);
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 1 };
+    const yAxis = { ...niceAxisRange([bare, controlled], { symmetric: true }), label: 'ROOF DISPLACEMENT (mm)', precision: 0 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    plotSeries(ctx, area, xAxis, yAxis, time, bare, BARE_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, time, controlled, CONTROLLED_STYLE);
+    drawLegend(ctx, area, [
+      { label: 'Without devices', ...BARE_STYLE },
+      { label: 'With devices', ...CONTROLLED_STYLE }
+    ]);
+  }, [comparison]);
+
+  const updateDevice = (key, value) => {
+    const numValue = parseFloat(value);
+    if (key === 'damperExponent' && numValue > 1) return;
+    if (!isNaN(numValue) && numValue > 0) {
+      setDevices(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const toggleDevice = key => setDevices(prev => ({ ...prev, [key]: !prev[key] }));
+
+  const numberField = (key, label, step, { scale = 1, disabled = false, max } = {}) => (
+    <div>
+      <label className="text-data-label block mb-1">{label}</label>
+      <input
+        type="number"
+        value={devices[key] * scale}
+        onChange={(e) => updateDevice(key, parseFloat(e.target.value) / scale)}
+        disabled={disabled}
+        className="input-scientific w-full text-tabular disabled:bg-mono-200"
+        min="0"
+        max={max}
+        step={step}
+      />
+    </div>
+  );
+
+  const reduction = (bareValue, controlledValue) => `${((1 - controlledValue / bareValue) * 100).toFixed(0)}%`;
+  const peakOf = values => values.reduce((peak, value) => Math.max(peak, value), 0);
+
+  const summary = comparison ? [
+    ['FIRST MODE T1 / M1*', `${comparison.firstMode.period.toFixed(3)} s / ${(comparison.firstMode.generalizedMass / 1000).toFixed(1)} t`],
+    ['DEN HARTOG f_opt / ζd,opt', `${optimal.frequencyRatio.toFixed(3)} / ${(optimal.dampingRatio * 100).toFixed(1)}%`],
+    ...(comparison.tmd ? [
+      ['TMD md / kd / cd', `${(comparison.tmd.mass / 1000).toFixed(2)} t / ${(comparison.tmd.stiffness / 1000).toFixed(0)} kN/m / ${(comparison.tmd.damping / 1000).toFixed(1)} kN·s/m`],
+      ['TMD STROKE (PEAK)', `${(comparison.tmd.stroke * 1000).toFixed(1)} mm`]
+    ] : []),
+    ...(linearDampers ? [['ADDED DAMPING ζv (MODE 1)', `${(addedDamping * 100).toFixed(1)}%`]] : []),
+    ['PEAK ROOF DISPLACEMENT', `${(comparison.bare.peakRoofDisplacement * 1000).toFixed(1)} → ${(comparison.controlled.peakRoofDisplacement * 1000).toFixed(1)} mm (−${reduction(comparison.bare.peakRoofDisplacement, comparison.controlled.peakRoofDisplacement)})`],
+    ['PEAK DRIFT RATIO REDUCTION', reduction(
+      peakOf(comparison.bare.levels.map(level => level.driftRatio)),
+      peakOf(comparison.controlled.levels.map(level => level.driftRatio)))]
+  ] : [];
+
+  return (
+    <div className={className}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <canvas
+          ref={responseCanvasRef}
+          width={500}
+          height={320}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+        <canvas
+          ref={historyCanvasRef}
+          width={500}
+          height={320}
+          className="border-2 border-mono-black w-full bg-mono-white"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4 text-xs">
+        <label className="flex items-center gap-2 text-data-label col-span-2 md:col-span-4">
+          <input
+            type="checkbox"
+            checked={devices.tmdEnabled}
+            onChange={() => toggleDevice('tmdEnabled')}
+            className="border border-mono-black"
+          />
+          TUNED MASS DAMPER ON ROOF
+        </label>
+        {numberField('massRatio', 'MASS RATIO μ (%)', '0.5', { scale: 100, disabled: !devices.tmdEnabled })}
+        {numberField('frequencyRatio', 'TUNING f = ωd/ω1', '0.01', { disabled: !devices.tmdEnabled || devices.optimalTuning })}
+        {numberField('tmdDampingRatio', 'TMD ζd (%)', '0.5', { scale: 100, disabled: !devices.tmdEnabled || devices.optimalTuning })}
+        <label className="flex items-center gap-2 text-data-label">
+          <input
+            type="checkbox"
+            checked={devices.optimalTuning}
+            onChange={() => toggleDevice('optimalTuning')}
+            disabled={!devices.tmdEnabled}
+            className="border border-mono-black"
+          />
+          DEN HARTOG
+        </label>
+
+        <label className="flex items-center gap-2 text-data-label col-span-2 md:col-span-4 mt-2">
+          <input
+            type="checkbox"
+            checked={devices.dampersEnabled}
+            onChange={() => toggleDevice('dampersEnabled')}
+            className="border border-mono-black"
+          />
+          FLUID VISCOUS DAMPERS IN EVERY STORY
+        </label>
+        {numberField('damperCoefficient', 'C (kN·(s/m)^α)', '100', { scale: 1e-3, disabled: !devices.dampersEnabled })}
+        {numberField('damperExponent', 'EXPONENT α', '0.05', { disabled: !devices.dampersEnabled, max: 1 })}
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2 mt-4">⚠ {error}</p>
+      )}
+
+      {comparison && (
+        <>
+          <div className="space-y-2 text-xs mt-4">
+            {summary.map(([label, value]) => (
+              <div key={label} className="flex justify-between border-b border-mono-300 pb-1">
+                <span className="text-data-label">{label}:</span>
+                <span className="text-data-value">{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full text-xs text-tabular mt-4">
+            <thead>
+              <tr className="border-b-2 border-mono-black">
+                <th className="text-left py-1">LEVEL</th>
+                <th className="text-right">Δ/h BARE (%)</th>
+                <th className="text-right">Δ/h CONTROLLED (%)</th>
+                <th className="text-right">a BARE (g)</th>
+                <th className="text-right">a CONTROLLED (g)</th>
+                <th className="text-right">DAMPER F (kN)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.bare.levels.map((level, i) => {
+                const controlledLevel = comparison.controlled.levels[i];
+                return (
+                  <tr key={level.level} className="border-b border-mono-300">
+                    <td className="py-1">{level.level}</td>
+                    <td className="text-right">{(level.driftRatio * 100).toFixed(3)}</td>
+                    <td className="text-right">{(controlledLevel.driftRatio * 100).toFixed(3)}</td>
+                    <td className="text-right">{(level.floorAcceleration / GRAVITY).toFixed(3)}</td>
+                    <td className="text-right">{(controlledLevel.floorAcceleration / GRAVITY).toFixed(3)}</td>
+                    <td className="text-right">{devices.dampersEnabled ? (controlledLevel.damperForce / 1000).toFixed(1) : '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <p className="text-methodology mt-3">
+        A TMD tuned near the first mode splits the single resonant peak into two lower peaks on either side of
+        the tuning frequency; Den Hartog's f = 1/(1 + μ) and ζd = √(3μ / 8(1 + μ)³) make the two peaks equal.
+        Viscous dampers add damping to every mode instead (ζv = φᵀCφ / 2ω1M1* for α = 1); with α &lt; 1 the
+        damper force saturates at high velocity, limiting the force delivered to the frame.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  SPECTRAL_FILTERS,
+  ENVELOPES,
+  DEFAULT_SYNTHETIC_MOTION,
+  envelopeValue,
+  filterPowerSpectrum,
+  generateSyntheticMotion
+} from '../../utils/syntheticGroundMotion';
+import { GRAVITY } from '../../utils/groundMotion';
+import {
+  createChartArea,
+  niceAxisRange,
+  drawChartAxes,
+  plotSeries
+} from '../../utils/chartPlotting';
+
+const ENVELOPE_STYLE = { color: '#737373', dash: [4, 3], lineWidth: 1 };
+
+// Frequencies (Hz) sampled for the filter spectrum
+const SPECTRUM_FREQUENCIES = Float64Array.from({ length: 301 }, (_, i) => i * 0.05);
+
+/**
+ * Synthetic Motion Generator Component
+ * Seeded filtered white noise with spectral filter, envelope and intensity controls
+ */
+export function SyntheticMotionGenerator({ onRecordGenerated, className = '' }) {
+  const historyCanvasRef = useRef(null);
+  const spectrumCanvasRef = useRef(null);
+  const [settings, setSettings] = useState(DEFAULT_SYNTHETIC_MOTION);
+
+  const { record, error } = useMemo(() => {
+    try {
+      return { record: generateSyntheticMotion(settings), error: null };
+    } catch (generationError) {
+      return { record: null, error: generationError.message };
+    }
+  }, [settings]);
+
+  useEffect(() => {
+    onRecordGenerated(record);
+  }, [record, onRecordGenerated]);
+
+  // Accelerogram with the envelope scaled to the PGA
+  useEffect(() => {
+    const canvas = historyCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!record) return;
+
+    const time = record.values.map((_, i) => i * record.dt);
+    const values = record.values.map(value => value / GRAVITY);
+    const envelope = time.map(t => settings.pga * envelopeValue(settings.envelope, t, settings.duration));
+    const area = createChartArea(canvas.width, canvas.height, { right: 15, left: 50 });
+    const xAxis = { min: 0, max: time[time.length - 1], label: 'TIME t (s)', precision: 0 };
+    const yAxis = { ...niceAxisRange([values], { symmetric: true }), label: 'üg (g)', precision: 2 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    plotSeries(ctx, area, xAxis, yAxis, time, values, { color: '#000000', lineWidth: 1 });
+    plotSeries(ctx, area, xAxis, yAxis, time, envelope, ENVELOPE_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, time, envelope.map(value => -value), ENVELOPE_STYLE);
+  }, [record, settings.pga, settings.envelope, settings.duration]);
+
+  // Power spectral density shape of the filter, normalized to its peak
+  useEffect(() => {
+    const canvas = spectrumCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!record) return;
+
+    const power = filterPowerSpectrum(SPECTRUM_FREQUENCIES, settings);
+    const peak = power.reduce((max, value) => Math.max(max, value), 0);
+    const area = createChartArea(canvas.width, canvas.height, { right: 15, left: 50 });
+    const xAxis = { min: 0, max: SPECTRUM_FREQUENCIES[SPECTRUM_FREQUENCIES.length - 1], label: 'FREQUENCY (Hz)', precision: 0 };
+    const yAxis = { min: 0, max: 1.1, label: 'S(f) / S_max', precision: 1 };
+    drawChartAxes(ctx, area, xAxis, yAxis);
+    plotSeries(ctx, area, xAxis, yAxis, [settings.groundFrequency, settings.groundFrequency], [0, 1.1], ENVELOPE_STYLE);
+    plotSeries(ctx, area, xAxis, yAxis, SPECTRUM_FREQUENCIES, power.map(value => value / peak), { color: '#000000' });
+  }, [record, settings]);
+
+  const updateSetting = (key, value) => {
+    const numValue = parseFloat(value);
+    if (!isNaN(numValue) && numValue > 0) {
+      setSettings(prev => ({ ...prev, [key]: numValue }));
+    }
+  };
+
+  const changeSeed = (seed) => setSettings(prev => ({ ...prev, seed }));
+
+  const numberField = (key, label, step, disabled = false) => (
+    <div>
+      <label className="text-data-label block mb-1">{label}</label>
+      <input
+        type="number"
+        value={settings[key]}
+        onChange={(e) => updateSetting(key, e.target.value)}
+        disabled={disabled}
+        className="input-scientific w-full text-tabular disabled:bg-mono-200"
+        min="0"
+        step={step}
+      />
+    </div>
+  );
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <canvas
+        ref={historyCanvasRef}
+        width={300}
+        height={180}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+      <canvas
+        ref={spectrumCanvasRef}
+        width={300}
+        height={180}
+        className="border-2 border-mono-black w-full bg-mono-white"
+      />
+
+      <div>
+        <label className="text-data-label block mb-1">SPECTRAL FILTER</label>
+        <select
+          value={settings.filter}
+          onChange={(e) => setSettings(prev => ({ ...prev, filter: e.target.value }))}
+          className="input-scientific w-full"
+        >
+          {Object.entries(SPECTRAL_FILTERS).map(([key, filter]) => (
+            <option key={key} value={key}>{filter.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="text-data-label block mb-1">ENVELOPE</label>
+        <select
+          value={settings.envelope}
+          onChange={(e) => setSettings(prev => ({ ...prev, envelope: e.target.value }))}
+          className="input-scientific w-full"
+        >
+          {Object.entries(ENVELOPES).map(([key, envelope]) => (
+            <option key={key} value={key}>{envelope.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        {numberField('pga', 'PGA (g)', '0.05')}
+        {numberField('duration', 'DURATION (s)', '1')}
+        {numberField('groundFrequency', 'fg (Hz)', '0.1')}
+        {numberField('groundDamping', 'ζg', '0.05')}
+        {numberField('highPassFrequency', 'ff (Hz)', '0.05', settings.filter !== 'cloughPenzien')}
+        {numberField('highPassDamping', 'ζf', '0.05', settings.filter !== 'cloughPenzien')}
+        {numberField('dt', 'Δt (s)', '0.005')}
+        <div>
+          <label className="text-data-label block mb-1">SEED</label>
+          <input
+            type="number"
+            value={settings.seed}
+            onChange={(e) => Number.isInteger(parseFloat(e.target.value)) && changeSeed(parseInt(e.target.value, 10))}
+            className="input-scientific w-full text-tabular"
+            step="1"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-xs">
+        <button onClick={() => changeSeed(settings.seed - 1)} className="btn-scientific">◀ SEED</button>
+        <button onClick={() => changeSeed(settings.seed + 1)} className="btn-scientific">SEED ▶</button>
+        <button
+          onClick={() => changeSeed(Math.floor(Math.random() * 1e6))}
+          className="btn-scientific"
+        >
+          NEW SEED
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-xs border border-mono-black p-2">⚠ {error}</p>
+      )}
+
+      {record && (
+        <div className="space-y-2 text-xs">
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">RECORD:</span>
+            <span className="text-data-value">{record.name}</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">POINTS:</span>
+            <span className="text-data-value">{record.values.length}</span>
+          </div>
+          <div className="flex justify-between border-b border-mono-300 pb-1">
+            <span className="text-data-label">PREDOMINANT PERIOD Tg:</span>
+            <span className="text-data-value">{(1 / settings.groundFrequency).toFixed(2)} s</span>
+          </div>
+        </div>
+      )}
+
+      <p className="text-methodology text-xs">
+        {SPECTRAL_FILTERS[settings.filter].description}. {ENVELOPES[settings.envelope].description}.
+        Gaussian white noise from a seeded generator is filtered, multiplied by the envelope and scaled to the target PGA. The same seed always reproduces the same record; stepping the seed gives
+        a family of statistically equivalent motions.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { GRAVITY } from '../../utils/groundMotion';
+import { peakResponse } from '../../utils/timeIntegration';
+import {
+  createChartArea,
+  niceAxisRange,
+  toCanvasX,
+  toCanvasY,
+  drawChartAxes,
+  plotSeries
+} from '../../utils/chartPlotting';
+
+const PENDING_STYLE = { color: '#d4d4d4', dash: [], lineWidth: 1 };
+const TRACED_STYLE = { color: '#000000', dash: [], lineWidth: 1 };
+const CURSOR_STYLE = { color: '#000000', dash: [4, 3], lineWidth: 1 };
+
+// Response histories stacked in one canvas, sharing the time axis
+const TRACES = [
+  { key: 'groundAcceleration', label: 'üg (g)', scale: 1 / GRAVITY, precision: 2 },
+  { key: 'displacement', label: 'u (mm)', scale: 1000, precision: 0 },
+  { key: 'velocity', label: 'u̇ (mm/s)', scale: 1000, precision: 0 },
+  { key: 'absoluteAcceleration', label: 'ü + üg (g)', scale: 1 / GRAVITY, precision: 2 },
+  { key: 'restoringForce', label: 'Vb (kN)', scale: 1 / 1000, precision: 1 }
+];
+
+// Visible time window (s); 0 shows the whole record
+const WINDOWS = [0, 5, 10, 20, 40];
+
+/**
+ * Time History Charts Component
+ * Synchronized strip charts of the excitation and response, scrolled with the playback clock
+ */
+export function TimeHistoryCharts({ solution, time, onSeek, className = '' }) {
+  const canvasRef = useRef(null);
+  const [windowLength, setWindowLength] = useState(10);
+  const [dragging, setDragging] = useState(false);
+
+  const endTime = solution.time[solution.time.length - 1];
+
+  // Scaled histories with fixed axes and peaks over the whole record
+  const traces = useMemo(() => TRACES.map(trace => {
+    const values = Float64Array.from(solution[trace.key], value => value * trace.scale);
+    const peak = peakResponse(values);
+    return {
+      ...trace,
+      values,
+      peak: { value: peak.value, time: peak.index * solution.dt },
+      yAxis: { ...niceAxisRange([values], { symmetric: true }), label: trace.label, precision: trace.precision }
+    };
+  }), [solution]);
+
+  // Window that keeps the playback cursor centred, clamped to the record
+  const span = windowLength > 0 && windowLength < endTime ? windowLength : endTime;
+  const windowStart = Math.min(Math.max(time - span / 2, 0), endTime - span);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const areas = stripAreas(canvas);
+    const xAxis = { min: windowStart, max: windowStart + span, precision: span < 10 ? 1 : 0 };
+    const { dt } = solution;
+    const first = Math.max(Math.floor(xAxis.min / dt) - 1, 0);
+    const last = Math.min(Math.ceil(xAxis.max / dt) + 1, solution.time.length - 1);
+    const current = Math.min(Math.max(Math.round(time / dt), first), last);
+    const cursor = Math.min(time, endTime);
+
+    traces.forEach((trace, t) => {
+      const area = areas[t];
+      const isLast = t === traces.length - 1;
+      const axis = { ...xAxis, label: isLast ? 'TIME t (s)' : '' };
+      drawChartAxes(ctx, area, axis, trace.yAxis);
+
+      const [columnTime, columnValues] = envelopeSamples(solution.time, trace.values, first, last, area.width);
+      const tracedCount = columnTime.findIndex(value => value > cursor);
+      const traced = tracedCount < 0 ? columnTime.length : tracedCount;
+      plotSeries(ctx, area, axis, trace.yAxis, columnTime, columnValues, PENDING_STYLE);
+      plotSeries(ctx, area, axis, trace.yAxis, columnTime.slice(0, traced), columnValues.slice(0, traced), TRACED_STYLE);
+      plotSeries(ctx, area, axis, trace.yAxis, [cursor, cursor], [trace.yAxis.min, trace.yAxis.max], CURSOR_STYLE);
+
+      // Peak of the whole record, marked when it falls inside the window
+      if (trace.peak.time >= xAxis.min && trace.peak.time <= xAxis.max) {
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.strokeRect(toCanvasX(area, axis, trace.peak.time) - 3, toCanvasY(area, trace.yAxis, trace.peak.value) - 3, 6, 6);
+      }
+
+      // Value at the cursor and peak, to the right of each strip
+      ctx.fillStyle = '#000000';
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'left';
+      const x = area.left + area.width + 8;
+      ctx.fillText(trace.label, x, area.top + 12);
+      ctx.fillText(`${trace.values[current].toFixed(trace.precision)}`, x, area.top + 26);
+      ctx.fillStyle = '#737373';
+      ctx.fillText(`max ${Math.abs(trace.peak.value).toFixed(trace.precision)}`, x, area.top + 40);
+    });
+  }, [solution, traces, time, endTime, windowStart, span]);
+
+  // Clicking or dragging across the charts moves the playback clock
+  const seekFromPointer = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * canvas.width;
+    const area = stripAreas(canvas)[0];
+    const fraction = Math.min(Math.max((x - area.left) / area.width, 0), 1);
+    onSeek(windowStart + fraction * span);
+  };
+
+  return (
+    <div className={className}>
+      <canvas
+        ref={canvasRef}
+        width={800}
+        height={520}
+        onMouseDown={(e) => { setDragging(true); seekFromPointer(e); }}
+        onMouseMove={(e) => { if (dragging) seekFromPointer(e); }}
+        onMouseUp={() => setDragging(false)}
+        onMouseLeave={() => setDragging(false)}
+        className="border-2 border-mono-black w-full bg-mono-white cursor-crosshair"
+      />
+
+      <div className="flex items-center gap-3 mt-2 text-xs">
+        <label className="text-data-label">WINDOW</label>
+        <select
+          value={windowLength}
+          onChange={(e) => setWindowLength(parseFloat(e.target.value))}
+          className="input-scientific"
+        >
+          {WINDOWS.map(value => (
+            <option key={value} value={value}>{value === 0 ? 'Whole record' : `${value} s`}</option>
+          ))}
+        </select>
+        <span className="text-methodology">
+          Click or drag on the charts to scrub; □ marks the peak of each history. Vb is the spring force fs.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Plot areas of the stacked strips, leaving room on the right for the readouts
+ */
+function stripAreas(canvas) {
+  const gap = 12;
+  const top = 10;
+  const bottom = 45;
+  const height = (canvas.height - top - bottom - gap * (TRACES.length - 1)) / TRACES.length;
+  return TRACES.map((trace, t) => {
+    const areaTop = top + t * (height + gap);
+    return createChartArea(canvas.width, canvas.height, {
+      top: areaTop,
+      bottom: canvas.height - areaTop - height,
+      right: 110
+    });
+  });
+}
+
+/**
+ * Reduce samples start..end to the minimum and maximum of each pixel column,
+ * so long records draw in time proportional to the chart width
+ */
+function envelopeSamples(time, values, start, end, columns) {
+  const count = end - start + 1;
+  if (count <= 2 * columns) {
+    return [Array.from(time.subarray(start, end + 1)), Array.from(values.subarray(start, end + 1))];
+  }
+
+  const columnTime = [];
+  const columnValues = [];
+  const perColumn = count / columns;
+  for (let c = 0; c < columns; c++) {
+    const from = start + Math.floor(c * perColumn);
+    const to = Math.min(start + Math.floor((c + 1) * perColumn), end + 1);
+    let low = from;
+    let high = from;
+    for (let i = from + 1; i < to; i++) {
+      if (values[i] < values[low]) low = i;
+      if (values[i] > values[high]) high = i;
+    }
+    // Keep the two extremes in time order so the polyline stays monotonic in t
+    const [a, b] = low < high ? [low, high] : [high, low];
+    columnTime.push(time[a], time[b]);
+    columnValues.push(values[a], values[b]);
+  }
+  return [columnTime, columnValues];
+}
@@ -0,0 +1,240 @@
+/**
+ * ASCE 7 Seismic Design Data
+ * Site coefficients, design response spectrum, Seismic Design Category (ASCE 7-16 Chapter 11)
+ * and seismic force-resisting system coefficients (Chapter 12)
+ */
+
+export const SITE_CLASSES = {
+  A: { name: 'A - Hard rock', vs30: '> 1500 m/s' },
+  B: { name: 'B - Rock', vs30: '760 - 1500 m/s' },
+  C: { name: 'C - Very dense soil / soft rock', vs30: '360 - 760 m/s' },
+  D: { name: 'D - Stiff soil', vs30: '180 - 360 m/s' },
+  E: { name: 'E - Soft clay soil', vs30: '< 180 m/s' },
+  F: { name: 'F - Site response analysis required', vs30: 'See §20.3.1' }
+};
+
+export const RISK_CATEGORIES = {
+  I: { name: 'I - Low hazard to human life', importanceFactor: 1.0 },
+  II: { name: 'II - Standard occupancy', importanceFactor: 1.0 },
+  III: { name: 'III - Substantial hazard', importanceFactor: 1.25 },
+  IV: { name: 'IV - Essential facilities', importanceFactor: 1.5 }
+};
+
+/**
+ * Table 12.2-1 Design coefficients for common seismic force-resisting systems
+ * periodType selects the Table 12.8-2 approximate period parameters
+ */
+export const STRUCTURAL_SYSTEMS = {
+  specialSteelMomentFrame: { name: 'Special steel moment frame', R: 8, omega0: 3, Cd: 5.5, periodType: 'steelMomentFrame' },
+  intermediateSteelMomentFrame: { name: 'Intermediate steel moment frame', R: 4.5, omega0: 3, Cd: 4, periodType: 'steelMomentFrame' },
+  ordinarySteelMomentFrame: { name: 'Ordinary steel moment frame', R: 3.5, omega0: 3, Cd: 3, periodType: 'steelMomentFrame' },
+  specialConcreteMomentFrame: { name: 'Special RC moment frame', R: 8, omega0: 3, Cd: 5.5, periodType: 'concreteMomentFrame' },
+  intermediateConcreteMomentFrame: { name: 'Intermediate RC moment frame', R: 5, omega0: 3, Cd: 4.5, periodType: 'concreteMomentFrame' },
+  ordinaryConcreteMomentFrame: { name: 'Ordinary RC moment frame', R: 3, omega0: 3, Cd: 2.5, periodType: 'concreteMomentFrame' },
+  eccentricallyBracedFrame: { name: 'Steel eccentrically braced frame', R: 8, omega0: 2, Cd: 4, periodType: 'eccentricallyBraced' },
+  bucklingRestrainedBracedFrame: { name: 'Buckling-restrained braced frame', R: 8, omega0: 2.5, Cd: 5, periodType: 'eccentricallyBraced' },
+  specialConcentricBracedFrame: { name: 'Special steel concentrically braced frame', R: 6, omega0: 2, Cd: 5, periodType: 'allOther' },
+  ordinaryConcentricBracedFrame: { name: 'Ordinary steel concentrically braced frame', R: 3.25, omega0: 2, Cd: 3.25, periodType: 'allOther' },
+  specialConcreteShearWall: { name: 'Special RC shear wall (bearing wall)', R: 5, omega0: 2.5, Cd: 5, periodType: 'allOther' },
+  ordinaryConcreteShearWall: { name: 'Ordinary RC shear wall (bearing wall)', R: 4, omega0: 2.5, Cd: 4, periodType: 'allOther' },
+  specialMasonryShearWall: { name: 'Special reinforced masonry shear wall', R: 5, omega0: 2.5, Cd: 3.5, periodType: 'allOther' },
+  woodShearPanels: { name: 'Light-frame wood structural panel walls', R: 6.5, omega0: 3, Cd: 4, periodType: 'allOther' }
+};
+
+/**
+ * Table 12.8-2 Approximate period parameters for Ta = Ct·hn^x (hn in meters)
+ */
+export const APPROXIMATE_PERIOD_PARAMETERS = {
+  steelMomentFrame: { name: 'Steel moment-resisting frames', Ct: 0.0724, x: 0.8 },
+  concreteMomentFrame: { name: 'Concrete moment-resisting frames', Ct: 0.0466, x: 0.9 },
+  eccentricallyBraced: { name: 'Steel eccentrically braced / buckling-restrained braced frames', Ct: 0.0731, x: 0.75 },
+  allOther: { name: 'All other structural systems', Ct: 0.0488, x: 0.75 }
+};
+
+/**
+ * Table 12.8-1 Coefficient for upper limit on calculated period, Cu, by SD1
+ */
+export const CU_TABLE = {
+  breakpoints: [0.1, 0.15, 0.2, 0.3, 0.4],
+  values: [1.7, 1.6, 1.5, 1.4, 1.4]
+};
+
+/**
+ * Table 12.12-1 Allowable story drift Δa as a ratio of story height hsx, by Risk Category
+ */
+export const ALLOWABLE_DRIFT = {
+  lowRise: { name: '≤ 4 stories, interior walls accommodate drift', I: 0.025, II: 0.025, III: 0.020, IV: 0.015 },
+  masonryCantilever: { name: 'Masonry cantilever shear wall', I: 0.010, II: 0.010, III: 0.010, IV: 0.010 },
+  otherMasonry: { name: 'Other masonry shear wall', I: 0.007, II: 0.007, III: 0.007, IV: 0.007 },
+  allOther: { name: 'All other structures', I: 0.020, II: 0.020, III: 0.015, IV: 0.010 }
+};
+
+/**
+ * Table 11.4-1 Short-period site coefficient Fa
+ * Entries flagged siteSpecific require a ground motion hazard analysis per §11.4.8;
+ * Site Class E at Ss ≥ 1.0 uses the Site Class C value permitted by §11.4.8 Exception 1
+ */
+export const FA_TABLE = {
+  breakpoints: [0.25, 0.5, 0.75, 1.0, 1.25, 1.5],
+  A: { values: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8] },
+  B: { values: [0.9, 0.9, 0.9, 0.9, 0.9, 0.9] },
+  C: { values: [1.3, 1.3, 1.2, 1.2, 1.2, 1.2] },
+  D: { values: [1.6, 1.4, 1.2, 1.1, 1.0, 1.0] },
+  E: { values: [2.4, 1.7, 1.3, 1.2, 1.2, 1.2], siteSpecific: [false, false, false, true, true, true] }
+};
+
+/**
+ * Table 11.4-2 Long-period site coefficient Fv
+ * Flagged entries are tabulated for illustration only and require §11.4.8 unless an exception applies
+ */
+export const FV_TABLE = {
+  breakpoints: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6],
+  A: { values: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8] },
+  B: { values: [0.8, 0.8, 0.8, 0.8, 0.8, 0.8] },
+  C: { values: [1.5, 1.5, 1.5, 1.5, 1.5, 1.4] },
+  D: { values: [2.4, 2.2, 2.0, 1.9, 1.8, 1.7], siteSpecific: [false, true, true, true, true, true] },
+  E: { values: [4.2, 3.3, 2.8, 2.4, 2.2, 2.0], siteSpecific: [false, true, true, true, true, true] }
+};
+
+function interpolateCoefficient(table, siteClass, acceleration) {
+  if (siteClass === 'F') {
+    throw new Error('Site Class F requires a site response analysis per ASCE 7 §20.3.1');
+  }
+
+  const { breakpoints } = table;
+  const row = table[siteClass];
+  if (!row) {
+    throw new Error(`Unknown site class: ${siteClass}`);
+  }
+
+  const flags = row.siteSpecific || [];
+  if (acceleration <= breakpoints[0]) {
+    return { value: row.values[0], siteSpecific: Boolean(flags[0]) };
+  }
+  const last = breakpoints.length - 1;
+  if (acceleration >= breakpoints[last]) {
+    return { value: row.values[last], siteSpecific: Boolean(flags[last]) };
+  }
+
+  const i = breakpoints.findIndex(limit => acceleration < limit) - 1;
+  const fraction = (acceleration - breakpoints[i]) / (breakpoints[i + 1] - breakpoints[i]);
+  return {
+    value: row.values[i] + fraction * (row.values[i + 1] - row.values[i]),
+    siteSpecific: Boolean(flags[i] || flags[i + 1])
+  };
+}
+
+/**
+ * Site coefficients by straight-line interpolation of Tables 11.4-1 and 11.4-2
+ * @param {string} siteClass - 'A' through 'F'
+ * @param {number} Ss - Mapped MCER short-period spectral acceleration (g)
+ * @param {number} S1 - Mapped MCER 1-second spectral acceleration (g)
+ * @returns {Object} {Fa, Fv, siteSpecific}
+ */
+export function siteCoefficients(siteClass, Ss, S1) {
+  const fa = interpolateCoefficient(FA_TABLE, siteClass, Ss);
+  const fv = interpolateCoefficient(FV_TABLE, siteClass, S1);
+  return { Fa: fa.value, Fv: fv.value, siteSpecific: fa.siteSpecific || fv.siteSpecific };
+}
+
+/**
+ * Seismic Design Category from Tables 11.6-1 and 11.6-2 and §11.6
+ * @param {number} SDS - Design short-period spectral acceleration (g)
+ * @param {number} SD1 - Design 1-second spectral acceleration (g)
+ * @param {number} S1 - Mapped 1-second spectral acceleration (g)
+ * @param {string} riskCategory - 'I', 'II', 'III' or 'IV'
+ * @returns {string} 'A' through 'F'
+ */
+export function seismicDesignCategory(SDS, SD1, S1, riskCategory = 'II') {
+  const essential = riskCategory === 'IV';
+
+  if (S1 >= 0.75) {
+    return essential ? 'F' : 'E';
+  }
+
+  const fromSDS = SDS < 0.167 ? 'A'
+    : SDS < 0.33 ? (essential ? 'C' : 'B')
+    : SDS < 0.50 ? (essential ? 'D' : 'C')
+    : 'D';
+
+  const fromSD1 = SD1 < 0.067 ? 'A'
+    : SD1 < 0.133 ? (essential ? 'C' : 'B')
+    : SD1 < 0.20 ? (essential ? 'D' : 'C')
+    : 'D';
+
+  return fromSDS > fromSD1 ? fromSDS : fromSD1;
+}
+
+/**
+ * Design response spectrum parameters (§11.4.4 - §11.4.6)
+ * @param {Object} input - {Ss, S1, siteClass, TL, riskCategory, Fa, Fv}; Fa/Fv override the tables when given
+ * @returns {Object} {Ss, S1, Fa, Fv, SMS, SM1, SDS, SD1, T0, Ts, TL, sdc, riskCategory, Ie, siteSpecific}
+ */
+export function designSpectrumParameters(input) {
+  const { Ss, S1, siteClass = 'D', TL = 8, riskCategory = 'II' } = input;
+  const tabulated = siteCoefficients(siteClass, Ss, S1);
+  const Fa = input.Fa ?? tabulated.Fa;
+  const Fv = input.Fv ?? tabulated.Fv;
+
+  const SMS = Fa * Ss;
+  const SM1 = Fv * S1;
+  const SDS = (2 / 3) * SMS;
+  const SD1 = (2 / 3) * SM1;
+
+  return {
+    Ss,
+    S1,
+    Fa,
+    Fv,
+    SMS,
+    SM1,
+    SDS,
+    SD1,
+    T0: 0.2 * SD1 / SDS,
+    Ts: SD1 / SDS,
+    TL,
+    sdc: seismicDesignCategory(SDS, SD1, S1, riskCategory),
+    riskCategory,
+    Ie: RISK_CATEGORIES[riskCategory].importanceFactor,
+    siteSpecific: tabulated.siteSpecific && input.Fa == null && input.Fv == null
+  };
+}
+
+/**
+ * Design spectral acceleration Sa(T) per Figure 11.4-1
+ * @param {Object} params - Output of designSpectrumParameters
+ * @param {number} T - Period (s)
+ * @returns {number} Sa (g)
+ */
+export function designSpectralAcceleration(params, T) {
+  const { SDS, SD1, T0, Ts, TL } = params;
+
+  if (T < T0) return SDS * (0.4 + 0.6 * T / T0);
+  if (T <= Ts) return SDS;
+  if (T <= TL) return SD1 / T;
+  return SD1 * TL / (T * T);
+}
+
+/**
+ * Sample the design spectrum for plotting
+ * @param {Object} params - Output of designSpectrumParameters
+ * @param {number} maxPeriod - Longest period (s)
+ * @param {number} count - Number of samples
+ * @returns {Object} {periods, Sa} in s and g
+ */
+export function designSpectrumCurve(params, maxPeriod = 4, count = 200) {
+  const periods = new Float64Array(count + 3);
+  for (let i = 0; i < count; i++) {
+    periods[i] = (maxPeriod * i) / (count - 1);
+  }
+  // Include the corner periods exactly so the plateau corners are sharp
+  periods[count] = params.T0;
+  periods[count + 1] = params.Ts;
+  periods[count + 2] = Math.min(params.TL, maxPeriod);
+  periods.sort();
+
+  return {
+    periods,
+    Sa: periods.map(T => designSpectralAcceleration(params, T))
+  };
+}
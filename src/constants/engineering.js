@@ -49,16 +49,22 @@ export const SEISMIC_ZONES = {
   low: {
     name: 'Low Seismic',
     designAcceleration: 0.1, // g
+    Ss: 0.25, // g, representative mapped MCER short-period acceleration
+    S1: 0.1, // g, representative mapped MCER 1-second acceleration
     description: 'Minimal earthquake risk'
   },
   moderate: {
     name: 'Moderate Seismic',
     designAcceleration: 0.25, // g
+    Ss: 0.75, // g
+    S1: 0.3, // g
     description: 'Moderate earthquake risk'
   },
   high: {
     name: 'High Seismic',
     designAcceleration: 0.4, // g
+    Ss: 1.5, // g
+    S1: 0.6, // g
     description: 'High earthquake risk (California, Japan)'
   }
 };
@@ -82,6 +88,16 @@ export const FORMULAS = {
     return 1 / denominator;
   },
 
+  // Absolute acceleration (or displacement) transmissibility of a base-excited SDOF
+  transmissibility: (frequencyRatio, dampingRatio) =>
+    Math.sqrt(1 + Math.pow(2 * dampingRatio * frequencyRatio, 2)) *
+    FORMULAS.dynamicAmplification(frequencyRatio, dampingRatio),
+
+  // Den Hartog optimum tuned mass damper for an undamped primary system
+  tmdOptimalTuning: (massRatio) => 1 / (1 + massRatio),
+
+  tmdOptimalDamping: (massRatio) => Math.sqrt((3 * massRatio) / (8 * Math.pow(1 + massRatio, 3))),
+
   // Beam Analysis
   cantileverDeflection: (force, length, elasticModulus, momentOfInertia) => 
     (force * Math.pow(length, 3)) / (3 * elasticModulus * momentOfInertia),
@@ -26,7 +26,10 @@ export const STRUCTURAL_DYNAMICS = {
     generateWolframURL(`damping ratio ${actualDamping}/${criticalDamping}`),
     
   dynamicAmplification: (frequencyRatio, dampingRatio) =>
-    generateWolframURL(`dynamic amplification factor frequency ratio ${frequencyRatio} damping ${dampingRatio}`)
+    generateWolframURL(`dynamic amplification factor frequency ratio ${frequencyRatio} damping ${dampingRatio}`),
+
+  tunedMassDamper: (massRatio) =>
+    generateWolframURL(`1/(1+${massRatio}), sqrt(3*${massRatio}/(8*(1+${massRatio})^3))`)
 };
 
 /**
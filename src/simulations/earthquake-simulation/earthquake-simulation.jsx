@@ -1,24 +1,112 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Link } from 'react-router-dom';
+import { FORMULAS } from '../../constants/engineering';
+import {
+  INTEGRATION_METHODS,
+  createHarmonicExcitation,
+  integrateNonlinearSDOF,
+  sampleAt,
+  peakResponse
+} from '../../utils/timeIntegration';
+import { HYSTERETIC_MODELS, createHystereticSpring, inelasticResponseSummary } from '../../utils/hysteresis';
+import { GRAVITY } from '../../utils/groundMotion';
+import { geometricStiffness, withPDelta, collapseDisplacement } from '../../utils/pDelta';
+import { GroundMotionImporter } from '../../components/scientific/GroundMotionImporter';
+import { SyntheticMotionGenerator } from '../../components/scientific/SyntheticMotionGenerator';
+import { ResponseSpectrumPanel } from '../../components/scientific/ResponseSpectrumPanel';
+import { DesignSpectrumPanel } from '../../components/scientific/DesignSpectrumPanel';
+import { ShearBuildingEditor } from '../../components/scientific/ShearBuildingEditor';
+import { ModeShapePanel } from '../../components/scientific/ModeShapePanel';
+import { ModalResponseSpectrumPanel } from '../../components/scientific/ModalResponseSpectrumPanel';
+import { EquivalentLateralForcePanel } from '../../components/scientific/EquivalentLateralForcePanel';
+import { StructuralSystemTable } from '../../components/scientific/StructuralSystemTable';
+import { HysteresisPlot } from '../../components/scientific/HysteresisPlot';
+import { InelasticSpectrumPanel } from '../../components/scientific/InelasticSpectrumPanel';
+import { EnergyBalancePanel } from '../../components/scientific/EnergyBalancePanel';
+import { BaseIsolationPanel } from '../../components/scientific/BaseIsolationPanel';
+import { SupplementalDampingPanel } from '../../components/scientific/SupplementalDampingPanel';
+import { PoundingPanel } from '../../components/scientific/PoundingPanel';
+import { EccentricBuildingPanel } from '../../components/scientific/EccentricBuildingPanel';
+import { IDAPanel } from '../../components/scientific/IDAPanel';
+import { DampingPanel } from '../../components/scientific/DampingPanel';
+import { NearFaultPulsePanel } from '../../components/scientific/NearFaultPulsePanel';
+import { IntensityMeasuresPanel } from '../../components/scientific/IntensityMeasuresPanel';
+import { FourierSpectrumPanel } from '../../components/scientific/FourierSpectrumPanel';
+import { FrequencySweepPanel } from '../../components/scientific/FrequencySweepPanel';
+import { FreeVibrationPanel } from '../../components/scientific/FreeVibrationPanel';
+import { TimeHistoryCharts } from '../../components/scientific/TimeHistoryCharts';
+import { PlaybackControls } from '../../components/scientific/PlaybackControls';
+import { CHIRP_SWEEPS, createChirpExcitation } from '../../utils/frequencySweep';
+import { PULSE_MODELS, DEFAULT_PULSE, createPulseExcitation } from '../../utils/nearFaultPulse';
+import { DEFAULT_STORIES, modalAnalysis } from '../../utils/shearBuilding';
+import { DEFAULT_DAMPING, fitDampingToModes } from '../../utils/dampingModels';
+
+// Analysis views available in the simulation
+const ANALYSIS_MODES = {
+  timeHistory: { name: 'Time History' },
+  responseSpectrum: { name: 'Response Spectrum' },
+  inelasticSpectrum: { name: 'Inelastic Spectrum' },
+  shearBuilding: { name: 'Shear Building' },
+  baseIsolation: { name: 'Base Isolation' },
+  supplementalDamping: { name: 'Supplemental Damping' },
+  pounding: { name: 'Pounding' },
+  torsion: { name: 'Torsion' },
+  freeVibration: { name: 'Free Vibration' },
+  ida: { name: 'IDA / Fragility' }
+};
+
+// Free vibration runs on a quiet ground: the motion comes from the initial conditions only
+const FREE_VIBRATION_EXCITATION = { dt: 1, values: new Float64Array(2) };
 
 export default function EarthquakeSimulation() {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [time, setTime] = useState(0);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [analysisMode, setAnalysisMode] = useState('timeHistory');
   
   // Structural parameters - user can modify these
   const [parameters, setParameters] = useState({
     mass: 1000,           // Mass of structure (kg)
     stiffness: 50000,     // Stiffness coefficient (N/m)
     damping: 0.05,        // Damping ratio (unitless)
+    yieldCoefficient: 0.3, // Yield strength as a fraction of weight, Fy/W
+    postYieldRatio: 0.05, // Post-yield to initial stiffness ratio α
+    boucWenExponent: 2,   // Bouc-Wen transition sharpness n
     groundAccel: 5.0,     // Ground acceleration amplitude (m/s²)
     frequency: 1.5,       // Earthquake frequency (Hz)
+    shakingDuration: 10,  // Duration of ground shaking (s)
+    sweepStart: 0.5,      // Chirp start frequency (Hz)
+    sweepEnd: 2.0,        // Chirp end frequency (Hz)
+    sweepDuration: 180,   // Chirp duration (s)
+    pulsePeriod: DEFAULT_PULSE.period,     // Near-fault pulse period Tp (s)
+    pulseVelocity: DEFAULT_PULSE.velocity, // Pulse velocity amplitude Vp (m/s)
+    pulseGamma: DEFAULT_PULSE.gamma,       // Mavroeidis-Papageorgiou oscillatory character γ
+    pulsePhase: DEFAULT_PULSE.phase,       // Mavroeidis-Papageorgiou phase ν (degrees)
+    freeVibration: 10,    // Free-vibration tail after shaking stops (s)
+    initialDisplacement: 50, // Initial displacement u0 in free vibration mode (mm)
+    initialVelocity: 0,   // Initial velocity v0 in free vibration mode (mm/s)
+    decayDuration: 20,    // Record length in free vibration mode (s)
+    columnHeight: 3.0,    // Height over which the gravity load acts for P-delta (m)
+    timeStep: 0.005,      // Physical integration time step (s)
     naturalFreq: 0,       // Calculated natural frequency
     period: 0             // Calculated period
   });
+  const [integrationMethod, setIntegrationMethod] = useState('newmarkAverage');
+  const [springModel, setSpringModel] = useState('linear');
+  const [pDeltaEnabled, setPDeltaEnabled] = useState(false);
+  const [excitationSource, setExcitationSource] = useState('harmonic'); // 'harmonic', 'chirp', 'pulse', 'record' or 'synthetic'
+  const [chirpSweep, setChirpSweep] = useState('linear');
+  const [pulseModel, setPulseModel] = useState(DEFAULT_PULSE.model);
+  const [groundRecord, setGroundRecord] = useState(null);
+  const [syntheticRecord, setSyntheticRecord] = useState(null);
+  const [transferPeak, setTransferPeak] = useState(null); // Resonance identified from the response spectra
+  const [designSpectrum, setDesignSpectrum] = useState(null);
+  const [stories, setStories] = useState(DEFAULT_STORIES);
+  const [damping, setDamping] = useState(DEFAULT_DAMPING); // Classical damping of the shear building
+  const [structuralSystem, setStructuralSystem] = useState('specialSteelMomentFrame');
   
-  const [displacement, setDisplacement] = useState(0);
   const [voiceEnabled, setVoiceEnabled] = useState(false);
 
   // Speech synthesis functionality (preserved from original)
@@ -34,8 +122,8 @@ export default function EarthquakeSimulation() {
 
   // Calculate derived parameters
   useEffect(() => {
-    const naturalFreq = Math.sqrt(parameters.stiffness / parameters.mass) / (2 * Math.PI);
-    const period = 1 / naturalFreq;
+    const naturalFreq = FORMULAS.naturalFrequency(parameters.stiffness, parameters.mass);
+    const period = FORMULAS.period(naturalFreq);
     
     setParameters(prev => ({
       ...prev,
@@ -44,36 +132,150 @@ export default function EarthquakeSimulation() {
     }));
   }, [parameters.mass, parameters.stiffness]);
 
-  // Animation loop for earthquake simulation
+  // Ground acceleration record driving the structure
+  const harmonicExcitation = useMemo(() => createHarmonicExcitation(
+    parameters.groundAccel,
+    parameters.frequency,
+    parameters.shakingDuration,
+    parameters.timeStep
+  ), [parameters.groundAccel, parameters.frequency, parameters.shakingDuration, parameters.timeStep]);
+
+  const { chirpExcitation, chirpError } = useMemo(() => {
+    try {
+      return {
+        chirpExcitation: createChirpExcitation(
+          parameters.groundAccel,
+          parameters.sweepStart,
+          parameters.sweepEnd,
+          parameters.sweepDuration,
+          parameters.timeStep,
+          chirpSweep
+        ),
+        chirpError: null
+      };
+    } catch (error) {
+      return { chirpExcitation: null, chirpError: error.message };
+    }
+  }, [parameters.groundAccel, parameters.sweepStart, parameters.sweepEnd, parameters.sweepDuration, parameters.timeStep, chirpSweep]);
+
+  const pulse = useMemo(() => ({
+    model: pulseModel,
+    period: parameters.pulsePeriod,
+    velocity: parameters.pulseVelocity,
+    gamma: parameters.pulseGamma,
+    phase: parameters.pulsePhase
+  }), [pulseModel, parameters.pulsePeriod, parameters.pulseVelocity, parameters.pulseGamma, parameters.pulsePhase]);
+
+  const { pulseExcitation, pulseError } = useMemo(() => {
+    try {
+      return { pulseExcitation: createPulseExcitation(pulse, parameters.timeStep), pulseError: null };
+    } catch (error) {
+      return { pulseExcitation: null, pulseError: error.message };
+    }
+  }, [pulse, parameters.timeStep]);
+
+  const activeRecord = excitationSource === 'record' ? groundRecord
+    : excitationSource === 'synthetic' ? syntheticRecord
+    : null;
+  const usingRecord = activeRecord !== null;
+  const usingChirp = excitationSource === 'chirp' && chirpExcitation !== null;
+  const usingPulse = excitationSource === 'pulse' && pulseExcitation !== null;
+  const freeVibrationMode = analysisMode === 'freeVibration';
+  const excitation = freeVibrationMode ? FREE_VIBRATION_EXCITATION
+    : usingRecord ? activeRecord
+    : usingChirp ? chirpExcitation
+    : usingPulse ? pulseExcitation
+    : harmonicExcitation;
+  const shakingDuration = (excitation.values.length - 1) * excitation.dt;
+
+  const yieldForce = parameters.yieldCoefficient * parameters.mass * GRAVITY;
+
+  // Gravity load P = m·g acting through the lateral displacement: negative stiffness P/h
+  const pDeltaStiffness = pDeltaEnabled ? geometricStiffness(parameters.mass * GRAVITY, parameters.columnHeight) : 0;
+  const stabilityRatio = pDeltaStiffness / parameters.stiffness;
+  // Elastic unloading stiffness of the restoring force, which sets the recoverable strain energy
+  const elasticStiffness = parameters.stiffness - pDeltaStiffness;
+  const postYieldRatio = springModel === 'elastoplastic' ? 0 : parameters.postYieldRatio;
+  const collapseLimit = collapseDisplacement(
+    parameters.stiffness,
+    springModel === 'linear' ? Infinity : yieldForce / parameters.stiffness,
+    postYieldRatio,
+    pDeltaStiffness
+  );
+
+  // Full time-history solution, integrated at a fixed physical time step
+  const { solution, solverError, inelastic } = useMemo(() => {
+    try {
+      if (stabilityRatio >= 1) {
+        throw new RangeError('Gravity load P/h exceeds the lateral stiffness: the structure is unstable before any ground motion');
+      }
+      const elasticSpring = createHystereticSpring(springModel, {
+        stiffness: parameters.stiffness,
+        yieldForce,
+        postYieldRatio: parameters.postYieldRatio,
+        exponent: parameters.boucWenExponent
+      });
+      const spring = pDeltaEnabled ? withPDelta(elasticSpring, pDeltaStiffness) : elasticSpring;
+      const response = integrateNonlinearSDOF(
+        { mass: parameters.mass, stiffness: parameters.stiffness, dampingRatio: parameters.damping, spring },
+        excitation,
+        {
+          method: integrationMethod,
+          dt: parameters.timeStep,
+          duration: freeVibrationMode ? parameters.decayDuration : shakingDuration + parameters.freeVibration,
+          initialDisplacement: freeVibrationMode ? parameters.initialDisplacement / 1000 : 0,
+          initialVelocity: freeVibrationMode ? parameters.initialVelocity / 1000 : 0,
+          displacementLimit: collapseLimit
+        }
+      );
+      return {
+        solution: response,
+        solverError: null,
+        inelastic: inelasticResponseSummary(response, spring.yieldDisplacement, elasticStiffness)
+      };
+    } catch (error) {
+      return { solution: null, solverError: error.message, inelastic: null };
+    }
+  }, [parameters.mass, parameters.stiffness, parameters.damping, parameters.timeStep,
+      parameters.freeVibration, parameters.postYieldRatio, parameters.boucWenExponent,
+      parameters.initialDisplacement, parameters.initialVelocity, parameters.decayDuration,
+      yieldForce, shakingDuration, excitation, integrationMethod, springModel, freeVibrationMode,
+      pDeltaEnabled, pDeltaStiffness, stabilityRatio, elasticStiffness, collapseLimit]);
+
+  const isNonlinear = springModel !== 'linear';
+  const collapse = solution?.collapse ?? null;
+
+  const endTime = solution ? solution.time[solution.time.length - 1] : 0;
+  const displacement = solution ? sampleAt(solution.displacement, solution.dt, time) * 1000 : 0; // mm
+  const groundAcceleration = sampleAt(excitation.values, excitation.dt, time);
+  const peakDisplacementResponse = solution ? peakResponse(solution.displacement) : null;
+  const peakDisplacement = solution ? Math.abs(peakDisplacementResponse.value) * 1000 : 0;
+  const peakDisplacementTime = solution ? peakDisplacementResponse.index * solution.dt : 0;
+  const stepIndex = solution ? Math.min(Math.round(time / solution.dt), solution.time.length - 1) : 0;
+
+  // Modal properties of the multi-story shear building; a story unstable under P-delta falls back to the plain model
+  const { modes, modalError } = useMemo(() => {
+    try {
+      return { modes: modalAnalysis(stories, { pDelta: pDeltaEnabled }), modalError: null };
+    } catch (error) {
+      return { modes: modalAnalysis(stories), modalError: error.message };
+    }
+  }, [stories, pDeltaEnabled]);
+
+  // Show a parameter panel only in the listed analysis modes
+  const visibleIn = (...modeKeys) => (modeKeys.includes(analysisMode) ? '' : 'hidden');
+
+  // Animation loop - advances the playback clock at the chosen speed and reads the stored solution
   useEffect(() => {
     if (!isPlaying) return;
 
-    const animate = () => {
-      setTime(prevTime => {
-        const newTime = prevTime + 0.02; // 20ms increment
-        
-        // Simplified equation of motion solution for a damped oscillator
-        const omega = 2 * Math.PI * parameters.naturalFreq;
-        const excitationRatio = parameters.frequency / parameters.naturalFreq;
-        
-        // Dynamic amplification factor
-        const denominator = Math.sqrt(
-          Math.pow(1 - excitationRatio * excitationRatio, 2) +
-          Math.pow(2 * parameters.damping * excitationRatio, 2)
-        );
-        const amplificationFactor = 1 / denominator;
-        
-        // Calculate structural displacement relative to ground
-        const structuralDisplacement = amplificationFactor * 
-          (parameters.groundAccel / (omega * omega)) * 
-          Math.sin(2 * Math.PI * parameters.frequency * newTime - 
-          Math.atan2(2 * parameters.damping * excitationRatio, 1 - excitationRatio * excitationRatio));
-        
-        setDisplacement(structuralDisplacement * 1000); // Convert to mm for display
-        
-        return newTime;
-      });
-      
+    let lastTimestamp = null;
+    const animate = (timestamp) => {
+      if (lastTimestamp !== null) {
+        const elapsed = Math.min((timestamp - lastTimestamp) / 1000, 0.1);
+        setTime(prevTime => Math.min(prevTime + elapsed * playbackSpeed, endTime));
+      }
+      lastTimestamp = timestamp;
       animationRef.current = requestAnimationFrame(animate);
     };
 
@@ -84,7 +286,14 @@ export default function EarthquakeSimulation() {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isPlaying, parameters]);
+  }, [isPlaying, endTime, playbackSpeed]);
+
+  // Stop playback once the stored solution has been exhausted
+  useEffect(() => {
+    if (isPlaying && time >= endTime) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, time, endTime]);
 
   // Draw the academic-style visualization
   useEffect(() => {
@@ -143,8 +352,8 @@ export default function EarthquakeSimulation() {
     const centerX = width / 2;
     const centerY = height / 2;
     
-    // Ground motion (horizontal displacement)
-    const groundDisp = parameters.groundAccel * Math.sin(2 * Math.PI * parameters.frequency * time) * scale;
+    // Ground motion (horizontal offset proportional to ground acceleration)
+    const groundDisp = groundAcceleration * scale;
     
     // Ground (hatched pattern like academic figures)
     ctx.fillStyle = '#000000';
@@ -264,8 +473,22 @@ export default function EarthquakeSimulation() {
     ctx.fillStyle = '#000000';
     ctx.font = '10px monospace';
     ctx.fillText(`t = ${time.toFixed(2)} s`, 10, 20);
-    ctx.fillText(`f = ${parameters.frequency.toFixed(1)} Hz`, 10, 35);
+    const excitationLabel = freeVibrationMode ? `u₀ = ${parameters.initialDisplacement} mm, v₀ = ${parameters.initialVelocity} mm/s`
+      : usingRecord ? `üg: ${activeRecord.name}`
+      : usingChirp ? `f(t) = ${sampleAt(chirpExcitation.frequency, chirpExcitation.dt, Math.min(time, parameters.sweepDuration)).toFixed(2)} Hz`
+      : usingPulse ? `Tp = ${parameters.pulsePeriod.toFixed(2)} s, Tp/Tn = ${(parameters.pulsePeriod * parameters.naturalFreq).toFixed(2)}`
+      : `f = ${parameters.frequency.toFixed(1)} Hz`;
+    ctx.fillText(excitationLabel, 10, 35);
     ctx.fillText(`f₀ = ${parameters.naturalFreq.toFixed(2)} Hz`, 10, 50);
+    if (pDeltaEnabled) {
+      ctx.fillText(`P-Δ: θ = ${stabilityRatio.toFixed(3)}`, 10, 65);
+    }
+    if (collapse && time >= collapse.time) {
+      ctx.font = 'bold 14px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(`COLLAPSE (P-Δ) AT t = ${collapse.time.toFixed(2)} s`, width / 2, 30);
+      ctx.textAlign = 'start';
+    }
     
     // Axes labels
     ctx.fillStyle = '#000000';
@@ -277,7 +500,14 @@ export default function EarthquakeSimulation() {
     ctx.fillText('↑ Structure Response', 0, 0);
     ctx.restore();
     
-  }, [time, displacement, parameters]);
+  }, [time, displacement, groundAcceleration, parameters, freeVibrationMode, usingRecord, activeRecord, usingChirp, chirpExcitation,
+      usingPulse, pDeltaEnabled, stabilityRatio, collapse]);
+
+  // Adding or removing a story keeps the damping anchors on modes the building still has
+  const handleStoriesChange = (nextStories) => {
+    setStories(nextStories);
+    setDamping(prev => fitDampingToModes(prev, nextStories.length));
+  };
 
   const handleParameterChange = (param, value) => {
     const numValue = parseFloat(value);
@@ -289,10 +519,25 @@ export default function EarthquakeSimulation() {
     }
   };
 
+  // Initial conditions and the pulse phase may be zero or negative, unlike the other parameters
+  const handleInitialConditionChange = (param, value) => {
+    const numValue = parseFloat(value);
+    if (Number.isFinite(numValue)) {
+      setParameters(prev => ({
+        ...prev,
+        [param]: numValue
+      }));
+    }
+  };
+
+  // Playback resumes from the scrubber position; a finished record restarts from zero
   const startSimulation = () => {
+    if (!solution) return;
+    if (time <= 0 || time >= endTime) {
+      setTime(0);
+      speak("Starting earthquake simulation. Observe how the structure responds to ground motion.");
+    }
     setIsPlaying(true);
-    setTime(0);
-    speak("Starting earthquake simulation. Observe how the structure responds to ground motion.");
   };
 
   const stopSimulation = () => {
@@ -300,13 +545,16 @@ export default function EarthquakeSimulation() {
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
     }
-    speak("Simulation stopped.");
+    speak("Simulation paused.");
+  };
+
+  const seekSimulation = (value) => {
+    setTime(value);
   };
 
   const resetSimulation = () => {
     setIsPlaying(false);
     setTime(0);
-    setDisplacement(0);
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
     }
@@ -326,61 +574,367 @@ export default function EarthquakeSimulation() {
           
           <h1 className="heading-primary text-caps tracking-scientific mb-2">Figure 1. Earthquake Response Simulation</h1>
           <p className="text-methodology">
-            Interactive structural dynamics demonstration of single-degree-of-freedom system response to harmonic ground excitation.
+            Interactive structural dynamics demonstration of single-degree-of-freedom system response to harmonic or recorded ground excitation, integrated step-by-step in time.
           </p>
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Visualization Panel */}
-          <div className="lg:col-span-2">
-            <div className="panel-scientific p-6 border-precise-2">
-              <h2 className="text-figure-title mb-4">A. DYNAMIC RESPONSE VISUALIZATION</h2>
-              
-              <canvas 
-                ref={canvasRef}
-                width={600}
-                height={400}
-                className="border-2 border-mono-black w-full bg-mono-white chart-grid"
-              />
-              
-              <div className="flex gap-2 mt-4 text-xs">
-                <button
-                  onClick={startSimulation}
-                  disabled={isPlaying}
-                  className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
-                >
-                  START
-                </button>
+          <div className="lg:col-span-2 space-y-6">
+            <div className="flex flex-wrap gap-2 text-xs">
+              {Object.entries(ANALYSIS_MODES).map(([key, mode]) => (
                 <button
-                  onClick={stopSimulation}
-                  disabled={!isPlaying}
-                  className="btn-scientific disabled:bg-mono-300 disabled:text-mono-500"
+                  key={key}
+                  onClick={() => setAnalysisMode(key)}
+                  className={`btn-scientific ${analysisMode === key ? 'bg-mono-black text-mono-white' : ''}`}
                 >
-                  STOP
+                  {mode.name}
                 </button>
-                <button
-                  onClick={resetSimulation}
-                  className="btn-scientific"
-                >
-                  RESET
-                </button>
-                <label className="flex items-center gap-2 ml-4 text-data-label">
+              ))}
+            </div>
+
+            {analysisMode === 'responseSpectrum' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. ELASTIC RESPONSE SPECTRUM</h2>
+                <ResponseSpectrumPanel excitation={excitation} designSpectrum={designSpectrum} />
+              </div>
+            )}
+
+            {analysisMode === 'inelasticSpectrum' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. CONSTANT-DUCTILITY INELASTIC SPECTRA</h2>
+                <InelasticSpectrumPanel excitation={excitation} />
+              </div>
+            )}
+
+            {analysisMode === 'baseIsolation' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. BASE ISOLATION - FIXED BASE VS. ISOLATED</h2>
+                <BaseIsolationPanel stories={stories} excitation={excitation} dampingRatio={parameters.damping} />
+              </div>
+            )}
+
+            {analysisMode === 'supplementalDamping' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. SUPPLEMENTAL DAMPING - TMD AND VISCOUS DAMPERS</h2>
+                <SupplementalDampingPanel stories={stories} excitation={excitation} damping={damping} />
+              </div>
+            )}
+
+            {analysisMode === 'pounding' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. POUNDING BETWEEN ADJACENT BUILDINGS</h2>
+                <PoundingPanel excitation={excitation} dampingRatio={parameters.damping} system={structuralSystem} />
+              </div>
+            )}
+
+            {analysisMode === 'torsion' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. ECCENTRIC ONE-STORY BUILDING - BIDIRECTIONAL AND TORSIONAL RESPONSE</h2>
+                <EccentricBuildingPanel excitation={excitation} dampingRatio={parameters.damping} />
+              </div>
+            )}
+
+            {analysisMode === 'ida' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. INCREMENTAL DYNAMIC ANALYSIS - COLLAPSE FRAGILITY</h2>
+                <IDAPanel
+                  mass={parameters.mass}
+                  stiffness={parameters.stiffness}
+                  dampingRatio={parameters.damping}
+                  springModel={springModel}
+                  yieldForce={yieldForce}
+                  postYieldRatio={parameters.postYieldRatio}
+                  exponent={parameters.boucWenExponent}
+                  columnHeight={parameters.columnHeight}
+                  stories={stories}
+                  damping={damping}
+                  pDelta={pDeltaEnabled}
+                  record={activeRecord}
+                  designSpectrum={designSpectrum}
+                />
+              </div>
+            )}
+
+            {analysisMode === 'shearBuilding' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">A. MODAL ANALYSIS - MODE SHAPES</h2>
+                <ModeShapePanel stories={stories} modes={modes} />
+              </div>
+            )}
+
+            {analysisMode === 'shearBuilding' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">B. EQUIVALENT LATERAL FORCE PROCEDURE (ASCE 7 §12.8)</h2>
+                <EquivalentLateralForcePanel
+                  stories={stories}
+                  modes={modes}
+                  designSpectrum={designSpectrum}
+                  system={structuralSystem}
+                />
+              </div>
+            )}
+
+            {analysisMode === 'shearBuilding' && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">C. MODAL RESPONSE SPECTRUM ANALYSIS (ASCE 7 §12.9)</h2>
+                <ModalResponseSpectrumPanel
+                  stories={stories}
+                  modes={modes}
+                  designSpectrum={designSpectrum}
+                  system={structuralSystem}
+                />
+              </div>
+            )}
+
+            <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('shearBuilding', 'supplementalDamping', 'ida')}`}>
+              <h2 className="text-figure-title mb-4">D. CLASSICAL DAMPING - ζ VS. FREQUENCY</h2>
+              <DampingPanel stories={stories} damping={damping} onChange={setDamping} />
+            </div>
+
+            <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory', 'freeVibration')}`}>
+              <h2 className="text-figure-title mb-4">A. DYNAMIC RESPONSE VISUALIZATION</h2>
+              
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                <canvas 
+                  ref={canvasRef}
+                  width={600}
+                  height={400}
+                  className="border-2 border-mono-black w-full bg-mono-white chart-grid md:col-span-3"
+                />
+                <div className="md:col-span-2">
+                  <HysteresisPlot
+                    displacement={solution?.displacement}
+                    force={solution?.restoringForce}
+                    index={stepIndex}
+                    yieldForce={isNonlinear ? yieldForce : null}
+                  />
+                </div>
+              </div>
+              
+              <PlaybackControls
+                time={time}
+                endTime={endTime}
+                frameStep={parameters.timeStep}
+                peakTime={peakDisplacementTime}
+                isPlaying={isPlaying}
+                speed={playbackSpeed}
+                disabled={!solution}
+                onPlay={startSimulation}
+                onPause={stopSimulation}
+                onReset={resetSimulation}
+                onSeek={seekSimulation}
+                onSpeedChange={setPlaybackSpeed}
+                className="mt-4"
+              />
+
+              {solution && (
+                <TimeHistoryCharts
+                  solution={solution}
+                  time={time}
+                  onSeek={seekSimulation}
+                  className="mt-4"
+                />
+              )}
+
+              <label className="flex items-center gap-2 mt-4 text-xs text-data-label">
+                <input
+                  type="checkbox"
+                  checked={voiceEnabled}
+                  onChange={(e) => setVoiceEnabled(e.target.checked)}
+                  className="border border-mono-black"
+                />
+                NARRATION
+              </label>
+            </div>
+
+            {freeVibrationMode && (
+              <div className="panel-scientific p-6 border-precise-2">
+                <h2 className="text-figure-title mb-4">F. FREE VIBRATION DECAY - LOGARITHMIC DECREMENT</h2>
+                {solution ? (
+                  <FreeVibrationPanel
+                    solution={solution}
+                    mass={parameters.mass}
+                    stiffness={parameters.stiffness}
+                    dampingRatio={parameters.damping}
+                    time={time}
+                  />
+                ) : (
+                  <p className="text-xs border border-mono-black p-2">⚠ {solverError}</p>
+                )}
+              </div>
+            )}
+
+            <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory')}`}>
+              <h2 className="text-figure-title mb-4">F. ENERGY BALANCE</h2>
+              {solution ? (
+                <EnergyBalancePanel
+                  solution={solution}
+                  mass={parameters.mass}
+                  stiffness={parameters.stiffness}
+                  elasticStiffness={elasticStiffness}
+                  dampingRatio={parameters.damping}
+                  index={stepIndex}
+                />
+              ) : (
+                <p className="text-xs border border-mono-black p-2">⚠ {solverError}</p>
+              )}
+            </div>
+
+            {usingRecord && (
+              <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory', 'responseSpectrum', 'inelasticSpectrum')}`}>
+                <h2 className="text-figure-title mb-4">G. GROUND MOTION INTENSITY MEASURES</h2>
+                <IntensityMeasuresPanel record={activeRecord} />
+              </div>
+            )}
+
+            <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory')}`}>
+              <h2 className="text-figure-title mb-4">H. FOURIER SPECTRA AND TRANSFER FUNCTION</h2>
+              {solution ? (
+                <FourierSpectrumPanel
+                  solution={solution}
+                  naturalFrequency={FORMULAS.naturalFrequency(parameters.stiffness, parameters.mass)}
+                  dampingRatio={parameters.damping}
+                  onPeakIdentified={setTransferPeak}
+                />
+              ) : (
+                <p className="text-xs border border-mono-black p-2">⚠ {solverError}</p>
+              )}
+            </div>
+
+            {usingChirp && (
+              <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory')}`}>
+                <h2 className="text-figure-title mb-4">I. FREQUENCY SWEEP - RESONANCE IDENTIFICATION</h2>
+                {solution ? (
+                  <FrequencySweepPanel
+                    solution={solution}
+                    excitation={chirpExcitation}
+                    amplitude={parameters.groundAccel}
+                    naturalFrequency={FORMULAS.naturalFrequency(parameters.stiffness, parameters.mass)}
+                    dampingRatio={parameters.damping}
+                    sweep={chirpSweep}
+                    startFrequency={parameters.sweepStart}
+                    endFrequency={parameters.sweepEnd}
+                    time={time}
+                  />
+                ) : (
+                  <p className="text-xs border border-mono-black p-2">⚠ {solverError}</p>
+                )}
+              </div>
+            )}
+
+            {usingPulse && (
+              <div className={`panel-scientific p-6 border-precise-2 ${visibleIn('timeHistory')}`}>
+                <h2 className="text-figure-title mb-4">J. NEAR-FAULT PULSE - RESPONSE VS. Tp/Tn</h2>
+                <NearFaultPulsePanel
+                  excitation={pulseExcitation}
+                  pulse={pulse}
+                  period={parameters.period}
+                  dampingRatio={parameters.damping}
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Parameter Controls */}
+          <div className="space-y-6">
+            {/* ASCE 7 Design Spectrum */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('responseSpectrum', 'shearBuilding', 'ida')}`}>
+              <h3 className="text-figure-title mb-4">ASCE 7 DESIGN SPECTRUM</h3>
+              <DesignSpectrumPanel onSpectrumChange={setDesignSpectrum} />
+            </div>
+
+            {/* Shear Building Stories */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('shearBuilding', 'baseIsolation', 'supplementalDamping', 'ida')}`}>
+              <h3 className="text-figure-title mb-4">SHEAR BUILDING STORIES</h3>
+              <ShearBuildingEditor stories={stories} onChange={handleStoriesChange} />
+            </div>
+
+            {/* Seismic Force-Resisting System */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('shearBuilding', 'pounding')}`}>
+              <h3 className="text-figure-title mb-4">SEISMIC FORCE-RESISTING SYSTEM</h3>
+              <StructuralSystemTable system={structuralSystem} onChange={setStructuralSystem} />
+            </div>
+
+            {/* P-Delta Effects */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('timeHistory', 'freeVibration', 'shearBuilding', 'ida')}`}>
+              <h3 className="text-figure-title mb-4">P-DELTA EFFECTS</h3>
+
+              <div className="space-y-3 text-xs">
+                <label className="flex items-center gap-2 text-data-label">
                   <input
                     type="checkbox"
-                    checked={voiceEnabled}
-                    onChange={(e) => setVoiceEnabled(e.target.checked)}
+                    checked={pDeltaEnabled}
+                    onChange={(e) => setPDeltaEnabled(e.target.checked)}
                     className="border border-mono-black"
                   />
-                  NARRATION
+                  GRAVITY P-Δ (GEOMETRIC STIFFNESS −P/h)
                 </label>
+
+                <div className={visibleIn('timeHistory', 'freeVibration', 'ida')}>
+                  <label className="text-data-label block mb-1">
+                    SDOF COLUMN HEIGHT h (m)
+                  </label>
+                  <input
+                    type="number"
+                    value={parameters.columnHeight}
+                    onChange={(e) => handleParameterChange('columnHeight', e.target.value)}
+                    className="input-scientific w-full text-tabular"
+                    min="0.5"
+                    step="0.5"
+                  />
+                </div>
+
+                {pDeltaEnabled && (
+                  <div className={`space-y-2 ${visibleIn('timeHistory', 'freeVibration')}`}>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">θ = P/(k·h):</span>
+                      <span className="text-data-value">{stabilityRatio.toFixed(4)}</span>
+                    </div>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">ELASTIC f₀√(1 − θ):</span>
+                      <span className="text-data-value">{(parameters.naturalFreq * Math.sqrt(Math.max(1 - stabilityRatio, 0))).toFixed(3)} Hz</span>
+                    </div>
+                    {isNonlinear && (
+                      <div className="flex justify-between border-b border-mono-300 pb-1">
+                        <span className="text-data-label">POST-YIELD STIFFNESS (α − θ)·k:</span>
+                        <span className="text-data-value">{((postYieldRatio - stabilityRatio) * 100).toFixed(2)}% of k</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">ZERO-STRENGTH DISPLACEMENT:</span>
+                      <span className="text-data-value">{Number.isFinite(collapseLimit) ? `${(collapseLimit * 1000).toFixed(0)} mm` : 'none'}</span>
+                    </div>
+                    {collapse && (
+                      <p className="border border-mono-black p-2">
+                        ⚠ Collapse at t = {collapse.time.toFixed(2)} s: the displacement ratcheted to the point where gravity
+                        overcomes the remaining lateral strength.
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {pDeltaEnabled && (
+                  <div className={`flex justify-between border-b border-mono-300 pb-1 ${visibleIn('shearBuilding')}`}>
+                    <span className="text-data-label">T1 WITH P-Δ:</span>
+                    <span className="text-data-value">{modalError ? '—' : `${modes[0].period.toFixed(3)} s`}</span>
+                  </div>
+                )}
+                {pDeltaEnabled && modalError && (
+                  <p className={`border border-mono-black p-2 ${visibleIn('shearBuilding')}`}>⚠ {modalError}</p>
+                )}
+
+                <p className="text-methodology">
+                  The weight P = m·g displaced by u adds an overturning moment P·u, equivalent to a lateral
+                  stiffness −P/h. Once yielding leaves a post-yield stiffness α·k smaller than P/h, the backbone
+                  slopes downward: each excursion into the yielded range drifts further in one direction (ratcheting)
+                  until no lateral strength remains.
+                </p>
               </div>
             </div>
-          </div>
 
-          {/* Parameter Controls */}
-          <div className="space-y-6">
             {/* Structural Parameters */}
-            <div className="panel-scientific p-4 border-precise-2">
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('timeHistory', 'freeVibration', 'ida')}`}>
               <h3 className="text-figure-title mb-4">B. STRUCTURAL PARAMETERS</h3>
               
               <div className="space-y-3">
@@ -426,47 +980,419 @@ export default function EarthquakeSimulation() {
                     step="0.01"
                   />
                 </div>
+                
+                <div>
+                  <label className="text-data-label block mb-1">
+                    SPRING MODEL
+                  </label>
+                  <select
+                    value={springModel}
+                    onChange={(e) => setSpringModel(e.target.value)}
+                    className="input-scientific w-full"
+                  >
+                    {Object.entries(HYSTERETIC_MODELS).map(([key, model]) => (
+                      <option key={key} value={key}>{model.name}</option>
+                    ))}
+                  </select>
+                  <p className="text-methodology text-xs mt-1">
+                    {HYSTERETIC_MODELS[springModel].description}
+                  </p>
+                </div>
+                
+                {isNonlinear && (
+                  <div>
+                    <label className="text-data-label block mb-1">
+                      YIELD STRENGTH Fy/W
+                    </label>
+                    <input
+                      type="number"
+                      value={parameters.yieldCoefficient}
+                      onChange={(e) => handleParameterChange('yieldCoefficient', e.target.value)}
+                      className="input-scientific w-full text-tabular"
+                      min="0.01"
+                      step="0.05"
+                    />
+                  </div>
+                )}
+                
+                {isNonlinear && springModel !== 'elastoplastic' && (
+                  <div>
+                    <label className="text-data-label block mb-1">
+                      POST-YIELD RATIO (α)
+                    </label>
+                    <input
+                      type="number"
+                      value={parameters.postYieldRatio}
+                      onChange={(e) => handleParameterChange('postYieldRatio', e.target.value)}
+                      className="input-scientific w-full text-tabular"
+                      min="0.001"
+                      max="0.99"
+                      step="0.01"
+                    />
+                  </div>
+                )}
+                
+                {springModel === 'boucWen' && (
+                  <div>
+                    <label className="text-data-label block mb-1">
+                      BOUC-WEN EXPONENT (n)
+                    </label>
+                    <input
+                      type="number"
+                      value={parameters.boucWenExponent}
+                      onChange={(e) => handleParameterChange('boucWenExponent', e.target.value)}
+                      className="input-scientific w-full text-tabular"
+                      min="0.5"
+                      max="20"
+                      step="0.5"
+                    />
+                  </div>
+                )}
               </div>
             </div>
 
             {/* Earthquake Parameters */}
-            <div className="panel-scientific p-4 border-precise-2">
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('timeHistory', 'responseSpectrum', 'inelasticSpectrum', 'baseIsolation', 'supplementalDamping', 'pounding', 'torsion', 'ida')}`}>
               <h3 className="text-figure-title mb-4">C. EXCITATION PARAMETERS</h3>
               
               <div className="space-y-3">
                 <div>
                   <label className="text-data-label block mb-1">
-                    GROUND ACCEL (m/s²)
+                    SOURCE
+                  </label>
+                  <select
+                    value={excitationSource}
+                    onChange={(e) => setExcitationSource(e.target.value)}
+                    className="input-scientific w-full"
+                  >
+                    <option value="harmonic">Harmonic (sine)</option>
+                    <option value="chirp">Frequency sweep (chirp)</option>
+                    <option value="pulse">Near-fault velocity pulse</option>
+                    <option value="record">Recorded ground motion</option>
+                    <option value="synthetic">Synthetic (filtered white noise)</option>
+                  </select>
+                </div>
+                
+                {(excitationSource === 'harmonic' || excitationSource === 'chirp') && (
+                  <div>
+                    <label className="text-data-label block mb-1">
+                      GROUND ACCEL (m/s²)
+                    </label>
+                    <input
+                      type="number"
+                      value={parameters.groundAccel}
+                      onChange={(e) => handleParameterChange('groundAccel', e.target.value)}
+                      className="input-scientific w-full text-tabular"
+                      min="0.1"
+                      step="0.1"
+                    />
+                  </div>
+                )}
+
+                {excitationSource === 'harmonic' && (
+                  <>
+                    <div>
+                      <label className="text-data-label block mb-1">
+                        FREQUENCY (Hz)
+                      </label>
+                      <input
+                        type="number"
+                        value={parameters.frequency}
+                        onChange={(e) => handleParameterChange('frequency', e.target.value)}
+                        className="input-scientific w-full text-tabular"
+                        min="0.1"
+                        step="0.1"
+                      />
+                    </div>
+                
+                    <div>
+                      <label className="text-data-label block mb-1">
+                        SHAKING DURATION (s)
+                      </label>
+                      <input
+                        type="number"
+                        value={parameters.shakingDuration}
+                        onChange={(e) => handleParameterChange('shakingDuration', e.target.value)}
+                        className="input-scientific w-full text-tabular"
+                        min="1"
+                        step="1"
+                      />
+                    </div>
+                  </>
+                )}
+
+                {excitationSource === 'chirp' && (
+                  <>
+                    <div>
+                      <label className="text-data-label block mb-1">
+                        SWEEP LAW
+                      </label>
+                      <select
+                        value={chirpSweep}
+                        onChange={(e) => setChirpSweep(e.target.value)}
+                        className="input-scientific w-full"
+                      >
+                        {Object.entries(CHIRP_SWEEPS).map(([key, sweep]) => (
+                          <option key={key} value={key}>{sweep.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="text-data-label block mb-1">
+                          START f1 (Hz)
+                        </label>
+                        <input
+                          type="number"
+                          value={parameters.sweepStart}
+                          onChange={(e) => handleParameterChange('sweepStart', e.target.value)}
+                          className="input-scientific w-full text-tabular"
+                          min="0.05"
+                          step="0.05"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-data-label block mb-1">
+                          END f2 (Hz)
+                        </label>
+                        <input
+                          type="number"
+                          value={parameters.sweepEnd}
+                          onChange={(e) => handleParameterChange('sweepEnd', e.target.value)}
+                          className="input-scientific w-full text-tabular"
+                          min="0.05"
+                          step="0.05"
+                        />
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="text-data-label block mb-1">
+                        SWEEP DURATION (s)
+                      </label>
+                      <input
+                        type="number"
+                        value={parameters.sweepDuration}
+                        onChange={(e) => handleParameterChange('sweepDuration', e.target.value)}
+                        className="input-scientific w-full text-tabular"
+                        min="10"
+                        step="10"
+                      />
+                    </div>
+
+                    {chirpError && (
+                      <p className="text-xs border border-mono-black p-2">⚠ {chirpError}</p>
+                    )}
+                  </>
+                )}
+
+                {excitationSource === 'pulse' && (
+                  <>
+                    <div>
+                      <label className="text-data-label block mb-1">
+                        PULSE MODEL
+                      </label>
+                      <select
+                        value={pulseModel}
+                        onChange={(e) => setPulseModel(e.target.value)}
+                        className="input-scientific w-full"
+                      >
+                        {Object.entries(PULSE_MODELS).map(([key, model]) => (
+                          <option key={key} value={key}>{model.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="text-data-label block mb-1">
+                          PERIOD Tp (s)
+                        </label>
+                        <input
+                          type="number"
+                          value={parameters.pulsePeriod}
+                          onChange={(e) => handleParameterChange('pulsePeriod', e.target.value)}
+                          className="input-scientific w-full text-tabular"
+                          min="0.1"
+                          step="0.1"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-data-label block mb-1">
+                          AMPLITUDE Vp (m/s)
+                        </label>
+                        <input
+                          type="number"
+                          value={parameters.pulseVelocity}
+                          onChange={(e) => handleParameterChange('pulseVelocity', e.target.value)}
+                          className="input-scientific w-full text-tabular"
+                          min="0.05"
+                          step="0.05"
+                        />
+                      </div>
+                    </div>
+
+                    {pulseModel === 'mavroeidisPapageorgiou' && (
+                      <div className="grid grid-cols-2 gap-3">
+                        <div>
+                          <label className="text-data-label block mb-1">
+                            OSCILLATION γ
+                          </label>
+                          <input
+                            type="number"
+                            value={parameters.pulseGamma}
+                            onChange={(e) => handleParameterChange('pulseGamma', e.target.value)}
+                            className="input-scientific w-full text-tabular"
+                            min="1.1"
+                            step="0.1"
+                          />
+                        </div>
+                        <div>
+                          <label className="text-data-label block mb-1">
+                            PHASE ν (°)
+                          </label>
+                          <input
+                            type="number"
+                            value={parameters.pulsePhase}
+                            onChange={(e) => handleInitialConditionChange('pulsePhase', e.target.value)}
+                            className="input-scientific w-full text-tabular"
+                            step="15"
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    <p className="text-methodology text-xs">
+                      {PULSE_MODELS[pulseModel].description}
+                    </p>
+
+                    {pulseError && (
+                      <p className="text-xs border border-mono-black p-2">⚠ {pulseError}</p>
+                    )}
+                  </>
+                )}
+                
+                <GroundMotionImporter
+                  onRecordLoaded={setGroundRecord}
+                  className={excitationSource === 'record' ? '' : 'hidden'}
+                />
+
+                <SyntheticMotionGenerator
+                  onRecordGenerated={setSyntheticRecord}
+                  className={excitationSource === 'synthetic' ? '' : 'hidden'}
+                />
+                
+                <div>
+                  <label className="text-data-label block mb-1">
+                    FREE VIBRATION (s)
+                  </label>
+                  <input
+                    type="number"
+                    value={parameters.freeVibration}
+                    onChange={(e) => handleParameterChange('freeVibration', e.target.value)}
+                    className="input-scientific w-full text-tabular"
+                    min="1"
+                    step="1"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Initial Conditions */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('freeVibration')}`}>
+              <h3 className="text-figure-title mb-4">C. INITIAL CONDITIONS</h3>
+
+              <div className="space-y-3">
+                <div>
+                  <label className="text-data-label block mb-1">
+                    INITIAL DISPLACEMENT u₀ (mm)
+                  </label>
+                  <input
+                    type="number"
+                    value={parameters.initialDisplacement}
+                    onChange={(e) => handleInitialConditionChange('initialDisplacement', e.target.value)}
+                    className="input-scientific w-full text-tabular"
+                    step="5"
+                  />
+                </div>
+
+                <div>
+                  <label className="text-data-label block mb-1">
+                    INITIAL VELOCITY v₀ (mm/s)
                   </label>
                   <input
                     type="number"
-                    value={parameters.groundAccel}
-                    onChange={(e) => handleParameterChange('groundAccel', e.target.value)}
+                    value={parameters.initialVelocity}
+                    onChange={(e) => handleInitialConditionChange('initialVelocity', e.target.value)}
                     className="input-scientific w-full text-tabular"
-                    min="0.1"
-                    step="0.1"
+                    step="10"
                   />
                 </div>
+
+                <div>
+                  <label className="text-data-label block mb-1">
+                    RECORD LENGTH (s)
+                  </label>
+                  <input
+                    type="number"
+                    value={parameters.decayDuration}
+                    onChange={(e) => handleParameterChange('decayDuration', e.target.value)}
+                    className="input-scientific w-full text-tabular"
+                    min="1"
+                    step="1"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Time Integration */}
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('timeHistory', 'freeVibration')}`}>
+              <h3 className="text-figure-title mb-4">D. TIME INTEGRATION</h3>
+              
+              <div className="space-y-3">
+                <div>
+                  <label className="text-data-label block mb-1">
+                    METHOD
+                  </label>
+                  <select
+                    value={integrationMethod}
+                    onChange={(e) => setIntegrationMethod(e.target.value)}
+                    className="input-scientific w-full"
+                  >
+                    {Object.entries(INTEGRATION_METHODS).map(([key, method]) => (
+                      <option key={key} value={key}>{method.name}</option>
+                    ))}
+                  </select>
+                  <p className="text-methodology text-xs mt-1">
+                    {INTEGRATION_METHODS[integrationMethod].description}
+                  </p>
+                </div>
                 
                 <div>
                   <label className="text-data-label block mb-1">
-                    FREQUENCY (Hz)
+                    TIME STEP Δt (s)
                   </label>
                   <input
                     type="number"
-                    value={parameters.frequency}
-                    onChange={(e) => handleParameterChange('frequency', e.target.value)}
+                    value={parameters.timeStep}
+                    onChange={(e) => handleParameterChange('timeStep', e.target.value)}
                     className="input-scientific w-full text-tabular"
-                    min="0.1"
-                    step="0.1"
+                    min="0.001"
+                    max="0.1"
+                    step="0.001"
                   />
                 </div>
+                
+                {solverError && (
+                  <p className="text-xs border border-mono-black p-2">⚠ {solverError}</p>
+                )}
               </div>
             </div>
 
             {/* Calculated Values */}
-            <div className="panel-scientific p-4 border-precise-2">
-              <h3 className="text-figure-title mb-4">D. CALCULATED PROPERTIES</h3>
+            <div className={`panel-scientific p-4 border-precise-2 ${visibleIn('timeHistory', 'freeVibration')}`}>
+              <h3 className="text-figure-title mb-4">E. CALCULATED PROPERTIES</h3>
               
               <div className="space-y-2 text-xs">
                 <div className="flex justify-between border-b border-mono-300 pb-1">
@@ -485,6 +1411,30 @@ export default function EarthquakeSimulation() {
                   <span className="text-data-label">DISPLACEMENT:</span>
                   <span className="text-data-value">{displacement.toFixed(1)} mm</span>
                 </div>
+                <div className="flex justify-between border-b border-mono-300 pb-1">
+                  <span className="text-data-label">PEAK DISPLACEMENT:</span>
+                  <span className="text-data-value">{peakDisplacement.toFixed(1)} mm</span>
+                </div>
+                {isNonlinear && inelastic && (
+                  <>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">YIELD DISPLACEMENT:</span>
+                      <span className="text-data-value">{(yieldForce / parameters.stiffness * 1000).toFixed(1)} mm</span>
+                    </div>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">DUCTILITY DEMAND μ:</span>
+                      <span className="text-data-value">{inelastic.ductility.toFixed(2)}</span>
+                    </div>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">HYSTERETIC ENERGY:</span>
+                      <span className="text-data-value">{(inelastic.hystereticEnergy[stepIndex] / 1000).toFixed(2)} / {(inelastic.dissipatedEnergy / 1000).toFixed(2)} kJ</span>
+                    </div>
+                    <div className="flex justify-between border-b border-mono-300 pb-1">
+                      <span className="text-data-label">RESIDUAL DISPLACEMENT:</span>
+                      <span className="text-data-value">{(inelastic.residualDisplacement * 1000).toFixed(1)} mm</span>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -496,7 +1446,12 @@ export default function EarthquakeSimulation() {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-xs">
             <div>
               <h4 className="text-data-value mb-2">RESONANCE PHENOMENON</h4>
-              <p className="text-methodology leading-relaxed">Maximum amplification occurs when excitation frequency (f) approaches natural frequency (f₀). Critical for seismic design considerations.</p>
+              <p className="text-methodology leading-relaxed">Maximum amplification occurs when excitation frequency (f) approaches natural frequency (f₀). Critical for seismic design considerations.
+                {solution && transferPeak && (
+                  <> In the current run the transfer function of panel H peaks at {transferPeak.frequency.toFixed(2)} Hz
+                  (f₀ = {parameters.naturalFreq.toFixed(2)} Hz) with an amplification of {transferPeak.amplification.toFixed(1)}.</>
+                )}
+              </p>
             </div>
             <div>
               <h4 className="text-data-value mb-2">DAMPING EFFECTS</h4>
@@ -510,6 +1465,10 @@ export default function EarthquakeSimulation() {
               <h4 className="text-data-value mb-2">DESIGN IMPLICATIONS</h4>
               <p className="text-methodology leading-relaxed">Structures designed to avoid resonance with dominant earthquake frequencies (0.5-10 Hz typical range).</p>
             </div>
+            <div>
+              <h4 className="text-data-value mb-2">INELASTIC RESPONSE</h4>
+              <p className="text-methodology leading-relaxed">Yielding limits the force to about Fy and dissipates energy in the hysteresis loops; the price is ductility demand μ = umax/uy and a permanent residual displacement.</p>
+            </div>
           </div>
         </div>
       </div>
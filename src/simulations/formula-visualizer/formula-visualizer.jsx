@@ -6,6 +6,7 @@ import { FormulaLibrary, InteractiveFormula } from '../../components/content/For
 import { FORMULAS, MATERIAL_PROPERTIES } from '../../constants/engineering';
 import * as WolframAlpha from '../../services/wolframAlpha';
 import { createCanvasProps } from '../../utils/canvasUtils';
+import { denHartogTuning, tmdFrequencyResponse } from '../../utils/supplementalDamping';
 
 export default function FormulaVisualizer() {
   const canvasRef = useRef(null);
@@ -138,6 +139,22 @@ export default function FormulaVisualizer() {
           resultUnits: '',
           wolframBuilder: (params) => WolframAlpha.STRUCTURAL_DYNAMICS.dynamicAmplification(params.r, params.zeta),
           visualizationType: 'amplification_curve'
+        },
+        {
+          title: 'Tuned Mass Damper (Den Hartog)',
+          formula: 'f_opt = 1 / (1 + μ),  ζd = √[3μ / 8(1 + μ)³]',
+          description: 'Optimal tuning of a TMD of mass ratio μ; the resonant peak splits into two equal peaks',
+          interactive: true,
+          parameters: [
+            { name: 'r', label: 'Frequency Ratio', defaultValue: 1.0, units: '', min: 0.1, max: 3.0, step: 0.1 },
+            { name: 'zeta', label: 'Structural Damping Ratio', defaultValue: 0.02, units: '', min: 0.01, max: 0.3, step: 0.01 },
+            { name: 'mu', label: 'Mass Ratio', defaultValue: 0.05, units: '', min: 0.005, max: 0.2, step: 0.005, precision: 3 }
+          ],
+          calculation: (params) => FORMULAS.tmdOptimalTuning(params.mu),
+          resultLabel: 'Optimal Tuning Ratio',
+          resultUnits: '',
+          wolframBuilder: (params) => WolframAlpha.STRUCTURAL_DYNAMICS.tunedMassDamper(params.mu),
+          visualizationType: 'amplification_curve'
         }
       ]
     }
@@ -482,6 +499,29 @@ export default function FormulaVisualizer() {
     }
     ctx.stroke();
     
+    // Den Hartog TMD: the single peak splits around the tuning ratio
+    if (params.mu) {
+      const tuning = denHartogTuning(params.mu);
+      const ratios = Array.from({ length: 201 }, (_, i) => (i / 200) * maxRatio);
+      const tmdResponse = tmdFrequencyResponse(ratios, { massRatio: params.mu, ...tuning, structuralDamping: params.zeta });
+
+      ctx.strokeStyle = '#666666';
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ratios.forEach((r, i) => {
+        const x = margin + (i / 200) * graphWidth;
+        const y = height - margin - Math.min(tmdResponse[i] / 5, 1) * graphHeight;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const tuningX = margin + (tuning.frequencyRatio / maxRatio) * graphWidth;
+      ctx.fillStyle = '#666666';
+      ctx.fillText(`TMD μ = ${params.mu}, f = ${tuning.frequencyRatio.toFixed(3)}`, tuningX + 10, margin + 15);
+    }
+
     // Mark current point
     const currentX = margin + (params.r / maxRatio) * graphWidth;
     const currentDAF = FORMULAS.dynamicAmplification(params.r, params.zeta);
@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import { SimulationLayout } from '../../components/layout/AcademicPage';
 import { ParameterInput, ParameterPanel, DataDisplay, ControlButton } from '../../components/scientific/ParameterPanel';
 import { Figure } from '../../components/scientific/Figure';
+import { SiteResponsePanel } from '../../components/scientific/SiteResponsePanel';
 import { SOIL_PROPERTIES, FORMULAS } from '../../constants/engineering';
 import { FOUNDATION_ANALYSIS } from '../../services/wolframAlpha';
 import { createCanvasProps, clearCanvas, setupCanvasContext } from '../../utils/canvasUtils';
@@ -30,10 +31,12 @@ export default function SoilStructureInteraction() {
     bearingPressure: 0,
     allowableBearing: 0,
     safetyFactor: 0,
-    settlement: 0,
-    seismicResponse: 0
+    settlement: 0
   });
 
+  // PGA amplification of the soil column from the equivalent-linear site response
+  const [siteAmplification, setSiteAmplification] = useState(null);
+
   // Foundation type configurations
   const foundationTypes = {
     spread: {
@@ -93,15 +96,11 @@ export default function SoilStructureInteraction() {
     const elasticModulus = SOIL.bearing_capacity * 300; // Rough correlation
     const settlement = (bearingPressure * parameters.foundationWidth * 1000) / elasticModulus; // mm
     
-    // Seismic response (simplified)
-    const seismicResponse = parameters.seismicAcceleration * (800 / SOIL.shearWaveVelocity);
-    
     setResults({
       bearingPressure: bearingPressure,
       allowableBearing: allowableBearing,
       safetyFactor: safetyFactor,
-      settlement: settlement,
-      seismicResponse: seismicResponse
+      settlement: settlement
     });
   }, [soilType, parameters]);
 
@@ -512,7 +511,7 @@ export default function SoilStructureInteraction() {
         
         <DataDisplay
           label="Seismic Amplification"
-          value={results.seismicResponse}
+          value={siteAmplification ?? '—'}
           precision={2}
         />
         
@@ -615,6 +614,17 @@ export default function SoilStructureInteraction() {
           </div>
         </section>
       
+      {/* Site Response */}
+      <section className="panel-scientific p-6 border-precise-2 mt-8">
+        <h3 className="text-data-value text-lg mb-4">1D Equivalent-Linear Site Response</h3>
+        <SiteResponsePanel
+          soilType={soilType}
+          pga={parameters.seismicAcceleration}
+          waterTableDepth={parameters.groundwaterDepth}
+          onAmplificationChange={setSiteAmplification}
+        />
+      </section>
+
       {/* Educational Content */}
       <section className="panel-scientific p-6 border-precise-2 mt-8">
         <h3 className="text-data-value text-lg mb-4">Foundation Design Principles</h3>
@@ -648,7 +658,9 @@ export default function SoilStructureInteraction() {
           <p className="text-methodology text-sm">
             Seismic forces modify foundation design through soil amplification effects. 
             Softer soils amplify ground motion more than stiff soils. The shear wave velocity 
-            (Vs) is a key parameter for determining site amplification factors used in seismic design.
+            (Vs) is a key parameter for determining site amplification factors used in seismic design,
+            but soil stiffness and damping both depend on strain: the site response analysis above
+            shows how strong shaking lowers the site frequency and limits the amplification.
           </p>
         </div>
       </section>
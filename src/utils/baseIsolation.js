@@ -0,0 +1,251 @@
+/**
+ * Base Isolation Utilities
+ * Shear building on an isolation layer: base slab mass on a lead-rubber or friction
+ * pendulum bearing, integrated with Newmark's method and Newton-Raphson iteration,
+ * and compared with the same superstructure on a fixed base
+ */
+
+import { zeros } from './linearAlgebra';
+import { assembleShearBuilding, modalAnalysis } from './shearBuilding';
+import { createHystereticSpring } from './hysteresis';
+import { sampleAt, integrateNonlinearMDOF } from './timeIntegration';
+import { GRAVITY } from './groundMotion';
+
+/**
+ * Available isolation bearings
+ */
+export const ISOLATOR_TYPES = {
+  leadRubber: {
+    name: 'Lead-rubber bearing (LRB)',
+    description: 'Bilinear: characteristic strength Qd from the lead core, post-yield stiffness Kd from the rubber, K1 = 10·Kd'
+  },
+  frictionPendulum: {
+    name: 'Friction pendulum (FPS)',
+    description: 'Restoring stiffness W/R plus sliding friction μ(v) = μfast − (μfast − μslow)·e^(−a|v|)'
+  }
+};
+
+/**
+ * Default isolation layer properties
+ */
+export const DEFAULT_ISOLATOR = {
+  type: 'leadRubber',
+  isolatedPeriod: 2.5,        // Td = 2π·√(W / (Kd·g)) (s); for FPS the pendulum period 2π·√(R/g)
+  characteristicStrength: 0.05, // Qd/W of the lead-rubber bearing
+  elasticRatio: 10,           // K1/Kd of the lead-rubber bearing
+  frictionSlow: 0.03,         // μ at zero sliding velocity
+  frictionFast: 0.06,         // μ at high sliding velocity
+  rateParameter: 30,          // a (s/m)
+  slidingDisplacement: 0.0005, // Displacement at which sliding starts (m)
+  baseMassRatio: 1.0          // Base slab mass / mass of the lowest floor
+};
+
+/**
+ * Create an isolation bearing for the total supported weight
+ * @param {Object} isolator - DEFAULT_ISOLATOR-shaped properties
+ * @param {number} totalMass - Mass supported by the isolation layer, including the base slab (kg)
+ * @returns {Object} Bearing {trial(u, v) → {force, tangent}, commit(), postYieldStiffness, characteristicStrength, yieldDisplacement}
+ */
+export function createIsolationBearing(isolator, totalMass) {
+  const { type, isolatedPeriod } = isolator;
+  if (!(isolatedPeriod > 0)) {
+    throw new RangeError('Isolated period must be positive');
+  }
+
+  const weight = totalMass * GRAVITY;
+  const postYieldStiffness = totalMass * Math.pow(2 * Math.PI / isolatedPeriod, 2);
+
+  if (type === 'frictionPendulum') {
+    return frictionPendulumBearing(weight, postYieldStiffness, isolator);
+  }
+  if (type !== 'leadRubber') {
+    throw new Error(`Unknown isolator type: ${type}`);
+  }
+
+  // Qd is the zero-displacement intercept of the post-yield branch: Fy = Qd / (1 − Kd/K1)
+  const { characteristicStrength, elasticRatio } = isolator;
+  const Qd = characteristicStrength * weight;
+  const spring = createHystereticSpring('bilinear', {
+    stiffness: elasticRatio * postYieldStiffness,
+    yieldForce: Qd / (1 - 1 / elasticRatio),
+    postYieldRatio: 1 / elasticRatio
+  });
+
+  return {
+    postYieldStiffness,
+    characteristicStrength: Qd,
+    yieldDisplacement: spring.yieldDisplacement,
+    trial: u => spring.trial(u),
+    commit: () => spring.commit()
+  };
+}
+
+/**
+ * Friction pendulum: pendulum stiffness W/R in parallel with a stiff elastic-plastic
+ * friction element whose strength follows the sliding velocity
+ */
+function frictionPendulumBearing(weight, pendulumStiffness, isolator) {
+  const { frictionSlow, frictionFast, rateParameter, slidingDisplacement } = isolator;
+  const frictionStiffness = (frictionSlow * weight) / slidingDisplacement;
+  const committed = { u: 0, friction: 0 };
+  let trialState = { u: 0, friction: 0 };
+
+  return {
+    postYieldStiffness: pendulumStiffness,
+    characteristicStrength: frictionFast * weight,
+    yieldDisplacement: slidingDisplacement,
+    trial(u, velocity = 0) {
+      const mu = frictionFast - (frictionFast - frictionSlow) * Math.exp(-rateParameter * Math.abs(velocity));
+      const limit = mu * weight;
+      const predictor = committed.friction + frictionStiffness * (u - committed.u);
+      const sliding = Math.abs(predictor) > limit;
+      const friction = sliding ? Math.sign(predictor) * limit : predictor;
+
+      trialState = { u, friction };
+      return {
+        force: pendulumStiffness * u + friction,
+        tangent: pendulumStiffness + (sliding ? 0 : frictionStiffness)
+      };
+    },
+    commit() {
+      committed.u = trialState.u;
+      committed.friction = trialState.friction;
+    }
+  };
+}
+
+/**
+ * Peak story drifts and floor accelerations of an integrated chain
+ * @param {Array<Float64Array>} displacement - Displacements relative to the ground per step
+ * @param {Array<Float64Array>} acceleration - Relative accelerations per step
+ * @param {Float64Array} groundAcceleration - Ground acceleration per step
+ * @param {number} offset - Index of the first floor (1 when a base slab precedes it)
+ * @param {Array} stories - Story definitions from the ground up
+ */
+function peakFloorResponse(displacement, acceleration, groundAcceleration, offset, stories) {
+  const n = stories.length;
+  const steps = displacement.length;
+  const drift = new Float64Array(n);
+  const floorAcceleration = new Float64Array(n);
+  const roofAcceleration = new Float64Array(steps);
+  const firstStoryDrift = new Float64Array(steps);
+
+  for (let i = 0; i < steps; i++) {
+    for (let s = 0; s < n; s++) {
+      const below = s + offset > 0 ? displacement[i][s + offset - 1] : 0;
+      const storyDrift = displacement[i][s + offset] - below;
+      drift[s] = Math.max(drift[s], Math.abs(storyDrift));
+      floorAcceleration[s] = Math.max(floorAcceleration[s], Math.abs(acceleration[i][s + offset] + groundAcceleration[i]));
+      if (s === 0) firstStoryDrift[i] = storyDrift;
+    }
+    roofAcceleration[i] = acceleration[i][n - 1 + offset] + groundAcceleration[i];
+  }
+
+  const levels = stories.map((story, s) => ({
+    level: s + 1,
+    drift: drift[s],
+    driftRatio: drift[s] / story.height,
+    floorAcceleration: floorAcceleration[s]
+  }));
+
+  return { levels, roofAcceleration, firstStoryDrift };
+}
+
+/**
+ * Integrate a shear building on a fixed base and on an isolation layer under the same record
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Object} isolator - DEFAULT_ISOLATOR-shaped properties
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - {dampingRatio (superstructure, fixed-base first mode), dt, duration, tolerance, maxIterations}
+ * @returns {Object} {time, groundAcceleration, fixed, isolated, bearing, fixedPeriod, isolatedPeriod,
+ *   effectivePeriod, effectiveDamping}; fixed and isolated hold peak {levels, baseShear (first-story spring)}
+ *   and the roofAcceleration and firstStoryDrift histories
+ */
+export function compareBaseIsolation(stories, isolator, excitation, options = {}) {
+  const {
+    dampingRatio = 0.05,
+    dt = Math.min(excitation.dt, 0.01),
+    duration = (excitation.values.length - 1) * excitation.dt,
+    tolerance = 1e-8,
+    maxIterations = 50
+  } = options;
+
+  const steps = Math.floor(duration / dt) + 1;
+  const time = new Float64Array(steps);
+  const groundAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundAcceleration[i] = sampleAt(excitation.values, excitation.dt, time[i]);
+  }
+
+  // Stiffness-proportional superstructure damping tuned to the fixed-base first mode, so the
+  // isolation layer itself receives no viscous damping and dissipates only through the bearing
+  const { masses, K } = assembleShearBuilding(stories);
+  const fixedPeriod = modalAnalysis(stories)[0].period;
+  const damping = (2 * dampingRatio * fixedPeriod) / (2 * Math.PI);
+  const C = K.map(row => row.map(value => damping * value));
+  const solverOptions = { dt, tolerance, maxIterations };
+  const fixed = integrateNonlinearMDOF({ masses, K, C }, groundAcceleration, solverOptions);
+
+  // Isolated chain: base slab (DOF 0) under the floors, connected to the first floor by story 1
+  const n = stories.length;
+  const baseMass = isolator.baseMassRatio * stories[0].mass;
+  const isolatedMasses = Float64Array.from([baseMass, ...masses]);
+  const isolatedK = zeros(n + 1);
+  const isolatedC = zeros(n + 1);
+  const storyStiffness = stories[0].stiffness;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      isolatedK[i + 1][j + 1] = K[i][j];
+      isolatedC[i + 1][j + 1] = C[i][j];
+    }
+  }
+  isolatedK[0][0] += storyStiffness;
+  isolatedK[0][1] -= storyStiffness;
+  isolatedK[1][0] -= storyStiffness;
+  isolatedC[0][0] += damping * storyStiffness;
+  isolatedC[0][1] -= damping * storyStiffness;
+  isolatedC[1][0] -= damping * storyStiffness;
+
+  const totalMass = isolatedMasses.reduce((sum, m) => sum + m, 0);
+  const bearing = createIsolationBearing(isolator, totalMass);
+  const isolated = integrateNonlinearMDOF({
+    masses: isolatedMasses,
+    K: isolatedK,
+    C: isolatedC,
+    elements: [{ dofs: [0, -1], trial: bearing.trial, commit: bearing.commit }]
+  }, groundAcceleration, solverOptions);
+
+  const bearingDisplacement = Float64Array.from(isolated.displacement, u => u[0]);
+  const peakBearingDisplacement = bearingDisplacement.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+
+  // Secant stiffness and equivalent viscous damping of the bilinear loop at the peak displacement
+  const D = Math.max(peakBearingDisplacement, bearing.yieldDisplacement);
+  const Qd = bearing.characteristicStrength;
+  const effectiveStiffness = bearing.postYieldStiffness + Qd / D;
+  const effectivePeriod = 2 * Math.PI * Math.sqrt(totalMass / effectiveStiffness);
+  const effectiveDamping = (4 * Qd * (D - bearing.yieldDisplacement)) / (2 * Math.PI * effectiveStiffness * D * D);
+
+  const fixedPeaks = peakFloorResponse(fixed.displacement, fixed.acceleration, groundAcceleration, 0, stories);
+  const isolatedPeaks = peakFloorResponse(isolated.displacement, isolated.acceleration, groundAcceleration, 1, stories);
+  const storyShear = peaks => peaks.firstStoryDrift.reduce(
+    (peak, value) => Math.max(peak, Math.abs(storyStiffness * value)), 0);
+
+  return {
+    time,
+    groundAcceleration,
+    fixedPeriod,
+    isolatedPeriod: isolator.isolatedPeriod,
+    effectivePeriod,
+    effectiveDamping,
+    fixed: { ...fixedPeaks, baseShear: storyShear(fixedPeaks) },
+    isolated: { ...isolatedPeaks, baseShear: storyShear(isolatedPeaks) },
+    bearing: {
+      displacement: bearingDisplacement,
+      force: isolated.elementForces[0],
+      characteristicStrength: Qd,
+      peakDisplacement: peakBearingDisplacement,
+      peakForce: isolated.elementForces[0].reduce((peak, value) => Math.max(peak, Math.abs(value)), 0)
+    }
+  };
+}
@@ -0,0 +1,320 @@
+/**
+ * Chart Plotting Utilities
+ * Academic-style x–y line charts on canvas, with linear or logarithmic axes
+ */
+
+import { calculateGridSpacing, generateTicks, formatTickLabel } from './gridSystem';
+
+/**
+ * Monochrome series styles (distinguished by dash pattern and gray level)
+ */
+export const SERIES_STYLES = [
+  { color: '#000000', dash: [] },
+  { color: '#000000', dash: [6, 3] },
+  { color: '#525252', dash: [2, 2] },
+  { color: '#737373', dash: [8, 3, 2, 3] },
+  { color: '#a3a3a3', dash: [] }
+];
+
+/**
+ * Create the plotting area inside a canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} margins - {top, right, bottom, left}
+ * @returns {Object} Plot area {left, top, width, height}
+ */
+export function createChartArea(width, height, margins = {}) {
+  const { top = 30, right = 20, bottom = 45, left = 65 } = margins;
+  return {
+    left,
+    top,
+    width: width - left - right,
+    height: height - top - bottom
+  };
+}
+
+/**
+ * Map a data value to a canvas x coordinate
+ * @param {Object} area - Plot area
+ * @param {Object} axis - {min, max, log}
+ * @param {number} value - Data value
+ * @returns {number} Canvas x
+ */
+export function toCanvasX(area, axis, value) {
+  return area.left + axisFraction(axis, value) * area.width;
+}
+
+/**
+ * Map a data value to a canvas y coordinate
+ * @param {Object} area - Plot area
+ * @param {Object} axis - {min, max, log}
+ * @param {number} value - Data value
+ * @returns {number} Canvas y
+ */
+export function toCanvasY(area, axis, value) {
+  return area.top + area.height - axisFraction(axis, value) * area.height;
+}
+
+function axisFraction(axis, value) {
+  if (axis.log) {
+    const safe = Math.max(value, axis.min * 1e-3);
+    return (Math.log10(safe) - Math.log10(axis.min)) / (Math.log10(axis.max) - Math.log10(axis.min));
+  }
+  return (value - axis.min) / (axis.max - axis.min);
+}
+
+/**
+ * Compute major and minor tick values for an axis
+ * @param {Object} axis - {min, max, log, divisions}
+ * @returns {Object} {major, minor}
+ */
+export function axisTicks(axis) {
+  if (axis.log) {
+    const major = [];
+    const minor = [];
+    for (let exponent = Math.floor(Math.log10(axis.min)); exponent <= Math.ceil(Math.log10(axis.max)); exponent++) {
+      const decade = Math.pow(10, exponent);
+      if (decade >= axis.min * 0.999 && decade <= axis.max * 1.001) major.push(decade);
+      for (let m = 2; m <= 9; m++) {
+        const value = m * decade;
+        if (value > axis.min && value < axis.max) minor.push(value);
+      }
+    }
+    return { major, minor };
+  }
+
+  const { spacing } = calculateGridSpacing(axis.min, axis.max, axis.divisions || 8);
+  return { major: generateTicks(axis.min, axis.max, spacing), minor: [] };
+}
+
+/**
+ * Find a tidy axis range enclosing a set of values
+ * @param {Array<ArrayLike<number>>} arrays - Data arrays
+ * @param {Object} options - {log, includeZero, symmetric}
+ * @returns {Object} {min, max}
+ */
+export function niceAxisRange(arrays, options = {}) {
+  const { log = false, includeZero = !log, symmetric = false } = options;
+  let min = Infinity;
+  let max = -Infinity;
+
+  arrays.forEach(values => {
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (!Number.isFinite(value) || (log && value <= 0)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  });
+
+  if (!Number.isFinite(min)) return log ? { min: 0.01, max: 1 } : { min: 0, max: 1 };
+
+  if (log) {
+    return {
+      min: Math.pow(10, Math.floor(Math.log10(min))),
+      max: Math.pow(10, Math.ceil(Math.log10(max)))
+    };
+  }
+
+  if (includeZero) {
+    min = Math.min(min, 0);
+    max = Math.max(max, 0);
+  }
+  if (symmetric) {
+    const extent = Math.max(Math.abs(min), Math.abs(max));
+    min = -extent;
+    max = extent;
+  }
+  if (max === min) {
+    max = min + 1;
+  }
+
+  const { min: gridMin, max: gridMax } = calculateGridSpacing(min, max, 8);
+  return { min: gridMin, max: gridMax };
+}
+
+/**
+ * Draw gridlines, axes, tick labels and axis titles
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - Plot area
+ * @param {Object} xAxis - {min, max, log, label, precision}
+ * @param {Object} yAxis - {min, max, log, label, precision}
+ */
+export function drawChartAxes(ctx, area, xAxis, yAxis) {
+  const xTicks = axisTicks(xAxis);
+  const yTicks = axisTicks(yAxis);
+
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.setLineDash([]);
+
+  // Minor gridlines
+  ctx.strokeStyle = '#e5e5e5';
+  xTicks.minor.forEach(value => {
+    const x = toCanvasX(area, xAxis, value);
+    ctx.beginPath();
+    ctx.moveTo(x, area.top);
+    ctx.lineTo(x, area.top + area.height);
+    ctx.stroke();
+  });
+  yTicks.minor.forEach(value => {
+    const y = toCanvasY(area, yAxis, value);
+    ctx.beginPath();
+    ctx.moveTo(area.left, y);
+    ctx.lineTo(area.left + area.width, y);
+    ctx.stroke();
+  });
+
+  // Major gridlines and tick labels
+  ctx.strokeStyle = '#d4d4d4';
+  ctx.fillStyle = '#000000';
+  ctx.font = '10px monospace';
+
+  ctx.textAlign = 'center';
+  xTicks.major.forEach(value => {
+    const x = toCanvasX(area, xAxis, value);
+    ctx.beginPath();
+    ctx.moveTo(x, area.top);
+    ctx.lineTo(x, area.top + area.height);
+    ctx.stroke();
+    ctx.fillText(formatAxisValue(value, xAxis), x, area.top + area.height + 14);
+  });
+
+  ctx.textAlign = 'right';
+  yTicks.major.forEach(value => {
+    const y = toCanvasY(area, yAxis, value);
+    ctx.beginPath();
+    ctx.moveTo(area.left, y);
+    ctx.lineTo(area.left + area.width, y);
+    ctx.stroke();
+    ctx.fillText(formatAxisValue(value, yAxis), area.left - 5, y + 3);
+  });
+
+  // Axes frame
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(area.left, area.top, area.width, area.height);
+
+  // Axis titles
+  ctx.textAlign = 'center';
+  if (xAxis.label) {
+    ctx.fillText(xAxis.label, area.left + area.width / 2, area.top + area.height + 34);
+  }
+  if (yAxis.label) {
+    ctx.save();
+    ctx.translate(14, area.top + area.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yAxis.label, 0, 0);
+    ctx.restore();
+  }
+
+  ctx.restore();
+}
+
+function formatAxisValue(value, axis) {
+  if (axis.log) {
+    return formatTickLabel(value, { precision: Math.max(0, -Math.floor(Math.log10(value))) });
+  }
+  return formatTickLabel(value, { precision: axis.precision ?? 2, scientific: true });
+}
+
+/**
+ * Plot a line series clipped to the plot area
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - Plot area
+ * @param {Object} xAxis - X axis
+ * @param {Object} yAxis - Y axis
+ * @param {ArrayLike<number>} xValues - X data
+ * @param {ArrayLike<number>} yValues - Y data
+ * @param {Object} style - {color, dash, lineWidth}
+ */
+export function plotSeries(ctx, area, xAxis, yAxis, xValues, yValues, style = {}) {
+  const { color = '#000000', dash = [], lineWidth = 2 } = style;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.left, area.top, area.width, area.height);
+  ctx.clip();
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+
+  let started = false;
+  for (let i = 0; i < xValues.length; i++) {
+    if (!Number.isFinite(yValues[i]) || (yAxis.log && yValues[i] <= 0) || (xAxis.log && xValues[i] <= 0)) {
+      started = false;
+      continue;
+    }
+    const x = toCanvasX(area, xAxis, xValues[i]);
+    const y = toCanvasY(area, yAxis, yValues[i]);
+    if (started) {
+      ctx.lineTo(x, y);
+    } else {
+      ctx.moveTo(x, y);
+      started = true;
+    }
+  }
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+/**
+ * Build a stepped profile of values that are constant over intervals (e.g. story shears over height)
+ * @param {ArrayLike<number>} values - One value per interval
+ * @param {ArrayLike<number>} boundaries - Interval boundaries (values.length + 1 entries)
+ * @returns {Object} {values, positions} polyline coordinates
+ */
+export function stepProfile(values, boundaries) {
+  const stepValues = [];
+  const positions = [];
+  for (let i = 0; i < values.length; i++) {
+    stepValues.push(values[i], values[i]);
+    positions.push(boundaries[i], boundaries[i + 1]);
+  }
+  return { values: stepValues, positions };
+}
+
+/**
+ * Draw a legend box in a top corner of the plot area
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} area - Plot area
+ * @param {Array} entries - [{label, color, dash, lineWidth}]
+ * @param {Object} options - {corner: 'topRight' | 'topLeft'}
+ */
+export function drawLegend(ctx, area, entries, options = {}) {
+  if (entries.length === 0) return;
+
+  const lineHeight = 14;
+  const boxWidth = 150;
+  const boxHeight = entries.length * lineHeight + 8;
+  const x = options.corner === 'topLeft' ? area.left + 8 : area.left + area.width - boxWidth - 8;
+  const y = area.top + 8;
+
+  ctx.save();
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([]);
+  ctx.fillRect(x, y, boxWidth, boxHeight);
+  ctx.strokeRect(x, y, boxWidth, boxHeight);
+
+  ctx.font = '10px monospace';
+  ctx.textAlign = 'left';
+  entries.forEach((entry, i) => {
+    const rowY = y + 12 + i * lineHeight;
+    ctx.strokeStyle = entry.color || '#000000';
+    ctx.lineWidth = entry.lineWidth || 2;
+    ctx.setLineDash(entry.dash || []);
+    ctx.beginPath();
+    ctx.moveTo(x + 6, rowY - 3);
+    ctx.lineTo(x + 30, rowY - 3);
+    ctx.stroke();
+    ctx.fillStyle = '#000000';
+    ctx.fillText(entry.label, x + 36, rowY);
+  });
+
+  ctx.restore();
+}
@@ -0,0 +1,219 @@
+/**
+ * Damping Model Utilities
+ * Classical damping matrices for multi-mass structures: stiffness-proportional, Rayleigh,
+ * Caughey series and modal (per-mode) damping, and the damping ratio each gives at any frequency
+ */
+
+import { zeros, solveLinearSystem } from './linearAlgebra';
+import { assembleShearBuilding, modalAnalysis } from './shearBuilding';
+
+/**
+ * Available damping models
+ */
+export const DAMPING_MODELS = {
+  stiffnessProportional: {
+    name: 'Stiffness-proportional',
+    description: 'C = a1·K with ζ(ω) = a1·ω/2; matched to one mode, rising linearly with frequency above it'
+  },
+  rayleigh: {
+    name: 'Rayleigh',
+    description: 'C = a0·M + a1·K with ζ(ω) = a0/(2ω) + a1·ω/2; matched to two modes, larger outside them'
+  },
+  caughey: {
+    name: 'Caughey',
+    description: 'C = M·Σ al·(M⁻¹K)^l with ζ(ω) = ½·Σ al·ω^(2l−1); matched to the first N modes'
+  },
+  modal: {
+    name: 'Modal',
+    description: 'C = M·(Σ 2ζn·ωn/Mn·φn·φnᵀ)·M; every mode receives exactly its own ratio'
+  }
+};
+
+/**
+ * Default specification: stiffness-proportional, 5% in the first mode
+ */
+export const DEFAULT_DAMPING = {
+  model: 'stiffnessProportional',
+  anchorModes: [1, 2],          // Modes matched by stiffness-proportional (first) and Rayleigh (both) damping
+  anchorRatios: [0.05, 0.05],   // Target ratios at the anchor modes
+  caugheyTerms: 3,              // Number of Caughey series terms N, matching modes 1..N
+  modalRatios: [0.05]           // Ratio of each mode from the first; the last value repeats for higher modes
+};
+
+/**
+ * Rayleigh coefficients giving ratios ζi, ζj at ωi, ωj (Chopra Eq. 11.4.9)
+ * @param {number} omegaI - ωi (rad/s)
+ * @param {number} omegaJ - ωj (rad/s)
+ * @param {number} zetaI - ζi
+ * @param {number} zetaJ - ζj
+ * @returns {Object} {a0 (1/s), a1 (s)}
+ */
+export function rayleighCoefficients(omegaI, omegaJ, zetaI, zetaJ) {
+  const denominator = omegaJ * omegaJ - omegaI * omegaI;
+  if (!(Math.abs(denominator) > 0)) {
+    throw new RangeError('Rayleigh damping needs two modes with different frequencies');
+  }
+  return {
+    a0: (2 * omegaI * omegaJ * (zetaI * omegaJ - zetaJ * omegaI)) / denominator,
+    a1: (2 * (zetaJ * omegaJ - zetaI * omegaI)) / denominator
+  };
+}
+
+/**
+ * Caughey series coefficients a0…aN−1 giving ratios ζn at frequencies ωn (Chopra Eq. 11.4.13)
+ * @param {ArrayLike<number>} omegas - ωn of the matched modes (rad/s)
+ * @param {ArrayLike<number>} ratios - Target ζn
+ * @returns {Float64Array} Coefficients al, l = 0…N−1
+ */
+export function caugheyCoefficients(omegas, ratios) {
+  const n = omegas.length;
+  // Solve in frequencies scaled by ω1, which keeps the powers ω^(2l−1) well conditioned
+  const reference = omegas[0];
+  const matrix = Array.from(omegas, omega =>
+    Float64Array.from({ length: n }, (_, l) => 0.5 * Math.pow(omega / reference, 2 * l - 1)));
+  const scaled = solveLinearSystem(matrix, ratios);
+  return Float64Array.from(scaled, (value, l) => value / Math.pow(reference, 2 * l - 1));
+}
+
+/**
+ * Damping ratio of a Caughey series (Rayleigh is the two-term case) at any frequency
+ * @param {ArrayLike<number>} coefficients - al, l = 0…N−1
+ * @param {number} omega - ω (rad/s)
+ * @returns {number} ζ(ω) = ½·Σ al·ω^(2l−1)
+ */
+export function seriesDampingRatio(coefficients, omega) {
+  return Array.from(coefficients).reduce((sum, a, l) => sum + 0.5 * a * Math.pow(omega, 2 * l - 1), 0);
+}
+
+/**
+ * Damping ratio of every mode under a modal specification, the last given ratio repeating upward
+ * @param {Array<number>} modalRatios - ζ of modes 1, 2, …
+ * @param {number} count - Number of modes
+ * @returns {Array<number>} ζn for n = 1…count
+ */
+export function expandModalRatios(modalRatios, count) {
+  return Array.from({ length: count }, (_, n) => modalRatios[Math.min(n, modalRatios.length - 1)]);
+}
+
+/**
+ * Fit a damping specification to a building with fewer (or more) modes: anchor modes are clamped
+ * to 1…n, keeping two distinct Rayleigh anchors where the building has two modes, and the Caughey
+ * series to at most n terms
+ * @param {Object} spec - DEFAULT_DAMPING-shaped specification
+ * @param {number} modeCount - Number of modes n (the story count)
+ * @returns {Object} The same specification when it already fits, else an adjusted copy
+ */
+export function fitDampingToModes(spec, modeCount) {
+  const clamp = mode => Math.min(Math.max(Math.round(mode), 1), modeCount);
+  const [first, second] = spec.anchorModes.map(clamp);
+  const distinct = spec.anchorModes[0] !== spec.anchorModes[1] && first === second && modeCount > 1
+    ? (first < modeCount ? first + 1 : first - 1)
+    : second;
+  const caugheyTerms = clamp(spec.caugheyTerms);
+
+  if (first === spec.anchorModes[0] && distinct === spec.anchorModes[1] && caugheyTerms === spec.caugheyTerms) {
+    return spec;
+  }
+  return { ...spec, anchorModes: [first, distinct], caugheyTerms };
+}
+
+/**
+ * Damping ratio every mode of a shear building receives under a damping specification
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Object} spec - DEFAULT_DAMPING-shaped specification
+ * @returns {Object} {modes, modalRatios (ζ of each mode), coefficients (series al, null for modal)}
+ */
+export function modalDampingRatios(stories, specification = DEFAULT_DAMPING) {
+  const modes = modalAnalysis(stories);
+  const n = modes.length;
+  // A specification left over from a taller building still applies to the modes that remain
+  const spec = fitDampingToModes(specification, n);
+  const omegaOf = mode => {
+    if (!Number.isInteger(mode) || mode < 1 || mode > n) {
+      throw new RangeError(`Mode ${mode} does not exist: the building has ${n} mode${n === 1 ? '' : 's'}`);
+    }
+    return modes[mode - 1].omega;
+  };
+
+  let coefficients = null;
+  switch (spec.model) {
+    case 'stiffnessProportional':
+      coefficients = Float64Array.of(0, (2 * spec.anchorRatios[0]) / omegaOf(spec.anchorModes[0]));
+      break;
+    case 'rayleigh': {
+      const { a0, a1 } = rayleighCoefficients(
+        omegaOf(spec.anchorModes[0]), omegaOf(spec.anchorModes[1]), spec.anchorRatios[0], spec.anchorRatios[1]);
+      coefficients = Float64Array.of(a0, a1);
+      break;
+    }
+    case 'caughey': {
+      const terms = spec.caugheyTerms;
+      if (!Number.isInteger(terms) || terms < 1 || terms > n) {
+        throw new RangeError(`Caughey damping needs between 1 and ${n} terms`);
+      }
+      const ratios = expandModalRatios(spec.modalRatios, terms);
+      coefficients = caugheyCoefficients(modes.slice(0, terms).map(mode => mode.omega), ratios);
+      break;
+    }
+    case 'modal':
+      break;
+    default:
+      throw new Error(`Unknown damping model: ${spec.model}`);
+  }
+
+  const modalRatios = coefficients
+    ? modes.map(mode => seriesDampingRatio(coefficients, mode.omega))
+    : expandModalRatios(spec.modalRatios, n);
+  return { modes, modalRatios, coefficients };
+}
+
+/**
+ * Build the classical damping matrix of a shear building from a damping specification
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Object} spec - DEFAULT_DAMPING-shaped specification
+ * @returns {Object} {C, modes, modalRatios, coefficients} as modalDampingRatios plus the matrix C
+ */
+export function buildDampingMatrix(stories, spec = DEFAULT_DAMPING) {
+  const { masses, K } = assembleShearBuilding(stories);
+  const { modes, modalRatios, coefficients } = modalDampingRatios(stories, spec);
+  const n = masses.length;
+  const negative = modalRatios.findIndex(ratio => ratio < 0);
+  if (negative >= 0) {
+    throw new RangeError(`The damping specification gives mode ${negative + 1} a negative damping ratio`);
+  }
+
+  const C = zeros(n);
+  if (coefficients) {
+    // C = M·Σ al·(M⁻¹K)^l, accumulating (M⁻¹K)^l one power at a time
+    let power = zeros(n);
+    for (let i = 0; i < n; i++) power[i][i] = 1;
+    coefficients.forEach((a, l) => {
+      if (l > 0) {
+        const next = zeros(n);
+        for (let i = 0; i < n; i++) {
+          for (let j = 0; j < n; j++) {
+            let sum = 0;
+            for (let k = 0; k < n; k++) sum += (K[i][k] / masses[i]) * power[k][j];
+            next[i][j] = sum;
+          }
+        }
+        power = next;
+      }
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) C[i][j] += a * masses[i] * power[i][j];
+      }
+    });
+  } else {
+    // C = M·(Σ 2ζn·ωn/Mn·φn·φnᵀ)·M with generalized masses Mn = φnᵀMφn
+    modes.forEach((mode, m) => {
+      const factor = (2 * modalRatios[m] * mode.omega) / mode.generalizedMass;
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          C[i][j] += factor * masses[i] * mode.shape[i] * mode.shape[j] * masses[j];
+        }
+      }
+    });
+  }
+
+  return { C, modes, modalRatios, coefficients };
+}
@@ -0,0 +1,78 @@
+/**
+ * Energy Balance Utilities
+ * Relative energy equation of an SDOF system (Uang & Bertero, 1990):
+ * Ek + Ed + Es + Eh = Ei, with every work term integrated over the displacement increments
+ */
+
+import { hystereticEnergy } from './hysteresis';
+
+/**
+ * Energy components, drawn bottom to top when stacked
+ */
+export const ENERGY_COMPONENTS = {
+  damping: { name: 'Damping Ed', color: '#404040' },
+  hysteretic: { name: 'Hysteretic Eh', color: '#737373' },
+  strain: { name: 'Strain Es', color: '#a3a3a3' },
+  kinetic: { name: 'Kinetic Ek', color: '#d4d4d4' }
+};
+
+/**
+ * Compute the energy time histories of an integrated response
+ * @param {Object} solution - integrateSDOF or integrateNonlinearSDOF output
+ * @param {Object} system - {mass (kg), stiffness (initial, N/m), dampingRatio, elasticStiffness (elastic
+ *   unloading stiffness of the restoring force, N/m; k − kG with P-delta, defaults to stiffness)}
+ * @returns {Object} {time, kinetic, strain, damping, hysteretic, input, error, maxError} in J;
+ *   error is the balance residual relative to the peak energy supplied
+ */
+export function energyBalance(solution, system) {
+  const { mass, stiffness, dampingRatio, elasticStiffness = stiffness } = system;
+  const { time, displacement, velocity, groundAcceleration } = solution;
+  const restoringForce = solution.restoringForce
+    || Float64Array.from(displacement, u => stiffness * u);
+  const damping = 2 * dampingRatio * Math.sqrt(stiffness * mass);
+  const steps = time.length;
+
+  const kinetic = new Float64Array(steps);
+  const strain = new Float64Array(steps);
+  const dampingEnergy = new Float64Array(steps);
+  const input = new Float64Array(steps);
+  const error = new Float64Array(steps);
+  const hysteretic = hystereticEnergy(displacement, restoringForce, elasticStiffness);
+
+  // Energy stored by the initial conditions enters the balance alongside the input
+  const initialEnergy = 0.5 * mass * velocity[0] * velocity[0]
+    + (restoringForce[0] * restoringForce[0]) / (2 * elasticStiffness);
+
+  for (let i = 0; i < steps; i++) {
+    kinetic[i] = 0.5 * mass * velocity[i] * velocity[i];
+    strain[i] = (restoringForce[i] * restoringForce[i]) / (2 * elasticStiffness);
+
+    if (i > 0) {
+      // Trapezoidal rule over du, matching the work integral used for Eh
+      const du = displacement[i] - displacement[i - 1];
+      dampingEnergy[i] = dampingEnergy[i - 1] + damping * 0.5 * (velocity[i] + velocity[i - 1]) * du;
+      input[i] = input[i - 1] - mass * 0.5 * (groundAcceleration[i] + groundAcceleration[i - 1]) * du;
+    }
+  }
+
+  // Residuals are normalized by the peak energy supplied over the record, not the running value,
+  // so the first few steps with almost no input do not dominate
+  const reference = input.reduce((peak, value) => Math.max(peak, initialEnergy + Math.abs(value)), initialEnergy);
+  let maxError = 0;
+  for (let i = 0; i < steps; i++) {
+    const residual = initialEnergy + input[i] - (kinetic[i] + strain[i] + dampingEnergy[i] + hysteretic[i]);
+    error[i] = reference > 0 ? Math.abs(residual) / reference : 0;
+    maxError = Math.max(maxError, error[i]);
+  }
+
+  return {
+    time,
+    kinetic,
+    strain,
+    damping: dampingEnergy,
+    hysteretic,
+    input,
+    error,
+    maxError
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Equivalent Lateral Force Procedure
+ * ASCE 7 §12.8: seismic response coefficient, fundamental period and vertical force distribution
+ */
+
+import { FORMULAS } from '../constants/engineering';
+import { STRUCTURAL_SYSTEMS, APPROXIMATE_PERIOD_PARAMETERS, CU_TABLE } from '../constants/asce7';
+import { GRAVITY } from './groundMotion';
+import { storyGravityLoads } from './shearBuilding';
+import { stabilityCoefficient, maximumStabilityCoefficient } from './pDelta';
+
+/**
+ * Approximate fundamental period Ta = Ct·hn^x (§12.8.2.1)
+ * @param {number} hn - Structural height (m)
+ * @param {string} periodType - Key of APPROXIMATE_PERIOD_PARAMETERS
+ * @returns {number} Ta (s)
+ */
+export function approximatePeriod(hn, periodType = 'allOther') {
+  const { Ct, x } = APPROXIMATE_PERIOD_PARAMETERS[periodType] || APPROXIMATE_PERIOD_PARAMETERS.allOther;
+  return Ct * Math.pow(hn, x);
+}
+
+/**
+ * Coefficient for upper limit on calculated period (Table 12.8-1, interpolated)
+ * @param {number} SD1 - Design 1-second spectral acceleration (g)
+ * @returns {number} Cu
+ */
+export function upperLimitCoefficient(SD1) {
+  const { breakpoints, values } = CU_TABLE;
+  if (SD1 <= breakpoints[0]) return values[0];
+  if (SD1 >= breakpoints[breakpoints.length - 1]) return values[values.length - 1];
+
+  const i = breakpoints.findIndex(limit => SD1 < limit) - 1;
+  const fraction = (SD1 - breakpoints[i]) / (breakpoints[i + 1] - breakpoints[i]);
+  return values[i] + fraction * (values[i + 1] - values[i]);
+}
+
+/**
+ * Distribution exponent k (§12.8.3)
+ * @param {number} period - Fundamental period (s)
+ * @returns {number} k, 1 for T ≤ 0.5 s and 2 for T ≥ 2.5 s
+ */
+export function distributionExponent(period) {
+  if (period <= 0.5) return 1;
+  if (period >= 2.5) return 2;
+  return 1 + (period - 0.5) / 2;
+}
+
+/**
+ * Seismic response coefficient Cs per §12.8.1.1 with its upper and lower bounds
+ * @param {Object} spectrum - designSpectrumParameters output
+ * @param {number} period - Fundamental period (s)
+ * @param {number} R - Response modification coefficient
+ * @returns {Object} {Cs, basic, maximum, minimum, governing}
+ */
+export function seismicResponseCoefficient(spectrum, period, R) {
+  const { SDS, SD1, S1 = 0, TL, Ie = 1 } = spectrum;
+  const responseModification = R / Ie;
+
+  // Eq. 12.8-2, capped by Eq. 12.8-3 / 12.8-4
+  const basic = SDS / responseModification;
+  const maximum = period <= TL
+    ? SD1 / (period * responseModification)
+    : (SD1 * TL) / (period * period * responseModification);
+
+  // Eq. 12.8-5, and Eq. 12.8-6 where S1 ≥ 0.6g
+  const minimum = Math.max(
+    0.044 * SDS * Ie,
+    0.01,
+    S1 >= 0.6 ? (0.5 * S1) / responseModification : 0
+  );
+
+  const capped = Math.min(basic, maximum);
+  const Cs = Math.max(capped, minimum);
+  const governing = Cs === minimum && minimum > capped
+    ? (S1 >= 0.6 && minimum === (0.5 * S1) / responseModification ? 'Eq. 12.8-6' : 'Eq. 12.8-5')
+    : basic <= maximum ? 'Eq. 12.8-2' : period <= TL ? 'Eq. 12.8-3' : 'Eq. 12.8-4';
+
+  return { Cs, basic, maximum, minimum, governing };
+}
+
+/**
+ * Equivalent lateral force analysis of a shear building
+ * @param {Array} stories - [{mass (kg), stiffness (N/m), height (m)}] from the ground up
+ * @param {Object} spectrum - designSpectrumParameters output
+ * @param {Object} options - {system, computedPeriod}; without a computed period T = Ta
+ * @returns {Object} Periods, Cs, base shear V, θmax and per-story {weight, elevation, Cvx, force, shear,
+ *   overturningMoment, drift, gravityLoad, stabilityCoefficient}
+ */
+export function equivalentLateralForce(stories, spectrum, options = {}) {
+  const { system = 'specialSteelMomentFrame', computedPeriod = null } = options;
+  const structuralSystem = STRUCTURAL_SYSTEMS[system];
+  if (!structuralSystem) {
+    throw new Error(`Unknown structural system: ${system}`);
+  }
+
+  const { R, Cd, omega0, periodType } = structuralSystem;
+  const Ie = spectrum.Ie ?? 1;
+
+  const elevations = [];
+  stories.reduce((elevation, story) => {
+    elevations.push(elevation + story.height);
+    return elevation + story.height;
+  }, 0);
+  const hn = elevations[elevations.length - 1];
+
+  // §12.8.2: a computed period may not exceed Cu·Ta
+  const Ta = approximatePeriod(hn, periodType);
+  const Cu = upperLimitCoefficient(spectrum.SD1);
+  const period = computedPeriod > 0 ? Math.min(computedPeriod, Cu * Ta) : Ta;
+
+  const coefficient = seismicResponseCoefficient(spectrum, period, R);
+  const weights = stories.map(story => story.mass * GRAVITY);
+  const seismicWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  // V = Cs·W (Eq. 12.8-1); Cs already includes R/Ie, so baseShear keeps its default R = 1
+  const baseShear = FORMULAS.baseShear(seismicWeight, coefficient.Cs);
+
+  // Vertical distribution Fx = Cvx·V (Eq. 12.8-11, 12.8-12)
+  const k = distributionExponent(period);
+  const products = weights.map((w, i) => w * Math.pow(elevations[i], k));
+  const productSum = products.reduce((sum, value) => sum + value, 0);
+  const forces = products.map(value => (value / productSum) * baseShear);
+
+  const gravityLoads = storyGravityLoads(stories);
+  const results = stories.map((story, i) => {
+    const base = i > 0 ? elevations[i - 1] : 0;
+    let shear = 0;
+    let overturningMoment = 0;
+    for (let j = i; j < stories.length; j++) {
+      shear += forces[j];
+      overturningMoment += forces[j] * (elevations[j] - base);
+    }
+
+    // Design story drift Δ = Cd·δxe/Ie (§12.8.6) from the elastic drift under the design shear
+    const drift = (Cd * (shear / story.stiffness)) / Ie;
+    return {
+      level: i + 1,
+      weight: weights[i],
+      elevation: elevations[i],
+      Cvx: products[i] / productSum,
+      force: forces[i],
+      shear,
+      overturningMoment,
+      drift,
+      gravityLoad: gravityLoads[i],
+      stabilityCoefficient: stabilityCoefficient({ gravityLoad: gravityLoads[i], drift, shear, height: story.height }, Cd, Ie)
+    };
+  });
+
+  return {
+    system,
+    R,
+    Cd,
+    omega0,
+    Ie,
+    hn,
+    Ta,
+    Cu,
+    computedPeriod,
+    period,
+    k,
+    ...coefficient,
+    seismicWeight,
+    baseShear,
+    overturningMoment: results[0].overturningMoment,
+    maximumStabilityCoefficient: maximumStabilityCoefficient(Cd),
+    stories: results
+  };
+}
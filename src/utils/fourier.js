@@ -0,0 +1,155 @@
+/**
+ * Fourier Analysis Utilities
+ * Radix-2 fast Fourier transform, one-sided Fourier amplitude spectra of sampled records,
+ * Konno-Ohmachi smoothing and empirical transfer functions
+ */
+
+/**
+ * Smallest power of two not less than n
+ * @param {number} n - Length
+ * @returns {number} Power of two
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
+/**
+ * In-place iterative radix-2 FFT (Cooley-Tukey), X[k] = Σ x[n]·e^(−i·2πkn/N)
+ * @param {Float64Array} real - Real parts (length a power of two)
+ * @param {Float64Array} imag - Imaginary parts
+ * @param {boolean} inverse - Inverse transform (includes the 1/N scaling)
+ */
+export function fft(real, imag, inverse = false) {
+  const n = real.length;
+  if (n & (n - 1)) {
+    throw new RangeError('FFT length must be a power of two');
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const angle = (sign * 2 * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const even = start + k;
+        const odd = even + size / 2;
+        const tRe = real[odd] * wRe - imag[odd] * wIm;
+        const tIm = real[odd] * wIm + imag[odd] * wRe;
+        real[odd] = real[even] - tRe;
+        imag[odd] = imag[even] - tIm;
+        real[even] += tRe;
+        imag[even] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      real[i] /= n;
+      imag[i] /= n;
+    }
+  }
+}
+
+/**
+ * One-sided Fourier amplitude spectrum |X(f)|·Δt of a record, zero-padded to a power of two
+ * @param {ArrayLike<number>} values - Samples
+ * @param {number} dt - Sampling interval (s)
+ * @returns {Object} {frequencies (Hz), amplitudes (units of the record × s)}, 0 to the Nyquist frequency
+ */
+export function fourierAmplitudeSpectrum(values, dt) {
+  const size = nextPowerOfTwo(values.length);
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  real.set(values);
+  fft(real, imag);
+
+  const count = size / 2 + 1;
+  const frequencies = new Float64Array(count);
+  const amplitudes = new Float64Array(count);
+  for (let k = 0; k < count; k++) {
+    frequencies[k] = k / (size * dt);
+    amplitudes[k] = Math.hypot(real[k], imag[k]) * dt;
+  }
+
+  return { frequencies, amplitudes };
+}
+
+/**
+ * Konno-Ohmachi (1998) smoothing, W = [sin(b·log10(f/fc)) / (b·log10(f/fc))]⁴, evaluated at chosen center frequencies
+ * @param {ArrayLike<number>} frequencies - Spectrum frequencies (Hz)
+ * @param {ArrayLike<number>} amplitudes - Spectrum amplitudes
+ * @param {ArrayLike<number>} centers - Center frequencies fc at which to evaluate (Hz)
+ * @param {number} bandwidth - b (larger is narrower; 40 is customary)
+ * @returns {Float64Array} Smoothed amplitudes at each center
+ */
+export function konnoOhmachiSmoothing(frequencies, amplitudes, centers, bandwidth = 40) {
+  // Beyond |b·log10(f/fc)| = 3π the window weight is below 1e-4 of its peak
+  const reach = Math.pow(10, (3 * Math.PI) / bandwidth);
+
+  return Float64Array.from(centers, fc => {
+    let weighted = 0;
+    let total = 0;
+    for (let k = 1; k < frequencies.length; k++) {
+      const f = frequencies[k];
+      if (f < fc / reach) continue;
+      if (f > fc * reach) break;
+      const x = bandwidth * Math.log10(f / fc);
+      const weight = Math.abs(x) < 1e-6 ? 1 : Math.pow(Math.sin(x) / x, 4);
+      weighted += weight * amplitudes[k];
+      total += weight;
+    }
+    return total > 0 ? weighted / total : 0;
+  });
+}
+
+/**
+ * Empirical transfer function |Y(f)| / |X(f)| from smoothed Fourier amplitude spectra
+ * @param {ArrayLike<number>} input - Input samples (e.g. ground acceleration)
+ * @param {ArrayLike<number>} output - Output samples at the same Δt (e.g. absolute acceleration of the structure)
+ * @param {number} dt - Sampling interval (s)
+ * @param {Object} options - {centers (Hz), bandwidth}
+ * @returns {Object} {raw: {frequencies, input, output}, frequencies, input, output, ratio} with the smoothed values at the centers
+ */
+export function empiricalTransferFunction(input, output, dt, options = {}) {
+  const { centers, bandwidth = 40 } = options;
+  const length = Math.max(input.length, output.length);
+  const padded = values => {
+    const samples = new Float64Array(length);
+    samples.set(values);
+    return samples;
+  };
+
+  const inputSpectrum = fourierAmplitudeSpectrum(padded(input), dt);
+  const outputSpectrum = fourierAmplitudeSpectrum(padded(output), dt);
+  const { frequencies } = inputSpectrum;
+  const smoothedInput = konnoOhmachiSmoothing(frequencies, inputSpectrum.amplitudes, centers, bandwidth);
+  const smoothedOutput = konnoOhmachiSmoothing(frequencies, outputSpectrum.amplitudes, centers, bandwidth);
+
+  return {
+    raw: { frequencies, input: inputSpectrum.amplitudes, output: outputSpectrum.amplitudes },
+    frequencies: Float64Array.from(centers),
+    input: smoothedInput,
+    output: smoothedOutput,
+    ratio: smoothedOutput.map((value, i) => (smoothedInput[i] > 0 ? value / smoothedInput[i] : NaN))
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Free Vibration Utilities
+ * Peak picking on a decaying displacement record and damping identification by the
+ * logarithmic decrement
+ */
+
+import { FORMULAS } from '../constants/engineering';
+
+// Peaks smaller than this fraction of the first one are numerical noise, not response
+const NOISE_FRACTION = 1e-6;
+
+/**
+ * Positive peaks of a displacement record, refined by a parabola through the three samples around each maximum
+ * @param {ArrayLike<number>} displacement - Displacement samples
+ * @param {number} dt - Sampling interval (s)
+ * @returns {Array} Peaks [{index, time, value}]
+ */
+export function pickPeaks(displacement, dt) {
+  const peaks = [];
+  for (let i = 1; i < displacement.length - 1; i++) {
+    const [before, here, after] = [displacement[i - 1], displacement[i], displacement[i + 1]];
+    if (here <= 0 || here < before || here <= after) continue;
+    if (peaks.length > 0 && here < NOISE_FRACTION * peaks[0].value) break;
+
+    // Vertex of the parabola through (−1, before), (0, here), (1, after)
+    const curvature = before - 2 * here + after;
+    const offset = curvature !== 0 ? (0.5 * (before - after)) / curvature : 0;
+    peaks.push({
+      index: i,
+      time: (i + offset) * dt,
+      value: here - 0.25 * (before - after) * offset
+    });
+  }
+  return peaks;
+}
+
+/**
+ * Identify damping from successive peaks by the logarithmic decrement
+ * δ = (1/N)·ln(u_1 / u_(N+1)), c = 2m·δ/Td, ζ = c / c_cr with c_cr = 2·√(k·m)
+ * @param {Array} peaks - Peaks from pickPeaks
+ * @param {number} mass - Mass (kg)
+ * @param {number} stiffness - Stiffness (N/m)
+ * @returns {Object|null} {cycles, decrement, decrements, dampedPeriod, dampedFrequency, dampingCoefficient,
+ *   criticalDamping, dampingRatio, smallDampingRatio, naturalFrequency}, or null with fewer than two peaks
+ */
+export function logarithmicDecrement(peaks, mass, stiffness) {
+  if (peaks.length < 2) return null;
+
+  const cycles = peaks.length - 1;
+  const first = peaks[0];
+  const last = peaks[cycles];
+  const decrement = Math.log(first.value / last.value) / cycles;
+  const dampedPeriod = (last.time - first.time) / cycles;
+  const dampingCoefficient = (2 * mass * decrement) / dampedPeriod;
+  const criticalDamping = 2 * Math.sqrt(stiffness * mass);
+  const dampingRatio = FORMULAS.dampingRatio(dampingCoefficient, criticalDamping);
+
+  return {
+    cycles,
+    decrement,
+    decrements: peaks.slice(1).map((peak, n) => Math.log(peaks[n].value / peak.value)),
+    dampedPeriod,
+    dampedFrequency: 1 / dampedPeriod,
+    dampingCoefficient,
+    criticalDamping,
+    dampingRatio,
+    smallDampingRatio: decrement / (2 * Math.PI),
+    naturalFrequency: 1 / (dampedPeriod * Math.sqrt(1 - dampingRatio * dampingRatio))
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Frequency Sweep Utilities
+ * Swept-sine (chirp) ground acceleration, the experimental resonance curve traced by the
+ * response envelope, and half-power bandwidth identification of damping
+ */
+
+import { sampleAt } from './timeIntegration';
+
+/**
+ * Available sweep laws for the instantaneous frequency
+ */
+export const CHIRP_SWEEPS = {
+  linear: {
+    name: 'Linear',
+    description: 'f(t) = f1 + (f2 − f1)·t/T; constant rate in Hz/s'
+  },
+  logarithmic: {
+    name: 'Logarithmic',
+    description: 'f(t) = f1·(f2/f1)^(t/T); constant time per octave'
+  }
+};
+
+/**
+ * Create a sampled swept-sine ground acceleration record
+ * @param {number} amplitude - Acceleration amplitude (m/s²)
+ * @param {number} startFrequency - f1 (Hz)
+ * @param {number} endFrequency - f2 (Hz)
+ * @param {number} duration - Sweep duration T (s)
+ * @param {number} dt - Sampling interval (s)
+ * @param {string} sweep - Key of CHIRP_SWEEPS
+ * @returns {Object} Excitation record {dt, values, frequency (instantaneous, Hz)}
+ */
+export function createChirpExcitation(amplitude, startFrequency, endFrequency, duration, dt, sweep = 'linear') {
+  if (!(startFrequency > 0) || !(endFrequency > 0) || startFrequency === endFrequency) {
+    throw new RangeError('Sweep frequencies must be positive and different');
+  }
+
+  const count = Math.floor(duration / dt) + 1;
+  const values = new Float64Array(count);
+  const frequency = new Float64Array(count);
+  const logarithmic = sweep === 'logarithmic';
+  const ratio = endFrequency / startFrequency;
+
+  for (let i = 0; i < count; i++) {
+    const t = i * dt;
+    // Phase is the integral of 2π·f(t), so the instantaneous frequency is exactly f(t)
+    const phase = logarithmic
+      ? (2 * Math.PI * startFrequency * duration * (Math.pow(ratio, t / duration) - 1)) / Math.log(ratio)
+      : 2 * Math.PI * (startFrequency * t + ((endFrequency - startFrequency) * t * t) / (2 * duration));
+    frequency[i] = logarithmic
+      ? startFrequency * Math.pow(ratio, t / duration)
+      : startFrequency + ((endFrequency - startFrequency) * t) / duration;
+    values[i] = amplitude * Math.sin(phase);
+  }
+
+  return { dt, values, frequency };
+}
+
+/**
+ * Resonance curve from a sweep response: the peak |u| of every half cycle against the
+ * instantaneous excitation frequency, normalized by the static displacement ag/ω²
+ * @param {Object} solution - Time-history solution {dt, time, displacement}
+ * @param {Object} excitation - Chirp record {dt, values, frequency}
+ * @param {number} amplitude - Ground acceleration amplitude (m/s²)
+ * @param {number} omega - Natural circular frequency (rad/s)
+ * @returns {Object} {time, frequency (Hz), amplitude (m), amplification} one entry per half cycle during the sweep
+ */
+export function sweepResonanceCurve(solution, excitation, amplitude, omega) {
+  const { displacement, dt } = solution;
+  const sweepEnd = (excitation.values.length - 1) * excitation.dt;
+  const staticDisplacement = amplitude / (omega * omega);
+  const curve = { time: [], frequency: [], amplitude: [], amplification: [] };
+
+  let peakIndex = 0;
+  for (let i = 1; i < displacement.length; i++) {
+    const t = i * dt;
+    if (t > sweepEnd) break;
+
+    const crossed = (displacement[i] >= 0) !== (displacement[i - 1] >= 0);
+    if (crossed) {
+      // Close the half cycle at its largest excursion
+      const peak = Math.abs(displacement[peakIndex]);
+      if (peak > 0) {
+        const peakTime = peakIndex * dt;
+        curve.time.push(peakTime);
+        curve.frequency.push(sampleAt(excitation.frequency, excitation.dt, peakTime));
+        curve.amplitude.push(peak);
+        curve.amplification.push(peak / staticDisplacement);
+      }
+      peakIndex = i;
+    } else if (Math.abs(displacement[i]) > Math.abs(displacement[peakIndex])) {
+      peakIndex = i;
+    }
+  }
+
+  return {
+    time: Float64Array.from(curve.time),
+    frequency: Float64Array.from(curve.frequency),
+    amplitude: Float64Array.from(curve.amplitude),
+    amplification: Float64Array.from(curve.amplification)
+  };
+}
+
+/**
+ * Half-power bandwidth damping ζ ≈ (f_b − f_a) / (2·f_peak) from a resonance curve
+ * @param {ArrayLike<number>} frequencies - Frequencies (Hz), monotonic
+ * @param {ArrayLike<number>} amplitudes - Response amplitudes
+ * @returns {Object|null} {peakFrequency, peakAmplitude, lowerFrequency, upperFrequency, dampingRatio},
+ *   or null when the curve does not fall below peak/√2 on both sides of its maximum
+ */
+export function halfPowerDamping(frequencies, amplitudes) {
+  let peak = 0;
+  for (let i = 1; i < amplitudes.length; i++) {
+    if (amplitudes[i] > amplitudes[peak]) peak = i;
+  }
+  const level = amplitudes[peak] / Math.SQRT2;
+
+  const crossing = (from, step) => {
+    for (let i = from; i + step >= 0 && i + step < amplitudes.length; i += step) {
+      const next = i + step;
+      if (amplitudes[next] < level) {
+        const fraction = (amplitudes[i] - level) / (amplitudes[i] - amplitudes[next]);
+        return frequencies[i] + fraction * (frequencies[next] - frequencies[i]);
+      }
+    }
+    return null;
+  };
+
+  const lower = crossing(peak, -1);
+  const upper = crossing(peak, 1);
+  if (lower === null || upper === null) return null;
+
+  const [lowerFrequency, upperFrequency] = lower < upper ? [lower, upper] : [upper, lower];
+  return {
+    peakFrequency: frequencies[peak],
+    peakAmplitude: amplitudes[peak],
+    lowerFrequency,
+    upperFrequency,
+    dampingRatio: (upperFrequency - lowerFrequency) / (2 * frequencies[peak])
+  };
+}
+
+/**
+ * Sweep rate of a chirp: Hz/min for a linear sweep, octaves/min for a logarithmic one
+ * @param {string} sweep - Key of CHIRP_SWEEPS
+ * @param {number} startFrequency - f1 (Hz)
+ * @param {number} endFrequency - f2 (Hz)
+ * @param {number} duration - Sweep duration T (s)
+ * @returns {number} Rate magnitude
+ */
+export function sweepRate(sweep, startFrequency, endFrequency, duration) {
+  const minutes = duration / 60;
+  return sweep === 'logarithmic'
+    ? Math.abs(Math.log2(endFrequency / startFrequency)) / minutes
+    : Math.abs(endFrequency - startFrequency) / minutes;
+}
+
+/**
+ * Largest sweep rate that keeps the response quasi-steady through resonance (ISO 7626-2):
+ * 54·fr²·ζ² Hz/min for linear sweeps, and the same limit in octaves/min for logarithmic ones,
+ * whose rate at resonance is S/(fr·ln 2): 54·fr·ζ²/ln 2 ≈ 78·fr·ζ²
+ * @param {string} sweep - Key of CHIRP_SWEEPS
+ * @param {number} resonanceFrequency - fr (Hz)
+ * @param {number} dampingRatio - ζ
+ * @returns {number} Rate in the units of sweepRate
+ */
+export function maximumSweepRate(sweep, resonanceFrequency, dampingRatio) {
+  return sweep === 'logarithmic'
+    ? (54 / Math.LN2) * resonanceFrequency * dampingRatio * dampingRatio
+    : 54 * resonanceFrequency * resonanceFrequency * dampingRatio * dampingRatio;
+}
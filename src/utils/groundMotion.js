@@ -0,0 +1,303 @@
+/**
+ * Ground Motion Record Utilities
+ * Parsing, unit conversion and processing of recorded accelerograms
+ */
+
+import { solveLinearSystem } from './linearAlgebra';
+
+export const GRAVITY = 9.80665; // m/s²
+
+/**
+ * Acceleration units accepted on import (factor converts to m/s²)
+ */
+export const ACCELERATION_UNITS = {
+  g: { name: 'g', symbol: 'g', toSI: GRAVITY },
+  mps2: { name: 'Meters per second²', symbol: 'm/s²', toSI: 1 },
+  cmps2: { name: 'Centimeters per second² (gal)', symbol: 'cm/s²', toSI: 0.01 }
+};
+
+/**
+ * Supported record file formats
+ */
+export const RECORD_FORMATS = {
+  auto: { name: 'Auto-detect' },
+  at2: { name: 'PEER NGA (.AT2)' },
+  csv: { name: 'CSV time, accel' },
+  single: { name: 'Single column (user Δt)' }
+};
+
+/**
+ * Baseline correction options (polynomial order removed from acceleration)
+ */
+export const BASELINE_CORRECTIONS = {
+  none: { name: 'None', order: -1 },
+  mean: { name: 'Remove mean', order: 0 },
+  linear: { name: 'Linear', order: 1 },
+  quadratic: { name: 'Quadratic', order: 2 }
+};
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eEdD][-+]?\d+)?/g;
+
+function parseNumbers(line) {
+  const matches = line.match(NUMBER_PATTERN);
+  return matches ? matches.map(value => parseFloat(value.replace(/[dD]/, 'e'))) : [];
+}
+
+/**
+ * Guess the format of a record file from its name and content
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name
+ * @returns {string} Format key from RECORD_FORMATS
+ */
+export function detectRecordFormat(text, fileName = '') {
+  if (/\.at2$/i.test(fileName) || /NPTS/i.test(text.slice(0, 2000))) return 'at2';
+
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  const multiColumn = sample.filter(line => parseNumbers(line).length >= 2).length;
+  return multiColumn > sample.length / 2 ? 'csv' : 'single';
+}
+
+/**
+ * Parse a PEER NGA .AT2 file
+ * Supports both "NPTS= 4000, DT= .0100 SEC" and "4000 0.0100 NPTS, DT" header styles
+ * @param {string} text - File contents
+ * @returns {Object} {dt, values, units, title}
+ */
+export function parseAT2(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => /NPTS/i.test(line));
+  if (headerIndex < 0) {
+    throw new Error('AT2 header not found: expected a line containing NPTS and DT');
+  }
+
+  const header = lines[headerIndex];
+  let npts;
+  let dt;
+  const named = header.match(/NPTS\s*=\s*(\d+).*?DT\s*=\s*([-+]?\d*\.?\d+(?:[eE][-+]?\d+)?)/i);
+  if (named) {
+    npts = parseInt(named[1], 10);
+    dt = parseFloat(named[2]);
+  } else {
+    const numbers = parseNumbers(header);
+    if (numbers.length < 2) {
+      throw new Error(`Unable to read NPTS and DT from AT2 header: "${header.trim()}"`);
+    }
+    [npts, dt] = numbers;
+  }
+
+  if (!(dt > 0)) {
+    throw new Error(`Invalid time step in AT2 header: DT = ${dt}`);
+  }
+
+  const unitsLine = lines.slice(0, headerIndex).find(line => /UNITS OF/i.test(line)) || '';
+  const units = /CM\/S/i.test(unitsLine) ? 'cmps2' : /M\/S/i.test(unitsLine) ? 'mps2' : 'g';
+
+  const values = [];
+  for (let i = headerIndex + 1; i < lines.length && values.length < npts; i++) {
+    values.push(...parseNumbers(lines[i]));
+  }
+  if (values.length < npts) {
+    throw new Error(`AT2 file is truncated: header gives NPTS = ${npts} but only ${values.length} values were read`);
+  }
+
+  return {
+    dt,
+    values: Float64Array.from(values.slice(0, npts)),
+    units,
+    title: lines.slice(0, headerIndex).map(line => line.trim()).filter(Boolean).join(' | ')
+  };
+}
+
+/**
+ * Parse a delimited file with time and acceleration columns
+ * Non-numeric header rows are skipped; non-uniform sampling is resampled to the median Δt
+ * @param {string} text - File contents
+ * @param {Object} options - {timeColumn, accelColumn}
+ * @returns {Object} {dt, values}
+ */
+export function parseCSV(text, options = {}) {
+  const { timeColumn = 0, accelColumn = 1 } = options;
+  const times = [];
+  const accels = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const fields = line.split(/[,;\t ]+/).filter(Boolean);
+    if (fields.length <= Math.max(timeColumn, accelColumn)) return;
+
+    const t = Number(fields[timeColumn]);
+    const a = Number(fields[accelColumn]);
+    if (Number.isFinite(t) && Number.isFinite(a)) {
+      times.push(t);
+      accels.push(a);
+    }
+  });
+
+  if (times.length < 2) {
+    throw new Error('CSV record must contain at least two numeric time, acceleration rows');
+  }
+
+  const steps = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+  const dt = steps[Math.floor(steps.length / 2)];
+  if (!(dt > 0)) {
+    throw new Error('CSV time column must be increasing');
+  }
+
+  const uniform = steps[0] > dt * 0.999 && steps[steps.length - 1] < dt * 1.001;
+  if (uniform) {
+    return { dt, values: Float64Array.from(accels) };
+  }
+
+  return resampleIrregular(times, accels, dt);
+}
+
+/**
+ * Parse a file with acceleration samples only (any number per line)
+ * @param {string} text - File contents
+ * @param {number} dt - Sampling interval supplied by the user (s)
+ * @returns {Object} {dt, values}
+ */
+export function parseSingleColumn(text, dt) {
+  if (!(dt > 0)) {
+    throw new Error('A positive time step is required for single-column records');
+  }
+
+  const values = [];
+  text.split(/\r?\n/).forEach(line => {
+    if (/[a-df-z]/i.test(line.replace(/[eEdD][-+]?\d/g, ''))) return; // skip text lines
+    values.push(...parseNumbers(line));
+  });
+
+  if (values.length < 2) {
+    throw new Error('Record must contain at least two acceleration samples');
+  }
+
+  return { dt, values: Float64Array.from(values) };
+}
+
+function resampleIrregular(times, values, dt) {
+  const start = times[0];
+  const count = Math.floor((times[times.length - 1] - start) / dt) + 1;
+  const output = new Float64Array(count);
+  let j = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = start + i * dt;
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const span = times[j + 1] - times[j];
+    const fraction = span > 0 ? (t - times[j]) / span : 0;
+    output[i] = values[j] + (values[j + 1] - values[j]) * Math.min(Math.max(fraction, 0), 1);
+  }
+
+  return { dt, values: output };
+}
+
+/**
+ * Remove a least-squares polynomial trend from an acceleration history
+ * @param {ArrayLike<number>} values - Acceleration samples
+ * @param {number} dt - Sampling interval (s)
+ * @param {number} order - Polynomial order (0 = mean, 1 = linear, 2 = quadratic)
+ * @returns {Float64Array} Corrected samples
+ */
+export function baselineCorrect(values, dt, order = 1) {
+  const corrected = Float64Array.from(values);
+  if (order < 0 || values.length <= order) return corrected;
+
+  // Normal equations for polynomial fit in normalized time (well conditioned)
+  const size = order + 1;
+  const duration = (values.length - 1) * dt || 1;
+  const matrix = Array.from({ length: size }, () => new Float64Array(size));
+  const rhs = new Float64Array(size);
+
+  for (let i = 0; i < values.length; i++) {
+    const tau = (i * dt) / duration;
+    for (let r = 0; r < size; r++) {
+      rhs[r] += values[i] * Math.pow(tau, r);
+      for (let c = 0; c < size; c++) {
+        matrix[r][c] += Math.pow(tau, r + c);
+      }
+    }
+  }
+
+  const coefficients = solveLinearSystem(matrix, rhs);
+
+  for (let i = 0; i < values.length; i++) {
+    const tau = (i * dt) / duration;
+    let trend = 0;
+    for (let r = 0; r < size; r++) {
+      trend += coefficients[r] * Math.pow(tau, r);
+    }
+    corrected[i] -= trend;
+  }
+
+  return corrected;
+}
+
+/**
+ * Resample a uniformly sampled record to a new time step by linear interpolation
+ * @param {Object} record - {dt, values}
+ * @param {number} dt - Target sampling interval (s)
+ * @returns {Object} Resampled record {dt, values}
+ */
+export function resampleRecord(record, dt) {
+  if (!(dt > 0) || Math.abs(dt - record.dt) < 1e-12) return record;
+
+  const duration = (record.values.length - 1) * record.dt;
+  const count = Math.floor(duration / dt + 1e-9) + 1;
+  const values = new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const position = (i * dt) / record.dt;
+    const index = Math.min(Math.floor(position), record.values.length - 2);
+    const fraction = position - index;
+    values[i] = record.values[index] * (1 - fraction) + record.values[index + 1] * fraction;
+  }
+
+  return { ...record, dt, values };
+}
+
+/**
+ * Parse and process a record file into an excitation in m/s²
+ * @param {string} text - File contents
+ * @param {Object} options - {fileName, format, dt, units ('auto' takes the units from the file header), baseline, resampleDt}
+ * @returns {Object} Ground motion record {name, dt, values, units, title, format}
+ */
+export function importGroundMotion(text, options = {}) {
+  const {
+    fileName = 'record',
+    format = 'auto',
+    dt,
+    units = 'auto',
+    baseline = 'linear',
+    resampleDt = 0
+  } = options;
+
+  const resolvedFormat = format === 'auto' ? detectRecordFormat(text, fileName) : format;
+
+  let parsed;
+  switch (resolvedFormat) {
+    case 'at2':
+      parsed = parseAT2(text);
+      break;
+    case 'csv':
+      parsed = parseCSV(text);
+      break;
+    default:
+      parsed = parseSingleColumn(text, dt);
+  }
+
+  const recordUnits = units !== 'auto' && ACCELERATION_UNITS[units] ? units : parsed.units || 'g';
+  const factor = (ACCELERATION_UNITS[recordUnits] || ACCELERATION_UNITS.g).toSI;
+  const scaled = parsed.values.map(value => value * factor);
+  const order = (BASELINE_CORRECTIONS[baseline] || BASELINE_CORRECTIONS.none).order;
+
+  const record = resampleRecord({
+    name: fileName,
+    title: parsed.title || '',
+    format: resolvedFormat,
+    units: recordUnits,
+    dt: parsed.dt,
+    values: baselineCorrect(scaled, parsed.dt, order)
+  }, resampleDt);
+
+  return record;
+}
@@ -0,0 +1,283 @@
+/**
+ * Hysteretic Spring Models
+ * Rate-independent restoring force models for nonlinear SDOF analysis.
+ * Each spring evaluates a trial displacement from its last committed state and
+ * returns the restoring force with the consistent tangent stiffness.
+ */
+
+/**
+ * Available restoring force models
+ */
+export const HYSTERETIC_MODELS = {
+  linear: {
+    name: 'Linear elastic',
+    description: 'fs = k·u; no yielding'
+  },
+  elastoplastic: {
+    name: 'Elastic-perfectly-plastic',
+    description: 'Yields at Fy with zero post-yield stiffness; unloads elastically'
+  },
+  bilinear: {
+    name: 'Bilinear (kinematic hardening)',
+    description: 'Post-yield stiffness α·k; unloads elastically with a 2Fy elastic range'
+  },
+  takeda: {
+    name: 'Takeda (degrading stiffness)',
+    description: 'Unloading stiffness k·(uy/umax)^0.4; reloads toward the opposite peak (reinforced concrete)'
+  },
+  boucWen: {
+    name: 'Bouc-Wen (smooth)',
+    description: 'fs = α·k·u + (1 − α)·k·uy·z with ż = u̇/uy·[A − |z|ⁿ(β·sgn(u̇z) + γ)]'
+  }
+};
+
+/**
+ * Create a hysteretic spring
+ * @param {string} model - Key of HYSTERETIC_MODELS
+ * @param {Object} params - {stiffness (N/m), yieldForce (N), postYieldRatio α,
+ *   unloadingExponent (Takeda), exponent n / beta / gamma (Bouc-Wen)}
+ * @returns {Object} Spring {trial(u) → {force, tangent}, commit(), yieldDisplacement}
+ */
+export function createHystereticSpring(model, params) {
+  const { stiffness, yieldForce } = params;
+  if (!(stiffness > 0)) {
+    throw new RangeError('Spring stiffness must be positive');
+  }
+  if (model !== 'linear' && !(yieldForce > 0)) {
+    throw new RangeError('Yield force must be positive for a nonlinear spring');
+  }
+
+  switch (model) {
+    case 'linear':
+      return linearSpring(stiffness);
+    case 'elastoplastic':
+      return bilinearSpring(stiffness, yieldForce, 0);
+    case 'bilinear':
+      return bilinearSpring(stiffness, yieldForce, params.postYieldRatio ?? 0.05);
+    case 'takeda':
+      return takedaSpring(stiffness, yieldForce, params.postYieldRatio ?? 0.05, params.unloadingExponent ?? 0.4);
+    case 'boucWen':
+      return boucWenSpring(stiffness, yieldForce, params);
+    default:
+      throw new Error(`Unknown hysteretic model: ${model}`);
+  }
+}
+
+function linearSpring(k) {
+  return {
+    yieldDisplacement: Infinity,
+    trial: u => ({ force: k * u, tangent: k }),
+    commit: () => {}
+  };
+}
+
+/**
+ * Bilinear spring with kinematic hardening; α = 0 gives elastic-perfectly-plastic
+ */
+function bilinearSpring(k, Fy, alpha) {
+  const uy = Fy / k;
+  const committed = { u: 0, force: 0 };
+  let trialState = { ...committed, tangent: k };
+
+  return {
+    yieldDisplacement: uy,
+    trial(u) {
+      // Elastic predictor, then return to the bounding lines fs = α·k·u ± (1 − α)·Fy
+      const predictor = committed.force + k * (u - committed.u);
+      const upper = alpha * k * u + (1 - alpha) * Fy;
+      const lower = alpha * k * u - (1 - alpha) * Fy;
+
+      if (predictor > upper) {
+        trialState = { u, force: upper, tangent: alpha * k };
+      } else if (predictor < lower) {
+        trialState = { u, force: lower, tangent: alpha * k };
+      } else {
+        trialState = { u, force: predictor, tangent: k };
+      }
+      return trialState;
+    },
+    commit() {
+      committed.u = trialState.u;
+      committed.force = trialState.force;
+    }
+  };
+}
+
+/**
+ * Modified Takeda model on a bilinear backbone anchored at the origin
+ */
+function takedaSpring(k, Fy, alpha, unloadingExponent) {
+  const uy = Fy / k;
+  const backbone = u => (Math.abs(u) <= uy
+    ? k * u
+    : Math.sign(u) * (Fy + alpha * k * (Math.abs(u) - uy)));
+  const backboneTangent = u => (Math.abs(u) <= uy ? k : alpha * k);
+
+  // Branches are straight lines anchored at fixed points so that retracing a path is exact:
+  // reloading {origin, target, stiffness} runs from a zero-force crossing toward the opposite peak,
+  // unloading {u, force, stiffness, reloading} starts where the loading branch was left
+  const committed = {
+    u: 0,
+    force: 0,
+    reloading: null,
+    unloading: null,
+    peaks: { 1: { u: uy, force: Fy }, [-1]: { u: -uy, force: -Fy } }
+  };
+  let trialState = { ...committed, tangent: k };
+
+  const unloadingStiffness = side => k * Math.pow(uy / Math.max(Math.abs(committed.peaks[side].u), uy), unloadingExponent);
+
+  // Follow a reloading line (or the backbone when none), never exceeding the backbone
+  const loadingBranch = (u, reloading, direction) => {
+    const limit = backbone(u);
+    if (reloading) {
+      const force = reloading.stiffness * (u - reloading.origin);
+      // The backbone only bounds the reloading line on the side being loaded toward
+      if (direction * u <= 0 || direction * force < direction * limit) {
+        return { force, tangent: reloading.stiffness, reloading, unloading: null, onBackbone: false };
+      }
+    }
+    return { force: limit, tangent: backboneTangent(u), reloading: null, unloading: null, onBackbone: true };
+  };
+
+  return {
+    yieldDisplacement: uy,
+    trial(u) {
+      const direction = Math.sign(u - committed.u) || 1;
+      let result;
+
+      if (committed.force * direction >= 0) {
+        const { unloading } = committed;
+        if (unloading && direction * (u - unloading.u) <= 0) {
+          // Reloading back up a partial unloading line
+          result = {
+            force: unloading.force + unloading.stiffness * (u - unloading.u),
+            tangent: unloading.stiffness,
+            reloading: committed.reloading,
+            unloading,
+            onBackbone: false
+          };
+        } else {
+          // Rejoin the branch that was left (reloading line or backbone)
+          result = loadingBranch(u, unloading ? unloading.reloading : committed.reloading, direction);
+        }
+      } else {
+        const unloading = committed.unloading || {
+          u: committed.u,
+          force: committed.force,
+          stiffness: unloadingStiffness(-direction),
+          reloading: committed.reloading
+        };
+        const force = unloading.force + unloading.stiffness * (u - unloading.u);
+
+        if (force * direction <= 0) {
+          result = { force, tangent: unloading.stiffness, reloading: committed.reloading, unloading, onBackbone: false };
+        } else {
+          // Force crossed zero: reload from the crossing point toward the opposite peak
+          const origin = unloading.u - unloading.force / unloading.stiffness;
+          const target = committed.peaks[direction];
+          const span = target.u - origin;
+          const reloading = span * direction > 1e-12 ? { origin, target, stiffness: target.force / span } : null;
+          result = loadingBranch(u, reloading, direction);
+        }
+      }
+
+      trialState = { u, ...result };
+      return trialState;
+    },
+    commit() {
+      committed.u = trialState.u;
+      committed.force = trialState.force;
+      committed.reloading = trialState.reloading;
+      committed.unloading = trialState.unloading;
+      const side = Math.sign(trialState.u);
+      if (trialState.onBackbone && side !== 0 && Math.abs(trialState.u) > Math.abs(committed.peaks[side].u)) {
+        committed.peaks[side] = { u: trialState.u, force: trialState.force };
+      }
+    }
+  };
+}
+
+/**
+ * Bouc-Wen smooth hysteresis, integrated over the displacement increment with sub-steps
+ */
+function boucWenSpring(k, Fy, params) {
+  const { postYieldRatio: alpha = 0.05, exponent: n = 2, beta = 0.5, gamma = 0.5, A = 1 } = params;
+  const uy = Fy / k;
+  const committed = { u: 0, z: 0 };
+  let trialState = { u: 0, z: 0, force: 0, tangent: k };
+
+  const slope = (z, du) => (A - Math.pow(Math.abs(z), n) * (beta * Math.sign(du * z) + gamma)) / uy;
+
+  return {
+    yieldDisplacement: uy,
+    trial(u) {
+      const du = u - committed.u;
+      const substeps = Math.min(200, Math.max(1, Math.ceil(Math.abs(du) / (0.02 * uy))));
+      const h = du / substeps;
+      let z = committed.z;
+
+      // Midpoint (RK2) integration of dz/du
+      for (let i = 0; i < substeps; i++) {
+        const zMid = z + 0.5 * h * slope(z, du);
+        z += h * slope(zMid, du);
+      }
+
+      const dzdu = du !== 0 ? slope(z, du) : A / uy;
+      trialState = {
+        u,
+        z,
+        force: alpha * k * u + (1 - alpha) * k * uy * z,
+        tangent: alpha * k + (1 - alpha) * k * uy * dzdu
+      };
+      return trialState;
+    },
+    commit() {
+      committed.u = trialState.u;
+      committed.z = trialState.z;
+    }
+  };
+}
+
+/**
+ * Cumulative hysteretic (plastic) energy: ∫fs·du less the recoverable strain energy fs²/2k
+ * @param {ArrayLike<number>} displacement - Displacement history (m)
+ * @param {ArrayLike<number>} restoringForce - Restoring force history (N)
+ * @param {number} stiffness - Elastic unloading stiffness (N/m): the initial stiffness, less kG with P-delta
+ * @returns {Float64Array} Dissipated hysteretic energy at each step (J)
+ */
+export function hystereticEnergy(displacement, restoringForce, stiffness) {
+  const energy = new Float64Array(displacement.length);
+  let work = 0;
+
+  for (let i = 1; i < displacement.length; i++) {
+    // Trapezoidal rule for the work of the restoring force
+    work += 0.5 * (restoringForce[i] + restoringForce[i - 1]) * (displacement[i] - displacement[i - 1]);
+    energy[i] = Math.max(work - (restoringForce[i] * restoringForce[i]) / (2 * stiffness), 0);
+  }
+
+  return energy;
+}
+
+/**
+ * Ductility demand, dissipated energy and residual displacement of an inelastic response
+ * @param {Object} solution - integrateNonlinearSDOF output
+ * @param {number} yieldDisplacement - uy of the spring (m)
+ * @param {number} stiffness - Elastic unloading stiffness (N/m): the initial stiffness, less kG with P-delta
+ * @returns {Object} {peakDisplacement, ductility, hystereticEnergy, dissipatedEnergy, residualDisplacement, yielded}
+ */
+export function inelasticResponseSummary(solution, yieldDisplacement, stiffness) {
+  const { displacement, restoringForce } = solution;
+  const peakDisplacement = displacement.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+  const energy = hystereticEnergy(displacement, restoringForce, stiffness);
+  const ductility = Number.isFinite(yieldDisplacement) ? peakDisplacement / yieldDisplacement : 0;
+
+  return {
+    peakDisplacement,
+    ductility,
+    hystereticEnergy: energy,
+    dissipatedEnergy: energy[energy.length - 1],
+    residualDisplacement: displacement[displacement.length - 1],
+    yielded: ductility > 1
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * Incremental Dynamic Analysis Utilities
+ * Records scaled to increasing Sa(T1) and run through a nonlinear SDOF or shear building
+ * (Vamvatsikos & Cornell), and the lognormal collapse fragility fitted to the collapse intensities
+ */
+
+import { GRAVITY } from './groundMotion';
+import { createHystereticSpring } from './hysteresis';
+import { geometricStiffness, withPDelta, collapseDisplacement } from './pDelta';
+import { analyzeNonlinearShearBuilding } from './nonlinearShearBuilding';
+import { modalAnalysis } from './shearBuilding';
+import { oscillatorPeak } from './responseSpectrum';
+import { integrateNonlinearSDOF, ConvergenceError } from './timeIntegration';
+
+/**
+ * Structural models the records can be run through
+ */
+export const IDA_MODELS = {
+  sdof: {
+    name: 'Nonlinear SDOF',
+    description: 'The oscillator of the time-history view; EDP is the peak drift u/h of its column'
+  },
+  shearBuilding: {
+    name: 'Nonlinear shear building',
+    description: 'The building of the story editor with hysteretic stories of yield shear Cy·Px; EDP is the peak interstory drift ratio'
+  }
+};
+
+/**
+ * Default intensity grid and collapse criterion
+ */
+export const DEFAULT_IDA = {
+  recordCount: 10,        // Synthetic records in the suite
+  maxIntensity: 3.0,      // Highest Sa(T1) tried (g)
+  intensityStep: 0.2,     // Sa(T1) increment (g)
+  refinements: 2,         // Bisections between the last stable and first collapsed level
+  collapseDrift: 0.10     // Drift ratio treated as collapse
+};
+
+// Damping ratio of the spectrum that defines Sa(T1)
+const INTENSITY_DAMPING = 0.05;
+
+/**
+ * Pseudo-spectral acceleration Sa = ω²·Sd of a record at one period
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {number} period - Period T (s)
+ * @param {number} dampingRatio - Damping ratio
+ * @returns {number} Sa (m/s²)
+ */
+export function spectralAcceleration(excitation, period, dampingRatio = INTENSITY_DAMPING) {
+  const { Sd, omega } = oscillatorPeak(excitation, period, dampingRatio);
+  return omega * omega * Sd;
+}
+
+/**
+ * Scale a record by a constant factor
+ * @param {Object} excitation - Ground acceleration record {dt, values}
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled record {dt, values}
+ */
+export function scaleRecord(excitation, factor) {
+  return { dt: excitation.dt, values: excitation.values.map(value => value * factor) };
+}
+
+/**
+ * Standard normal cumulative distribution Φ(x), from the erf approximation of
+ * Abramowitz & Stegun 7.1.26 (absolute error below 1.5e-7)
+ * @param {number} x - Standard normal variate
+ * @returns {number} Φ(x)
+ */
+export function standardNormalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - polynomial * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Lognormal fragility P(collapse | IM = x) = Φ(ln(x/θ)/β)
+ * @param {number} x - Intensity measure
+ * @param {number} median - θ
+ * @param {number} dispersion - β
+ * @returns {number} Probability of collapse
+ */
+export function lognormalCdf(x, median, dispersion) {
+  if (!(x > 0)) return 0;
+  return standardNormalCdf(Math.log(x / median) / dispersion);
+}
+
+/**
+ * Fit a lognormal collapse fragility to the collapse intensities of a suite.
+ * When every record collapsed, θ and β are the mean and standard deviation of ln(Sa,c)
+ * (FEMA P695); otherwise the records that survived the whole grid are censored, and θ, β
+ * maximize the binomial likelihood of the collapse counts at each intensity (Baker 2015).
+ * @param {Array<number>} capacities - Collapse intensity of each record, Infinity if it never collapsed
+ * @param {Array<number>} intensities - Intensity grid the records were run at
+ * @returns {Object|null} {median, dispersion, method, collapsed, total}, or null with fewer than two collapses
+ */
+export function fitCollapseFragility(capacities, intensities) {
+  const total = capacities.length;
+  const collapsedCapacities = capacities.filter(Number.isFinite);
+  const collapsed = collapsedCapacities.length;
+  if (collapsed < 2) return null;
+
+  if (collapsed === total) {
+    const logs = collapsedCapacities.map(Math.log);
+    const mean = logs.reduce((sum, value) => sum + value, 0) / total;
+    const variance = logs.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (total - 1);
+    return { median: Math.exp(mean), dispersion: Math.sqrt(variance), method: 'moments', collapsed, total };
+  }
+
+  // Collapse counts at each intensity of the grid
+  const counts = intensities.map(x => capacities.filter(capacity => capacity <= x).length);
+  const clamp = p => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+  const logLikelihood = (logMedian, dispersion) => intensities.reduce((sum, x, j) => {
+    const p = clamp(standardNormalCdf((Math.log(x) - logMedian) / dispersion));
+    return sum + counts[j] * Math.log(p) + (total - counts[j]) * Math.log(1 - p);
+  }, 0);
+
+  // Grid search, refined twice around the best point
+  let best = { logMedian: Math.log(intensities[intensities.length - 1]), dispersion: 0.4 };
+  let bounds = {
+    logMedian: [Math.log(intensities[0]), Math.log(intensities[intensities.length - 1]) + 1.5],
+    dispersion: [0.05, 1.5]
+  };
+  const divisions = 40;
+  for (let pass = 0; pass < 3; pass++) {
+    let bestValue = -Infinity;
+    for (let a = 0; a <= divisions; a++) {
+      const logMedian = bounds.logMedian[0] + (a / divisions) * (bounds.logMedian[1] - bounds.logMedian[0]);
+      for (let b = 0; b <= divisions; b++) {
+        const dispersion = bounds.dispersion[0] + (b / divisions) * (bounds.dispersion[1] - bounds.dispersion[0]);
+        const value = logLikelihood(logMedian, dispersion);
+        if (value > bestValue) {
+          bestValue = value;
+          best = { logMedian, dispersion };
+        }
+      }
+    }
+    const logSpan = (bounds.logMedian[1] - bounds.logMedian[0]) / 8;
+    const dispersionSpan = (bounds.dispersion[1] - bounds.dispersion[0]) / 8;
+    bounds = {
+      logMedian: [best.logMedian - logSpan, best.logMedian + logSpan],
+      dispersion: [Math.max(best.dispersion - dispersionSpan, 0.01), best.dispersion + dispersionSpan]
+    };
+  }
+
+  return { median: Math.exp(best.logMedian), dispersion: best.dispersion, method: 'mle', collapsed, total };
+}
+
+/**
+ * Fundamental period of the structure the suite is scaled to
+ * @param {Object} structure - IDA structure definition (see runIncrementalDynamicAnalysis)
+ * @returns {number} T1 (s)
+ */
+export function structurePeriod(structure) {
+  if (structure.model === 'shearBuilding') {
+    return modalAnalysis(structure.stories)[0].period;
+  }
+  return 2 * Math.PI * Math.sqrt(structure.mass / structure.stiffness);
+}
+
+/**
+ * Peak drift ratio of the structure under one scaled record. A Newton-Raphson failure (ConvergenceError)
+ * means the structure has lost stability and counts as collapse; every other error propagates.
+ */
+function analyzeAtIntensity(structure, excitation, collapseDrift) {
+  try {
+    if (structure.model === 'shearBuilding') {
+      const { peakDriftRatio } = analyzeNonlinearShearBuilding(structure.stories, excitation, structure);
+      return { drift: peakDriftRatio, collapsed: !(peakDriftRatio < collapseDrift) };
+    }
+
+    const { mass, stiffness, dampingRatio, springModel, yieldForce, postYieldRatio, exponent, height, pDelta } = structure;
+    const spring = createHystereticSpring(springModel, { stiffness, yieldForce, postYieldRatio, exponent });
+    const kG = pDelta ? geometricStiffness(mass * GRAVITY, height) : 0;
+    const limit = Math.min(
+      collapseDrift * height,
+      collapseDisplacement(stiffness, spring.yieldDisplacement, springModel === 'elastoplastic' ? 0 : postYieldRatio, kG)
+    );
+    const period = 2 * Math.PI * Math.sqrt(mass / stiffness);
+    const response = integrateNonlinearSDOF(
+      { mass, stiffness, dampingRatio, spring: pDelta ? withPDelta(spring, kG) : spring },
+      excitation,
+      { dt: Math.min(excitation.dt, period / 20), displacementLimit: limit }
+    );
+    const peak = response.displacement.reduce((max, u) => Math.max(max, Math.abs(u)), 0);
+    return { drift: peak / height, collapsed: response.collapse !== null };
+  } catch (error) {
+    if (!(error instanceof ConvergenceError)) throw error;
+    return { drift: collapseDrift, collapsed: true };
+  }
+}
+
+/**
+ * Run an incremental dynamic analysis: every record is scaled to Sa(T1) = step, 2·step, … until
+ * it collapses or reaches the highest intensity, and the first collapse is bracketed by bisection.
+ * @param {Array} records - Ground acceleration records {name, dt, values} in m/s²
+ * @param {Object} structure - {model: 'sdof', mass, stiffness, dampingRatio, springModel, yieldForce,
+ *   postYieldRatio, exponent, height, pDelta} or {model: 'shearBuilding', stories, damping (specification),
+ *   springModel, yieldCoefficient, postYieldRatio, exponent, pDelta}
+ * @param {Object} settings - DEFAULT_IDA-shaped grid and collapse criterion
+ * @param {Object} callbacks - {onRecord(curve, index), onProgress(fraction)}, called as results arrive
+ * @returns {Object} {period, intensities, curves [{name, recordIntensity, points [{intensity, drift, collapsed}],
+ *   capacity}], collapseFractions, fragility}
+ */
+export function runIncrementalDynamicAnalysis(records, structure, settings = DEFAULT_IDA, callbacks = {}) {
+  const { maxIntensity, intensityStep, refinements, collapseDrift } = settings;
+  const { onRecord = () => {}, onProgress = () => {} } = callbacks;
+  if (!(intensityStep > 0) || !(maxIntensity >= intensityStep)) {
+    throw new RangeError('The intensity step must be positive and no larger than the highest intensity');
+  }
+  if (!(collapseDrift > 0)) {
+    throw new RangeError('Collapse drift ratio must be positive');
+  }
+  if (records.length === 0) {
+    throw new RangeError('The suite has no records');
+  }
+
+  const period = structurePeriod(structure);
+  const levels = Math.floor(maxIntensity / intensityStep + 1e-9);
+  const intensities = Array.from({ length: levels }, (_, k) => (k + 1) * intensityStep);
+
+  const curves = records.map((record, r) => {
+    const recordIntensity = spectralAcceleration(record, period) / GRAVITY;
+    if (!(recordIntensity > 0)) {
+      throw new RangeError(`Record ${record.name || r + 1} has no spectral acceleration at T1`);
+    }
+    const run = intensity => ({
+      intensity,
+      ...analyzeAtIntensity(structure, scaleRecord(record, intensity / recordIntensity), collapseDrift)
+    });
+
+    const points = [];
+    for (let k = 0; k < levels; k++) {
+      const point = run(intensities[k]);
+      points.push(point);
+      onProgress((r + (k + 1) / levels) / records.length);
+      if (point.collapsed) break;
+    }
+
+    // Bracket the collapse intensity between the last stable and first collapsed run
+    const last = points[points.length - 1];
+    let capacity = Infinity;
+    if (last.collapsed) {
+      let lower = points.length > 1 ? points[points.length - 2].intensity : 0;
+      let upper = last.intensity;
+      for (let i = 0; i < refinements; i++) {
+        const point = run((lower + upper) / 2);
+        if (point.collapsed) {
+          upper = point.intensity;
+        } else {
+          lower = point.intensity;
+          points.push(point);
+        }
+      }
+      capacity = upper;
+    }
+
+    const curve = {
+      name: record.name || `Record ${r + 1}`,
+      recordIntensity,
+      points: points.sort((a, b) => a.intensity - b.intensity),
+      capacity
+    };
+    onRecord(curve, r);
+    onProgress((r + 1) / records.length);
+    return curve;
+  });
+
+  const capacities = curves.map(curve => curve.capacity);
+  return {
+    period,
+    intensities,
+    curves,
+    collapseFractions: intensities.map(x => capacities.filter(capacity => capacity <= x).length / capacities.length),
+    fragility: fitCollapseFragility(capacities, intensities)
+  };
+}
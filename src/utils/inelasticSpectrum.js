@@ -0,0 +1,192 @@
+/**
+ * Inelastic Response Spectrum Utilities
+ * Constant-ductility spectra of elastoplastic oscillators and strength reduction factors Rμ
+ */
+
+import { integrateNonlinearSDOF, peakResponse } from './timeIntegration';
+import { createHystereticSpring } from './hysteresis';
+import { oscillatorPeak, logSpacedPeriods } from './responseSpectrum';
+import { logSpace } from './linearAlgebra';
+
+/**
+ * Target ductility factors plotted by default
+ */
+export const TARGET_DUCTILITIES = [1, 2, 4, 6];
+
+/**
+ * Nassar-Krawinkler (1991) coefficients for c(T, α) = T^a / (1 + T^a) + b / T,
+ * keyed by post-yield stiffness ratio α
+ */
+export const NASSAR_KRAWINKLER_PARAMETERS = {
+  0: { a: 1.00, b: 0.42 },
+  0.02: { a: 1.01, b: 0.37 },
+  0.1: { a: 0.80, b: 0.29 }
+};
+
+/**
+ * Peak ductility demand of a unit-mass bilinear oscillator
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {number} period - Initial elastic period (s)
+ * @param {number} yieldStrength - Yield force per unit mass fy/m (m/s²)
+ * @param {Object} options - {dampingRatio, postYieldRatio}
+ * @returns {Object} {ductility, peakDisplacement, yieldDisplacement}
+ */
+export function ductilityDemand(excitation, period, yieldStrength, options = {}) {
+  const { dampingRatio = 0.05, postYieldRatio = 0 } = options;
+  const mass = 1;
+  const stiffness = Math.pow(2 * Math.PI / period, 2);
+  const spring = createHystereticSpring(postYieldRatio > 0 ? 'bilinear' : 'elastoplastic', {
+    stiffness,
+    yieldForce: yieldStrength,
+    postYieldRatio
+  });
+
+  // Same sampling rules as the elastic spectrum: ≥ 20 steps per period plus one period of free vibration
+  const dt = Math.min(excitation.dt, period / 20);
+  const duration = (excitation.values.length - 1) * excitation.dt + period;
+  const response = integrateNonlinearSDOF({ mass, stiffness, dampingRatio, spring }, excitation, { dt, duration });
+  const peakDisplacement = Math.abs(peakResponse(response.displacement).value);
+
+  return {
+    ductility: peakDisplacement / spring.yieldDisplacement,
+    peakDisplacement,
+    yieldDisplacement: spring.yieldDisplacement
+  };
+}
+
+/**
+ * Compute constant-ductility spectra by iterating the yield strength at each period.
+ * Ductility is not monotonic in strength, so the largest strength that produces the
+ * target ductility is taken: a descending grid brackets it and bisection refines it.
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - {periods, ductilities, dampingRatio, postYieldRatio, gridPoints, iterations}
+ * @returns {Object} {periods, elasticStrength, curves: [{ductility, yieldStrength, reductionFactor, achieved}]}
+ */
+export function computeInelasticSpectrum(excitation, options = {}) {
+  const {
+    periods = logSpacedPeriods(0.1, 3, 20),
+    ductilities = TARGET_DUCTILITIES,
+    dampingRatio = 0.05,
+    postYieldRatio = 0,
+    gridPoints = 20,
+    iterations = 12
+  } = options;
+
+  const elasticStrength = new Float64Array(periods.length);
+  const curves = ductilities.map(ductility => ({
+    ductility,
+    yieldStrength: new Float64Array(periods.length),
+    reductionFactor: new Float64Array(periods.length),
+    achieved: new Float64Array(periods.length)
+  }));
+
+  // Normalized strengths fy/fo from elastic (1) down to 2% of the elastic demand
+  const grid = Array.from(logSpace(0.02, 1, gridPoints)).reverse();
+
+  periods.forEach((period, i) => {
+    const { Sd, omega } = oscillatorPeak(excitation, period, dampingRatio);
+    const fo = omega * omega * Sd;
+    elasticStrength[i] = fo;
+
+    const demand = ratio => ductilityDemand(excitation, period, ratio * fo, { dampingRatio, postYieldRatio }).ductility;
+    const gridDuctility = grid.map(demand);
+
+    curves.forEach(curve => {
+      if (curve.ductility <= 1) {
+        curve.yieldStrength[i] = fo;
+        curve.reductionFactor[i] = 1;
+        curve.achieved[i] = 1;
+        return;
+      }
+
+      const index = gridDuctility.findIndex(mu => mu >= curve.ductility);
+      if (index <= 0) {
+        // Target not reached even at the weakest strength on the grid
+        const ratio = index === 0 ? grid[0] : grid[grid.length - 1];
+        curve.yieldStrength[i] = ratio * fo;
+        curve.reductionFactor[i] = 1 / ratio;
+        curve.achieved[i] = index === 0 ? gridDuctility[0] : gridDuctility[grid.length - 1];
+        return;
+      }
+
+      // Bisect in log strength between the bracketing grid points
+      let strong = grid[index - 1];
+      let weak = grid[index];
+      let achieved = gridDuctility[index];
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        const middle = Math.sqrt(strong * weak);
+        const mu = demand(middle);
+        if (mu >= curve.ductility) {
+          weak = middle;
+          achieved = mu;
+        } else {
+          strong = middle;
+        }
+      }
+
+      curve.yieldStrength[i] = weak * fo;
+      curve.reductionFactor[i] = 1 / weak;
+      curve.achieved[i] = achieved;
+    });
+  });
+
+  return { periods, elasticStrength, curves };
+}
+
+/**
+ * Newmark-Hall (1982) strength reduction factor as idealized by Chopra (§7.11)
+ * @param {number} period - Natural period (s)
+ * @param {number} ductility - Ductility factor μ
+ * @param {number} Tc - Period separating the acceleration- and velocity-sensitive regions (s)
+ * @returns {number} Rμ
+ */
+export function newmarkHallReduction(period, ductility, Tc) {
+  const Ta = 1 / 33;
+  const Tb = 1 / 8;
+  const equalEnergy = Math.sqrt(2 * ductility - 1);
+  const TcPrime = Tc * equalEnergy / ductility;
+
+  if (period <= Ta) return 1;
+  if (period <= Tb) {
+    const beta = Math.log(period / Ta) / Math.log(Tb / Ta);
+    return Math.pow(2 * ductility - 1, beta / 2);
+  }
+  if (period <= TcPrime) return equalEnergy;
+  if (period <= Tc) return ductility * period / Tc;
+  return ductility;
+}
+
+/**
+ * Nassar-Krawinkler (1991) strength reduction factor
+ * @param {number} period - Natural period (s)
+ * @param {number} ductility - Ductility factor μ
+ * @param {number} postYieldRatio - α; nearest tabulated value of 0, 0.02 or 0.10 is used
+ * @returns {number} Rμ = [c(μ − 1) + 1]^(1/c)
+ */
+export function nassarKrawinklerReduction(period, ductility, postYieldRatio = 0) {
+  const key = Object.keys(NASSAR_KRAWINKLER_PARAMETERS)
+    .reduce((best, value) => (Math.abs(value - postYieldRatio) < Math.abs(best - postYieldRatio) ? value : best));
+  const { a, b } = NASSAR_KRAWINKLER_PARAMETERS[key];
+  const c = Math.pow(period, a) / (1 + Math.pow(period, a)) + b / period;
+  return Math.pow(c * (ductility - 1) + 1, 1 / c);
+}
+
+/**
+ * Characteristic period from peak ground motion and Newmark-Hall median amplification factors (5%)
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @returns {number} Tc = 2π·(αV·PGV)/(αA·PGA) (s)
+ */
+export function characteristicPeriod(excitation) {
+  const { dt, values } = excitation;
+  let velocity = 0;
+  let pgv = 0;
+  let pga = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (i > 0) velocity += 0.5 * (values[i] + values[i - 1]) * dt;
+    pgv = Math.max(pgv, Math.abs(velocity));
+    pga = Math.max(pga, Math.abs(values[i]));
+  }
+
+  return pga > 0 ? (2 * Math.PI * 1.65 * pgv) / (2.12 * pga) : 0.5;
+}
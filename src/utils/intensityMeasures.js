@@ -0,0 +1,221 @@
+/**
+ * Ground Motion Intensity Measures
+ * Peak values from baseline-corrected integration, Arias intensity and Husid plot,
+ * significant and bracketed durations, CAV, predominant and mean periods
+ */
+
+import { solveLinearSystem } from './linearAlgebra';
+import { GRAVITY, BASELINE_CORRECTIONS, baselineCorrect } from './groundMotion';
+import { fourierAmplitudeSpectrum } from './fourier';
+import { logSpacedPeriods, oscillatorPeak } from './responseSpectrum';
+
+/**
+ * Displacement-based corrections: a polynomial without constant and linear terms is fitted
+ * to the integrated displacement and its second derivative is removed from the acceleration
+ */
+export const DISPLACEMENT_CORRECTIONS = {
+  none: { name: 'None', order: 0 },
+  cubic: { name: 'Cubic displacement fit', order: 3 },
+  sixth: { name: '6th-order displacement fit', order: 6 }
+};
+
+/**
+ * Default intensity measure options
+ */
+export const DEFAULT_INTENSITY_OPTIONS = {
+  baseline: 'mean',                 // Key of BASELINE_CORRECTIONS applied to the acceleration
+  displacementCorrection: 'sixth',  // Key of DISPLACEMENT_CORRECTIONS
+  bracketThreshold: 0.05            // Bracketed duration threshold (g)
+};
+
+// Frequency band of the Rathje et al. (1998) mean period (Hz)
+const MEAN_PERIOD_BAND = [0.25, 20];
+
+// Periods searched for the predominant period (peak of the 5%-damped PSA)
+const PREDOMINANT_PERIODS = logSpacedPeriods(0.05, 4, 60);
+
+/**
+ * Integrate acceleration to velocity and displacement assuming linear acceleration within each step
+ * @param {ArrayLike<number>} acceleration - Acceleration samples (m/s²)
+ * @param {number} dt - Sampling interval (s)
+ * @returns {Object} {velocity (m/s), displacement (m)}
+ */
+export function integrateAcceleration(acceleration, dt) {
+  const n = acceleration.length;
+  const velocity = new Float64Array(n);
+  const displacement = new Float64Array(n);
+  for (let i = 1; i < n; i++) {
+    velocity[i] = velocity[i - 1] + 0.5 * (acceleration[i - 1] + acceleration[i]) * dt;
+    displacement[i] = displacement[i - 1] + velocity[i - 1] * dt
+      + ((2 * acceleration[i - 1] + acceleration[i]) * dt * dt) / 6;
+  }
+  return { velocity, displacement };
+}
+
+/**
+ * Remove the acceleration implied by a least-squares polynomial fit Σ c_k·τ^k (k = 2…order)
+ * of the integrated displacement, constrained so the corrected velocity ends at zero
+ */
+function correctDisplacementDrift(acceleration, dt, order) {
+  if (order < 2 || acceleration.length <= order) return acceleration;
+
+  const { velocity, displacement } = integrateAcceleration(acceleration, dt);
+  const duration = (acceleration.length - 1) * dt;
+  const size = order - 1;
+
+  // Normal equations bordered by the end-velocity constraint Σ k·c_k = v(end)·D (Lagrange multiplier)
+  const matrix = Array.from({ length: size + 1 }, () => new Float64Array(size + 1));
+  const rhs = new Float64Array(size + 1);
+  for (let r = 0; r < size; r++) {
+    matrix[r][size] = r + 2;
+    matrix[size][r] = r + 2;
+  }
+  rhs[size] = velocity[velocity.length - 1] * duration;
+
+  for (let i = 0; i < displacement.length; i++) {
+    const tau = (i * dt) / duration;
+    for (let r = 0; r < size; r++) {
+      rhs[r] += displacement[i] * Math.pow(tau, r + 2);
+      for (let c = 0; c < size; c++) {
+        matrix[r][c] += Math.pow(tau, r + c + 4);
+      }
+    }
+  }
+
+  const coefficients = solveLinearSystem(matrix, rhs);
+
+  return Float64Array.from(acceleration, (value, i) => {
+    const tau = (i * dt) / duration;
+    let trend = 0;
+    for (let r = 0; r < size; r++) {
+      const k = r + 2;
+      trend += coefficients[r] * k * (k - 1) * Math.pow(tau, k - 2);
+    }
+    return value - trend / (duration * duration);
+  });
+}
+
+/**
+ * Time at which a monotonic cumulative curve first reaches a level, by linear interpolation
+ */
+function crossingTime(curve, dt, level) {
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i] >= level) {
+      const span = curve[i] - curve[i - 1];
+      return (i - 1 + (span > 0 ? (level - curve[i - 1]) / span : 1)) * dt;
+    }
+  }
+  return (curve.length - 1) * dt;
+}
+
+/**
+ * Peak absolute value and its index
+ */
+function peakOf(values) {
+  let index = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (Math.abs(values[i]) > Math.abs(values[index])) index = i;
+  }
+  return { value: Math.abs(values[index]), index };
+}
+
+/**
+ * Compute standard intensity measures of a ground motion record
+ * @param {Object} record - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - DEFAULT_INTENSITY_OPTIONS-shaped options
+ * @returns {Object} {time, acceleration, velocity, displacement, husid, pga, pgv, pgd (each {value, time}),
+ *   ariasIntensity (m/s), cav (m/s), significantDuration {d575, d595}, bracketedDuration,
+ *   predominantPeriod, meanPeriod}; durations are {start, end, duration} in s
+ */
+export function computeIntensityMeasures(record, options = {}) {
+  const { baseline, displacementCorrection, bracketThreshold } = { ...DEFAULT_INTENSITY_OPTIONS, ...options };
+  const { dt } = record;
+  if (record.values.length < 2) {
+    throw new RangeError('Record must contain at least two samples');
+  }
+
+  const order = (BASELINE_CORRECTIONS[baseline] || BASELINE_CORRECTIONS.none).order;
+  const acceleration = correctDisplacementDrift(
+    baselineCorrect(record.values, dt, order),
+    dt,
+    (DISPLACEMENT_CORRECTIONS[displacementCorrection] || DISPLACEMENT_CORRECTIONS.none).order
+  );
+  const { velocity, displacement } = integrateAcceleration(acceleration, dt);
+  const n = acceleration.length;
+  const time = Float64Array.from({ length: n }, (_, i) => i * dt);
+
+  // Arias intensity Ia = π/(2g)·∫a²dt, CAV = ∫|a|dt, and the normalized Husid curve
+  const husid = new Float64Array(n);
+  let cav = 0;
+  for (let i = 1; i < n; i++) {
+    husid[i] = husid[i - 1] + 0.5 * (acceleration[i - 1] ** 2 + acceleration[i] ** 2) * dt;
+    cav += 0.5 * (Math.abs(acceleration[i - 1]) + Math.abs(acceleration[i])) * dt;
+  }
+  const total = husid[n - 1];
+  const ariasIntensity = (Math.PI / (2 * GRAVITY)) * total;
+  if (total > 0) {
+    for (let i = 0; i < n; i++) husid[i] /= total;
+  }
+
+  const interval = (from, to) => {
+    const start = crossingTime(husid, dt, from);
+    const end = crossingTime(husid, dt, to);
+    return { start, end, duration: end - start };
+  };
+
+  // Bracketed duration: first to last exceedance of the threshold
+  const threshold = bracketThreshold * GRAVITY;
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < n; i++) {
+    if (Math.abs(acceleration[i]) >= threshold) {
+      if (first < 0) first = i;
+      last = i;
+    }
+  }
+  const bracketedDuration = first < 0
+    ? { start: 0, end: 0, duration: 0 }
+    : { start: first * dt, end: last * dt, duration: (last - first) * dt };
+
+  // Mean period Tm = Σ(C²/f) / ΣC² over the Fourier amplitudes between 0.25 and 20 Hz
+  const { frequencies, amplitudes } = fourierAmplitudeSpectrum(acceleration, dt);
+  let weighted = 0;
+  let power = 0;
+  for (let k = 1; k < frequencies.length; k++) {
+    if (frequencies[k] < MEAN_PERIOD_BAND[0] || frequencies[k] > MEAN_PERIOD_BAND[1]) continue;
+    const squared = amplitudes[k] * amplitudes[k];
+    weighted += squared / frequencies[k];
+    power += squared;
+  }
+
+  // Predominant period: peak of the 5%-damped pseudo-acceleration spectrum
+  const excitation = { dt, values: acceleration };
+  let predominantPeriod = PREDOMINANT_PERIODS[0];
+  let peakSa = -1;
+  PREDOMINANT_PERIODS.forEach(period => {
+    const { Sd, omega } = oscillatorPeak(excitation, period, 0.05);
+    if (omega * omega * Sd > peakSa) {
+      peakSa = omega * omega * Sd;
+      predominantPeriod = period;
+    }
+  });
+
+  const withTime = peak => ({ value: peak.value, time: peak.index * dt });
+
+  return {
+    time,
+    acceleration,
+    velocity,
+    displacement,
+    husid,
+    pga: withTime(peakOf(acceleration)),
+    pgv: withTime(peakOf(velocity)),
+    pgd: withTime(peakOf(displacement)),
+    ariasIntensity,
+    cav,
+    significantDuration: { d575: interval(0.05, 0.75), d595: interval(0.05, 0.95) },
+    bracketedDuration,
+    predominantPeriod,
+    meanPeriod: power > 0 ? weighted / power : 0
+  };
+}
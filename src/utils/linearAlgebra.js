@@ -0,0 +1,178 @@
+/**
+ * Linear Algebra Utilities
+ * Small dense matrix operations for structural models (matrices are arrays of Float64Array rows)
+ */
+
+/**
+ * Create an n × m matrix of zeros
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns (defaults to square)
+ * @returns {Array<Float64Array>} Matrix
+ */
+export function zeros(rows, cols = rows) {
+  return Array.from({ length: rows }, () => new Float64Array(cols));
+}
+
+/**
+ * Create a vector of logarithmically spaced values
+ * @param {number} min - First value, must be > 0
+ * @param {number} max - Last value
+ * @param {number} count - Number of values
+ * @returns {Float64Array} Values from min to max with a constant ratio between neighbours
+ */
+export function logSpace(min, max, count) {
+  const values = new Float64Array(count);
+  const logMin = Math.log10(min);
+  const logStep = count > 1 ? (Math.log10(max) - logMin) / (count - 1) : 0;
+
+  for (let i = 0; i < count; i++) {
+    values[i] = Math.pow(10, logMin + i * logStep);
+  }
+
+  return values;
+}
+
+/**
+ * Multiply a matrix by a vector
+ * @param {Array<ArrayLike<number>>} matrix - n × m matrix
+ * @param {ArrayLike<number>} vector - Length m vector
+ * @returns {Float64Array} Length n result
+ */
+export function matVec(matrix, vector) {
+  const result = new Float64Array(matrix.length);
+  for (let i = 0; i < matrix.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < vector.length; j++) sum += matrix[i][j] * vector[j];
+    result[i] = sum;
+  }
+  return result;
+}
+
+/**
+ * Dot product of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} a · b
+ */
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial pivoting
+ * @param {Array<ArrayLike<number>>} matrix - Square coefficient matrix (copied)
+ * @param {ArrayLike<number>} rhs - Right-hand side vector (copied)
+ * @returns {Float64Array} Solution vector
+ */
+export function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map(row => Float64Array.from(row));
+  const b = Float64Array.from(rhs);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let c = col; c < n; c++) a[row][c] -= factor * a[col][c];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Float64Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let c = row + 1; c < n; c++) sum -= a[row][c] * x[c];
+    x[row] = sum / a[row][row];
+  }
+
+  return x;
+}
+
+/**
+ * Eigenvalues and eigenvectors of a real symmetric matrix (cyclic Jacobi rotations)
+ * @param {Array<ArrayLike<number>>} matrix - Symmetric matrix (copied)
+ * @param {Object} options - {tolerance, maxSweeps}
+ * @returns {Object} {values, vectors} with vectors[k] the eigenvector of values[k], ascending order
+ */
+export function symmetricEigen(matrix, options = {}) {
+  const { tolerance = 1e-12, maxSweeps = 100 } = options;
+  const n = matrix.length;
+  const a = matrix.map(row => Float64Array.from(row));
+  const v = zeros(n);
+  for (let i = 0; i < n; i++) v[i][i] = 1;
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    let diagonal = 0;
+    for (let p = 0; p < n; p++) {
+      diagonal += a[p][p] * a[p][p];
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal <= tolerance * tolerance * diagonal) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+  return {
+    values: Float64Array.from(order, i => a[i][i]),
+    vectors: order.map(i => Float64Array.from(v, row => row[i]))
+  };
+}
+
+/**
+ * Generalized eigenproblem K·φ = ω²·M·φ for a diagonal (lumped) mass matrix
+ * @param {Array<ArrayLike<number>>} K - Symmetric stiffness matrix
+ * @param {ArrayLike<number>} masses - Diagonal of the mass matrix
+ * @returns {Object} {values (ω²), vectors (φ, mass-orthogonal)} in ascending order
+ */
+export function lumpedMassEigen(K, masses) {
+  const n = masses.length;
+  const scale = Float64Array.from(masses, m => 1 / Math.sqrt(m));
+  const reduced = zeros(n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) reduced[i][j] = K[i][j] * scale[i] * scale[j];
+  }
+
+  const { values, vectors } = symmetricEigen(reduced);
+  return {
+    values,
+    vectors: vectors.map(vector => Float64Array.from(vector, (value, i) => value * scale[i]))
+  };
+}
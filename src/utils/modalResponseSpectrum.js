@@ -0,0 +1,185 @@
+/**
+ * Modal Response Spectrum Analysis
+ * ASCE 7 §12.9.1 analysis of a shear building: modal peak responses from the design spectrum,
+ * SRSS/CQC combination, scaling to the equivalent lateral force base shear and drift checks
+ */
+
+import { FORMULAS } from '../constants/engineering';
+import { ALLOWABLE_DRIFT, designSpectralAcceleration } from '../constants/asce7';
+import { GRAVITY } from './groundMotion';
+import { assembleShearBuilding } from './shearBuilding';
+import { equivalentLateralForce } from './equivalentLateralForce';
+
+/**
+ * Modal combination rules
+ */
+export const COMBINATION_METHODS = {
+  srss: {
+    name: 'SRSS',
+    description: 'Square root of the sum of squares; assumes well separated modal frequencies'
+  },
+  cqc: {
+    name: 'CQC',
+    description: 'Complete quadratic combination with Der Kiureghian cross-modal coefficients'
+  }
+};
+
+/**
+ * Cross-modal correlation coefficient for equal modal damping (Der Kiureghian, 1981)
+ * @param {number} omegaI - Circular frequency of mode i (rad/s)
+ * @param {number} omegaJ - Circular frequency of mode j (rad/s)
+ * @param {number} dampingRatio - Modal damping ratio ζ
+ * @returns {number} ρij (1 when i = j)
+ */
+export function cqcCorrelation(omegaI, omegaJ, dampingRatio) {
+  const r = omegaJ / omegaI;
+  const zeta2 = dampingRatio * dampingRatio;
+  const numerator = 8 * zeta2 * (1 + r) * Math.pow(r, 1.5);
+  const denominator = Math.pow(1 - r * r, 2) + 4 * zeta2 * r * Math.pow(1 + r, 2);
+  return numerator / denominator;
+}
+
+/**
+ * Combine peak modal values of a response quantity
+ * @param {Array<ArrayLike<number>>} modalValues - modalValues[mode][location]
+ * @param {Array<number>} omegas - Circular frequencies of the modes (rad/s)
+ * @param {string} method - 'srss' or 'cqc'
+ * @param {number} dampingRatio - Modal damping ratio for CQC
+ * @returns {Float64Array} Combined peak values at each location
+ */
+export function combineModalResponses(modalValues, omegas, method = 'cqc', dampingRatio = 0.05) {
+  const count = modalValues[0]?.length || 0;
+  const combined = new Float64Array(count);
+
+  for (let location = 0; location < count; location++) {
+    let sum = 0;
+    modalValues.forEach((valuesI, i) => {
+      if (method !== 'cqc') {
+        sum += valuesI[location] * valuesI[location];
+        return;
+      }
+      modalValues.forEach((valuesJ, j) => {
+        const rho = i === j ? 1 : cqcCorrelation(omegas[i], omegas[j], dampingRatio);
+        sum += rho * valuesI[location] * valuesJ[location];
+      });
+    });
+    combined[location] = Math.sqrt(Math.max(sum, 0));
+  }
+
+  return combined;
+}
+
+/**
+ * Modal response spectrum analysis of a shear building (ASCE 7 §12.9.1)
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Array} modes - modalAnalysis output
+ * @param {Object} spectrum - designSpectrumParameters output
+ * @param {Object} options - {method, dampingRatio, system, structureType, modeCount}
+ * @returns {Object} Combined story results, ELF comparison and scale factors
+ */
+export function modalResponseSpectrumAnalysis(stories, modes, spectrum, options = {}) {
+  const {
+    method = 'cqc',
+    dampingRatio = 0.05,
+    system = 'specialSteelMomentFrame',
+    structureType = 'allOther',
+    modeCount = modes.length
+  } = options;
+
+  // Equivalent lateral force base shear with T = min(T1, Cu·Ta) (§12.8)
+  const elf = equivalentLateralForce(stories, spectrum, { system, computedPeriod: modes[0].period });
+  const { R, Cd } = elf;
+
+  const { masses, elevations } = assembleShearBuilding(stories);
+  const n = masses.length;
+  const Ie = spectrum.Ie ?? 1;
+  const usedModes = modes.slice(0, Math.max(1, Math.min(modeCount, modes.length)));
+  const omegas = usedModes.map(mode => mode.omega);
+
+  // §12.9.1.1: enough modes for 90% of the actual mass
+  let cumulativeRatio = 0;
+  const requiredModes = modes.findIndex(mode => (cumulativeRatio += mode.effectiveMassRatio) >= 0.9 - 1e-9) + 1;
+  const participatingRatio = usedModes.reduce((sum, mode) => sum + mode.effectiveMassRatio, 0);
+
+  // Peak elastic modal responses from the design spectrum
+  const modal = usedModes.map(mode => {
+    const Sa = designSpectralAcceleration(spectrum, mode.period);
+    const A = Sa * GRAVITY;
+    const forces = new Float64Array(n);
+    const displacements = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      forces[i] = masses[i] * mode.participationFactor * mode.shape[i] * A;
+      displacements[i] = (mode.participationFactor * mode.shape[i] * A) / (mode.omega * mode.omega);
+    }
+
+    const shears = new Float64Array(n);
+    const moments = new Float64Array(n);
+    const driftRatios = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+      const base = i > 0 ? elevations[i - 1] : 0;
+      for (let j = i; j < n; j++) {
+        shears[i] += forces[j];
+        moments[i] += forces[j] * (elevations[j] - base);
+      }
+      driftRatios[i] = FORMULAS.storyDrift(displacements[i], i > 0 ? displacements[i - 1] : 0, stories[i].height);
+    }
+
+    return { period: mode.period, Sa, forces, displacements, shears, moments, driftRatios };
+  });
+
+  const combine = key => combineModalResponses(modal.map(m => m[key]), omegas, method, dampingRatio);
+  const reduction = Ie / R;
+  const forces = combine('forces').map(value => value * reduction);
+  const shears = combine('shears').map(value => value * reduction);
+  const moments = combine('moments').map(value => value * reduction);
+  const elasticDisplacements = combine('displacements').map(value => value * reduction);
+  const elasticDriftRatios = combine('driftRatios').map(value => value * reduction);
+
+  const modalBaseShear = shears[0];
+  const elfBaseShear = elf.baseShear;
+
+  // §12.9.1.4.1: forces scaled up to 100% of V; §12.9.1.4.2: drifts only when Eq. 12.8-6 governs
+  const forceScale = modalBaseShear < elfBaseShear ? elfBaseShear / modalBaseShear : 1;
+  const minimumBaseShear = elf.governing === 'Eq. 12.8-6' ? elf.baseShear : 0;
+  const driftScale = modalBaseShear < minimumBaseShear ? minimumBaseShear / modalBaseShear : 1;
+
+  // Design story drift Δ = Cd·δxe / Ie (§12.8.6) against Table 12.12-1
+  const limits = ALLOWABLE_DRIFT[structureType] || ALLOWABLE_DRIFT.allOther;
+  const allowableRatio = limits[spectrum.riskCategory || 'II'];
+  const results = stories.map((story, i) => {
+    const driftRatio = (Cd * elasticDriftRatios[i] * driftScale) / Ie;
+    return {
+      level: i + 1,
+      height: story.height,
+      elevation: elevations[i],
+      force: forces[i] * forceScale,
+      shear: shears[i] * forceScale,
+      overturningMoment: moments[i] * forceScale,
+      displacement: (Cd * elasticDisplacements[i] * driftScale) / Ie,
+      drift: driftRatio * story.height,
+      driftRatio,
+      allowableRatio,
+      ok: driftRatio <= allowableRatio
+    };
+  });
+
+  return {
+    method,
+    modal: modal.map(({ period, Sa, shears: modalShears }) => ({ period, Sa, baseShear: modalShears[0] * reduction })),
+    requiredModes,
+    participatingRatio,
+    R,
+    Cd,
+    seismicWeight: elf.seismicWeight,
+    elfPeriod: elf.period,
+    Cs: elf.Cs,
+    elfBaseShear,
+    modalBaseShear,
+    forceScale,
+    driftScale,
+    baseShear: modalBaseShear * forceScale,
+    overturningMoment: moments[0] * forceScale,
+    stories: results,
+    driftsOk: results.every(result => result.ok)
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Near-Fault Pulse Utilities
+ * Closed-form velocity pulses of forward directivity and fling step (Mavroeidis & Papageorgiou 2003;
+ * Makris 1997), and the elastic response as a function of the pulse-to-structure period ratio Tp/Tn
+ */
+
+import { oscillatorPeak } from './responseSpectrum';
+
+/**
+ * Available pulse models; velocities are given in closed form, accelerations are their exact derivatives
+ */
+export const PULSE_MODELS = {
+  mavroeidisPapageorgiou: {
+    name: 'Mavroeidis-Papageorgiou',
+    description: 'v(t) = (Vp/2)·[1 + cos(2πfp·t′/γ)]·cos(2πfp·t′ + ν) for |t′| ≤ γ/(2fp); a harmonic under a bell-shaped envelope'
+  },
+  makrisForward: {
+    name: 'Makris type B (forward)',
+    description: 'v(t) = Vp·sin(ωp·t) for 0 ≤ t ≤ Tp; one full velocity cycle, no residual displacement'
+  },
+  makrisFling: {
+    name: 'Makris type A (fling)',
+    description: 'v(t) = (Vp/2)·(1 − cos(ωp·t)) for 0 ≤ t ≤ Tp; one-sided velocity leaving a permanent offset Vp·Tp/2'
+  }
+};
+
+/**
+ * Default pulse shape
+ */
+export const DEFAULT_PULSE = {
+  model: 'mavroeidisPapageorgiou',
+  period: 1.0,      // Pulse period Tp = 1/fp (s)
+  velocity: 0.5,    // Peak velocity amplitude Vp (m/s)
+  gamma: 2.0,       // Oscillatory character γ (M-P only, > 1)
+  phase: 0          // Phase angle ν (degrees, M-P only)
+};
+
+// Quiet ground before the pulse arrives (s)
+const PULSE_LEAD = 0.5;
+
+/**
+ * Ground velocity and acceleration of a pulse at time t after its start
+ * @param {Object} pulse - DEFAULT_PULSE-shaped settings
+ * @param {number} t - Time since the start of the pulse (s)
+ * @returns {Object} {velocity (m/s), acceleration (m/s²)}
+ */
+export function pulseMotion(pulse, t) {
+  const { model, period, velocity: amplitude, gamma, phase } = pulse;
+  const omega = (2 * Math.PI) / period;
+  const length = pulseLength(pulse);
+  if (t < 0 || t > length) return { velocity: 0, acceleration: 0 };
+
+  switch (model) {
+    case 'makrisForward':
+      return { velocity: amplitude * Math.sin(omega * t), acceleration: amplitude * omega * Math.cos(omega * t) };
+    case 'makrisFling':
+      return { velocity: (amplitude / 2) * (1 - Math.cos(omega * t)), acceleration: (amplitude / 2) * omega * Math.sin(omega * t) };
+    default: {
+      // Envelope centred at t0 = γ·Tp/2
+      const theta = omega * (t - length / 2);
+      const nu = (phase * Math.PI) / 180;
+      const envelope = 1 + Math.cos(theta / gamma);
+      return {
+        velocity: (amplitude / 2) * envelope * Math.cos(theta + nu),
+        acceleration: -(amplitude / 2) * omega * ((Math.sin(theta / gamma) / gamma) * Math.cos(theta + nu) + envelope * Math.sin(theta + nu))
+      };
+    }
+  }
+}
+
+/**
+ * Duration of the pulse itself
+ * @param {Object} pulse - DEFAULT_PULSE-shaped settings
+ * @returns {number} γ·Tp for Mavroeidis-Papageorgiou, Tp for the Makris pulses (s)
+ */
+export function pulseLength(pulse) {
+  return pulse.model === 'mavroeidisPapageorgiou' ? pulse.gamma * pulse.period : pulse.period;
+}
+
+/**
+ * Sample a pulse as a ground acceleration record, with its velocity and displacement
+ * @param {Object} pulse - DEFAULT_PULSE-shaped settings
+ * @param {number} dt - Sampling interval (s)
+ * @returns {Object} Excitation record {name, dt, values (m/s²), velocity (m/s), displacement (m), pga, pgv, pgd}
+ */
+export function createPulseExcitation(pulse, dt) {
+  const { model, period, velocity, gamma } = pulse;
+  if (!(period > 0) || !(velocity > 0)) {
+    throw new RangeError('Pulse period and velocity amplitude must be positive');
+  }
+  if (model === 'mavroeidisPapageorgiou' && !(gamma > 1)) {
+    throw new RangeError('The oscillatory character γ must exceed 1');
+  }
+
+  const count = Math.floor((PULSE_LEAD + pulseLength(pulse)) / dt) + 2;
+  const values = new Float64Array(count);
+  const groundVelocity = new Float64Array(count);
+  const displacement = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const motion = pulseMotion(pulse, i * dt - PULSE_LEAD);
+    values[i] = motion.acceleration;
+    groundVelocity[i] = motion.velocity;
+    // Displacement by the trapezoidal rule on the closed-form velocity
+    if (i > 0) displacement[i] = displacement[i - 1] + ((groundVelocity[i - 1] + groundVelocity[i]) / 2) * dt;
+  }
+
+  const peakOf = samples => samples.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+  return {
+    name: `${PULSE_MODELS[model].name} pulse, Tp = ${period} s`,
+    dt,
+    values,
+    velocity: groundVelocity,
+    displacement,
+    pga: peakOf(values),
+    pgv: peakOf(groundVelocity),
+    pgd: peakOf(displacement)
+  };
+}
+
+/**
+ * Elastic response to a pulse over a range of period ratios Tp/Tn, normalized by the peak ground motion
+ * @param {Object} excitation - createPulseExcitation output
+ * @param {number} pulsePeriod - Tp (s)
+ * @param {Object} options - {ratios (Tp/Tn), dampingRatio}
+ * @returns {Object} {ratios, periods, Sd, Sv, Sa, displacementRatio Sd/PGD, velocityRatio PSV/PGV, accelerationRatio PSA/PGA}
+ */
+export function pulseResponseCurve(excitation, pulsePeriod, options = {}) {
+  const { ratios, dampingRatio = 0.05 } = options;
+  const periods = ratios.map(ratio => pulsePeriod / ratio);
+  const Sd = periods.map(period => oscillatorPeak(excitation, period, dampingRatio).Sd);
+  const Sv = Sd.map((value, i) => (2 * Math.PI / periods[i]) * value);
+  const Sa = Sv.map((value, i) => (2 * Math.PI / periods[i]) * value);
+
+  return {
+    ratios,
+    periods,
+    Sd,
+    Sv,
+    Sa,
+    displacementRatio: Sd.map(value => value / excitation.pgd),
+    velocityRatio: Sv.map(value => value / excitation.pgv),
+    accelerationRatio: Sa.map(value => value / excitation.pga)
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * P-Delta Utilities
+ * Geometric stiffness of gravity load acting through lateral displacement, the ASCE 7 §12.8.7
+ * stability coefficient, and the displacement at which a yielding system loses all lateral strength
+ */
+
+/**
+ * Geometric (negative) stiffness of a gravity load P acting on a story of height h
+ * @param {number} gravityLoad - P (N)
+ * @param {number} height - h (m)
+ * @returns {number} kG = P/h (N/m), to be subtracted from the lateral stiffness
+ */
+export function geometricStiffness(gravityLoad, height) {
+  if (!(height > 0)) {
+    throw new RangeError('Story height must be positive for P-delta');
+  }
+  return gravityLoad / height;
+}
+
+/**
+ * Add the P-delta moment to a hysteretic spring: fs = fs,spring(u) − kG·u
+ * @param {Object} spring - createHystereticSpring output
+ * @param {number} kG - Geometric stiffness P/h (N/m)
+ * @returns {Object} Spring with the same interface, plus geometricStiffness
+ */
+export function withPDelta(spring, kG) {
+  return {
+    ...spring,
+    geometricStiffness: kG,
+    trial(u) {
+      const state = spring.trial(u);
+      return { ...state, force: state.force - kG * u, tangent: state.tangent - kG };
+    },
+    commit: () => spring.commit()
+  };
+}
+
+/**
+ * Displacement at which the P-delta-reduced bilinear backbone Fy + α·k·(u − uy) − kG·u drops to zero.
+ * The backbone loses strength beyond yield once the stability ratio θ = kG/k exceeds α.
+ * @param {number} stiffness - Initial stiffness k (N/m)
+ * @param {number} yieldDisplacement - uy (m); Infinity for an elastic spring
+ * @param {number} postYieldRatio - α
+ * @param {number} kG - Geometric stiffness (N/m)
+ * @returns {number} Collapse displacement (m), Infinity when the backbone never reaches zero strength
+ */
+export function collapseDisplacement(stiffness, yieldDisplacement, postYieldRatio, kG) {
+  const theta = kG / stiffness;
+  if (!Number.isFinite(yieldDisplacement)) return theta >= 1 ? 0 : Infinity;
+  if (theta <= postYieldRatio) return Infinity;
+  return (yieldDisplacement * (1 - postYieldRatio)) / (theta - postYieldRatio);
+}
+
+/**
+ * Stability coefficient θ = Px·Δ·Ie / (Vx·hsx·Cd) (ASCE 7 Eq. 12.8-16)
+ * @param {Object} story - {gravityLoad Px (N), drift Δ (design story drift, m), shear Vx (N), height hsx (m)}
+ * @param {number} Cd - Deflection amplification factor
+ * @param {number} Ie - Importance factor
+ * @returns {number} θ
+ */
+export function stabilityCoefficient({ gravityLoad, drift, shear, height }, Cd, Ie = 1) {
+  return (gravityLoad * drift * Ie) / (shear * height * Cd);
+}
+
+/**
+ * Upper limit θmax = 0.5 / (β·Cd) ≤ 0.25 (ASCE 7 Eq. 12.8-17)
+ * @param {number} Cd - Deflection amplification factor
+ * @param {number} beta - Ratio of shear demand to shear capacity (1 when not computed)
+ * @returns {number} θmax
+ */
+export function maximumStabilityCoefficient(Cd, beta = 1) {
+  return Math.min(0.5 / (beta * Cd), 0.25);
+}
@@ -0,0 +1,251 @@
+/**
+ * Pounding Utilities
+ * Two adjacent shear buildings separated by a gap, colliding at common floor levels through
+ * linear, Hertz or Hertzdamp contact elements, and the ASCE 7 §12.12.3 minimum separation
+ */
+
+import { zeros } from './linearAlgebra';
+import { assembleShearBuilding, modalAnalysis } from './shearBuilding';
+import { sampleAt, integrateNonlinearMDOF } from './timeIntegration';
+
+/**
+ * Available contact force models (δ = penetration beyond the gap)
+ */
+export const CONTACT_MODELS = {
+  linear: {
+    name: 'Linear spring',
+    description: 'F = k·δ; elastic, so no energy is lost in the impact'
+  },
+  hertz: {
+    name: 'Hertz',
+    description: 'F = kh·δ^1.5; stiffening contact of curved surfaces, still elastic'
+  },
+  hertzdamp: {
+    name: 'Hertzdamp',
+    description: 'F = kh·δ^1.5 + ξ·δ^1.5·δ̇ with ξ = 3·kh·(1 − e²) / (4·δ̇⁻) (Muthukumar & DesRoches); e sets the energy lost per impact'
+  }
+};
+
+/**
+ * Default pair of buildings and contact properties
+ */
+export const DEFAULT_POUNDING = {
+  storiesA: 3,
+  periodA: 0.4,               // Fixed-base first-mode period of building A (s)
+  storiesB: 5,
+  periodB: 1.0,               // Fixed-base first-mode period of building B (s)
+  floorMass: 50000,           // Mass of every floor (kg)
+  storyHeight: 3.0,           // Story height shared by both buildings (m)
+  gap: 0.02,                  // Clear separation at rest (m)
+  contactModel: 'hertzdamp',
+  linearStiffness: 1.0e9,     // k of the linear contact (N/m)
+  hertzStiffness: 2.75e10,    // kh of the Hertz contacts (N/m^1.5)
+  restitution: 0.65           // Coefficient of restitution e of the Hertzdamp contact
+};
+
+// Contacts closing slower than this are treated as impacts at this velocity, keeping ξ finite (m/s)
+const MINIMUM_IMPACT_VELOCITY = 1e-3;
+
+/**
+ * Contact element closing a gap: compression-only force on the relative displacement d = uA − uB
+ * @param {string} model - Key of CONTACT_MODELS
+ * @param {number} gap - Clear separation (m)
+ * @param {Object} properties - {linearStiffness, hertzStiffness, restitution}
+ * @returns {Object} Element {trial(d, ḋ) → {force, tangent, dampingTangent}, commit()}
+ */
+export function contactElement(model, gap, properties) {
+  const { linearStiffness, hertzStiffness, restitution } = properties;
+  let committedContact = false;
+  let committedImpactVelocity = 0;
+  let trialContact = false;
+  let trialImpactVelocity = 0;
+
+  const open = { force: 0, tangent: 0, dampingTangent: 0 };
+
+  return {
+    trial(deformation, velocity) {
+      const penetration = deformation - gap;
+      trialContact = penetration > 0;
+      if (!trialContact) return open;
+
+      if (model === 'linear') {
+        return { force: linearStiffness * penetration, tangent: linearStiffness, dampingTangent: 0 };
+      }
+
+      const power = Math.pow(penetration, 1.5);
+      const slope = 1.5 * Math.sqrt(penetration);
+      if (model === 'hertz') {
+        return { force: hertzStiffness * power, tangent: hertzStiffness * slope, dampingTangent: 0 };
+      }
+
+      // Hertzdamp: the damping constant is fixed by the approach velocity at the start of the impact
+      trialImpactVelocity = committedContact ? committedImpactVelocity : Math.max(velocity, MINIMUM_IMPACT_VELOCITY);
+      const xi = (3 * hertzStiffness * (1 - restitution * restitution)) / (4 * trialImpactVelocity);
+      const force = (hertzStiffness + xi * velocity) * power;
+      if (force <= 0) return open; // the contact cannot pull the buildings together
+      return {
+        force,
+        tangent: (hertzStiffness + xi * velocity) * slope,
+        dampingTangent: xi * power
+      };
+    },
+    commit() {
+      committedContact = trialContact;
+      committedImpactVelocity = trialContact ? trialImpactVelocity : 0;
+    }
+  };
+}
+
+/**
+ * Uniform shear building with the story stiffness scaled to a target first-mode period
+ * @param {number} count - Number of stories
+ * @param {number} floorMass - Mass of every floor (kg)
+ * @param {number} storyHeight - Story height (m)
+ * @param {number} period - Target fixed-base period T1 (s)
+ * @returns {Array} Story definitions from the ground up
+ */
+export function uniformShearBuilding(count, floorMass, storyHeight, period) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new RangeError('Number of stories must be a positive integer');
+  }
+  if (!(period > 0)) {
+    throw new RangeError('Building period must be positive');
+  }
+
+  // T1 scales with 1/√k, so one modal analysis with unit stiffness fixes the scale
+  const unit = Array.from({ length: count }, () => ({ mass: floorMass, stiffness: 1, height: storyHeight }));
+  const unitPeriod = modalAnalysis(unit)[0].period;
+  const stiffness = Math.pow(unitPeriod / period, 2);
+  return unit.map(story => ({ ...story, stiffness }));
+}
+
+/**
+ * Integrate two adjacent buildings with and without contact under the same record
+ * Building A stands on the left and closes the gap when uA − uB exceeds it.
+ * @param {Object} settings - DEFAULT_POUNDING-shaped properties
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - {dampingRatio (each building, first mode), Cd, R, dt, duration, tolerance, maxIterations}
+ * @returns {Object} {time, groundAcceleration, periods, contactLevels, free, pounding, separation}
+ */
+export function analyzePounding(settings, excitation, options = {}) {
+  const {
+    dampingRatio = 0.05,
+    Cd = 5.5,
+    R = 8,
+    dt = Math.min(excitation.dt, 0.002),
+    duration = (excitation.values.length - 1) * excitation.dt,
+    tolerance = 1e-8,
+    maxIterations = 50
+  } = options;
+  if (!(settings.gap >= 0)) {
+    throw new RangeError('Gap must not be negative');
+  }
+
+  const steps = Math.floor(duration / dt) + 1;
+  const time = new Float64Array(steps);
+  const groundAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundAcceleration[i] = sampleAt(excitation.values, excitation.dt, time[i]);
+  }
+
+  // Both buildings in one block-diagonal system: floors of A first, then floors of B
+  const buildings = [
+    uniformShearBuilding(settings.storiesA, settings.floorMass, settings.storyHeight, settings.periodA),
+    uniformShearBuilding(settings.storiesB, settings.floorMass, settings.storyHeight, settings.periodB)
+  ];
+  const offsets = [0, settings.storiesA];
+  const n = settings.storiesA + settings.storiesB;
+  const masses = new Float64Array(n);
+  const K = zeros(n);
+  const C = zeros(n);
+  const periods = buildings.map((stories, b) => {
+    const { masses: floorMasses, K: buildingK } = assembleShearBuilding(stories);
+    const period = modalAnalysis(stories)[0].period;
+    // Stiffness-proportional damping tuned to the first mode of each building
+    const damping = (2 * dampingRatio * period) / (2 * Math.PI);
+    floorMasses.forEach((m, i) => {
+      masses[offsets[b] + i] = m;
+      buildingK[i].forEach((value, j) => {
+        K[offsets[b] + i][offsets[b] + j] = value;
+        C[offsets[b] + i][offsets[b] + j] = damping * value;
+      });
+    });
+    return period;
+  });
+
+  // Contact at every floor the two buildings share
+  const common = Math.min(settings.storiesA, settings.storiesB);
+  const contactLevels = Array.from({ length: common }, (_, f) => ({
+    level: f + 1,
+    elevation: (f + 1) * settings.storyHeight,
+    dofs: [offsets[0] + f, offsets[1] + f]
+  }));
+  const elements = contactLevels.map(level => ({
+    dofs: level.dofs,
+    ...contactElement(settings.contactModel, settings.gap, settings)
+  }));
+
+  const solverOptions = { dt, tolerance, maxIterations };
+  const free = integrateNonlinearMDOF({ masses, K, C }, groundAcceleration, solverOptions);
+  const pounding = integrateNonlinearMDOF({ masses, K, C, elements }, groundAcceleration, solverOptions);
+
+  const top = contactLevels[common - 1];
+  const history = (response, dof) => Float64Array.from(response.displacement, u => u[dof]);
+  const peakOf = values => values.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+  const peakAbsoluteAcceleration = (response, dof) => response.acceleration.reduce(
+    (peak, a, i) => Math.max(peak, Math.abs(a[dof] + groundAcceleration[i])), 0);
+
+  const levels = contactLevels.map((level, c) => {
+    const [a, b] = level.dofs;
+    const force = pounding.elementForces[c];
+    let impacts = 0;
+    for (let i = 1; i < steps; i++) {
+      if (force[i] > 0 && force[i - 1] <= 0) impacts++;
+    }
+    // Closing displacement without contact: the smallest gap that would have avoided pounding here
+    let closing = 0;
+    free.displacement.forEach(u => {
+      closing = Math.max(closing, u[a] - u[b]);
+    });
+
+    // ASCE 7 Eq. 12.12-1: δM = Cd·δmax/Ie with δmax at design level, i.e. the elastic response scaled by Ie/R
+    const deltaA = (Cd / R) * peakOf(history(free, a));
+    const deltaB = (Cd / R) * peakOf(history(free, b));
+    return {
+      ...level,
+      force,
+      impacts,
+      peakForce: peakOf(force),
+      requiredGap: closing,
+      deltaMA: deltaA,
+      deltaMB: deltaB,
+      deltaMT: Math.sqrt(deltaA * deltaA + deltaB * deltaB),
+      accelerationA: { free: peakAbsoluteAcceleration(free, a), pounding: peakAbsoluteAcceleration(pounding, a) },
+      accelerationB: { free: peakAbsoluteAcceleration(free, b), pounding: peakAbsoluteAcceleration(pounding, b) }
+    };
+  });
+
+  const totalForce = Float64Array.from({ length: steps }, (_, i) =>
+    levels.reduce((sum, level) => sum + level.force[i], 0));
+
+  return {
+    time,
+    groundAcceleration,
+    periods,
+    contactLevels: levels,
+    free: { displacementA: history(free, top.dofs[0]), displacementB: history(free, top.dofs[1]) },
+    pounding: {
+      displacementA: history(pounding, top.dofs[0]),
+      displacementB: history(pounding, top.dofs[1]),
+      totalForce,
+      impacts: levels.reduce((sum, level) => sum + level.impacts, 0),
+      peakForce: peakOf(totalForce)
+    },
+    separation: {
+      requiredGap: Math.max(...levels.map(level => level.requiredGap)),
+      deltaMT: Math.max(...levels.map(level => level.deltaMT)),
+      governingLevel: levels.reduce((best, level) => (level.deltaMT > best.deltaMT ? level : best)).level
+    }
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Response Spectrum Utilities
+ * Elastic spectra computed by sweeping SDOF oscillators over a range of periods
+ */
+
+import { FORMULAS } from '../constants/engineering';
+import { integrateSDOF, peakResponse } from './timeIntegration';
+import { logSpace } from './linearAlgebra';
+
+/**
+ * Damping ratios commonly used when plotting spectra
+ */
+export const SPECTRUM_DAMPING_RATIOS = [0.02, 0.05, 0.10, 0.20];
+
+/**
+ * Generate logarithmically spaced periods
+ * @param {number} minPeriod - Shortest period (s), must be > 0
+ * @param {number} maxPeriod - Longest period (s)
+ * @param {number} count - Number of periods
+ * @returns {Float64Array} Periods (s)
+ */
+export function logSpacedPeriods(minPeriod, maxPeriod, count) {
+  return logSpace(minPeriod, maxPeriod, count);
+}
+
+/**
+ * Peak response of a unit-mass linear oscillator with period T
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {number} period - Oscillator period (s)
+ * @param {number} dampingRatio - Damping ratio
+ * @returns {Object} {Sd (m), omega (rad/s), displacement history}
+ */
+export function oscillatorPeak(excitation, period, dampingRatio) {
+  const mass = 1;
+  const stiffness = Math.pow(2 * Math.PI / period, 2) * mass;
+  const omega = 2 * Math.PI * FORMULAS.naturalFrequency(stiffness, mass);
+
+  // Keep at least 20 steps per oscillator period, and allow one period of free vibration
+  // so long-period peaks that occur after the shaking ends are captured
+  const dt = Math.min(excitation.dt, period / 20);
+  const duration = (excitation.values.length - 1) * excitation.dt + period;
+  const response = integrateSDOF({ mass, stiffness, dampingRatio }, excitation, { dt, duration });
+
+  return {
+    Sd: Math.abs(peakResponse(response.displacement).value),
+    omega,
+    response
+  };
+}
+
+/**
+ * Compute displacement, pseudo-velocity and pseudo-acceleration spectra
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - {periods, dampingRatios}
+ * @returns {Array} One entry per damping ratio: {dampingRatio, periods, Sd, Sv, Sa}
+ */
+export function computeResponseSpectrum(excitation, options = {}) {
+  const {
+    periods = logSpacedPeriods(0.05, 4, 60),
+    dampingRatios = [0.05]
+  } = options;
+
+  return dampingRatios.map(dampingRatio => {
+    const Sd = new Float64Array(periods.length);
+    const Sv = new Float64Array(periods.length);
+    const Sa = new Float64Array(periods.length);
+
+    periods.forEach((period, i) => {
+      const { Sd: peak, omega } = oscillatorPeak(excitation, period, dampingRatio);
+      Sd[i] = peak;
+      Sv[i] = omega * peak;
+      Sa[i] = omega * omega * peak;
+    });
+
+    return { dampingRatio, periods, Sd, Sv, Sa };
+  });
+}
@@ -0,0 +1,107 @@
+/**
+ * Shear Building Utilities
+ * Lumped-mass multi-story models: matrix assembly and modal analysis
+ */
+
+import { zeros, dot, lumpedMassEigen } from './linearAlgebra';
+import { GRAVITY } from './groundMotion';
+import { geometricStiffness } from './pDelta';
+
+/**
+ * Default three-story building (stories listed from the ground up)
+ */
+export const DEFAULT_STORIES = [
+  { mass: 50000, stiffness: 8.0e7, height: 3.5 },
+  { mass: 50000, stiffness: 6.0e7, height: 3.0 },
+  { mass: 40000, stiffness: 4.0e7, height: 3.0 }
+];
+
+/**
+ * Gravity load carried by each story: the weight of its floor and every floor above
+ * @param {Array} stories - Story definitions from the ground up
+ * @returns {Float64Array} Px (N) per story
+ */
+export function storyGravityLoads(stories) {
+  const loads = new Float64Array(stories.length);
+  let load = 0;
+  for (let i = stories.length - 1; i >= 0; i--) {
+    load += stories[i].mass * GRAVITY;
+    loads[i] = load;
+  }
+  return loads;
+}
+
+/**
+ * Assemble the lumped mass and tridiagonal stiffness matrices of a shear building
+ * @param {Array} stories - [{mass (kg), stiffness (N/m), height (m)}] from the ground up
+ * @param {Object} options - {pDelta}: subtract the geometric stiffness Px/hx from every story
+ * @returns {Object} {masses, M, K, elevations}
+ */
+export function assembleShearBuilding(stories, options = {}) {
+  const { pDelta = false } = options;
+  const n = stories.length;
+  const M = zeros(n);
+  const K = zeros(n);
+  const masses = new Float64Array(n);
+  const elevations = new Float64Array(n);
+  const gravityLoads = pDelta ? storyGravityLoads(stories) : null;
+
+  let elevation = 0;
+  stories.forEach((story, i) => {
+    masses[i] = story.mass;
+    M[i][i] = story.mass;
+    elevation += story.height;
+    elevations[i] = elevation;
+
+    const stiffness = pDelta ? story.stiffness - geometricStiffness(gravityLoads[i], story.height) : story.stiffness;
+    if (!(stiffness > 0)) {
+      throw new RangeError(`Story ${i + 1} is unstable: the gravity load P/h exceeds its lateral stiffness`);
+    }
+
+    // Story i spring connects floor i to floor i-1 (or the ground)
+    K[i][i] += stiffness;
+    if (i > 0) {
+      K[i - 1][i - 1] += stiffness;
+      K[i][i - 1] -= stiffness;
+      K[i - 1][i] -= stiffness;
+    }
+  });
+
+  return { masses, M, K, elevations };
+}
+
+/**
+ * Natural periods, mode shapes, participation factors and effective modal masses
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Object} options - assembleShearBuilding options
+ * @returns {Array} Modes in ascending period order:
+ *   {omega, frequency, period, shape (roof = 1), participationFactor, effectiveMass, effectiveMassRatio}
+ */
+export function modalAnalysis(stories, options = {}) {
+  const { masses, K } = assembleShearBuilding(stories, options);
+  const { values, vectors } = lumpedMassEigen(K, masses);
+  const totalMass = masses.reduce((sum, m) => sum + m, 0);
+  const n = masses.length;
+
+  return Array.from(values, (omegaSquared, k) => {
+    const omega = Math.sqrt(Math.max(omegaSquared, 0));
+    const roof = vectors[k][n - 1];
+    const shape = Float64Array.from(vectors[k], value => value / (roof || 1));
+
+    // Γ = φᵀM·1 / φᵀMφ, M*eff = (φᵀM·1)² / φᵀMφ
+    const Ln = dot(shape, masses);
+    const Mn = shape.reduce((sum, value, i) => sum + masses[i] * value * value, 0);
+    const effectiveMass = (Ln * Ln) / Mn;
+
+    return {
+      omega,
+      frequency: omega / (2 * Math.PI),
+      period: (2 * Math.PI) / omega,
+      shape,
+      generalizedMass: Mn,
+      participationFactor: Ln / Mn,
+      effectiveMass,
+      effectiveMassRatio: effectiveMass / totalMass
+    };
+  });
+}
@@ -0,0 +1,463 @@
+/**
+ * Site Response Utilities
+ * One-dimensional equivalent-linear site response of a layered soil column over elastic bedrock
+ * (SHAKE, Schnabel et al. 1972): vertically propagating shear waves solved in the frequency domain,
+ * with strain-compatible modulus and damping iterated from modulus reduction and damping curves
+ */
+
+import { fft, nextPowerOfTwo } from './fourier';
+import { GRAVITY } from './groundMotion';
+
+/**
+ * Available modulus reduction and damping curves
+ */
+export const SOIL_CURVE_MODELS = {
+  darendeli: {
+    name: 'Darendeli (2001)',
+    description: 'Modified hyperbola G/Gmax = 1/(1 + (γ/γr)^0.919) with γr growing with PI, OCR and σ\'m; Masing damping scaled and added to ξmin'
+  },
+  ishibashiZhang: {
+    name: 'Ishibashi-Zhang (1993)',
+    description: 'Closed-form fit reproducing the Vucetic-Dobry (1991) plasticity trend, with confinement stiffening low-PI soils'
+  },
+  linear: {
+    name: 'Linear',
+    description: 'No degradation: G = Gmax and ξ equal to the Darendeli small-strain damping at every strain'
+  }
+};
+
+/**
+ * Ways the input motion is specified
+ */
+export const INPUT_MOTIONS = {
+  outcrop: { name: 'Rock outcrop', description: 'Recorded on exposed rock: the incident wave is half the outcrop motion' },
+  within: { name: 'Within bedrock', description: 'Recorded at the top of the bedrock under the soil (a borehole record)' }
+};
+
+/**
+ * Soil columns for the soil types of the foundation model, from the surface down
+ */
+export const SOIL_COLUMN_PRESETS = {
+  rock: {
+    layers: [
+      { thickness: 4, unitWeight: 20.5, vs: 800, curve: 'darendeli', plasticityIndex: 0, ocr: 1 },
+      { thickness: 8, unitWeight: 21.5, vs: 1100, curve: 'linear', plasticityIndex: 0, ocr: 1 }
+    ],
+    bedrock: { unitWeight: 23.0, vs: 1800, dampingRatio: 0.01 },
+    waterTableDepth: 5,       // Depth of the water table (m)
+    earthPressure: 0.5        // K0, for the mean effective stress σ'm = σ'v·(1 + 2·K0)/3
+  },
+  dense_sand: {
+    layers: [
+      { thickness: 6, unitWeight: 19.0, vs: 300, curve: 'darendeli', plasticityIndex: 0, ocr: 1 },
+      { thickness: 10, unitWeight: 19.5, vs: 400, curve: 'darendeli', plasticityIndex: 0, ocr: 1 },
+      { thickness: 14, unitWeight: 20.0, vs: 500, curve: 'darendeli', plasticityIndex: 5, ocr: 1 }
+    ],
+    bedrock: { unitWeight: 22.0, vs: 1200, dampingRatio: 0.01 },
+    waterTableDepth: 5,
+    earthPressure: 0.5
+  },
+  soft_clay: {
+    layers: [
+      { thickness: 5, unitWeight: 16.0, vs: 120, curve: 'darendeli', plasticityIndex: 40, ocr: 2 },
+      { thickness: 10, unitWeight: 16.5, vs: 150, curve: 'darendeli', plasticityIndex: 40, ocr: 1 },
+      { thickness: 15, unitWeight: 18.0, vs: 260, curve: 'darendeli', plasticityIndex: 25, ocr: 1 }
+    ],
+    bedrock: { unitWeight: 22.0, vs: 1000, dampingRatio: 0.01 },
+    waterTableDepth: 5,
+    earthPressure: 0.6
+  }
+};
+
+/**
+ * Default soil column
+ */
+export const DEFAULT_SOIL_COLUMN = SOIL_COLUMN_PRESETS.dense_sand;
+
+/**
+ * Default analysis settings
+ */
+export const DEFAULT_SITE_ANALYSIS = {
+  inputMotion: 'outcrop',
+  effectiveStrainRatio: 0.65,   // γeff = Rγ·γmax
+  maxSublayerThickness: 2.5,    // Layers are split into sublayers no thicker than this (m)
+  tolerance: 0.02,              // Largest relative change of G and ξ between iterations
+  maxIterations: 15
+};
+
+const WATER_UNIT_WEIGHT = 9.81;     // kN/m³
+const ATMOSPHERIC_PRESSURE = 101.325; // kPa
+const SMALL_STRAIN = 1e-6;          // Strain at which the curves give Gmax and ξmin
+
+/**
+ * Darendeli (2001) modulus reduction and damping
+ * @param {number} strain - Shear strain γ (decimal)
+ * @param {Object} properties - {plasticityIndex (%), ocr, meanStress (kPa), frequency (Hz), cycles}
+ * @returns {Object} {modulusRatio (G/Gmax), dampingRatio}
+ */
+export function darendeliCurve(strain, properties) {
+  const { plasticityIndex = 0, ocr = 1, meanStress = ATMOSPHERIC_PRESSURE, frequency = 1, cycles = 10 } = properties;
+  const gamma = Math.max(strain, 1e-10) * 100; // %
+  const pressure = meanStress / ATMOSPHERIC_PRESSURE;
+
+  // Reference strain (%) and curvature
+  const reference = (0.0352 + 0.0010 * plasticityIndex * Math.pow(ocr, 0.3246)) * Math.pow(pressure, 0.3483);
+  const curvature = 0.9190;
+  const modulusRatio = 1 / (1 + Math.pow(gamma / reference, curvature));
+
+  // Masing damping of the a = 1 hyperbola (%), corrected to the fitted curvature
+  const masingHyperbolic = (100 / Math.PI) * (
+    (4 * (gamma - reference * Math.log((gamma + reference) / reference))) / ((gamma * gamma) / (gamma + reference)) - 2);
+  const c1 = -1.1143 * curvature * curvature + 1.8618 * curvature + 0.2523;
+  const c2 = 0.0805 * curvature * curvature - 0.0710 * curvature - 0.0095;
+  const c3 = -0.0005 * curvature * curvature + 0.0002 * curvature + 0.0003;
+  const masing = c1 * masingHyperbolic + c2 * Math.pow(masingHyperbolic, 2) + c3 * Math.pow(masingHyperbolic, 3);
+
+  const minimum = (0.8005 + 0.0129 * plasticityIndex * Math.pow(ocr, -0.1069))
+    * Math.pow(pressure, -0.2889) * (1 + 0.2919 * Math.log(frequency));
+  const scaling = 0.6329 - 0.0057 * Math.log(cycles);
+  const damping = scaling * Math.pow(modulusRatio, 0.1) * masing + minimum;
+
+  return { modulusRatio, dampingRatio: damping / 100 };
+}
+
+/**
+ * Ishibashi and Zhang (1993) modulus reduction and damping
+ * @param {number} strain - Shear strain γ (decimal)
+ * @param {Object} properties - {plasticityIndex (%), meanStress (kPa)}
+ * @returns {Object} {modulusRatio (G/Gmax), dampingRatio}
+ */
+export function ishibashiZhangCurve(strain, properties) {
+  const { plasticityIndex = 0, meanStress = ATMOSPHERIC_PRESSURE } = properties;
+  const gamma = Math.max(strain, 1e-10);
+  const pi = plasticityIndex;
+
+  const n = pi <= 0 ? 0
+    : pi <= 15 ? 3.37e-6 * Math.pow(pi, 1.404)
+    : pi <= 70 ? 7.0e-7 * Math.pow(pi, 1.976)
+    : 2.7e-5 * Math.pow(pi, 1.115);
+  const K = 0.5 * (1 + Math.tanh(Math.log(Math.pow((0.000102 + n) / gamma, 0.492))));
+  const exponent = 0.272 * (1 - Math.tanh(Math.log(Math.pow(0.000556 / gamma, 0.4)))) * Math.exp(-0.0145 * Math.pow(pi, 1.3));
+  const modulusRatio = Math.min(1, K * Math.pow(meanStress, exponent));
+
+  const damping = (0.333 * (1 + Math.exp(-0.0145 * Math.pow(pi, 1.3)))) / 2
+    * (0.586 * modulusRatio * modulusRatio - 1.547 * modulusRatio + 1);
+
+  return { modulusRatio, dampingRatio: damping };
+}
+
+/**
+ * Modulus reduction and damping of a soil layer at a strain
+ * @param {Object} layer - Layer {curve, plasticityIndex, ocr}
+ * @param {number} strain - Shear strain γ (decimal)
+ * @param {number} meanStress - Mean effective stress σ'm (kPa)
+ * @returns {Object} {modulusRatio (G/Gmax), dampingRatio}
+ */
+export function soilCurve(layer, strain, meanStress) {
+  const properties = { plasticityIndex: layer.plasticityIndex, ocr: layer.ocr, meanStress };
+  switch (layer.curve) {
+    case 'darendeli':
+      return darendeliCurve(strain, properties);
+    case 'ishibashiZhang':
+      return ishibashiZhangCurve(strain, properties);
+    case 'linear':
+      return { modulusRatio: 1, dampingRatio: darendeliCurve(SMALL_STRAIN, properties).dampingRatio };
+    default:
+      throw new Error(`Unknown soil curve model: ${layer.curve}`);
+  }
+}
+
+/**
+ * Split the column into sublayers with their overburden
+ * @param {Object} column - DEFAULT_SOIL_COLUMN-shaped column
+ * @param {number} maxThickness - Largest sublayer thickness (m)
+ * @returns {Array} Sublayers from the surface down: {layer (index), top, thickness, depth (mid), density (kg/m³),
+ *   vsMax (m/s), gmax (Pa), meanStress (kPa)}
+ */
+export function discretizeColumn(column, maxThickness) {
+  const { layers, bedrock, waterTableDepth, earthPressure } = column;
+  if (layers.length === 0) {
+    throw new RangeError('The soil column needs at least one layer');
+  }
+  layers.forEach((layer, index) => {
+    if (!(layer.thickness > 0) || !(layer.unitWeight > 0) || !(layer.vs > 0)) {
+      throw new RangeError(`Layer ${index + 1}: thickness, unit weight and Vs must be positive`);
+    }
+  });
+  if (!(bedrock.vs > 0) || !(bedrock.unitWeight > 0) || !(bedrock.dampingRatio >= 0)) {
+    throw new RangeError('Bedrock Vs and unit weight must be positive, and its damping not negative');
+  }
+  if (!(maxThickness > 0)) {
+    throw new RangeError('Sublayer thickness must be positive');
+  }
+
+  const sublayers = [];
+  let top = 0;
+  let overburden = 0; // Total vertical stress at the top of the sublayer (kPa)
+  layers.forEach((layer, index) => {
+    const count = Math.ceil(layer.thickness / maxThickness - 1e-9);
+    const thickness = layer.thickness / count;
+    const density = (layer.unitWeight * 1000) / GRAVITY;
+    for (let s = 0; s < count; s++) {
+      const depth = top + thickness / 2;
+      const total = overburden + (layer.unitWeight * thickness) / 2;
+      const pore = WATER_UNIT_WEIGHT * Math.max(0, depth - waterTableDepth);
+      sublayers.push({
+        layer: index,
+        top,
+        thickness,
+        depth,
+        density,
+        vsMax: layer.vs,
+        gmax: density * layer.vs * layer.vs,
+        meanStress: Math.max((total - pore) * (1 + 2 * earthPressure) / 3, 1)
+      });
+      top += thickness;
+      overburden += layer.unitWeight * thickness;
+    }
+  });
+
+  return sublayers;
+}
+
+// Complex arithmetic on {re, im}
+const complex = (re, im = 0) => ({ re, im });
+const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+const subtract = (a, b) => complex(a.re - b.re, a.im - b.im);
+const multiply = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const scaleBy = (a, s) => complex(a.re * s, a.im * s);
+const divide = (a, b) => {
+  const denominator = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+};
+const squareRoot = (a) => {
+  const radius = Math.hypot(a.re, a.im);
+  return complex(Math.sqrt((radius + a.re) / 2), (a.im < 0 ? -1 : 1) * Math.sqrt((radius - a.re) / 2));
+};
+// e^(i·z)
+const expI = (z) => {
+  const magnitude = Math.exp(-z.im);
+  return complex(magnitude * Math.cos(z.re), magnitude * Math.sin(z.re));
+};
+
+/**
+ * Complex shear wave velocity and impedance of a damped medium, G* = G·(1 − 2ξ² + 2iξ·√(1 − ξ²))
+ */
+function complexMedium(density, modulus, dampingRatio) {
+  const modulusStar = scaleBy(
+    complex(1 - 2 * dampingRatio * dampingRatio, 2 * dampingRatio * Math.sqrt(1 - dampingRatio * dampingRatio)), modulus);
+  const vsStar = squareRoot(scaleBy(modulusStar, 1 / density));
+  return { vsStar, impedance: scaleBy(vsStar, density) };
+}
+
+/**
+ * Up- and down-going wave amplitudes at the top of every sublayer and of the bedrock for a unit free-surface wave
+ * @returns {Array} [{A, B, k}] per sublayer, then {A, B} of the bedrock
+ */
+function propagate(media, rock, omega) {
+  let A = complex(1);
+  let B = complex(1);
+  const waves = [];
+  media.forEach((medium, m) => {
+    const k = divide(complex(omega), medium.vsStar);
+    waves.push({ A, B, k });
+    const next = m + 1 < media.length ? media[m + 1] : rock;
+    const alpha = divide(medium.impedance, next.impedance);
+    const up = expI(scaleBy(k, medium.thickness));
+    const down = expI(scaleBy(k, -medium.thickness));
+    const plus = add(complex(1), alpha);
+    const minus = subtract(complex(1), alpha);
+    const nextA = scaleBy(add(multiply(multiply(A, plus), up), multiply(multiply(B, minus), down)), 0.5);
+    const nextB = scaleBy(add(multiply(multiply(A, minus), up), multiply(multiply(B, plus), down)), 0.5);
+    A = nextA;
+    B = nextB;
+  });
+  waves.push({ A, B });
+  return waves;
+}
+
+/**
+ * Build the complex media of the sublayers and the bedrock for the current G and ξ
+ */
+function buildMedia(sublayers, state, column) {
+  const media = sublayers.map((sublayer, s) => ({
+    thickness: sublayer.thickness,
+    ...complexMedium(sublayer.density, sublayer.gmax * state[s].modulusRatio, state[s].dampingRatio)
+  }));
+  const rockDensity = (column.bedrock.unitWeight * 1000) / GRAVITY;
+  const rock = complexMedium(rockDensity, rockDensity * column.bedrock.vs * column.bedrock.vs, column.bedrock.dampingRatio);
+  return { media, rock };
+}
+
+// Motion the transfer functions are referred to: the outcrop (2A) or the top of the bedrock (A + B)
+const reference = (rock, inputMotion) => (inputMotion === 'within' ? add(rock.A, rock.B) : scaleBy(rock.A, 2));
+
+/**
+ * Amplification |surface / input| of the column at given frequencies
+ * @param {Array} sublayers - From discretizeColumn
+ * @param {Array} state - {modulusRatio, dampingRatio} per sublayer
+ * @param {Object} column - DEFAULT_SOIL_COLUMN-shaped column (for the bedrock)
+ * @param {ArrayLike<number>} frequencies - Frequencies (Hz)
+ * @param {string} inputMotion - Key of INPUT_MOTIONS
+ * @returns {Float64Array} |H(f)|
+ */
+export function amplificationFunction(sublayers, state, column, frequencies, inputMotion = 'outcrop') {
+  const { media, rock } = buildMedia(sublayers, state, column);
+  return Float64Array.from(frequencies, f => {
+    const waves = propagate(media, rock, 2 * Math.PI * Math.max(f, 1e-6));
+    const surface = add(waves[0].A, waves[0].B);
+    const base = reference(waves[waves.length - 1], inputMotion);
+    const ratio = divide(surface, base);
+    return Math.hypot(ratio.re, ratio.im);
+  });
+}
+
+/**
+ * Multiply a one-sided spectrum by a transfer function and return the time history
+ */
+function inverseTransform(spectrum, transfer, size, length) {
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  for (let k = 0; k <= size / 2; k++) {
+    const value = multiply(spectrum[k], transfer[k]);
+    real[k] = value.re;
+    imag[k] = value.im;
+    if (k > 0 && k < size / 2) {
+      real[size - k] = value.re;
+      imag[size - k] = -value.im;
+    }
+  }
+  imag[size / 2] = 0;
+  fft(real, imag, true);
+  return real.subarray(0, length);
+}
+
+const peakOf = values => values.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+
+/**
+ * Equivalent-linear site response of a soil column to an input rock motion
+ * @param {Object} column - DEFAULT_SOIL_COLUMN-shaped column
+ * @param {Object} motion - Input acceleration record {dt, values} in m/s²
+ * @param {Object} options - DEFAULT_SITE_ANALYSIS-shaped settings
+ * @returns {Object} {time, input, surface (Float64Array, m/s²), sublayers (with modulusRatio, dampingRatio, vs, maxStrain,
+ *   effectiveStrain, maxStress (kPa), peakAcceleration at the top), rockPeakAcceleration, iterations, converged, changes,
+ *   linearState, state, sitePeriod {smallStrain, strainCompatible}}
+ */
+export function analyzeSiteResponse(column, motion, options = {}) {
+  const {
+    inputMotion, effectiveStrainRatio, maxSublayerThickness, tolerance, maxIterations
+  } = { ...DEFAULT_SITE_ANALYSIS, ...options };
+  if (!(effectiveStrainRatio > 0 && effectiveStrainRatio <= 1)) {
+    throw new RangeError('Effective strain ratio Rγ must lie in (0, 1]');
+  }
+
+  const sublayers = discretizeColumn(column, maxSublayerThickness);
+  const layers = column.layers;
+  const length = motion.values.length;
+  const dt = motion.dt;
+
+  // Zero padding of at least the record length keeps the wrap-around of the response out of the record
+  const size = nextPowerOfTwo(length) * 2;
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  real.set(motion.values);
+  fft(real, imag);
+  const inputSpectrum = Array.from({ length: size / 2 + 1 }, (_, k) => complex(real[k], imag[k]));
+  const omegas = Float64Array.from({ length: size / 2 + 1 }, (_, k) => (2 * Math.PI * k) / (size * dt));
+
+  const curveAt = (s, strain) => soilCurve(layers[sublayers[s].layer], strain, sublayers[s].meanStress);
+  const linearState = sublayers.map((_, s) => curveAt(s, SMALL_STRAIN));
+
+  // Transfer functions of strain at mid-sublayer and of acceleration at every interface, both per unit input acceleration
+  const transfers = (state) => {
+    const { media, rock } = buildMedia(sublayers, state, column);
+    const strain = sublayers.map(() => new Array(size / 2 + 1));
+    const acceleration = Array.from({ length: sublayers.length + 1 }, () => new Array(size / 2 + 1));
+    omegas.forEach((omega, k) => {
+      if (k === 0) {
+        strain.forEach(values => { values[0] = complex(0); });
+        acceleration.forEach(values => { values[0] = complex(1); });
+        return;
+      }
+      const waves = propagate(media, rock, omega);
+      const base = reference(waves[waves.length - 1], inputMotion);
+      // Displacement per unit acceleration is −1/ω²; γ = ∂u/∂z = i·k·(A·e^(ikz) − B·e^(−ikz))
+      const displacementFactor = -1 / (omega * omega);
+      sublayers.forEach((sublayer, s) => {
+        const { A, B, k: wavenumber } = waves[s];
+        const half = scaleBy(wavenumber, sublayer.thickness / 2);
+        const gradient = multiply(multiply(complex(0, 1), wavenumber), subtract(multiply(A, expI(half)), multiply(B, expI(scaleBy(half, -1)))));
+        strain[s][k] = scaleBy(divide(gradient, base), displacementFactor);
+      });
+      waves.forEach((wave, w) => {
+        acceleration[w][k] = divide(add(wave.A, wave.B), base);
+      });
+    });
+    return { strain, acceleration };
+  };
+
+  let state = linearState;
+  let strainTransfer = null;
+  let accelerationTransfer = null;
+  let maxStrains = [];
+  const changes = [];
+  let converged = false;
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    ({ strain: strainTransfer, acceleration: accelerationTransfer } = transfers(state));
+    maxStrains = strainTransfer.map(transfer => peakOf(inverseTransform(inputSpectrum, transfer, size, length)));
+    const next = maxStrains.map((strain, s) => curveAt(s, effectiveStrainRatio * strain));
+    const change = next.reduce((worst, entry, s) => Math.max(
+      worst,
+      Math.abs(entry.modulusRatio - state[s].modulusRatio) / entry.modulusRatio,
+      Math.abs(entry.dampingRatio - state[s].dampingRatio) / entry.dampingRatio
+    ), 0);
+    changes.push(change);
+    // The last strains were computed with the current properties: stop there when they have settled
+    if (change <= tolerance) {
+      converged = true;
+      break;
+    }
+    state = next;
+  }
+  if (!converged) {
+    ({ strain: strainTransfer, acceleration: accelerationTransfer } = transfers(state));
+    maxStrains = strainTransfer.map(transfer => peakOf(inverseTransform(inputSpectrum, transfer, size, length)));
+  }
+
+  const histories = accelerationTransfer.map(transfer => Float64Array.from(inverseTransform(inputSpectrum, transfer, size, length)));
+  const results = sublayers.map((sublayer, s) => {
+    const modulus = sublayer.gmax * state[s].modulusRatio;
+    return {
+      ...sublayer,
+      ...state[s],
+      vs: sublayer.vsMax * Math.sqrt(state[s].modulusRatio),
+      maxStrain: maxStrains[s],
+      effectiveStrain: effectiveStrainRatio * maxStrains[s],
+      maxStress: (modulus * maxStrains[s]) / 1000,
+      peakAcceleration: peakOf(histories[s])
+    };
+  });
+
+  // Fundamental site period T = 4·Σ h/Vs, with the small-strain and the strain-compatible velocities
+  const travelTime = velocityOf => results.reduce((sum, sublayer) => sum + sublayer.thickness / velocityOf(sublayer), 0);
+
+  return {
+    time: Float64Array.from({ length }, (_, i) => i * dt),
+    dt,
+    input: Float64Array.from(motion.values),
+    surface: histories[0],
+    sublayers: results,
+    rockPeakAcceleration: peakOf(histories[sublayers.length]),
+    iterations,
+    converged,
+    changes,
+    linearState,
+    state,
+    sitePeriod: {
+      smallStrain: 4 * travelTime(sublayer => sublayer.vsMax),
+      strainCompatible: 4 * travelTime(sublayer => sublayer.vs)
+    }
+  };
+}
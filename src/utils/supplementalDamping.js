@@ -0,0 +1,230 @@
+/**
+ * Supplemental Damping Utilities
+ * Tuned mass damper on the roof and fluid viscous dampers F = C·sgn(v)·|v|^α between stories,
+ * with the frequency response of the TMD-controlled system and time-history comparison
+ */
+
+import { FORMULAS } from '../constants/engineering';
+import { zeros } from './linearAlgebra';
+import { assembleShearBuilding, modalAnalysis } from './shearBuilding';
+import { DEFAULT_DAMPING, buildDampingMatrix } from './dampingModels';
+import { sampleAt, integrateNonlinearMDOF } from './timeIntegration';
+
+/**
+ * Default device properties
+ */
+export const DEFAULT_DEVICES = {
+  tmdEnabled: true,
+  massRatio: 0.05,            // μ = md / M1* (first-mode generalized mass, roof-normalized)
+  optimalTuning: true,        // Use the Den Hartog tuning and damping ratios
+  frequencyRatio: 0.95,       // f = ωd / ω1 when not optimal
+  tmdDampingRatio: 0.13,      // ζd when not optimal
+  dampersEnabled: false,
+  damperCoefficient: 2.0e6,   // C (N·(s/m)^α) per story
+  damperExponent: 1.0         // α: 1 linear, < 1 nonlinear (force saturates with velocity)
+};
+
+// Velocity below which a nonlinear damper is linearized, so its tangent stays finite (m/s)
+const DAMPER_REFERENCE_VELOCITY = 1e-3;
+
+/**
+ * Den Hartog tuning for a given mass ratio
+ * @param {number} massRatio - μ
+ * @returns {Object} {frequencyRatio, dampingRatio}
+ */
+export function denHartogTuning(massRatio) {
+  return {
+    frequencyRatio: FORMULAS.tmdOptimalTuning(massRatio),
+    dampingRatio: FORMULAS.tmdOptimalDamping(massRatio)
+  };
+}
+
+/**
+ * Displacement amplification |X1|/(F/k) of a harmonically forced primary system with a TMD
+ * @param {ArrayLike<number>} frequencyRatios - r = ω / ωs
+ * @param {Object} params - {massRatio μ, frequencyRatio f, dampingRatio ζd, structuralDamping ζs}
+ * @returns {Float64Array} Amplification of the primary mass at each r
+ */
+export function tmdFrequencyResponse(frequencyRatios, params) {
+  const { massRatio: mu, frequencyRatio: f, dampingRatio: zd, structuralDamping: zs = 0 } = params;
+
+  return Float64Array.from(frequencyRatios, r => {
+    // Complex dynamic stiffness of the primary after condensing out the damper DOF
+    const coupleRe = mu * f * f;
+    const coupleIm = 2 * mu * zd * f * r;
+    const damperRe = f * f - r * r;
+    const damperIm = 2 * zd * f * r;
+    // (couple) · (f² + i·2ζd·f·r) / (damper)
+    const numRe = coupleRe * f * f - coupleIm * damperIm;
+    const numIm = coupleRe * damperIm + coupleIm * f * f;
+    const denominator = damperRe * damperRe + damperIm * damperIm;
+    const condensedRe = (numRe * damperRe + numIm * damperIm) / denominator;
+    const condensedIm = (numIm * damperRe - numRe * damperIm) / denominator;
+
+    const re = 1 + coupleRe - r * r - condensedRe;
+    const im = 2 * zs * r + coupleIm - condensedIm;
+    return 1 / Math.sqrt(re * re + im * im);
+  });
+}
+
+/**
+ * Fluid viscous damper element F = C·sgn(v)·|v|^α, linearized below a small reference velocity
+ * @param {number} coefficient - C (N·(s/m)^α)
+ * @param {number} exponent - α
+ * @returns {Object} Element {trial(d, ḋ) → {force, tangent, dampingTangent}, commit()}
+ */
+export function viscousDamper(coefficient, exponent) {
+  const v0 = DAMPER_REFERENCE_VELOCITY;
+  return {
+    trial(deformation, velocity) {
+      const speed = Math.abs(velocity);
+      if (speed < v0) {
+        const linear = coefficient * Math.pow(v0, exponent - 1);
+        return { force: linear * velocity, tangent: 0, dampingTangent: linear };
+      }
+      return {
+        force: Math.sign(velocity) * coefficient * Math.pow(speed, exponent),
+        tangent: 0,
+        dampingTangent: exponent * coefficient * Math.pow(speed, exponent - 1)
+      };
+    },
+    commit: () => {}
+  };
+}
+
+/**
+ * First-mode damping ratio added by linear viscous dampers in every story: ζv = φᵀ·Cd·φ / (2·ω1·M1*)
+ * @param {Object} firstMode - modalAnalysis mode {omega, shape, generalizedMass}
+ * @param {number} coefficient - Damper coefficient C per story (N·s/m)
+ * @returns {number} ζv
+ */
+export function addedDampingRatio(firstMode, coefficient) {
+  const { omega, shape, generalizedMass } = firstMode;
+  const modalDamping = Array.from(shape).reduce((sum, value, s) => {
+    const relative = value - (s > 0 ? shape[s - 1] : 0);
+    return sum + coefficient * relative * relative;
+  }, 0);
+  return modalDamping / (2 * omega * generalizedMass);
+}
+
+/**
+ * Peak story drifts, floor accelerations, roof displacement history and damper forces
+ */
+function summarizeResponse(response, groundAcceleration, stories, damperCount) {
+  const n = stories.length;
+  const drift = new Float64Array(n);
+  const floorAcceleration = new Float64Array(n);
+  const roofDisplacement = Float64Array.from(response.displacement, u => u[n - 1]);
+
+  response.displacement.forEach((u, i) => {
+    for (let s = 0; s < n; s++) {
+      drift[s] = Math.max(drift[s], Math.abs(u[s] - (s > 0 ? u[s - 1] : 0)));
+      floorAcceleration[s] = Math.max(floorAcceleration[s], Math.abs(response.acceleration[i][s] + groundAcceleration[i]));
+    }
+  });
+
+  const damperForces = response.elementForces.slice(0, damperCount)
+    .map(forces => forces.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0));
+
+  return {
+    roofDisplacement,
+    peakRoofDisplacement: roofDisplacement.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0),
+    levels: stories.map((story, s) => ({
+      level: s + 1,
+      drift: drift[s],
+      driftRatio: drift[s] / story.height,
+      floorAcceleration: floorAcceleration[s],
+      damperForce: damperForces[s] || 0
+    }))
+  };
+}
+
+/**
+ * Integrate a shear building with and without supplemental devices under the same record
+ * @param {Array} stories - Story definitions from the ground up
+ * @param {Object} devices - DEFAULT_DEVICES-shaped properties
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - {damping (inherent, DEFAULT_DAMPING-shaped specification), dt, duration}
+ * @returns {Object} {time, bare, controlled, tmd: {mass, stiffness, damping, frequencyRatio, dampingRatio, stroke},
+ *   firstMode, modalDampingRatios (inherent ζ of each mode)}
+ */
+export function compareSupplementalDamping(stories, devices, excitation, options = {}) {
+  const {
+    damping = DEFAULT_DAMPING,
+    dt = Math.min(excitation.dt, 0.01),
+    duration = (excitation.values.length - 1) * excitation.dt
+  } = options;
+
+  const steps = Math.floor(duration / dt) + 1;
+  const time = new Float64Array(steps);
+  const groundAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundAcceleration[i] = sampleAt(excitation.values, excitation.dt, time[i]);
+  }
+
+  // Inherent damping of the bare structure, from the damping specification
+  const { masses, K } = assembleShearBuilding(stories);
+  const firstMode = modalAnalysis(stories)[0];
+  const { C, modalRatios } = buildDampingMatrix(stories, damping);
+  const bare = integrateNonlinearMDOF({ masses, K, C }, groundAcceleration, { dt });
+
+  const n = stories.length;
+  const elements = devices.dampersEnabled
+    ? stories.map((_, s) => ({ dofs: [s, s - 1], ...viscousDamper(devices.damperCoefficient, devices.damperExponent) }))
+    : [];
+
+  // TMD as an extra DOF on the roof, tuned to the first mode (generalized mass with roof = 1)
+  let tmd = null;
+  let controlledMasses = masses;
+  let controlledK = K;
+  let controlledC = C;
+  if (devices.tmdEnabled) {
+    const tuning = devices.optimalTuning
+      ? denHartogTuning(devices.massRatio)
+      : { frequencyRatio: devices.frequencyRatio, dampingRatio: devices.tmdDampingRatio };
+    const mass = devices.massRatio * firstMode.generalizedMass;
+    const omega = tuning.frequencyRatio * firstMode.omega;
+    tmd = {
+      mass,
+      stiffness: mass * omega * omega,
+      damping: 2 * tuning.dampingRatio * mass * omega,
+      ...tuning
+    };
+
+    controlledMasses = Float64Array.from([...masses, mass]);
+    controlledK = zeros(n + 1);
+    controlledC = zeros(n + 1);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        controlledK[i][j] = K[i][j];
+        controlledC[i][j] = C[i][j];
+      }
+    }
+    [[controlledK, tmd.stiffness], [controlledC, tmd.damping]].forEach(([matrix, value]) => {
+      matrix[n - 1][n - 1] += value;
+      matrix[n][n] += value;
+      matrix[n - 1][n] -= value;
+      matrix[n][n - 1] -= value;
+    });
+  }
+
+  const controlled = integrateNonlinearMDOF(
+    { masses: controlledMasses, K: controlledK, C: controlledC, elements },
+    groundAcceleration,
+    { dt }
+  );
+
+  if (tmd) {
+    tmd.stroke = controlled.displacement.reduce((peak, u) => Math.max(peak, Math.abs(u[n] - u[n - 1])), 0);
+  }
+
+  return {
+    time,
+    firstMode,
+    modalDampingRatios: modalRatios,
+    tmd,
+    bare: summarizeResponse(bare, groundAcceleration, stories, 0),
+    controlled: summarizeResponse(controlled, groundAcceleration, stories, elements.length)
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Synthetic Ground Motion Utilities
+ * Stationary white noise shaped by a Kanai-Tajimi or Clough-Penzien filter and
+ * modulated by a deterministic envelope; seeded so every record can be regenerated
+ */
+
+import { integrateSDOF } from './timeIntegration';
+import { GRAVITY } from './groundMotion';
+
+/**
+ * Spectral filters applied to the white noise
+ */
+export const SPECTRAL_FILTERS = {
+  kanaiTajimi: {
+    name: 'Kanai-Tajimi',
+    description: 'Soil layer as an SDOF filter (ωg, ζg); finite power at zero frequency'
+  },
+  cloughPenzien: {
+    name: 'Clough-Penzien',
+    description: 'Kanai-Tajimi followed by a high-pass (ωf, ζf) that removes unrealistic low-frequency content'
+  }
+};
+
+/**
+ * Time envelopes for the nonstationary intensity
+ */
+export const ENVELOPES = {
+  saragoniHart: {
+    name: 'Saragoni-Hart',
+    description: 'e(t) = a·t^b·e^(−c·t), peaking at 20% of the duration and decaying to 5% at its end'
+  },
+  jennings: {
+    name: 'Jennings',
+    description: 'Quadratic rise to 15% of the duration, strong phase to 50%, exponential decay to 5%'
+  }
+};
+
+/**
+ * Default generator settings
+ */
+export const DEFAULT_SYNTHETIC_MOTION = {
+  filter: 'cloughPenzien',
+  envelope: 'saragoniHart',
+  pga: 0.3,                 // Peak ground acceleration (g)
+  groundFrequency: 2.5,     // fg = ωg/2π (Hz)
+  groundDamping: 0.6,       // ζg
+  highPassFrequency: 0.25,  // ff = ωf/2π (Hz), Clough-Penzien only
+  highPassDamping: 0.6,     // ζf, Clough-Penzien only
+  duration: 20,             // Record length (s)
+  dt: 0.01,                 // Sampling interval (s)
+  seed: 1
+};
+
+/**
+ * Seeded uniform random number generator on [0, 1) (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning a new value on each call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Envelope value at time t for a record of the given duration
+ * @param {string} envelope - Key of ENVELOPES
+ * @param {number} t - Time (s)
+ * @param {number} duration - Record length (s)
+ * @returns {number} Envelope between 0 and 1
+ */
+export function envelopeValue(envelope, t, duration) {
+  if (t <= 0) return 0;
+
+  if (envelope === 'jennings') {
+    const rise = 0.15 * duration;
+    const strong = 0.5 * duration;
+    const decay = -Math.log(0.05) / (duration - strong);
+    if (t < rise) return (t / rise) * (t / rise);
+    if (t <= strong) return 1;
+    return Math.exp(-decay * (t - strong));
+  }
+
+  // Saragoni-Hart with Boore's (2003) parameters: peak at ε·tη, 5% (η) of the peak at tη
+  const epsilon = 0.2;
+  const eta = 0.05;
+  const b = (-epsilon * Math.log(eta)) / (1 + epsilon * (Math.log(epsilon) - 1));
+  const c = b / (epsilon * duration);
+  const a = Math.pow(Math.E / (epsilon * duration), b);
+  return a * Math.pow(t, b) * Math.exp(-c * t);
+}
+
+/**
+ * One-sided power spectral density shape of the filter (white noise of unit intensity)
+ * @param {ArrayLike<number>} frequencies - Frequencies (Hz)
+ * @param {Object} settings - DEFAULT_SYNTHETIC_MOTION-shaped settings
+ * @returns {Float64Array} |H(ω)|² at each frequency
+ */
+export function filterPowerSpectrum(frequencies, settings) {
+  const { filter, groundFrequency, groundDamping, highPassFrequency, highPassDamping } = settings;
+  const wg = 2 * Math.PI * groundFrequency;
+  const wf = 2 * Math.PI * highPassFrequency;
+
+  return Float64Array.from(frequencies, frequency => {
+    const w = 2 * Math.PI * frequency;
+    const mixed = 4 * groundDamping * groundDamping * wg * wg * w * w;
+    let power = (Math.pow(wg, 4) + mixed) / (Math.pow(wg * wg - w * w, 2) + mixed);
+    if (filter === 'cloughPenzien') {
+      power *= Math.pow(w, 4) / (Math.pow(wf * wf - w * w, 2) + 4 * highPassDamping * highPassDamping * wf * wf * w * w);
+    }
+    return power;
+  });
+}
+
+/**
+ * Generate one synthetic accelerogram
+ * @param {Object} settings - DEFAULT_SYNTHETIC_MOTION-shaped settings
+ * @returns {Object} Ground motion record {name, title, format, units, dt, values (m/s²), seed}
+ */
+export function generateSyntheticMotion(settings = DEFAULT_SYNTHETIC_MOTION) {
+  const {
+    filter, envelope, pga, groundFrequency, groundDamping,
+    highPassFrequency, highPassDamping, duration, dt, seed
+  } = { ...DEFAULT_SYNTHETIC_MOTION, ...settings };
+
+  if (!(duration > 0) || !(dt > 0) || dt >= duration) {
+    throw new RangeError('Duration and time step must be positive, with Δt < duration');
+  }
+  if (!(groundFrequency > 0) || !(groundDamping > 0)) {
+    throw new RangeError('Ground frequency and damping must be positive');
+  }
+  if (groundFrequency >= 0.5 / dt) {
+    throw new RangeError(`Ground frequency must be below the Nyquist frequency ${(0.5 / dt).toFixed(1)} Hz`);
+  }
+
+  // Gaussian white noise (Box-Muller), held constant over each sample
+  const random = createRandom(seed);
+  const count = Math.floor(duration / dt) + 1;
+  const noise = new Float64Array(count);
+  for (let i = 0; i < count; i += 2) {
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    const angle = 2 * Math.PI * random();
+    noise[i] = radius * Math.cos(angle);
+    if (i + 1 < count) noise[i + 1] = radius * Math.sin(angle);
+  }
+
+  // Kanai-Tajimi: absolute acceleration of the soil filter driven by the noise
+  const wg = 2 * Math.PI * groundFrequency;
+  const options = { dt, duration: (count - 1) * dt };
+  let values = integrateSDOF({ mass: 1, stiffness: wg * wg, dampingRatio: groundDamping }, { dt, values: noise }, options)
+    .absoluteAcceleration;
+
+  // Clough-Penzien: the relative acceleration of a second filter is the high-passed motion
+  if (filter === 'cloughPenzien') {
+    const wf = 2 * Math.PI * highPassFrequency;
+    values = integrateSDOF({ mass: 1, stiffness: wf * wf, dampingRatio: highPassDamping }, { dt, values }, options)
+      .acceleration;
+  }
+
+  // Modulate and scale to the target PGA
+  const modulated = Float64Array.from(values, (value, i) => value * envelopeValue(envelope, i * dt, duration));
+  const peak = modulated.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const scale = peak > 0 ? (pga * GRAVITY) / peak : 0;
+
+  return {
+    name: `${SPECTRAL_FILTERS[filter].name} #${seed}`,
+    title: `Synthetic ${SPECTRAL_FILTERS[filter].name} / ${ENVELOPES[envelope].name}, fg = ${groundFrequency} Hz, ζg = ${groundDamping}`,
+    format: 'synthetic',
+    units: 'g',
+    dt,
+    values: modulated.map(value => value * scale),
+    seed
+  };
+}
+
+/**
+ * Generate a family of records that differ only in their seed
+ * @param {Object} settings - DEFAULT_SYNTHETIC_MOTION-shaped settings; seed is the first seed
+ * @param {number} count - Number of records
+ * @returns {Array} Records with seeds seed, seed + 1, …
+ */
+export function generateSyntheticSuite(settings, count) {
+  return Array.from({ length: count }, (_, i) => generateSyntheticMotion({ ...settings, seed: settings.seed + i }));
+}
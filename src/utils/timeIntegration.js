@@ -0,0 +1,483 @@
+/**
+ * Time Integration Utilities
+ * Step-by-step solvers for the equation of motion m·ü + c·u̇ + k·u = −m·üg(t)
+ * and its nonlinear form m·ü + c·u̇ + fs(u) = −m·üg(t)
+ */
+
+import { matVec, solveLinearSystem } from './linearAlgebra';
+
+/**
+ * Available integration schemes
+ */
+export const INTEGRATION_METHODS = {
+  newmarkAverage: {
+    name: 'Newmark Average Acceleration',
+    gamma: 0.5,
+    beta: 0.25,
+    description: 'Implicit, unconditionally stable (γ = 1/2, β = 1/4)'
+  },
+  newmarkLinear: {
+    name: 'Newmark Linear Acceleration',
+    gamma: 0.5,
+    beta: 1 / 6,
+    description: 'Implicit, stable for Δt ≤ 0.551·T (γ = 1/2, β = 1/6)'
+  },
+  centralDifference: {
+    name: 'Central Difference',
+    description: 'Explicit, stable for Δt < T/π'
+  }
+};
+
+/**
+ * Newton-Raphson equilibrium iterations of a nonlinear step did not converge
+ * (typically a structure that has lost its lateral stability, or too large a Δt)
+ */
+export class ConvergenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConvergenceError';
+  }
+}
+
+/**
+ * Create a sampled harmonic ground acceleration record
+ * @param {number} amplitude - Peak ground acceleration (m/s²)
+ * @param {number} frequency - Excitation frequency (Hz)
+ * @param {number} duration - Duration of shaking (s)
+ * @param {number} dt - Sampling interval (s)
+ * @returns {Object} Excitation record {dt, values}
+ */
+export function createHarmonicExcitation(amplitude, frequency, duration, dt) {
+  const count = Math.floor(duration / dt) + 1;
+  const values = new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    values[i] = amplitude * Math.sin(2 * Math.PI * frequency * i * dt);
+  }
+
+  return { dt, values };
+}
+
+/**
+ * Linearly interpolate a sampled signal at time t
+ * @param {ArrayLike<number>} values - Samples at uniform spacing
+ * @param {number} dt - Sample spacing (s)
+ * @param {number} t - Time (s)
+ * @returns {number} Interpolated value (0 outside the record)
+ */
+export function sampleAt(values, dt, t) {
+  if (!values || values.length === 0 || t < 0) return 0;
+
+  const position = t / dt;
+  const index = Math.floor(position);
+  if (index >= values.length - 1) {
+    return index === values.length - 1 ? values[index] : 0;
+  }
+
+  const fraction = position - index;
+  return values[index] * (1 - fraction) + values[index + 1] * fraction;
+}
+
+/**
+ * Integrate the response of a linear SDOF system to ground acceleration
+ * @param {Object} system - {mass (kg), stiffness (N/m), dampingRatio}
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - Solver options
+ * @returns {Object} Response history {dt, time, displacement, velocity, acceleration, absoluteAcceleration}
+ */
+export function integrateSDOF(system, excitation, options = {}) {
+  const {
+    method = 'newmarkAverage',
+    dt = 0.005,
+    duration = (excitation.values.length - 1) * excitation.dt,
+    initialDisplacement = 0,
+    initialVelocity = 0
+  } = options;
+
+  const { mass, stiffness, dampingRatio } = system;
+  const omega = Math.sqrt(stiffness / mass);
+  const damping = 2 * dampingRatio * mass * omega;
+  const steps = Math.floor(duration / dt) + 1;
+
+  const time = new Float64Array(steps);
+  const groundAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundAcceleration[i] = sampleAt(excitation.values, excitation.dt, time[i]);
+  }
+
+  const response = method === 'centralDifference'
+    ? centralDifference(mass, damping, stiffness, groundAcceleration, dt, initialDisplacement, initialVelocity)
+    : newmark(mass, damping, stiffness, groundAcceleration, dt, initialDisplacement, initialVelocity, INTEGRATION_METHODS[method] || INTEGRATION_METHODS.newmarkAverage);
+
+  const absoluteAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    absoluteAcceleration[i] = response.acceleration[i] + groundAcceleration[i];
+  }
+
+  return {
+    dt,
+    method,
+    time,
+    groundAcceleration,
+    ...response,
+    absoluteAcceleration
+  };
+}
+
+/**
+ * Newmark-beta method (Chopra, Table 5.4.2)
+ */
+function newmark(m, c, k, groundAcceleration, dt, u0, v0, { gamma, beta }) {
+  const steps = groundAcceleration.length;
+  const u = new Float64Array(steps);
+  const v = new Float64Array(steps);
+  const a = new Float64Array(steps);
+
+  u[0] = u0;
+  v[0] = v0;
+  a[0] = (-m * groundAcceleration[0] - c * v0 - k * u0) / m;
+
+  const a1 = m / (beta * dt * dt) + (gamma * c) / (beta * dt);
+  const a2 = m / (beta * dt) + (gamma / beta - 1) * c;
+  const a3 = (1 / (2 * beta) - 1) * m + dt * (gamma / (2 * beta) - 1) * c;
+  const kHat = k + a1;
+
+  for (let i = 0; i < steps - 1; i++) {
+    const pHat = -m * groundAcceleration[i + 1] + a1 * u[i] + a2 * v[i] + a3 * a[i];
+    u[i + 1] = pHat / kHat;
+    v[i + 1] = (gamma / (beta * dt)) * (u[i + 1] - u[i])
+      + (1 - gamma / beta) * v[i]
+      + dt * (1 - gamma / (2 * beta)) * a[i];
+    a[i + 1] = (u[i + 1] - u[i]) / (beta * dt * dt)
+      - v[i] / (beta * dt)
+      - (1 / (2 * beta) - 1) * a[i];
+  }
+
+  return { displacement: u, velocity: v, acceleration: a };
+}
+
+/**
+ * Central difference method (Chopra, Table 5.3.1)
+ */
+function centralDifference(m, c, k, groundAcceleration, dt, u0, v0) {
+  const omega = Math.sqrt(k / m);
+  if (dt >= 2 / omega) {
+    throw new RangeError(
+      `Central difference is unstable for Δt = ${dt} s (requires Δt < T/π = ${(2 / omega).toFixed(4)} s)`
+    );
+  }
+
+  const steps = groundAcceleration.length;
+  const u = new Float64Array(steps);
+  const v = new Float64Array(steps);
+  const a = new Float64Array(steps);
+
+  const kHat = m / (dt * dt) + c / (2 * dt);
+  const aCoeff = m / (dt * dt) - c / (2 * dt);
+  const bCoeff = k - (2 * m) / (dt * dt);
+
+  const a0 = (-m * groundAcceleration[0] - c * v0 - k * u0) / m;
+  let previous = u0 - dt * v0 + (dt * dt / 2) * a0;
+  u[0] = u0;
+
+  for (let i = 0; i < steps; i++) {
+    const pHat = -m * groundAcceleration[i] - aCoeff * previous - bCoeff * u[i];
+    const next = pHat / kHat;
+
+    v[i] = (next - previous) / (2 * dt);
+    a[i] = (next - 2 * u[i] + previous) / (dt * dt);
+
+    if (i < steps - 1) u[i + 1] = next;
+    previous = u[i];
+  }
+
+  return { displacement: u, velocity: v, acceleration: a };
+}
+
+/**
+ * Integrate the response of an SDOF system with a hysteretic spring
+ * Newmark steps are equilibrated by Newton-Raphson iteration (Chopra, Table 5.7.2);
+ * central difference needs no iteration as it is explicit in the restoring force.
+ * @param {Object} system - {mass (kg), stiffness (initial, N/m), dampingRatio, spring}
+ * @param {Object} excitation - Ground acceleration record {dt, values} in m/s²
+ * @param {Object} options - Solver options plus {tolerance, maxIterations, displacementLimit}; the history
+ *   is cut at the first step where |u| exceeds displacementLimit (loss of lateral strength, collapse)
+ * @returns {Object} Response history as integrateSDOF plus {restoringForce, maxIterations, collapse ({index, time} or null)}
+ */
+export function integrateNonlinearSDOF(system, excitation, options = {}) {
+  const {
+    method = 'newmarkAverage',
+    dt = 0.005,
+    duration = (excitation.values.length - 1) * excitation.dt,
+    initialDisplacement = 0,
+    initialVelocity = 0,
+    tolerance = 1e-8,
+    maxIterations = 30,
+    displacementLimit = Infinity
+  } = options;
+
+  const { mass, stiffness, dampingRatio, spring } = system;
+  const omega = Math.sqrt(stiffness / mass);
+  const damping = 2 * dampingRatio * mass * omega;
+  const steps = Math.floor(duration / dt) + 1;
+
+  const time = new Float64Array(steps);
+  const groundAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundAcceleration[i] = sampleAt(excitation.values, excitation.dt, time[i]);
+  }
+
+  const response = method === 'centralDifference'
+    ? nonlinearCentralDifference(mass, damping, stiffness, spring, groundAcceleration, dt, initialDisplacement, initialVelocity)
+    : nonlinearNewmark(mass, damping, spring, groundAcceleration, dt, initialDisplacement, initialVelocity,
+      INTEGRATION_METHODS[method] || INTEGRATION_METHODS.newmarkAverage, tolerance, maxIterations);
+
+  const absoluteAcceleration = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    absoluteAcceleration[i] = response.acceleration[i] + groundAcceleration[i];
+  }
+
+  // Histories end at the step that passes the displacement limit
+  const collapseIndex = response.displacement.findIndex(u => Math.abs(u) > displacementLimit);
+  const end = collapseIndex >= 0 ? collapseIndex + 1 : steps;
+  const cut = values => values.subarray(0, end);
+
+  return {
+    dt,
+    method,
+    time: cut(time),
+    groundAcceleration: cut(groundAcceleration),
+    displacement: cut(response.displacement),
+    velocity: cut(response.velocity),
+    acceleration: cut(response.acceleration),
+    restoringForce: cut(response.restoringForce),
+    maxIterations: response.maxIterations,
+    absoluteAcceleration: cut(absoluteAcceleration),
+    collapse: collapseIndex >= 0 ? { index: collapseIndex, time: time[collapseIndex] } : null
+  };
+}
+
+/**
+ * Newmark-beta method with Newton-Raphson equilibrium iterations
+ */
+function nonlinearNewmark(m, c, spring, groundAcceleration, dt, u0, v0, { gamma, beta }, tolerance, maxIterations) {
+  const steps = groundAcceleration.length;
+  const u = new Float64Array(steps);
+  const v = new Float64Array(steps);
+  const a = new Float64Array(steps);
+  const fs = new Float64Array(steps);
+
+  let state = spring.trial(u0);
+  spring.commit();
+  u[0] = u0;
+  v[0] = v0;
+  fs[0] = state.force;
+  a[0] = (-m * groundAcceleration[0] - c * v0 - fs[0]) / m;
+
+  const a1 = m / (beta * dt * dt) + (gamma * c) / (beta * dt);
+  const a2 = m / (beta * dt) + (gamma / beta - 1) * c;
+  const a3 = (1 / (2 * beta) - 1) * m + dt * (gamma / (2 * beta) - 1) * c;
+  let worstIterations = 0;
+
+  for (let i = 0; i < steps - 1; i++) {
+    const pHat = -m * groundAcceleration[i + 1] + a1 * u[i] + a2 * v[i] + a3 * a[i];
+    const scale = Math.abs(pHat) + Math.abs(a1 * u[i]) + 1e-12;
+    let trialU = u[i];
+    let iteration = 0;
+
+    state = spring.trial(trialU);
+    let residual = pHat - state.force - a1 * trialU;
+    while (Math.abs(residual) > tolerance * scale) {
+      if (++iteration > maxIterations) {
+        throw new ConvergenceError(`Newton-Raphson failed to converge at t = ${((i + 1) * dt).toFixed(3)} s; reduce Δt`);
+      }
+      trialU += residual / (state.tangent + a1);
+      state = spring.trial(trialU);
+      residual = pHat - state.force - a1 * trialU;
+    }
+    spring.commit();
+    worstIterations = Math.max(worstIterations, iteration);
+
+    u[i + 1] = trialU;
+    fs[i + 1] = state.force;
+    v[i + 1] = (gamma / (beta * dt)) * (u[i + 1] - u[i])
+      + (1 - gamma / beta) * v[i]
+      + dt * (1 - gamma / (2 * beta)) * a[i];
+    a[i + 1] = (u[i + 1] - u[i]) / (beta * dt * dt)
+      - v[i] / (beta * dt)
+      - (1 / (2 * beta) - 1) * a[i];
+  }
+
+  return { displacement: u, velocity: v, acceleration: a, restoringForce: fs, maxIterations: worstIterations };
+}
+
+/**
+ * Central difference method with the restoring force evaluated at the current step
+ */
+function nonlinearCentralDifference(m, c, k, spring, groundAcceleration, dt, u0, v0) {
+  const omega = Math.sqrt(k / m);
+  if (dt >= 2 / omega) {
+    throw new RangeError(
+      `Central difference is unstable for Δt = ${dt} s (requires Δt < T/π = ${(2 / omega).toFixed(4)} s)`
+    );
+  }
+
+  const steps = groundAcceleration.length;
+  const u = new Float64Array(steps);
+  const v = new Float64Array(steps);
+  const a = new Float64Array(steps);
+  const fs = new Float64Array(steps);
+
+  const kHat = m / (dt * dt) + c / (2 * dt);
+  const aCoeff = m / (dt * dt) - c / (2 * dt);
+
+  const initial = spring.trial(u0);
+  spring.commit();
+  const a0 = (-m * groundAcceleration[0] - c * v0 - initial.force) / m;
+  let previous = u0 - dt * v0 + (dt * dt / 2) * a0;
+  u[0] = u0;
+
+  for (let i = 0; i < steps; i++) {
+    const state = spring.trial(u[i]);
+    spring.commit();
+    fs[i] = state.force;
+
+    const pHat = -m * groundAcceleration[i] - aCoeff * previous + (2 * m / (dt * dt)) * u[i] - fs[i];
+    const next = pHat / kHat;
+
+    v[i] = (next - previous) / (2 * dt);
+    a[i] = (next - 2 * u[i] + previous) / (dt * dt);
+
+    if (i < steps - 1) u[i + 1] = next;
+    previous = u[i];
+  }
+
+  return { displacement: u, velocity: v, acceleration: a, restoringForce: fs, maxIterations: 0 };
+}
+
+/**
+ * Integrate a lumped-mass MDOF system with nonlinear two-node elements under ground acceleration.
+ * Newmark average-acceleration steps are equilibrated by Newton-Raphson iteration; the element
+ * velocity used in each iteration follows from the Newmark relation for the trial displacement.
+ * @param {Object} system - {masses, K, C (linear parts), elements}; each element
+ *   {dofs: [i, j] (j = −1 for the ground), trial(d, ḋ) → {force, tangent, dampingTangent}, commit()}
+ *   acts on DOF i with +force and on DOF j with −force; an optional influence matrix ι (one row per DOF,
+ *   one column per ground component) loads DOF i with −mi·Σ ιic·ügc instead of −mi·üg
+ * @param {ArrayLike<number>|Array<ArrayLike<number>>} groundAcceleration - Ground acceleration at every step (m/s²),
+ *   or one such history per component when the system has an influence matrix
+ * @param {Object} options - {dt, tolerance, maxIterations}
+ * @returns {Object} {displacement, velocity, acceleration (relative, one Float64Array per step), elementForces}
+ */
+export function integrateNonlinearMDOF(system, groundAcceleration, options = {}) {
+  const { dt = 0.005, tolerance = 1e-8, maxIterations = 50 } = options;
+  const { masses, K, C, elements = [], influence = null } = system;
+  const { gamma, beta } = INTEGRATION_METHODS.newmarkAverage;
+  const n = masses.length;
+  const steps = influence ? groundAcceleration[0].length : groundAcceleration.length;
+  // Ground acceleration felt by DOF j at step i
+  const groundAt = influence
+    ? (i, j) => influence[j].reduce((sum, factor, c) => sum + factor * groundAcceleration[c][i], 0)
+    : i => groundAcceleration[i];
+  const u = Array.from({ length: steps }, () => new Float64Array(n));
+  const v = Array.from({ length: steps }, () => new Float64Array(n));
+  const a = Array.from({ length: steps }, () => new Float64Array(n));
+  const elementForces = elements.map(() => new Float64Array(steps));
+
+  // a1·u = M/(β·Δt²)·u + γ/(β·Δt)·C·u, and similarly for the velocity and acceleration terms
+  const combine = (massFactor, dampingFactor) => K.map((row, i) => row.map((_, j) =>
+    (i === j ? massFactor * masses[i] : 0) + dampingFactor * C[i][j]));
+  const a1 = combine(1 / (beta * dt * dt), gamma / (beta * dt));
+  const a2 = combine(1 / (beta * dt), gamma / beta - 1);
+  const a3 = combine(1 / (2 * beta) - 1, dt * (gamma / (2 * beta) - 1));
+  const relative = (vector, [i, j]) => vector[i] - (j >= 0 ? vector[j] : 0);
+
+  // Linear restoring force plus element forces, with the consistent tangent including ∂F/∂ḋ·γ/(β·Δt)
+  const restoring = (displacement, velocity) => {
+    const force = matVec(K, displacement);
+    const tangent = K.map((row, r) => row.map((value, c) => value + a1[r][c]));
+    const states = elements.map(element => {
+      const [i, j] = element.dofs;
+      const state = element.trial(relative(displacement, element.dofs), relative(velocity, element.dofs));
+      const stiffness = state.tangent + (state.dampingTangent || 0) * gamma / (beta * dt);
+      force[i] += state.force;
+      tangent[i][i] += stiffness;
+      if (j >= 0) {
+        force[j] -= state.force;
+        tangent[j][j] += stiffness;
+        tangent[i][j] -= stiffness;
+        tangent[j][i] -= stiffness;
+      }
+      return state;
+    });
+    return { force, tangent, states };
+  };
+
+  const initial = restoring(u[0], v[0]);
+  elements.forEach(element => element.commit());
+  const initialDamping = matVec(C, v[0]);
+  for (let j = 0; j < n; j++) {
+    a[0][j] = -groundAt(0, j) - (initial.force[j] + initialDamping[j]) / masses[j];
+  }
+
+  for (let i = 0; i < steps - 1; i++) {
+    const history = matVec(a1, u[i]);
+    const velocityTerm = matVec(a2, v[i]);
+    const accelerationTerm = matVec(a3, a[i]);
+    const pHat = Float64Array.from(masses, (m, j) =>
+      -m * groundAt(i + 1, j) + history[j] + velocityTerm[j] + accelerationTerm[j]);
+    const scale = pHat.reduce((sum, value) => sum + Math.abs(value), 0) + 1e-12;
+
+    const trialU = Float64Array.from(u[i]);
+    const trialV = new Float64Array(n);
+    let state;
+    let iteration = 0;
+    for (;;) {
+      for (let j = 0; j < n; j++) {
+        trialV[j] = (gamma / (beta * dt)) * (trialU[j] - u[i][j])
+          + (1 - gamma / beta) * v[i][j] + dt * (1 - gamma / (2 * beta)) * a[i][j];
+      }
+      state = restoring(trialU, trialV);
+      const inertia = matVec(a1, trialU);
+      const residual = Float64Array.from(pHat, (value, j) => value - state.force[j] - inertia[j]);
+      if (residual.reduce((sum, value) => sum + Math.abs(value), 0) <= tolerance * scale) break;
+      if (++iteration > maxIterations) {
+        throw new ConvergenceError(`Newton-Raphson failed to converge at t = ${((i + 1) * dt).toFixed(3)} s; reduce Δt`);
+      }
+      const correction = solveLinearSystem(state.tangent, residual);
+      for (let j = 0; j < n; j++) trialU[j] += correction[j];
+    }
+    elements.forEach(element => element.commit());
+
+    u[i + 1] = trialU;
+    v[i + 1] = trialV;
+    state.states.forEach((elementState, e) => {
+      elementForces[e][i + 1] = elementState.force;
+    });
+    for (let j = 0; j < n; j++) {
+      a[i + 1][j] = (trialU[j] - u[i][j]) / (beta * dt * dt) - v[i][j] / (beta * dt) - (1 / (2 * beta) - 1) * a[i][j];
+    }
+  }
+
+  return { displacement: u, velocity: v, acceleration: a, elementForces };
+}
+
+/**
+ * Find the peak absolute value of a response history
+ * @param {ArrayLike<number>} values - Response samples
+ * @returns {Object} {value, index}
+ */
+export function peakResponse(values) {
+  let peak = 0;
+  let index = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (Math.abs(values[i]) > Math.abs(peak)) {
+      peak = values[i];
+      index = i;
+    }
+  }
+
+  return { value: peak, index };
+}
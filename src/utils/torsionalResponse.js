@@ -0,0 +1,329 @@
+/**
+ * Torsional Response Utilities
+ * One-story building on a rigid diaphragm with ux, uy and θ at the center of mass (CM) and a center
+ * of rigidity (CR) offset from it, under two horizontal ground motion components, and the ASCE 7
+ * §12.8.4 accidental torsion and torsional irregularity checks
+ */
+
+import { solveLinearSystem, lumpedMassEigen, zeros } from './linearAlgebra';
+import { DEFAULT_SYNTHETIC_MOTION, generateSyntheticMotion } from './syntheticGroundMotion';
+import { GRAVITY } from './groundMotion';
+import { sampleAt, integrateNonlinearMDOF } from './timeIntegration';
+
+/**
+ * Sources of the second (y) ground motion component
+ */
+export const SECOND_COMPONENTS = {
+  companion: {
+    name: 'Independent synthetic',
+    description: 'Clough-Penzien record with its own seed, uncorrelated with the first component'
+  },
+  same: {
+    name: 'Same record',
+    description: 'The first component again, fully correlated; the worst case for a diagonal incidence'
+  },
+  none: {
+    name: 'None',
+    description: 'Unidirectional excitation along the incidence angle'
+  }
+};
+
+/**
+ * Default building and excitation pair
+ */
+export const DEFAULT_ECCENTRIC_BUILDING = {
+  mass: 600000,             // Diaphragm mass m (kg)
+  width: 30,                // Plan dimension Lx (m)
+  depth: 20,                // Plan dimension Ly (m)
+  height: 4,                // Story height (m)
+  period: 0.5,              // Uncoupled lateral period Tx = Ty (s)
+  eccentricityX: 0.1,       // ex/Lx, CR offset from the CM along x (couples uy and θ)
+  eccentricityY: 0,         // ey/Ly, CR offset from the CM along y (couples ux and θ)
+  frequencyRatio: 1.0,      // Ω = ωθ/ω, uncoupled torsional over lateral frequency about the CR
+  secondComponent: 'companion',
+  componentRatio: 0.85,     // Peak of the second component over the peak of the first
+  incidenceAngle: 0         // Angle of the first component from the x axis (degrees)
+};
+
+// ASCE 7 §12.8.4.2: the CM is displaced by 5% of the plan dimension perpendicular to the forces
+export const ACCIDENTAL_ECCENTRICITY = 0.05;
+
+// ASCE 7 Table 12.3-1: δmax/δavg above which the structure has a torsional (1a) or extreme torsional (1b) irregularity
+export const TORSIONAL_IRREGULARITY = { torsional: 1.2, extreme: 1.4 };
+
+// Seed of the independent synthetic companion
+const COMPANION_SEED = 2;
+
+/**
+ * Mass and stiffness about the CM in the DOFs [ux, uy, θ]
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @returns {Object} {masses [m, m, Iθ], K, radius (mass radius of gyration r), stiffness, torsionalStiffness (about the CR),
+ *   rigidity {x, y} (CR coordinates from the CM)}
+ */
+export function assembleEccentricBuilding(building) {
+  const { mass, width, depth, period, eccentricityX, eccentricityY, frequencyRatio } = building;
+  if (!(mass > 0) || !(width > 0) || !(depth > 0) || !(period > 0)) {
+    throw new RangeError('Mass, plan dimensions and period must be positive');
+  }
+  if (!(Math.abs(eccentricityX) < 0.5) || !(Math.abs(eccentricityY) < 0.5)) {
+    throw new RangeError('The center of rigidity must lie inside the plan: |e/L| < 0.5');
+  }
+  if (!(frequencyRatio > 0)) {
+    throw new RangeError('Torsional frequency ratio Ω must be positive');
+  }
+
+  // Uniform rectangular diaphragm: Iθ = m·(Lx² + Ly²)/12 about the CM
+  const inertia = (mass * (width * width + depth * depth)) / 12;
+  const radius = Math.sqrt(inertia / mass);
+  const omega = (2 * Math.PI) / period;
+  const stiffness = mass * omega * omega;
+  const torsionalStiffness = frequencyRatio * frequencyRatio * stiffness * radius * radius;
+  const ex = eccentricityX * width;
+  const ey = eccentricityY * depth;
+
+  // Element forces kx·(ux − θ·y) and ky·(uy + θ·x) summed about the CM
+  const K = [
+    Float64Array.of(stiffness, 0, -stiffness * ey),
+    Float64Array.of(0, stiffness, stiffness * ex),
+    Float64Array.of(-stiffness * ey, stiffness * ex, torsionalStiffness + stiffness * (ex * ex + ey * ey))
+  ];
+
+  return {
+    masses: Float64Array.of(mass, mass, inertia),
+    K,
+    radius,
+    stiffness,
+    torsionalStiffness,
+    rigidity: { x: ex, y: ey }
+  };
+}
+
+/**
+ * Coupled lateral-torsional modes
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @returns {Array} Modes in ascending frequency order: {omega, period, shape {ux, uy, rθ} (largest = 1),
+ *   effectiveMassRatio {x, y}}
+ */
+export function eccentricModes(building) {
+  const { masses, K, radius } = assembleEccentricBuilding(building);
+  const { values, vectors } = lumpedMassEigen(K, masses);
+
+  return Array.from(values, (omegaSquared, k) => {
+    const omega = Math.sqrt(Math.max(omegaSquared, 0));
+    // Mass-orthonormal vectors: the effective mass in each direction is (m·φ)², over m
+    const [ux, uy, theta] = vectors[k];
+    const components = [ux, uy, radius * theta];
+    const largest = components.reduce((peak, value) => (Math.abs(value) > Math.abs(peak) ? value : peak), 0);
+    return {
+      omega,
+      period: (2 * Math.PI) / omega,
+      shape: { ux: ux / largest, uy: uy / largest, rTheta: (radius * theta) / largest },
+      effectiveMassRatio: { x: masses[0] * ux * ux, y: masses[1] * uy * uy }
+    };
+  });
+}
+
+/**
+ * Displacement along an edge of the plan from the CM displacements
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @param {string} edge - 'xMin' | 'xMax' (edges parallel to y, moving in y) or 'yMin' | 'yMax' (moving in x)
+ * @param {ArrayLike<number>} u - [ux, uy, θ]
+ * @returns {number} Edge displacement (m)
+ */
+export function edgeDisplacement(building, edge, u) {
+  const [ux, uy, theta] = u;
+  switch (edge) {
+    case 'xMin': return uy - (theta * building.width) / 2;
+    case 'xMax': return uy + (theta * building.width) / 2;
+    case 'yMin': return ux + (theta * building.depth) / 2;
+    case 'yMax': return ux - (theta * building.depth) / 2;
+    default: throw new Error(`Unknown edge: ${edge}`);
+  }
+}
+
+/**
+ * Flexible (far from the CR) and stiff (near the CR) edges resisting motion in one direction
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @param {string} direction - 'x' | 'y'
+ * @returns {Object} {flexible, stiff} edge keys
+ */
+export function flexibleEdges(building, direction) {
+  return direction === 'y'
+    ? (building.eccentricityX >= 0 ? { flexible: 'xMin', stiff: 'xMax' } : { flexible: 'xMax', stiff: 'xMin' })
+    : (building.eccentricityY >= 0 ? { flexible: 'yMin', stiff: 'yMax' } : { flexible: 'yMax', stiff: 'yMin' });
+}
+
+/**
+ * Two horizontal ground motion components along the building axes
+ * @param {Object} excitation - First component {dt, values} in m/s²
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped settings {secondComponent, componentRatio, incidenceAngle}
+ * @returns {Object} {dt, x, y (Float64Array, m/s²), first, second (before rotation)}
+ */
+export function groundMotionComponents(excitation, building) {
+  const { secondComponent, componentRatio, incidenceAngle } = building;
+  if (!(componentRatio >= 0)) {
+    throw new RangeError('Component ratio must not be negative');
+  }
+
+  const first = Float64Array.from(excitation.values);
+  const peak = first.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  let second;
+  if (secondComponent === 'companion') {
+    const companion = generateSyntheticMotion({
+      ...DEFAULT_SYNTHETIC_MOTION,
+      pga: (componentRatio * peak) / GRAVITY,
+      duration: (first.length - 1) * excitation.dt,
+      dt: excitation.dt,
+      seed: COMPANION_SEED
+    });
+    second = Float64Array.from(first, (_, i) => companion.values[i] || 0);
+  } else if (secondComponent === 'same') {
+    second = first.map(value => componentRatio * value);
+  } else {
+    second = new Float64Array(first.length);
+  }
+
+  // The first component acts along the incidence angle, the second perpendicular to it
+  const angle = (incidenceAngle * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    dt: excitation.dt,
+    x: Float64Array.from(first, (value, i) => value * cos - second[i] * sin),
+    y: Float64Array.from(first, (value, i) => value * sin + second[i] * cos),
+    first,
+    second
+  };
+}
+
+/**
+ * Integrate the eccentric building and its symmetric-plan counterpart under both components
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @param {Object} excitation - First ground motion component {dt, values} in m/s²
+ * @param {Object} options - {dampingRatio (every mode), dt, duration}
+ * @returns {Object} {time, groundAcceleration {x, y}, modes, rigidity, displacement {ux, uy, theta},
+ *   edges {xMin, xMax, yMin, yMax}, peaks, symmetricPeaks {x, y}, directions {x, y}, peakRotationIndex}
+ */
+export function analyzeEccentricBuilding(building, excitation, options = {}) {
+  const {
+    dampingRatio = 0.05,
+    dt = Math.min(excitation.dt, 0.01),
+    duration = (excitation.values.length - 1) * excitation.dt
+  } = options;
+
+  const components = groundMotionComponents(excitation, building);
+  const steps = Math.floor(duration / dt) + 1;
+  const time = new Float64Array(steps);
+  const groundX = new Float64Array(steps);
+  const groundY = new Float64Array(steps);
+  for (let i = 0; i < steps; i++) {
+    time[i] = i * dt;
+    groundX[i] = sampleAt(components.x, components.dt, time[i]);
+    groundY[i] = sampleAt(components.y, components.dt, time[i]);
+  }
+
+  // Each component loads its own translation; neither acts on θ about the CM
+  const influence = [[1, 0], [0, 1], [0, 0]];
+  const integrate = properties => {
+    const { masses, K } = assembleEccentricBuilding(properties);
+    const { values, vectors } = lumpedMassEigen(K, masses);
+    // Classical damping with ζ in every mode: C = M·(Σ 2ζ·ωn·φn·φnᵀ)·M for mass-orthonormal φn
+    const C = zeros(3);
+    values.forEach((omegaSquared, k) => {
+      const factor = 2 * dampingRatio * Math.sqrt(omegaSquared);
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) C[i][j] += factor * masses[i] * vectors[k][i] * vectors[k][j] * masses[j];
+      }
+    });
+    return integrateNonlinearMDOF({ masses, K, C, influence }, [groundX, groundY], { dt }).displacement;
+  };
+
+  const response = integrate(building);
+  const symmetric = integrate({ ...building, eccentricityX: 0, eccentricityY: 0 });
+
+  const history = (states, dof) => Float64Array.from(states, u => u[dof]);
+  const peakOf = values => values.reduce((peak, value) => Math.max(peak, Math.abs(value)), 0);
+  const displacement = { ux: history(response, 0), uy: history(response, 1), theta: history(response, 2) };
+  const edges = Object.fromEntries(['xMin', 'xMax', 'yMin', 'yMax'].map(edge => {
+    const values = Float64Array.from(response, u => edgeDisplacement(building, edge, u));
+    return [edge, { values, peak: peakOf(values) }];
+  }));
+  const symmetricPeaks = { x: peakOf(history(symmetric, 0)), y: peakOf(history(symmetric, 1)) };
+
+  // Torsional amplification: flexible-edge peak over the peak of the same building with a symmetric plan
+  const directions = Object.fromEntries(['x', 'y'].map(direction => {
+    const { flexible, stiff } = flexibleEdges(building, direction);
+    const reference = symmetricPeaks[direction];
+    return [direction, {
+      flexible,
+      stiff,
+      centerPeak: peakOf(direction === 'x' ? displacement.ux : displacement.uy),
+      amplification: reference > 0 ? edges[flexible].peak / reference : 0,
+      stiffRatio: reference > 0 ? edges[stiff].peak / reference : 0
+    }];
+  }));
+
+  const peakRotationIndex = displacement.theta.reduce(
+    (best, value, i, values) => (Math.abs(value) > Math.abs(values[best]) ? i : best), 0);
+
+  return {
+    time,
+    groundAcceleration: { x: groundX, y: groundY },
+    modes: eccentricModes(building),
+    rigidity: assembleEccentricBuilding(building).rigidity,
+    displacement,
+    edges,
+    peaks: { ux: peakOf(displacement.ux), uy: peakOf(displacement.uy), theta: peakOf(displacement.theta) },
+    symmetricPeaks,
+    directions,
+    peakRotationIndex
+  };
+}
+
+/**
+ * ASCE 7 §12.8.4 static torsion check for forces in one direction: the lateral force applied at the CM
+ * displaced by ±5% of the perpendicular plan dimension, the δmax/δavg ratio, the torsional irregularity
+ * (Table 12.3-1, Type 1a/1b) and the amplification of accidental torsion Ax (Eq. 12.8-14)
+ * @param {Object} building - DEFAULT_ECCENTRIC_BUILDING-shaped properties
+ * @param {string} direction - 'x' | 'y'
+ * @returns {Object} {direction, cases [{label, offset, edges [δ1, δ2], ratio}], ratio, irregularity ('none' | '1a' | '1b'),
+ *   amplification (Ax), accidentalEccentricity (Ax·0.05·L, m), inherentEccentricity (m)}
+ */
+export function accidentalTorsion(building, direction) {
+  const { K, rigidity } = assembleEccentricBuilding(building);
+  const span = direction === 'y' ? building.width : building.depth;
+  const edgeKeys = direction === 'y' ? ['xMin', 'xMax'] : ['yMin', 'yMax'];
+  const force = building.mass * GRAVITY; // Any magnitude: only displacement ratios are reported
+
+  const cases = [
+    { label: 'Inherent only', sign: 0 },
+    { label: '+5% accidental', sign: 1 },
+    { label: '−5% accidental', sign: -1 }
+  ].map(({ label, sign }) => {
+    const offset = sign * ACCIDENTAL_ECCENTRICITY * span;
+    // A force in y at x = e twists by +F·e; a force in x at y = e twists by −F·e
+    const load = direction === 'y' ? [0, force, force * offset] : [force, 0, -force * offset];
+    const u = solveLinearSystem(K, load);
+    const edges = edgeKeys.map(edge => Math.abs(edgeDisplacement(building, edge, u)));
+    const max = Math.max(...edges);
+    const average = (edges[0] + edges[1]) / 2;
+    return { label, offset, edges, max, average, ratio: max / average };
+  });
+
+  // The irregularity is judged with the accidental torsion included
+  const governing = cases.slice(1).reduce((worst, entry) => (entry.ratio > worst.ratio ? entry : worst));
+  const irregularity = governing.ratio > TORSIONAL_IRREGULARITY.extreme ? '1b'
+    : governing.ratio > TORSIONAL_IRREGULARITY.torsional ? '1a' : 'none';
+  const amplification = irregularity === 'none' ? 1
+    : Math.min(3, Math.max(1, Math.pow(governing.max / (TORSIONAL_IRREGULARITY.torsional * governing.average), 2)));
+
+  return {
+    direction,
+    cases,
+    ratio: governing.ratio,
+    irregularity,
+    amplification,
+    accidentalEccentricity: amplification * ACCIDENTAL_ECCENTRICITY * span,
+    inherentEccentricity: direction === 'y' ? rigidity.x : rigidity.y
+  };
+}
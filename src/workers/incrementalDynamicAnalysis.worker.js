@@ -0,0 +1,26 @@
+/**
+ * Incremental Dynamic Analysis Worker
+ * Runs the suite off the main thread and posts each IDA curve as soon as its record is done.
+ * Messages in: {suite: {count, seed}, records, structure, settings}
+ * Messages out: {type: 'progress', fraction}, {type: 'record', curve, index},
+ *   {type: 'result', result} or {type: 'error', message}
+ */
+
+import { DEFAULT_SYNTHETIC_MOTION, generateSyntheticSuite } from '../utils/syntheticGroundMotion';
+import { runIncrementalDynamicAnalysis } from '../utils/incrementalDynamicAnalysis';
+
+self.onmessage = (event) => {
+  const { suite, records = [], structure, settings } = event.data;
+  try {
+    const synthetic = suite.count > 0
+      ? generateSyntheticSuite({ ...DEFAULT_SYNTHETIC_MOTION, seed: suite.seed }, suite.count)
+      : [];
+    const result = runIncrementalDynamicAnalysis([...synthetic, ...records], structure, settings, {
+      onRecord: (curve, index) => self.postMessage({ type: 'record', curve, index }),
+      onProgress: fraction => self.postMessage({ type: 'progress', fraction })
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};